@@ -0,0 +1,271 @@
+/**
+ * Backend Tests
+ * -------------
+ * Tests of the Node-only file backends (node/), which Runtime never loads
+ * into the engine context and tests/TestHarness.js therefore cannot reach.
+ * Run by runTests.js after the engine test harness.
+ *
+ * @file BackendTests.js
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage, parseCsv, formatCsv } = require('./CsvStorage');
+const { createXlsxStorage, formatXlsx, parseXlsx } = require('./XlsxStorage');
+const { readZip, writeZip, crc32 } = require('./Zip');
+
+/**
+ * Runs the backend tests.
+ *
+ * @param {Object} engine - Context returned by loadEngine()
+ * @returns {boolean} True if every test passed
+ */
+function runBackendTests(engine) {
+  console.log("🚀 Starting Backend Test Suite...");
+  const start = new Date();
+
+  try {
+    test_csvQuoting();
+    test_xlsxDateCells();
+    test_xlsxSharedStrings();
+    test_zipEntries();
+    test_dateCellsInStorageTimezone(engine);
+    test_fileWorkspaceIds(engine);
+
+    console.log(`✅ ALL BACKEND TESTS PASSED in ${(new Date() - start)}ms`);
+    return true;
+  } catch (e) {
+    console.error(`❌ BACKEND TEST FAILED: ${e.message}`);
+    return false;
+  }
+}
+
+function assertEqual(actual, expected, msg) {
+  if (actual !== expected) {
+    throw new Error(`${msg} | Expected: ${expected}, Actual: ${actual}`);
+  }
+  console.log(`  ✓ PASS: ${msg}`);
+}
+
+/**
+ * Builds a ZIP archive with stored (uncompressed) entries, as some XLSX
+ * writers produce them. writeZip() always deflates.
+ *
+ * @param {Array<{name: string, data: string}>} files
+ * @returns {Buffer}
+ */
+function storedZip(files) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  files.forEach(f => {
+    const data = Buffer.from(f.data, 'utf8'), name = Buffer.from(f.name, 'utf8');
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(10, 4);          // version needed
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(4, 28);          // extra field, skipped by the reader
+    locals.push(local, name, Buffer.alloc(4), data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + 4 + data.length;
+  });
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centrals.reduce((n, b) => n + b.length, 0), 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat(centrals, [end]));
+}
+
+/**
+ * Runs a test body in a fresh temporary data directory.
+ *
+ * @param {function(string): void} fn - Receives the directory
+ */
+function withDataDir(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workforce-'));
+  try {
+    fn(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// TEST CASES
+// -----------------------------------------------------------------------------
+
+function test_csvQuoting() {
+  console.log("\n[TEST] CSV Quoting Round Trip");
+  const rows = [
+    ['Employee ID', 'Note', 'Shift'],
+    ['emp-1', 'Swap, approved by "HR"', '09:00 - 18:00'],
+    ['emp-2', 'Line 1\nLine 2\r\nLine 3', ' padded '],
+    ['emp-3', '', '""']
+  ];
+  const text = formatCsv(rows);
+  assertEqual(text.split('\r\n')[1], 'emp-1,"Swap, approved by ""HR""",09:00 - 18:00', "Commas and quotes are quoted, quotes doubled");
+  assertEqual(JSON.stringify(parseCsv(text)), JSON.stringify(rows), "Commas, quotes, line breaks and edge spaces survive a round trip");
+  assertEqual(JSON.stringify(parseCsv('\uFEFFa,b\nc,"d\ne"')), JSON.stringify([['a', 'b'], ['c', 'd\ne']]), "BOM is dropped, last row needs no line break");
+  assertEqual(formatCsv([[1, true, null, undefined]]), '1,true,,\r\n', "Numbers and booleans are written as text, null as empty");
+}
+
+function test_xlsxDateCells() {
+  console.log("\n[TEST] XLSX Date Cells Round Trip");
+  const day = new Date(Date.UTC(2025, 2, 1));
+  const stamp = new Date(Date.UTC(2025, 2, 1, 14, 30, 15));
+  const table = [['Date', 'Stamp', 'Hours', 'Flag', 'Text'], [day, stamp, 7.5, true, '2025-03-02']];
+  const r = parseXlsx(formatXlsx({ name: 'ws', tables: { T: table } }), 'ws').tables.T[1];
+  assertEqual(r[0].getTime(), day.getTime(), "Date at midnight round-trips");
+  assertEqual(r[1].getTime(), stamp.getTime(), "Date with a time round-trips");
+  assertEqual(r[2], 7.5, "Numbers stay numbers");
+  assertEqual(r[3], true, "Booleans stay booleans");
+  assertEqual(r[4].getTime(), Date.UTC(2025, 2, 2), "YYYY-MM-DD text is read as a date");
+
+  const midnight = new Date(Date.UTC(2025, 1, 28, 15)); // 2025-03-01 00:00 in Tokyo
+  const tokyo = parseXlsx(formatXlsx({ name: 'ws', tables: { T: [[midnight]] } }, 'Asia/Tokyo'), 'ws', 'Asia/Tokyo');
+  assertEqual(tokyo.tables.T[0][0].getTime(), midnight.getTime(), "Midnight in the storage timezone round-trips");
+}
+
+function test_xlsxSharedStrings() {
+  console.log("\n[TEST] XLSX Shared Strings and Styles (as Excel writes them)");
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const buf = writeZip([
+    { name: 'xl/workbook.xml', data: `${xml}<workbook xmlns:r="r"><sheets><sheet name="Roster &amp; Leave" sheetId="1" r:id="rId7"/></sheets></workbook>` },
+    { name: 'xl/_rels/workbook.xml.rels', data: `${xml}<Relationships><Relationship Id="rId7" Target="/xl/worksheets/roster.xml"/></Relationships>` },
+    {
+      name: 'xl/sharedStrings.xml',
+      data: `${xml}<sst count="3" uniqueCount="3"><si><t>Employee ID</t></si>` +
+        '<si><r><rPr><b/></rPr><t>Annual</t></r><r><t xml:space="preserve"> &lt;AL&gt;</t></r></si><si><t>emp-&#x31;</t></si></sst>'
+    },
+    {
+      name: 'xl/styles.xml',
+      data: `${xml}<styleSheet><numFmts count="2"><numFmt numFmtId="170" formatCode="dd/mm/yyyy"/><numFmt numFmtId="171" formatCode="0.0&quot; days&quot;"/></numFmts>` +
+        '<cellXfs count="4"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="170"/><xf numFmtId="171"/></cellXfs></styleSheet>'
+    },
+    {
+      name: 'xl/worksheets/roster.xml',
+      data: `${xml}<worksheet><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>` +
+        '<row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" s="1"><v>45717</v></c><c r="C3" s="2"><v>45718</v></c>' +
+        '<c r="D3" s="3"><v>1.5</v></c><c r="E3" t="str"><f>A3</f><v>emp-1</v></c></row></sheetData></worksheet>'
+    }
+  ]);
+  const t = parseXlsx(buf, 'ws').tables['Roster & Leave'];
+  assertEqual(t.length, 3, "Missing rows are kept as empty rows");
+  assertEqual(JSON.stringify(t[0]), JSON.stringify(['Employee ID', '', 'Annual <AL>', '', '']), "Shared strings (incl. rich text runs) fill skipped columns");
+  assertEqual(t[2][0], 'emp-1', "Character references in shared strings are decoded");
+  assertEqual(t[2][1].toISOString(), '2025-03-01T00:00:00.000Z', "Built-in date format is read as a date");
+  assertEqual(t[2][2].toISOString(), '2025-03-02T00:00:00.000Z', "Custom date format is read as a date");
+  assertEqual(t[2][3], 1.5, "Custom number format with quoted text stays a number");
+  assertEqual(t[2][4], 'emp-1', "Formula cell keeps its cached value");
+}
+
+function test_zipEntries() {
+  console.log("\n[TEST] ZIP CRC and Stored Entries");
+  assertEqual(crc32(Buffer.from('123456789')), 0xCBF43926, "CRC-32 check value");
+  assertEqual(crc32(Buffer.alloc(0)), 0, "CRC-32 of an empty buffer");
+
+  const binary = Buffer.from([0, 255, 1, 254, 0x50, 0x4b, 3, 4]);
+  const zip = writeZip([{ name: 'data.bin', data: binary }, { name: 'dossier/Équipe.xml', data: '<a>é</a>' }]);
+  const entries = readZip(zip);
+  assertEqual(Buffer.compare(entries.get('data.bin'), binary), 0, "Binary entry round-trips");
+  assertEqual(entries.get('dossier/Équipe.xml').toString('utf8'), '<a>é</a>', "UTF-8 name and text round-trip");
+  assertEqual(zip.readUInt32LE(14), crc32(binary), "Local header holds the CRC of the uncompressed data");
+
+  const stored = readZip(storedZip([{ name: 'a.txt', data: 'plain' }, { name: 'b.txt', data: '' }]));
+  assertEqual(stored.get('a.txt').toString('utf8'), 'plain', "Stored entry is read (extra field skipped)");
+  assertEqual(stored.get('b.txt').length, 0, "Empty stored entry is read");
+
+  const odd = storedZip([{ name: 'c.txt', data: 'x' }]);
+  odd.writeUInt16LE(12, odd.indexOf(Buffer.from([0x50, 0x4b, 1, 2])) + 10); // bzip2 in the central directory
+  let error = "";
+  try { readZip(odd); } catch (e) { error = e.message; }
+  assertEqual(error, 'Unsupported ZIP compression method 12 for "c.txt"', "Unsupported compression method is reported");
+  error = "";
+  try { readZip(Buffer.from('not a zip file at all, just some text')); } catch (e) { error = e.message; }
+  assertEqual(error.startsWith("Not a ZIP archive"), true, "Non-ZIP input is reported");
+}
+
+function test_dateCellsInStorageTimezone(engine) {
+  console.log("\n[TEST] Date Cells Read and Written in the Storage Timezone");
+  const timeZone = 'America/New_York';
+  const header = ['Employee ID', 'Date'];
+  const backends = {
+    json: {
+      create: createJsonFileStorage,
+      write: dir => fs.writeFileSync(path.join(dir, 'ws.json'),
+        JSON.stringify({ name: 'ws', tables: { Roster: [header, ['emp-1', '2025-03-01']] } })),
+      read: dir => JSON.parse(fs.readFileSync(path.join(dir, 'ws.json'), 'utf8')).tables.Roster[1][1]
+    },
+    csv: {
+      create: createCsvStorage,
+      write: dir => {
+        fs.mkdirSync(path.join(dir, 'ws'));
+        fs.writeFileSync(path.join(dir, 'ws', 'Roster.csv'), 'Employee ID,Date\r\nemp-1,2025-03-01\r\n');
+      },
+      read: dir => fs.readFileSync(path.join(dir, 'ws', 'Roster.csv'), 'utf8').split('\r\n')[1].split(',')[1]
+    },
+    xlsx: {
+      create: createXlsxStorage,
+      // A date-formatted serial, as spreadsheet applications write it
+      write: dir => fs.writeFileSync(path.join(dir, 'ws.xlsx'),
+        formatXlsx({ name: 'ws', tables: { Roster: [header, ['emp-1', new Date(Date.UTC(2025, 2, 1))]] } })),
+      read: dir => {
+        const wb = parseXlsx(fs.readFileSync(path.join(dir, 'ws.xlsx')), 'ws');
+        return wb.tables.Roster[1][1].toISOString().slice(0, 10);
+      }
+    }
+  };
+
+  Object.keys(backends).forEach(format => withDataDir(dir => {
+    const b = backends[format];
+    b.write(dir);
+    const storage = b.create(engine, dir, { timeZone: timeZone });
+    const ws = storage.openWorkspace('ws');
+    const cell = ws.readTable('Roster')[1][1];
+    assertEqual(storage.formatDate(cell), '2025-03-01', `${format}: date-only cell keys the same day in ${timeZone}`);
+
+    ws.writeTable('Roster', header, [['emp-1', cell]]);
+    storage.flush();
+    assertEqual(b.read(dir), '2025-03-01', `${format}: date is written back unchanged`);
+  }));
+}
+
+function test_fileWorkspaceIds(engine) {
+  console.log("\n[TEST] Workspace IDs of the File Backends");
+  [createJsonFileStorage, createCsvStorage, createXlsxStorage].forEach(create => {
+    const storage = create(engine, os.tmpdir());
+    assertEqual(['north', 'ws-1'].every(id => storage.isWorkspaceId(id)), true, `${create.name}: short file names are workspace IDs`);
+    assertEqual(['../north', 'a/b', '..'].some(id => storage.isWorkspaceId(id)), false, `${create.name}: paths are not workspace IDs`);
+  });
+
+  withDataDir(dir => {
+    fs.writeFileSync(path.join(dir, 'database.json'), JSON.stringify({
+      name: 'Central DB',
+      tables: { Scheduler_Config: [['Workspace_File_ID', 'Status'], ['north', 'Active'], ['../north', 'Active'], ['south', 'Paused']] }
+    }));
+    engine.setStorage(createJsonFileStorage(engine, dir));
+    try {
+      assertEqual(engine.getActiveWorkspaces(engine.getStorage().openDatabase()).join(','), 'north', 'Active workspaces keep short IDs and skip invalid ones');
+    } finally {
+      engine.setStorage(null);
+    }
+  });
+}
+
+module.exports = { runBackendTests };
@@ -0,0 +1,139 @@
+/**
+ * CSV File Storage
+ * ----------------
+ * File-backed StorageAdapter where every workbook is a directory and every
+ * table is one CSV file (RFC 4180, UTF-8, optional BOM):
+ *
+ *   <dir>/database/Schedule_Rules.csv      Central DB tables
+ *   <dir>/database/Decision_Matrix.csv
+ *   <dir>/<workspace-id>/Consolidated.csv  One directory per workspace
+ *
+ * Tables are loaded on first open. On flush() only the tables the engine
+ * modified are rewritten (Daily_Workforce_Status, Entitlement_Ledger, System_Logs, ...).
+ * "YYYY-MM-DD" cells are dates at midnight in the storage timezone (see DateCells.js).
+ *
+ * @file CsvStorage.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readDateCells, formatDateCell, isDate } = require('./DateCells');
+const { isWorkbookId } = require('./JsonFileStorage');
+
+/**
+ * Parses CSV text into rows. Handles quoted fields, escaped quotes ("")
+ * and line breaks inside quotes.
+ *
+ * @param {string} text - CSV contents
+ * @returns {Array<Array<string>>} Rows of string cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  const src = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+/**
+ * Converts a cell value to its CSV text. Dates at midnight in the timezone
+ * are written as YYYY-MM-DD, other dates as ISO-8601 timestamps.
+ *
+ * @param {*} v - Cell value
+ * @param {string} [timeZone="UTC"] - Storage timezone
+ * @returns {string}
+ */
+function formatCsvCell(v, timeZone = 'UTC') {
+  if (v === null || v === undefined) return '';
+  const s = isDate(v) ? formatDateCell(v, timeZone) : String(v);
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Serializes rows to CSV text (CRLF line endings, as RFC 4180 specifies).
+ *
+ * @param {Array<Array<*>>} rows
+ * @param {string} [timeZone="UTC"] - Storage timezone (for date cells)
+ * @returns {string}
+ */
+function formatCsv(rows, timeZone = 'UTC') {
+  return rows.map(r => r.map(v => formatCsvCell(v, timeZone)).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Pads ragged rows to the widest row, so tables are rectangular like getDataRange().
+ *
+ * @param {Array<Array<*>>} rows
+ * @returns {Array<Array<*>>} The same rows, padded with ""
+ */
+function padRows(rows) {
+  const width = rows.reduce((w, r) => Math.max(w, r.length), 0);
+  rows.forEach(r => { while (r.length < width) r.push(''); });
+  return rows;
+}
+
+/**
+ * Resolves the directory of a workbook, rejecting IDs that escape the data directory.
+ *
+ * @param {string} dir - Data directory
+ * @param {string} id - Workbook ID
+ * @returns {string}
+ */
+function workbookDir(dir, id) {
+  if (!isWorkbookId(id)) throw new Error(`Invalid workbook ID: ${id}`);
+  return path.join(dir, id);
+}
+
+/**
+ * Creates a CSV-directory storage adapter on top of the engine's MemoryStorage.
+ *
+ * @param {Object} engine - Context returned by loadEngine()
+ * @param {string} dir - Data directory
+ * @param {Object} [options]
+ * @param {string} [options.timeZone="UTC"] - Timezone used for date keys
+ * @param {string} [options.user] - User recorded by the rule workflow
+ * @returns {StorageAdapter}
+ */
+function createCsvStorage(engine, dir, options = {}) {
+  return engine.createMemoryStorage({
+    databaseId: 'database',
+    timeZone: options.timeZone,
+    user: options.user,
+    isWorkspaceId: isWorkbookId,
+    load: id => {
+      const wbDir = workbookDir(dir, id);
+      if (!fs.existsSync(wbDir) || !fs.statSync(wbDir).isDirectory()) return null;
+      const tables = {};
+      fs.readdirSync(wbDir).filter(f => f.toLowerCase().endsWith('.csv')).forEach(f => {
+        tables[f.slice(0, -4)] = padRows(parseCsv(fs.readFileSync(path.join(wbDir, f), 'utf8')));
+      });
+      return readDateCells({ name: id, tables: tables }, options.timeZone);
+    },
+    persist: (id, wb, changed) => {
+      const wbDir = workbookDir(dir, id);
+      fs.mkdirSync(wbDir, { recursive: true });
+      changed.forEach(t => fs.writeFileSync(path.join(wbDir, `${t}.csv`), formatCsv(wb.tables[t], options.timeZone)));
+    }
+  });
+}
+
+module.exports = { createCsvStorage, parseCsv, formatCsv, padRows };
@@ -0,0 +1,92 @@
+/**
+ * Date Cells
+ * ----------
+ * Timezone handling shared by the file backends. Files store dates as wall
+ * clock values (a "2025-03-01" cell, an XLSX serial) while the engine keys
+ * days with formatDate() in the storage timezone. Like Google Sheets, the
+ * backends therefore read a date-only value as midnight in the storage
+ * timezone and write a date back as the wall clock time it has there.
+ *
+ * @file DateCells.js
+ */
+'use strict';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const formatters = new Map();
+
+/**
+ * Wall clock time of an instant in a timezone, as milliseconds of the same
+ * wall time in UTC (e.g. midnight in New York -> UTC midnight of that date).
+ *
+ * @param {Date|number} date - Instant
+ * @param {string} [timeZone="UTC"] - IANA timezone
+ * @returns {number}
+ */
+function toWallTime(date, timeZone = 'UTC') {
+  const ms = typeof date === 'number' ? date : date.getTime();
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  const p = {};
+  formatters.get(timeZone).formatToParts(new Date(ms)).forEach(x => { p[x.type] = Number(x.value); });
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, ms % 1000 < 0 ? ms % 1000 + 1000 : ms % 1000);
+}
+
+/**
+ * Instant at which a timezone shows a wall clock time (inverse of toWallTime()).
+ *
+ * @param {number} wall - Wall clock time as UTC milliseconds
+ * @param {string} [timeZone="UTC"] - IANA timezone
+ * @returns {Date}
+ */
+function fromWallTime(wall, timeZone = 'UTC') {
+  // The offset is looked up twice so a guess across a DST change lands on the right side
+  const guess = wall - (toWallTime(wall, timeZone) - wall);
+  return new Date(wall - (toWallTime(guess, timeZone) - guess));
+}
+
+/**
+ * Converts the date-only text cells ("YYYY-MM-DD") of a workbook to Dates at
+ * midnight in the timezone. Other cells are left as read.
+ *
+ * @param {{tables: Object<string, Array<Array<*>>>}} wb - Workbook data (mutated)
+ * @param {string} [timeZone="UTC"] - IANA timezone
+ * @returns {Object} The same workbook
+ */
+function readDateCells(wb, timeZone = 'UTC') {
+  Object.keys(wb.tables || {}).forEach(t => wb.tables[t].forEach(r => r.forEach((v, i) => {
+    if (typeof v === 'string' && DATE_ONLY.test(v.trim())) {
+      const wall = Date.parse(`${v.trim()}T00:00:00Z`);
+      if (!isNaN(wall)) r[i] = fromWallTime(wall, timeZone);
+    }
+  })));
+  return wb;
+}
+
+/**
+ * Text of a Date cell: YYYY-MM-DD at midnight in the timezone, else an ISO-8601 timestamp.
+ *
+ * @param {Date} date
+ * @param {string} [timeZone="UTC"] - IANA timezone
+ * @returns {string} "" for an invalid date
+ */
+function formatDateCell(date, timeZone = 'UTC') {
+  if (isNaN(date)) return '';
+  const wall = new Date(toWallTime(date, timeZone)).toISOString();
+  return wall.endsWith('T00:00:00.000Z') ? wall.slice(0, 10) : date.toISOString();
+}
+
+/**
+ * Is a value a Date (from any realm: the engine runs in its own V8 context)?
+ *
+ * @param {*} v
+ * @returns {boolean}
+ */
+function isDate(v) {
+  return Object.prototype.toString.call(v) === '[object Date]';
+}
+
+module.exports = { toWallTime, fromWallTime, readDateCells, formatDateCell, isDate };
@@ -0,0 +1,72 @@
+/**
+ * JSON File Storage
+ * -----------------
+ * File-backed StorageAdapter for the Node runtime. Each workbook is one JSON
+ * file in a data directory:
+ *
+ *   <dir>/database.json        Central DB
+ *   <dir>/<workspace-id>.json  One file per workspace
+ *
+ * File format: { "name": "...", "tables": { "<Tab>": [[header...], [row...]] } }
+ * Workbooks are loaded on first open and written back on flush(). "YYYY-MM-DD"
+ * cells are dates at midnight in the storage timezone (see DateCells.js).
+ *
+ * @file JsonFileStorage.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readDateCells, formatDateCell, isDate } = require('./DateCells');
+
+/**
+ * Can an ID name a workbook file in the data directory? Letters, digits, "_",
+ * "." and "-" only, so the ID cannot escape the directory.
+ *
+ * @param {string} id - Workbook ID
+ * @returns {boolean}
+ */
+function isWorkbookId(id) {
+  return /^[\w.-]+$/.test(id) && id !== '.' && id !== '..';
+}
+
+/**
+ * Resolves the file of a workbook, rejecting IDs that escape the directory.
+ *
+ * @param {string} dir - Data directory
+ * @param {string} id - Workbook ID
+ * @returns {string} Absolute file path
+ */
+function workbookPath(dir, id) {
+  if (!isWorkbookId(id)) throw new Error(`Invalid workbook ID: ${id}`);
+  return path.join(dir, `${id}.json`);
+}
+
+/**
+ * Creates a JSON-file storage adapter on top of the engine's MemoryStorage.
+ *
+ * @param {Object} engine - Context returned by loadEngine()
+ * @param {string} dir - Data directory
+ * @param {Object} [options]
+ * @param {string} [options.timeZone="UTC"] - Timezone used for date keys
+ * @param {string} [options.user] - User recorded by the rule workflow
+ * @returns {StorageAdapter}
+ */
+function createJsonFileStorage(engine, dir, options = {}) {
+  return engine.createMemoryStorage({
+    databaseId: 'database',
+    timeZone: options.timeZone,
+    user: options.user,
+    isWorkspaceId: isWorkbookId,
+    load: id => {
+      const file = workbookPath(dir, id);
+      return fs.existsSync(file) ? readDateCells(JSON.parse(fs.readFileSync(file, 'utf8')), options.timeZone) : null;
+    },
+    persist: (id, wb) => {
+      const dates = function (key, v) { return isDate(this[key]) ? formatDateCell(this[key], options.timeZone) : v; };
+      fs.writeFileSync(workbookPath(dir, id), JSON.stringify(wb, dates, 2) + '\n');
+    }
+  });
+}
+
+module.exports = { createJsonFileStorage, isWorkbookId };
@@ -0,0 +1,57 @@
+/**
+ * Node Runtime
+ * ------------
+ * Loads the engine sources into a single V8 context so the engine runs
+ * headless in Node.js. All files share one global scope, exactly like the
+ * flat namespace of Apps Script, so no source file needs a module wrapper.
+ *
+ * Google services are never loaded: callers must install a storage adapter
+ * (MemoryStorage or a file-backed storage) with setStorage() before running.
+ *
+ * @file Runtime.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Lists .js files under a directory, depth-first in name order.
+ *
+ * @param {string} dir - Directory to scan
+ * @returns {Array<string>} Absolute file paths
+ */
+function listSources(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(e => {
+      const p = path.join(dir, e.name);
+      if (e.isDirectory()) return listSources(p);
+      return e.name.endsWith('.js') ? [p] : [];
+    });
+}
+
+/**
+ * Loads the engine into a fresh context.
+ * Config.js is evaluated first because other files read CONFIG at load time.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTests=false] - Also load tests/TestHarness.js
+ * @param {Object} [options.config] - CONFIG settings to override, e.g. { isDryRun: false } (applied before CONFIG is frozen)
+ * @returns {Object} The context; engine functions are available as its properties
+ */
+function loadEngine(options = {}) {
+  const context = vm.createContext({ console: console });
+  if (options.config) context.CONFIG_OVERRIDES = options.config;
+  const srcDir = path.join(ROOT, 'src');
+  const config = path.join(srcDir, 'Config.js');
+  const files = [config].concat(listSources(srcDir).filter(f => f !== config));
+  if (options.includeTests) files.push(...listSources(path.join(ROOT, 'tests')));
+  files.forEach(f => vm.runInContext(fs.readFileSync(f, 'utf8'), context, { filename: f }));
+  return context;
+}
+
+module.exports = { loadEngine, ROOT };
@@ -0,0 +1,350 @@
+/**
+ * XLSX File Storage
+ * -----------------
+ * File-backed StorageAdapter where every workbook is one .xlsx file and every
+ * table is one worksheet:
+ *
+ *   <dir>/database.xlsx        Central DB (Schedule_Rules, Decision_Matrix, ...)
+ *   <dir>/<workspace-id>.xlsx  One workbook per workspace
+ *
+ * Reading keeps cached cell values only (formulas are not evaluated) and
+ * converts date-formatted numbers and "YYYY-MM-DD" text to Date objects.
+ * Serials are wall clock times in the storage timezone (see DateCells.js).
+ * On flush() the whole workbook is rewritten with plain values, so formulas
+ * and formatting in modified workbooks are not preserved.
+ *
+ * @file XlsxStorage.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readZip, writeZip } = require('./Zip');
+const { padRows } = require('./CsvStorage');
+const { isWorkbookId } = require('./JsonFileStorage');
+const { toWallTime, fromWallTime, readDateCells, isDate } = require('./DateCells');
+
+const MS_PER_DAY = 86400000;
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 and 1970-01-01
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Decodes XML character entities.
+ * @param {string} s
+ * @returns {string}
+ */
+function xmlDecode(s) {
+  return s.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e];
+  });
+}
+
+/**
+ * Encodes text for XML content and attributes (drops characters XML 1.0 forbids).
+ * @param {string} s
+ * @returns {string}
+ */
+function xmlEncode(s) {
+  return String(s)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Reads an attribute value from an XML start tag.
+ * @param {string} tag - Start tag text
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+function attr(tag, name) {
+  const m = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return m ? xmlDecode(m[1]) : null;
+}
+
+/**
+ * Concatenates the text of all <t> elements (plain and rich-text runs).
+ * @param {string} xml
+ * @returns {string}
+ */
+function textOf(xml) {
+  let out = '';
+  const re = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g;
+  let m;
+  while ((m = re.exec(xml))) out += xmlDecode(m[1]);
+  return out;
+}
+
+/**
+ * Converts a column reference ("A", "AB") to a 0-based index.
+ * @param {string} letters
+ * @returns {number}
+ */
+function columnIndex(letters) {
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+/**
+ * Converts a 0-based column index to its letters.
+ * @param {number} i
+ * @returns {string}
+ */
+function columnLetters(i) {
+  let s = '';
+  for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+  return s;
+}
+
+/**
+ * Returns the style indexes (cellXfs) that display dates.
+ * @param {string} stylesXml - xl/styles.xml contents ("" if absent)
+ * @returns {Set<number>}
+ */
+function dateStyles(stylesXml) {
+  const custom = new Map();
+  const fmtRe = /<numFmt\s[^>]*>/g;
+  let m;
+  while ((m = fmtRe.exec(stylesXml))) {
+    // A custom format is a date if it has d/m/y tokens outside quotes and brackets
+    const code = (attr(m[0], 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]/g, '');
+    custom.set(Number(attr(m[0], 'numFmtId')), /[dmy]/i.test(code));
+  }
+  const styles = new Set();
+  const xfs = /<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/.exec(stylesXml);
+  if (!xfs) return styles;
+  const xfRe = /<xf\s[^>]*?\/?>/g;
+  let i = 0;
+  while ((m = xfRe.exec(xfs[1]))) {
+    const id = Number(attr(m[0], 'numFmtId') || 0);
+    if (BUILTIN_DATE_FORMATS.has(id) || custom.get(id)) styles.add(i);
+    i++;
+  }
+  return styles;
+}
+
+/**
+ * Parses an .xlsx file into workbook data.
+ *
+ * @param {Buffer} buf - File contents
+ * @param {string} name - Workbook name
+ * @param {string} [timeZone="UTC"] - Storage timezone (for date cells)
+ * @returns {WorkbookData}
+ */
+function parseXlsx(buf, name, timeZone = 'UTC') {
+  const zip = readZip(buf);
+  const part = p => (zip.has(p) ? zip.get(p).toString('utf8') : '');
+
+  const shared = [];
+  const siRe = /<si>([\s\S]*?)<\/si>/g;
+  let m;
+  const sst = part('xl/sharedStrings.xml');
+  while ((m = siRe.exec(sst))) shared.push(textOf(m[1]));
+
+  const dates = dateStyles(part('xl/styles.xml'));
+
+  const rels = new Map();
+  const relRe = /<Relationship\s[^>]*>/g;
+  const relXml = part('xl/_rels/workbook.xml.rels');
+  while ((m = relRe.exec(relXml))) rels.set(attr(m[0], 'Id'), attr(m[0], 'Target'));
+
+  const tables = {};
+  const sheetRe = /<sheet\s[^>]*>/g;
+  const wbXml = part('xl/workbook.xml');
+  while ((m = sheetRe.exec(wbXml))) {
+    const target = rels.get(attr(m[0], 'r:id'));
+    if (!target) continue;
+    const file = target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+    tables[attr(m[0], 'name')] = padRows(parseSheet(part(file), shared, dates, timeZone));
+  }
+  return readDateCells({ name: name, tables: tables }, timeZone);
+}
+
+/**
+ * Parses one worksheet into rows.
+ *
+ * @param {string} xml - Worksheet XML
+ * @param {Array<string>} shared - Shared strings
+ * @param {Set<number>} dates - Date style indexes
+ * @param {string} timeZone - Storage timezone
+ * @returns {Array<Array<*>>}
+ */
+function parseSheet(xml, shared, dates, timeZone) {
+  const rows = [];
+  const rowRe = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rm, next = 0;
+  while ((rm = rowRe.exec(xml))) {
+    const r = Number(attr(rm[0], 'r')) || next + 1;
+    while (rows.length < r - 1) rows.push([]);
+    const row = [];
+    const cellRe = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cm;
+    while ((cm = cellRe.exec(rm[2] || ''))) {
+      const ref = attr(cm[0], 'r');
+      const col = ref ? columnIndex(ref.replace(/\d+/g, '')) : row.length;
+      while (row.length < col) row.push('');
+      row[col] = cellValue(cm[0], cm[2] || '', shared, dates, timeZone);
+    }
+    rows.push(row);
+    next = r;
+  }
+  return rows;
+}
+
+/**
+ * Converts one <c> element to a JavaScript value.
+ *
+ * @param {string} tag - Cell start tag
+ * @param {string} body - Cell inner XML
+ * @param {Array<string>} shared - Shared strings
+ * @param {Set<number>} dates - Date style indexes
+ * @param {string} [timeZone="UTC"] - Storage timezone
+ * @returns {*}
+ */
+function cellValue(tag, body, shared, dates, timeZone = 'UTC') {
+  const type = attr(tag, 't') || 'n';
+  const v = /<v>([\s\S]*?)<\/v>/.exec(body);
+  const raw = v ? xmlDecode(v[1]) : '';
+  if (type === 's') return shared[Number(raw)] || '';
+  if (type === 'inlineStr') return textOf(body);
+  if (type === 'str' || type === 'e') return raw;
+  if (type === 'b') return raw === '1';
+  if (raw === '') return '';
+  const n = Number(raw);
+  if (dates.has(Number(attr(tag, 's') || 0))) return fromWallTime(Math.round((n - EXCEL_EPOCH_OFFSET) * MS_PER_DAY), timeZone);
+  return n;
+}
+
+/**
+ * Serializes workbook data to an .xlsx file.
+ * Strings are written inline, dates as serial numbers with a date style.
+ *
+ * @param {WorkbookData} wb
+ * @param {string} [timeZone="UTC"] - Storage timezone (for date cells)
+ * @returns {Buffer}
+ */
+function formatXlsx(wb, timeZone = 'UTC') {
+  const names = Object.keys(wb.tables);
+  const sheets = names.map((n, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: sheetXml(wb.tables[n], timeZone)
+  }));
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets.map(s => `<Override PartName="/${s.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((n, i) => `<sheet name="${xmlEncode(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+        '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        names.map((n, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+        `<Relationship Id="rId${names.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>'
+    },
+    {
+      // Style 0 = general, style 1 = yyyy-mm-dd, style 2 = yyyy-mm-dd hh:mm:ss
+      name: 'xl/styles.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+        '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+        '</styleSheet>'
+    }
+  ].concat(sheets));
+}
+
+/**
+ * Serializes one table to worksheet XML.
+ *
+ * @param {Array<Array<*>>} rows
+ * @param {string} timeZone - Storage timezone
+ * @returns {string}
+ */
+function sheetXml(rows, timeZone) {
+  const body = rows.map((r, ri) => {
+    const cells = r.map((v, ci) => {
+      const ref = `${columnLetters(ci)}${ri + 1}`;
+      if (v === null || v === undefined || v === '') return '';
+      if (isDate(v)) {
+        if (isNaN(v)) return '';
+        const serial = toWallTime(v, timeZone) / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+        return `<c r="${ref}" s="${Number.isInteger(serial) ? 1 : 2}"><v>${serial}</v></c>`;
+      }
+      if (typeof v === 'number' && isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+      if (typeof v === 'boolean') return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEncode(v)}</t></is></c>`;
+    }).join('');
+    return `<row r="${ri + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+/**
+ * Resolves the file of a workbook, rejecting IDs that escape the data directory.
+ *
+ * @param {string} dir - Data directory
+ * @param {string} id - Workbook ID
+ * @returns {string}
+ */
+function workbookFile(dir, id) {
+  if (!isWorkbookId(id)) throw new Error(`Invalid workbook ID: ${id}`);
+  return path.join(dir, `${id}.xlsx`);
+}
+
+/**
+ * Creates an XLSX-file storage adapter on top of the engine's MemoryStorage.
+ *
+ * @param {Object} engine - Context returned by loadEngine()
+ * @param {string} dir - Data directory
+ * @param {Object} [options]
+ * @param {string} [options.timeZone="UTC"] - Timezone used for date keys
+ * @param {string} [options.user] - User recorded by the rule workflow
+ * @returns {StorageAdapter}
+ */
+function createXlsxStorage(engine, dir, options = {}) {
+  return engine.createMemoryStorage({
+    databaseId: 'database',
+    timeZone: options.timeZone,
+    user: options.user,
+    isWorkspaceId: isWorkbookId,
+    load: id => {
+      const file = workbookFile(dir, id);
+      return fs.existsSync(file) ? parseXlsx(fs.readFileSync(file), id, options.timeZone) : null;
+    },
+    persist: (id, wb) => {
+      fs.writeFileSync(workbookFile(dir, id), formatXlsx(wb, options.timeZone));
+    }
+  });
+}
+
+module.exports = { createXlsxStorage, parseXlsx, formatXlsx };
@@ -0,0 +1,126 @@
+/**
+ * Zip Archive Helpers
+ * -------------------
+ * Minimal ZIP reader/writer for XLSX packages, built on Node's zlib so the
+ * file backends need no third-party dependency.
+ *
+ * Supports stored (0) and deflated (8) entries. No encryption, no ZIP64,
+ * no multi-disk archives — none of which XLSX writers produce for the
+ * workbook sizes this engine handles.
+ *
+ * @file Zip.js
+ */
+'use strict';
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+/**
+ * Computes the CRC-32 of a buffer.
+ *
+ * @param {Buffer} buf
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(buf) {
+  let c = 0xFFFFFFFF;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Reads all entries of a ZIP archive.
+ *
+ * @param {Buffer} buf - Archive contents
+ * @returns {Map<string, Buffer>} Entry name -> uncompressed contents
+ * @throws {Error} If the archive is malformed or uses an unsupported method
+ */
+function readZip(buf) {
+  // End of central directory: scan backwards past an optional comment
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("Not a ZIP archive (end of central directory not found)");
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("Corrupt ZIP central directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compSize);
+    if (method === 0) entries.set(name, Buffer.from(raw));
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(raw));
+    else throw new Error(`Unsupported ZIP compression method ${method} for "${name}"`);
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Builds a ZIP archive (all entries deflated).
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} files - Entries in archive order
+ * @returns {Buffer} Archive contents
+ */
+function writeZip(files) {
+  const locals = [], centrals = [];
+  let offset = 0;
+  files.forEach(f => {
+    const data = Buffer.isBuffer(f.data) ? f.data : Buffer.from(f.data, 'utf8');
+    const comp = zlib.deflateRawSync(data);
+    const name = Buffer.from(f.name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(comp.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, comp);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);        // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(comp.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + comp.length;
+  });
+  const centralSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat(centrals, [end]));
+}
+
+module.exports = { readZip, writeZip, crc32 };
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Rule Workflow CLI
+ * -----------------
+ * Changes the Approval_Status of a rule (transitionRules()).
+ *
+ * Usage: node node/approve.js <data-dir> <rule-id> <new-status>
+ *          [--comment <text>] [--user <name>] [--format json|csv|xlsx] [--tz <IANA timezone>]
+ *
+ * The change must be allowed from the rule's current status. Approvals are
+ * previewed in Rule_Preview first; every change is logged in Rule_Status_Log
+ * under --user (default: the OS user). CONFIG.isDryRun applies as usual.
+ *
+ * @file approve.js
+ */
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/approve.js <data-dir> <rule-id> <new-status> ' +
+  '[--comment <text>] [--user <name>] [--format json|csv|xlsx] [--tz <IANA timezone>]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  const comment = takeOption(args, '--comment', '');
+  const user = takeOption(args, '--user', os.userInfo().username);
+  if (args.length !== 3 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const engine = loadEngine();
+  engine.setStorage(BACKENDS[format](engine, path.resolve(args[0]), { timeZone, user }));
+  let change;
+  try {
+    const storage = engine.getStorage();
+    change = engine.transitionRules(storage.openDatabase(), [{ ruleId: args[1], to: args[2], comment: comment }], storage.getUser())[0];
+    storage.flush();
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+  if (change.error) {
+    console.error(`${change.ruleId}: ${change.error}`);
+    return 1;
+  }
+  console.log(`${change.ruleId}: ${change.from} → ${change.to}` + (change.preview ? ` (preview: ${change.preview})` : ''));
+  return 0;
+}
+
+process.exitCode = main(process.argv);
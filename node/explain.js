@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * Conflict Investigator CLI
+ * -------------------------
+ * Explains how one employee-day was resolved (explainEmployeeDay()).
+ *
+ * Usage: node node/explain.js <data-dir> <employee-id> <YYYY-MM-DD>
+ *          [--workspace <id>] [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]
+ *
+ * Prints the Conflict_Investigator table, or the raw explanation with --json.
+ * Nothing is written to the data directory.
+ *
+ * @file explain.js
+ */
+'use strict';
+
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/explain.js <data-dir> <employee-id> <YYYY-MM-DD> ' +
+  '[--workspace <id>] [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  const workspace = takeOption(args, '--workspace', undefined);
+  const asJson = args.includes('--json');
+  const rest = args.filter(a => a !== '--json');
+  if (rest.length !== 3 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const engine = loadEngine();
+  engine.setStorage(BACKENDS[format](engine, path.resolve(rest[0]), { timeZone }));
+  let exp;
+  try {
+    exp = engine.explainEmployeeDay(rest[1], rest[2], workspace);
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+  if (asJson) {
+    console.log(JSON.stringify(exp, null, 2));
+  } else {
+    engine.renderExplanation(exp).forEach(r => console.log(r.map(v => String(v)).join(' | ')));
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv);
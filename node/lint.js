@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Decision Matrix Linter CLI
+ * --------------------------
+ * Lints the Decision_Matrix of a data directory (lintDecisionMatrix()).
+ *
+ * Usage: node node/lint.js <data-dir> [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]
+ *
+ * Prints one line per finding, or the raw findings with --json.
+ * Exits 1 if any ERROR is found. Nothing is written to the data directory.
+ *
+ * @file lint.js
+ */
+'use strict';
+
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/lint.js <data-dir> [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  const asJson = args.includes('--json');
+  const rest = args.filter(a => a !== '--json');
+  if (rest.length !== 1 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const engine = loadEngine();
+  engine.setStorage(BACKENDS[format](engine, path.resolve(rest[0]), { timeZone }));
+  const findings = engine.lintDecisionMatrixSheet(engine.getStorage().openDatabase());
+  if (asJson) {
+    console.log(JSON.stringify(findings, null, 2));
+  } else if (!findings.length) {
+    console.log('No issues found.');
+  } else {
+    findings.forEach(f => console.log(`${f.severity} | ${f.check} | ${f.item} | ${f.message}`));
+  }
+  return findings.some(f => f.severity === 'ERROR') ? 1 : 0;
+}
+
+process.exitCode = main(process.argv);
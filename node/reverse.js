@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Ledger Reversal CLI
+ * -------------------
+ * Restores the Entitlement_Ledger to its state before a run (reverseRun()).
+ *
+ * Usage: node node/reverse.js <data-dir> [<run-id>] [--format json|csv|xlsx] [--tz <IANA timezone>]
+ *
+ * Without a Run ID the most recent run that has not been reversed is used.
+ * CONFIG.isDryRun applies as usual: in dry run only the counts are reported.
+ *
+ * @file reverse.js
+ */
+'use strict';
+
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/reverse.js <data-dir> [<run-id>] [--format json|csv|xlsx] [--tz <IANA timezone>]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  if (args.length < 1 || args.length > 2 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const engine = loadEngine();
+  engine.setStorage(BACKENDS[format](engine, path.resolve(args[0]), { timeZone }));
+  let runId = args[1];
+  if (!runId) {
+    const runs = engine.listReversibleRuns(engine.readJournal(engine.getStorage().openDatabase()));
+    if (!runs.length) {
+      console.error('No run to reverse.');
+      return 1;
+    }
+    runId = runs[runs.length - 1];
+  }
+  try {
+    const res = engine.reverseRun(runId);
+    console.log(`Run ${res.runId}: ${res.restored} ledger row(s) restored, ${res.removed} removed, ${res.rebuild} workspace(s) to rebuild.`);
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv);
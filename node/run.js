@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * Node Entry Point
+ * ----------------
+ * Runs runWorkforceEngine() headless against file-backed workbooks.
+ *
+ * Usage: node node/run.js <data-dir> [--format json|csv|xlsx] [--tz <IANA timezone>] [--full]
+ *
+ * <data-dir> holds the Central DB ("database") and one workbook per workspace
+ * listed in Scheduler_Config, in the chosen format:
+ *   json  database.json, <workspace-id>.json
+ *   csv   database/<Table>.csv, <workspace-id>/<Table>.csv
+ *   xlsx  database.xlsx, <workspace-id>.xlsx
+ *
+ * --full runs runFullRebuild() instead: every employee-day is resolved again.
+ *
+ * CONFIG.isDryRun applies as usual. The run health digest is printed to the
+ * console instead of being emailed or posted.
+ *
+ * @file run.js
+ */
+'use strict';
+
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/run.js <data-dir> [--format json|csv|xlsx] [--tz <IANA timezone>] [--full]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+/**
+ * Removes a "--name" flag from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Flag name
+ * @returns {boolean} Whether the flag was given
+ */
+function takeFlag(args, name) {
+  const at = args.indexOf(name);
+  if (at > -1) args.splice(at, 1);
+  return at > -1;
+}
+
+/**
+ * Prints a message recorded by the memory notifier.
+ * @param {{channel: string, to: Array<string>, subject: string, body: (string|Object)}} msg
+ */
+function printMessage(msg) {
+  console.log(`\n--- ${msg.channel} to ${msg.to.join(', ')} ---`);
+  console.log(msg.channel === 'EMAIL' ? `${msg.subject}\n\n${msg.body}` : JSON.stringify(msg.body, null, 2));
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  const full = takeFlag(args, '--full');
+  if (args.length !== 1 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  const engine = loadEngine();
+  engine.setStorage(BACKENDS[format](engine, path.resolve(args[0]), { timeZone }));
+  engine.setNotifier(engine.createMemoryNotifier({ onSend: printMessage }));
+  if (full) engine.runFullRebuild();
+  else engine.runWorkforceEngine();
+  return 0;
+}
+
+process.exitCode = main(process.argv);
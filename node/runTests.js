@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * Headless Test Runner
+ * --------------------
+ * Runs tests/TestHarness.js in Node (e.g. on CI) with an in-memory storage
+ * adapter: runAllTests() with CONFIG as configured, then runLiveTests() in a
+ * second engine that writes (CONFIG.isDryRun off). Then runs the file backend
+ * tests (BackendTests.js). Exits non-zero if any test fails.
+ *
+ * Usage: node node/runTests.js
+ *
+ * @file runTests.js
+ */
+'use strict';
+
+const { loadEngine } = require('./Runtime');
+const { runBackendTests } = require('./BackendTests');
+
+const engine = loadEngine({ includeTests: true });
+engine.setStorage(engine.createMemoryStorage());
+const passed = engine.runAllTests();
+
+// Whole runs that write, with a time guard that stops after every workspace
+const live = loadEngine({ includeTests: true, config: { isDryRun: false, resume: { maxRuntimeMs: -1 } } });
+live.setStorage(live.createMemoryStorage());
+const livePassed = live.runLiveTests();
+
+process.exitCode = passed && livePassed && runBackendTests(engine) ? 0 : 1;
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * Simulation CLI
+ * --------------
+ * Previews proposed changes against the current output (simulateChanges()).
+ *
+ * Usage: node node/simulate.js <data-dir> <proposal.json>
+ *          [--workspace <id>] [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]
+ *
+ * proposal.json holds { "rules": [...], "matrix": [[...]], "leaves": [...], "holidays": [...] }
+ * (all optional; see SimulationProposal in Simulation.js). Prints the rows,
+ * ledger actions and coverage slots that would change, or the raw result with
+ * --json. Nothing is written to the data directory.
+ *
+ * @file simulate.js
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadEngine } = require('./Runtime');
+const { createJsonFileStorage } = require('./JsonFileStorage');
+const { createCsvStorage } = require('./CsvStorage');
+const { createXlsxStorage } = require('./XlsxStorage');
+
+const BACKENDS = { json: createJsonFileStorage, csv: createCsvStorage, xlsx: createXlsxStorage };
+const USAGE = 'Usage: node node/simulate.js <data-dir> <proposal.json> ' +
+  '[--workspace <id>] [--format json|csv|xlsx] [--tz <IANA timezone>] [--json]';
+
+/**
+ * Removes a "--name value" option from the argument list.
+ * @param {Array<string>} args - Arguments (mutated)
+ * @param {string} name - Option name
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function takeOption(args, name, fallback) {
+  const at = args.indexOf(name);
+  return at > -1 ? args.splice(at, 2)[1] : fallback;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const timeZone = takeOption(args, '--tz', 'UTC');
+  const format = takeOption(args, '--format', 'json');
+  const workspace = takeOption(args, '--workspace', undefined);
+  const asJson = args.includes('--json');
+  const rest = args.filter(a => a !== '--json');
+  if (rest.length !== 2 || !BACKENDS[format]) {
+    console.error(USAGE);
+    return 2;
+  }
+  let proposal;
+  try {
+    proposal = JSON.parse(fs.readFileSync(path.resolve(rest[1]), 'utf8'));
+  } catch (e) {
+    console.error(`Cannot read proposal: ${e.message}`);
+    return 1;
+  }
+  const engine = loadEngine();
+  // Simulations never write: the storage is not persisted
+  engine.setStorage(BACKENDS[format](engine, path.resolve(rest[0]), { timeZone }));
+  let result;
+  try {
+    result = engine.simulateChanges(proposal, workspace);
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+  if (asJson) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    engine.renderSimulation(result).forEach(r => console.log(r.map(v => String(v)).join(' | ')));
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv);
@@ -0,0 +1,28 @@
+/**
+ * Mail Notifier Module
+ * --------------------
+ * Notifier backed by MailApp (email) and UrlFetchApp (webhooks).
+ * This is the default notifier inside Apps Script.
+ *
+ * @file MailNotifier.js
+ */
+
+/**
+ * Creates the Apps Script notifier.
+ *
+ * @returns {Notifier}
+ */
+function createMailNotifier() {
+  return {
+    sendEmail: function (recipients, subject, body) {
+      MailApp.sendEmail(recipients.join(','), subject, body);
+    },
+    postWebhook: function (url, payload) {
+      UrlFetchApp.fetch(url, {
+        method: 'post',
+        contentType: 'application/json',
+        payload: JSON.stringify(payload)
+      });
+    }
+  };
+}
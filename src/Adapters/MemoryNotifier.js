@@ -0,0 +1,40 @@
+/**
+ * Memory Notifier Module
+ * ----------------------
+ * Notifier that records messages in memory instead of sending them.
+ * Has no platform dependencies: used by tests and the Node.js runner.
+ *
+ * @file MemoryNotifier.js
+ */
+
+/**
+ * @typedef {Object} OutboxMessage
+ * @property {string} channel - EMAIL | WEBHOOK
+ * @property {Array<string>} to - Recipients, or the webhook URL
+ * @property {string} subject - Email subject ("" for webhooks)
+ * @property {string|Object} body - Email body, or the webhook payload
+ */
+
+/**
+ * Creates an in-memory notifier.
+ *
+ * @param {Object} [options]
+ * @param {function(OutboxMessage): void} [options.onSend] - Called for every recorded message (e.g. to print it)
+ * @returns {Notifier & {getOutbox: function(): Array<OutboxMessage>}}
+ */
+function createMemoryNotifier(options = {}) {
+  const outbox = [];
+  const record = function (msg) {
+    outbox.push(msg);
+    if (options.onSend) options.onSend(msg);
+  };
+  return {
+    sendEmail: function (recipients, subject, body) {
+      record({ channel: 'EMAIL', to: recipients.slice(), subject: subject, body: body });
+    },
+    postWebhook: function (url, payload) {
+      record({ channel: 'WEBHOOK', to: [url], subject: "", body: payload });
+    },
+    getOutbox: function () { return outbox; }
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * Memory Storage Module
+ * ---------------------
+ * StorageAdapter backed by plain in-memory objects. Has no platform
+ * dependencies, so it runs both in Apps Script (tests) and in Node.js.
+ *
+ * File-backed storages build on it through the `load` / `persist` hooks.
+ *
+ * @file MemoryStorage.js
+ */
+
+/**
+ * @typedef {Object} WorkbookData
+ * @property {string} name - Workbook name
+ * @property {Object<string, Array<Array<*>>>} tables - Table name -> rows (header first)
+ */
+
+/**
+ * Creates an in-memory storage adapter.
+ *
+ * @param {Object} [options]
+ * @param {Object<string, WorkbookData>} [options.workbooks] - Preloaded workbooks by ID
+ * @param {string} [options.databaseId="database"] - ID of the Central DB workbook
+ * @param {string} [options.timeZone="UTC"] - Timezone used by formatDate()
+ * @param {string} [options.user=""] - User reported by getUser() (recorded by the rule workflow)
+ * @param {function(string): boolean} [options.isWorkspaceId] - Can an ID name a workspace? (default: any non-blank ID)
+ * @param {function(string): (WorkbookData|null)} [options.load] - Loads a workbook not yet in memory
+ * @param {function(string, WorkbookData, Array<string>): void} [options.persist] - Saves a modified workbook on flush() (receives the modified table names)
+ * @returns {StorageAdapter & {getWorkbooks: function(): Object<string, WorkbookData>}}
+ */
+function createMemoryStorage(options = {}) {
+  const workbooks = options.workbooks || {};
+  const databaseId = options.databaseId || 'database';
+  const timeZone = options.timeZone || 'UTC';
+  const user = options.user || '';
+  const dirty = new Map(); // workbook ID -> Set of modified table names
+  const dateFmt = new Intl.DateTimeFormat('en-US', { timeZone: timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  const open = function (id) {
+    if (!workbooks[id] && options.load) {
+      const loaded = options.load(id);
+      if (loaded) workbooks[id] = loaded;
+    }
+    if (!workbooks[id]) throw new Error(`Workbook not found: ${id}`);
+    return wrapMemoryWorkbook(id, workbooks[id], table => {
+      if (!dirty.has(id)) dirty.set(id, new Set());
+      dirty.get(id).add(table);
+    });
+  };
+
+  return {
+    openDatabase: function () { return open(databaseId); },
+    openWorkspace: function (id) { return open(id); },
+    isWorkspaceId: options.isWorkspaceId || function (id) { return id !== ""; },
+    formatDate: function (d) {
+      const p = {};
+      dateFmt.formatToParts(d).forEach(x => { p[x.type] = x.value; });
+      return `${p.year}-${p.month}-${p.day}`;
+    },
+    newId: function () {
+      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, ch => {
+        const r = Math.random() * 16 | 0;
+        return (ch === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+      });
+    },
+    flush: function () {
+      if (options.persist) dirty.forEach((tables, id) => options.persist(id, workbooks[id], Array.from(tables)));
+      dirty.clear();
+    },
+    alert: function (message) {
+      console.log(`ALERT: ${message}`);
+    },
+    getUser: function () { return user; },
+    // No scheduler outside Apps Script: the caller reruns the engine itself
+    scheduleContinuation: function () { return null; },
+    cancelContinuation: function () { },
+    getWorkbooks: function () { return workbooks; }
+  };
+}
+
+/**
+ * Wraps a WorkbookData object into the Workbook interface.
+ *
+ * @param {string} id - Workbook ID
+ * @param {WorkbookData} wb - Backing data (mutated in place)
+ * @param {function(string): void} touch - Marks a table of the workbook as modified
+ * @returns {Workbook}
+ */
+function wrapMemoryWorkbook(id, wb, touch) {
+  if (!wb.tables) wb.tables = {};
+  return {
+    getId: function () { return id; },
+    getName: function () { return wb.name || id; },
+    hasTable: function (name) { return !!wb.tables[name]; },
+    readTable: function (name) {
+      const t = wb.tables[name];
+      return t ? t.map(r => r.slice()) : null;
+    },
+    writeTable: function (name, header, rows) {
+      wb.tables[name] = [header.slice()].concat(rows.map(r => r.slice()));
+      touch(name);
+    },
+    appendRows: function (name, rows, header) {
+      if (!wb.tables[name]) wb.tables[name] = header ? [header.slice()] : [];
+      rows.forEach(r => wb.tables[name].push(r.slice()));
+      touch(name);
+    },
+    writeColumn: function (name, col, values) {
+      const t = wb.tables[name];
+      if (!t) return;
+      values.forEach((v, i) => {
+        if (!t[i]) return;
+        while (t[i].length <= col) t[i].push("");
+        t[i][col] = v;
+      });
+      touch(name);
+    },
+    writeRows: function (name, row, rows) {
+      const t = wb.tables[name];
+      if (!t) return;
+      rows.forEach((r, i) => { t[row + i] = r.slice(); });
+      touch(name);
+    },
+    notify: function (message) {
+      console.log(message);
+    }
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Notification Adapter Module
+ * ---------------------------
+ * Decouples the engine from MailApp / UrlFetchApp. Outgoing messages (the
+ * run health digest) go through a Notifier, so the same engine code sends
+ * real email inside Apps Script (MailNotifier) and records messages in a
+ * local stub in Node.js and in tests (MemoryNotifier).
+ *
+ * @file NotificationAdapter.js
+ */
+
+/**
+ * @typedef {Object} Notifier
+ * @property {function(Array<string>, string, string): void} sendEmail - Sends a plain-text email (recipients, subject, body)
+ * @property {function(string, Object): void} postWebhook - POSTs a JSON payload to a URL
+ */
+
+let ACTIVE_NOTIFIER = null;
+
+/**
+ * Returns the active notifier.
+ * Defaults to MailApp / UrlFetchApp when running inside Apps Script.
+ *
+ * @returns {Notifier}
+ * @throws {Error} If no notifier is set and MailApp is unavailable
+ */
+function getNotifier() {
+  if (!ACTIVE_NOTIFIER) {
+    if (typeof MailApp === 'undefined') {
+      throw new Error("No notifier configured. Call setNotifier() before sending notifications.");
+    }
+    ACTIVE_NOTIFIER = createMailNotifier();
+  }
+  return ACTIVE_NOTIFIER;
+}
+
+/**
+ * Sets the notifier used by the engine.
+ *
+ * @param {Notifier|null} notifier - The notifier (null resets to the default)
+ * @returns {void}
+ */
+function setNotifier(notifier) {
+  ACTIVE_NOTIFIER = notifier;
+}
@@ -0,0 +1,101 @@
+/**
+ * Sheets Storage Module
+ * ---------------------
+ * StorageAdapter backed by Google Sheets (SpreadsheetApp).
+ * This is the default adapter inside Apps Script.
+ *
+ * @file SheetsStorage.js
+ */
+
+/**
+ * Creates the Google Sheets storage adapter.
+ *
+ * @returns {StorageAdapter}
+ */
+function createSheetsStorage() {
+  return {
+    openDatabase: function () {
+      if (CONFIG.ids.database.includes('FILE_ID')) {
+        throw new Error("Please configure your Central Database Spreadsheet ID before running.");
+      }
+      return wrapSpreadsheet(SpreadsheetApp.openById(CONFIG.ids.database));
+    },
+    openWorkspace: function (id) {
+      return wrapSpreadsheet(SpreadsheetApp.openById(id));
+    },
+    isWorkspaceId: function (id) {
+      return id.length > 10; // Long enough to be a Google file ID
+    },
+    formatDate: function (d) {
+      return Utilities.formatDate(d, SpreadsheetApp.getActive().getSpreadsheetTimeZone(), "yyyy-MM-dd");
+    },
+    newId: function () {
+      return Utilities.getUuid();
+    },
+    flush: function () {
+      SpreadsheetApp.flush();
+    },
+    alert: function (message) {
+      SpreadsheetApp.getUi().alert(message);
+    },
+    getUser: function () {
+      try { return Session.getActiveUser().getEmail(); } catch (_) { return ""; }
+    },
+    scheduleContinuation: function (functionName, delayMs) {
+      return ScriptApp.newTrigger(functionName).timeBased().after(delayMs).create().getUniqueId();
+    },
+    cancelContinuation: function (id) {
+      ScriptApp.getProjectTriggers()
+        .filter(t => t.getUniqueId() === id)
+        .forEach(t => ScriptApp.deleteTrigger(t));
+    }
+  };
+}
+
+/**
+ * Wraps a Spreadsheet into the Workbook interface.
+ *
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss - The spreadsheet
+ * @returns {Workbook}
+ */
+function wrapSpreadsheet(ss) {
+  return {
+    getId: function () { return ss.getId(); },
+    getName: function () { return ss.getName(); },
+    hasTable: function (name) { return !!ss.getSheetByName(name); },
+    readTable: function (name) {
+      const sh = ss.getSheetByName(name);
+      return sh ? sh.getDataRange().getValues() : null;
+    },
+    writeTable: function (name, header, rows) {
+      let sh = ss.getSheetByName(name);
+      if (!sh) sh = ss.insertSheet(name);
+      if (sh.getLastRow() > 1) {
+        sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).clearContent();
+      }
+      sh.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight('bold');
+      if (rows.length) sh.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+    },
+    appendRows: function (name, rows, header) {
+      let sh = ss.getSheetByName(name);
+      if (!sh) {
+        sh = ss.insertSheet(name);
+        if (header) sh.appendRow(header);
+      }
+      if (rows.length) sh.getRange(sh.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    },
+    writeColumn: function (name, col, values) {
+      const sh = ss.getSheetByName(name);
+      if (!sh || !values.length) return;
+      sh.getRange(1, col + 1, values.length, 1).setValues(values.map(v => [v]));
+    },
+    writeRows: function (name, row, rows) {
+      const sh = ss.getSheetByName(name);
+      if (!sh || !rows.length) return;
+      sh.getRange(row + 1, 1, rows.length, rows[0].length).setValues(rows);
+    },
+    notify: function (message, title, timeout) {
+      ss.toast(message, title, timeout);
+    }
+  };
+}
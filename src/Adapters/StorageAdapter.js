@@ -0,0 +1,69 @@
+/**
+ * Storage Adapter Module
+ * ----------------------
+ * Decouples the engine from Google Sheets. Every read and write of a workbook
+ * (Central DB or workspace) goes through a StorageAdapter, so the same engine
+ * code runs inside Apps Script (SheetsStorage) or headless in Node.js
+ * (MemoryStorage, file-backed storages).
+ *
+ * Tables are plain 2D arrays with the header in the first row, exactly as
+ * returned by getDataRange().getValues().
+ *
+ * @file StorageAdapter.js
+ */
+
+/**
+ * @typedef {Object} Workbook
+ * @property {function(): string} getId - Workbook ID (spreadsheet ID, file name, ...)
+ * @property {function(): string} getName - Human-readable name
+ * @property {function(string): boolean} hasTable - Does the named table exist?
+ * @property {function(string): (Array<Array<*>>|null)} readTable - Full table incl. header row, or null if missing
+ * @property {function(string, Array<string>, Array<Array<*>>): void} writeTable - Replaces header + body, creating the table if missing
+ * @property {function(string, Array<Array<*>>, Array<string>=): void} appendRows - Appends rows, creating the table with the given header if missing
+ * @property {function(string, number, Array<*>): void} writeColumn - Overwrites one column (0-based index) starting at the header row
+ * @property {function(string, number, Array<Array<*>>): void} writeRows - Overwrites consecutive rows starting at a 0-based row index (0 = header)
+ * @property {function(string, string=, number=): void} notify - Shows a progress message (toast) if the backend supports it
+ */
+
+/**
+ * @typedef {Object} StorageAdapter
+ * @property {function(): Workbook} openDatabase - Opens the Central DB
+ * @property {function(string): Workbook} openWorkspace - Opens a workspace by ID (throws if not found)
+ * @property {function(string): boolean} isWorkspaceId - Can a Scheduler_Config ID name a workspace on this backend?
+ * @property {function(Date): string} formatDate - Formats a date as YYYY-MM-DD in the storage timezone
+ * @property {function(): string} newId - Generates a unique ID (Run IDs)
+ * @property {function(): void} flush - Commits pending writes
+ * @property {function(string): void} alert - Shows a blocking alert if the backend supports it
+ * @property {function(): string} getUser - Email (or name) of the user running the script, "" if unknown
+ * @property {function(string, number): (string|null)} scheduleContinuation - Schedules a one-off call of a global function; returns a trigger ID, or null if unsupported
+ * @property {function(string): void} cancelContinuation - Deletes a trigger created by scheduleContinuation()
+ */
+
+let ACTIVE_STORAGE = null;
+
+/**
+ * Returns the active storage adapter.
+ * Defaults to Google Sheets when running inside Apps Script.
+ *
+ * @returns {StorageAdapter}
+ * @throws {Error} If no adapter is set and SpreadsheetApp is unavailable
+ */
+function getStorage() {
+  if (!ACTIVE_STORAGE) {
+    if (typeof SpreadsheetApp === 'undefined') {
+      throw new Error("No storage adapter configured. Call setStorage() before running the engine.");
+    }
+    ACTIVE_STORAGE = createSheetsStorage();
+  }
+  return ACTIVE_STORAGE;
+}
+
+/**
+ * Sets the storage adapter used by all engine modules.
+ *
+ * @param {StorageAdapter|null} storage - The adapter (null resets to the default)
+ * @returns {void}
+ */
+function setStorage(storage) {
+  ACTIVE_STORAGE = storage;
+}
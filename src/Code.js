@@ -8,9 +8,9 @@
  * Loads central configuration, processes each workspace, and updates ledger + logs.
  *
  * Side effects:
- * - Reads/writes multiple Google Sheets
+ * - Reads/writes multiple workbooks through the active StorageAdapter (Google Sheets by default)
  * - Writes to System_Logs sheet
- * - Sends email alerts (if configured - future)
+ * - Sends the run health digest (email / webhook) to configured recipients
  *
  * @file Code.js
  */
@@ -24,41 +24,88 @@
  * Flow:
  * 1. Validates Central DB connection.
  * 2. Loads all context (Rules, Logic, Ledger).
- * 3. Iterates through all "Active" workspaces defined in config.
- * 4. Processes each workspace (Validation -> Roster Parsing -> Logic -> Output).
- * 5. Flushes logs and updates execution duration.
+ * 3. Runs data integrity checks (strict mode blocks the run on errors).
+ * 4. Iterates through all "Active" workspaces defined in config.
+ * 5. Processes each workspace (Validation -> Roster Parsing -> Logic -> Output).
+ * 6. Regenerates entitlement balances, flushes logs, updates execution
+ *    duration and sends the health digest.
+ *
+ * Resumable runs: if the time guard trips, the run saves a checkpoint
+ * (processed workspaces + unwritten ledger updates) and, when
+ * CONFIG.resume.autoContinue is on, schedules a continuation trigger.
+ * The next invocation resumes under the same Run ID and skips the
+ * workspaces already processed. See Checkpoint.js.
+ *
+ * Delta runs: only employee-days whose inputs changed since the last run are
+ * resolved and written (see Delta.js). runFullRebuild() resolves every day.
  * 
  * @function runWorkforceEngine
+ * @param {{fullRebuild: boolean}} [options] - Run options (trigger event objects are ignored)
  * @returns {void}
  */
-function runWorkforceEngine() {
-
-  if (CONFIG.ids.database.includes('FILE_ID')) {
-    throw new Error("Please configure your Central Database Spreadsheet ID before running.");
-  }
+function runWorkforceEngine(options) {
 
   /* 
-   * SAFETY GUARD: 5-minute execution limit.
+   * SAFETY GUARD: execution limit (CONFIG.resume.maxRuntimeMs).
    * Apps Script has a hard limit (6-30 min depending on account type).
-   * We stop early to ensure logs are flushed and the run finishes cleanly.
+   * We stop early to ensure logs and the checkpoint are flushed cleanly.
    */
-  const MAX_RUNTIME_MS = 5 * 60 * 1000;
   const timerStart = new Date();
-  const ssDb = SpreadsheetApp.openById(CONFIG.ids.database);
-  const runId = generateRunId();
+  const ssDb = getStorage().openDatabase(); // Throws if the Central DB is not configured
+  const checkpoint = loadCheckpoint(ssDb);
+  const runId = checkpoint ? checkpoint.runId : generateRunId();
+  const chain = checkpoint || {
+    runId: runId, started: timerStart, invocations: 0,
+    processed: [], pendingGrants: [], pendingRevocations: [], trigger: "",
+    stats: createRunStats(), fullRebuild: !!(options && options.fullRebuild === true)
+  };
 
   if (CONFIG.isDryRun) {
     logWarn(ssDb, runId, "Running in DRY RUN mode — no data will be written.");
   }
-  logInfo(ssDb, runId, "Workforce engine started");
+  if (checkpoint) {
+    logInfo(ssDb, runId, "Resuming run from checkpoint",
+      `Invocation ${checkpoint.invocations + 1}, ${checkpoint.processed.length} workspace(s) already processed`);
+    if (checkpoint.trigger && !CONFIG.isDryRun) getStorage().cancelContinuation(checkpoint.trigger);
+    chain.trigger = "";
+  } else {
+    logInfo(ssDb, runId, "Workforce engine started", chain.fullRebuild ? "Full rebuild" : "");
+  }
   validateCentralDatabase(ssDb, runId);
   validateAllSchemas(ssDb, runId); // New Schema Drift Check
 
+  // Retry ledger updates left over from the previous invocation before the ledger is loaded
+  if (chain.pendingGrants.length || chain.pendingRevocations.length) {
+    try {
+      const written = commitLedgerUpdates(ssDb, runId, chain.pendingGrants, chain.pendingRevocations);
+      chain.stats.grants += written.grants;
+      chain.stats.revocations += written.revocations;
+      chain.stats.uncovered += written.uncovered.length;
+      logInfo(ssDb, runId, "Pending ledger updates written",
+        `${chain.pendingGrants.length} grant(s), ${chain.pendingRevocations.length} revocation(s)`);
+      if (written.uncovered.length) {
+        logWarn(ssDb, runId, "Comp day without entitlement", describeUncoveredDays(written.uncovered));
+      }
+      chain.pendingGrants = [];
+      chain.pendingRevocations = [];
+    } catch (e) {
+      logError(ssDb, runId, `Pending ledger updates failed: ${e.message}`);
+    }
+  }
+
+
+  // Expire entitlements before the ledger is loaded
+  const expired = expireEntitlements(ssDb, runId, formatDate(timerStart));
+  if (expired) {
+    chain.stats.expired += expired;
+    logInfo(ssDb, runId, "Entitlements expired", `${expired} entitlement(s) past their validity moved to EXPIRED`);
+  }
+
 
   // --- PHASE 1: LOADING CONTEXT (Happens ONLY ONCE) ---
   safeToast(ssDb, "⏳ Phase 1: Loading Central Logic...", "Scheduler Running", -1);
   const ctx = loadContext(ssDb);
-  const activeSchedules = getActiveWorkspaces(ssDb); // Get list of files from DB
+  const activeSchedules = getActiveWorkspaces(ssDb, runId); // Get list of files from DB
   if (activeSchedules.length === 0) {
     safeAlert("⚠️ No 'Active' schedules found in Admin_Config tab.");
     flushLogs(ssDb); // Ensure logs are written before exit
@@ -70,17 +117,43 @@ function runWorkforceEngine() {
     return;
   }
 
+  // --- PHASE 1b: DATA INTEGRITY ---
+  // The first invocation of a run checks the rosters and writes the report; a resumed one
+  // re-checks the Central DB tables only (no roster is read outside the time guard) and
+  // keeps the report unless it is blocked
+  if (CONFIG.integrity.enabled) {
+    const findings = runIntegrityChecks(ssDb, ctx, checkpoint ? null : activeSchedules);
+    const errors = findings.filter(f => f.severity === 'ERROR').length;
+    const blocked = errors > 0 && CONFIG.integrity.strict;
+    if (!checkpoint || blocked) {
+      writeIntegrityReport(ssDb, runId, findings);
+      chain.stats.integrity = { errors: errors, warnings: findings.length - errors };
+      if (findings.length) {
+        logWarn(ssDb, runId, "Integrity checks found issues",
+          `${errors} error(s), ${findings.length - errors} warning(s). See ${CONFIG.tabs.integrity.name}.`);
+      }
+    }
+    if (blocked) {
+      logError(ssDb, runId, "Run blocked by integrity errors (strict mode)");
+      safeAlert(`⛔ ${errors} integrity error(s) found. Fix them (see ${CONFIG.tabs.integrity.name}) or disable strict mode.`);
+      chain.invocations++;
+      sendRunDigest(ssDb, runId, buildRunDigest(runId, chain, chain.stats, "Blocked by integrity errors"));
+      flushLogs(ssDb);
+      return;
+    }
+  }
+
   // --- PHASE 2: LOOP THROUGH EACH SCHEDULE FILE ---
-  // --- PHASE 2: LOOP THROUGH EACH SCHEDULE FILE ---
+  const done = new Set(chain.processed);
+  let stoppedEarly = false, processedNow = 0;
   for (let i = 0; i < activeSchedules.length; i++) {
     const schedId = activeSchedules[i];
     const index = i;
+    if (done.has(schedId)) continue; // Processed by an earlier invocation of this run
 
-    // TIME GUARD CHECK
-    if ((new Date() - timerStart) > MAX_RUNTIME_MS) {
-      logWarn(ssDb, runId, "⚠️ Execution time limit reached. Stopping gracefully.",
-        `Processed ${i}/${activeSchedules.length} workspaces. Rerun to continue.`);
-      safeToast(ssDb, "⏳ Time limit reached. Stopping safely...", "Time Guard");
+    // TIME GUARD CHECK (each invocation processes at least one workspace, so a chain always progresses)
+    if (processedNow > 0 && (new Date() - timerStart) > CONFIG.resume.maxRuntimeMs) {
+      stoppedEarly = true;
       break;
     }
 
@@ -88,17 +161,289 @@ function runWorkforceEngine() {
       logInfo(ssDb, runId, "Processing workspace", schedId);
       const ssSched = validateWorkspace(ssDb, runId, schedId);
 
-      processWorkspace(ssSched, schedId, ctx, index + 1, activeSchedules.length, ssDb);
+      const result = processWorkspace(ssSched, schedId, ctx, index + 1, activeSchedules.length, ssDb, runId, chain.fullRebuild);
+      recordWorkspaceStats(chain.stats, schedId, result);
+      logInfo(ssDb, runId, result.delta.full ? "Workspace rebuilt" : "Workspace updated",
+        `${schedId}: ${result.delta.resolved} day(s) resolved, ${result.delta.reused} unchanged, ${result.delta.written} row(s) written` +
+        (result.delta.reason ? ` (${result.delta.reason})` : ""));
+      result.coverage.filter(s => s.gap < 0).forEach(s =>
+        logWarn(ssDb, runId, "Understaffed slot", describeCoverageSlot(schedId, s)));
+      if (result.violations.length) {
+        const counts = {};
+        result.violations.forEach(v => { counts[v.check] = (counts[v.check] || 0) + 1; });
+        logWarn(ssDb, runId, "Compliance violations",
+          `${schedId}: ${Object.keys(counts).map(k => `${counts[k]} ${k}`).join(', ')}. See ${CONFIG.tabs.compliance.name}.`);
+      }
+      if (result.locked.kept || result.locked.suppressed) {
+        logInfo(ssDb, runId, "Locked dates preserved",
+          `${schedId}: ${result.locked.kept} row(s) kept, ${result.locked.suppressed} ledger action(s) suppressed`);
+      }
+      if (result.reconciled.stale || result.reconciled.missing) {
+        logWarn(ssDb, runId, "Ledger reconciled",
+          `${schedId}: ${result.reconciled.stale} stale grant(s), ${result.reconciled.missing} missing grant(s)` +
+          `${result.reconciled.corrected ? ' corrected' : ' flagged'}. See ${CONFIG.tabs.reconciliation.name}.`);
+      }
+      if (result.ledger.uncovered.length) {
+        logWarn(ssDb, runId, "Comp day without entitlement", `${schedId}: ${describeUncoveredDays(result.ledger.uncovered)}`);
+      }
+      if (result.leave.negative.length) {
+        logWarn(ssDb, runId, "Leave balance exceeded",
+          `${schedId}: ${result.leave.negative.map(u => `${u.employee} ${u.type} ${u.date} (${u.balance})`).join(', ')}. See ${CONFIG.tabs.leaveTaken.name}.`);
+      }
+      result.locked.changes.forEach(ch =>
+        logWarn(ssDb, runId, "⚠️ Retroactive change blocked on locked date",
+          `${schedId} ${ch.key}: ${ch.changes.join('; ')} [${ch.reason}]`));
     } catch (e) {
       logError(ssDb, runId, e.message, schedId);
+      recordWorkspaceFailure(chain.stats, schedId, e.message);
       safeToast(ssDb, `❌ Error on File ${index + 1}: ${e.message}`);
+      if (e.pendingLedger) {
+        chain.pendingGrants = chain.pendingGrants.concat(e.pendingLedger.grants);
+        chain.pendingRevocations = chain.pendingRevocations.concat(e.pendingLedger.revocations);
+      }
     }
+    // Failed workspaces are not retried: they would fail the same way on resume
+    done.add(schedId);
+    chain.processed.push(schedId);
+    processedNow++;
+  }
+  chain.invocations++;
+
+  if (stoppedEarly) {
+    // --- SUSPEND: SAVE CHECKPOINT ---
+    const note = `Processed ${done.size}/${activeSchedules.length} workspaces.`;
+    chain.stats.timeGuardStops++;
+    if (CONFIG.isDryRun) {
+      console.log("DRY RUN: Skipping scheduleContinuation()");
+    } else if (CONFIG.resume.autoContinue) {
+      chain.trigger = getStorage().scheduleContinuation('runWorkforceEngine', CONFIG.resume.continueAfterMs) || "";
+    }
+    saveCheckpoint(ssDb, chain);
+    logWarn(ssDb, runId, "⚠️ Execution time limit reached. Run suspended.", CONFIG.isDryRun
+      ? `${note} DRY RUN: no checkpoint saved, the next run starts over.`
+      : chain.trigger
+        ? `${note} Continuation scheduled in ${Math.round(CONFIG.resume.continueAfterMs / 1000)}s.`
+        : `${note} Rerun to continue.`);
+    flushLogs(ssDb);
+    safeToast(ssDb, "⏳ Time limit reached. Progress saved.", "Time Guard");
+    return;
   }
+
   // --- COMPLETE ---
+  // Ledger updates that failed in the last invocation are not carried past the chain:
+  // the next run recomputes them from the schedules (grants are deduplicated).
+  clearCheckpoint(ssDb);
+  recordRunChain(ssDb, chain);
+  writeEntitlementBalances(ssDb, formatDate(timerStart));
+  writeLeaveBalances(ssDb, formatDate(timerStart));
   const timerEnd = new Date();
   const duration = ((timerEnd - timerStart) / 1000).toFixed(1);
-  logInfo(ssDb, runId, `Run completed in ${duration}s`);
+  logInfo(ssDb, runId, `Run completed in ${duration}s`,
+    chain.invocations > 1 ? `Chain of ${chain.invocations} invocations` : "");
+  sendRunDigest(ssDb, runId, buildRunDigest(runId, chain, chain.stats));
   flushLogs(ssDb); // Write all buffered logs to the sheet
 
   safeToast(ssDb, `✅ All Cycles Updated in ${duration}s.`, "Complete", 5);
+}
+
+/**
+ * Runs the engine as a full rebuild: every employee-day of every workspace is
+ * resolved and written again, whatever the stored input fingerprints say.
+ * Use it after edits the fingerprints cannot see, e.g. a Daily_Workforce_Status
+ * sheet changed by hand. Continuations of the run stay full rebuilds.
+ *
+ * @function runFullRebuild
+ * @returns {void}
+ */
+function runFullRebuild() {
+  runWorkforceEngine({ fullRebuild: true });
+}
+
+// -----------------------------------------------------------------------------
+// 🔎 CONFLICT INVESTIGATOR
+// -----------------------------------------------------------------------------
+/**
+ * Explains one employee-day in the Conflict_Investigator sheet (Central DB).
+ *
+ * The scheduler enters Employee ID, date and (optionally) workspace ID in the
+ * QUERY row of the sheet and runs this function. The explanation is written
+ * below the query. The sheet is a report only, so it is written in dry run too.
+ *
+ * @function runConflictInvestigator
+ * @returns {void}
+ */
+function runConflictInvestigator() {
+  const ssDb = getStorage().openDatabase();
+  const c = CONFIG.tabs.investigator;
+  const d = ssDb.readTable(c.name);
+  const q = d && d[1] && String(d[1][0]).trim().toUpperCase() === 'QUERY' ? d[1] : null;
+
+  if (!q || !q[1] || !q[2]) {
+    ssDb.writeTable(c.name, c.h, [['QUERY', '', '', '']]);
+    getStorage().flush();
+    safeAlert(`Enter an Employee ID and date in the QUERY row of "${c.name}", then run again.`);
+    return;
+  }
+
+  let rows;
+  try {
+    rows = renderExplanation(explainEmployeeDay(q[1], q[2], q[3] || undefined));
+  } catch (e) {
+    rows = [['ERROR', '', e.message, '']];
+  }
+  ssDb.writeTable(c.name, c.h, [['QUERY', q[1], q[2], q[3] || '']].concat(rows));
+  getStorage().flush();
+  safeToast(ssDb, `🔎 Explained ${q[1]} on ${formatDate(parseSafeDate(q[2]) || new Date())}.`, "Conflict Investigator");
+}
+
+// -----------------------------------------------------------------------------
+// 🧪 RULE PREVIEW (WHAT-IF SIMULATION)
+// -----------------------------------------------------------------------------
+/**
+ * Previews rules before they are approved, in the Rule_Preview sheet (Central DB).
+ *
+ * The scheduler enters one or more Rule IDs from Schedule_Rules (comma
+ * separated) and optionally a workspace ID in the QUERY row, and runs this
+ * function. The rules are simulated as approved (simulateChanges()) and the
+ * rows, ledger actions and coverage slots that would change are written
+ * below the query. Nothing else is written, so it runs in dry run too.
+ *
+ * @function runRulePreview
+ * @returns {void}
+ */
+function runRulePreview() {
+  const ssDb = getStorage().openDatabase();
+  const c = CONFIG.tabs.simulation;
+  const d = ssDb.readTable(c.name);
+  const q = d && d[1] && String(d[1][0]).trim().toUpperCase() === 'QUERY' ? d[1] : null;
+
+  if (!q || !String(q[1] || "").trim()) {
+    ssDb.writeTable(c.name, c.h, [['QUERY', '', '', '']]);
+    getStorage().flush();
+    safeAlert(`Enter one or more Rule IDs in the QUERY row of "${c.name}", then run again.`);
+    return;
+  }
+
+  const ids = String(q[1]).split(',').map(s => s.trim()).filter(String);
+  let rows;
+  try {
+    const rules = ssDb.readTable(CONFIG.tabs.rules.name) || [[]];
+    const idCol = mapHeaders(rules[0]).get(CONFIG.tabs.rules.h.id.toLowerCase());
+    const missing = ids.filter(id => !rules.slice(1).some(r => String(r[idCol]).trim() === id));
+    if (missing.length) throw new Error(`Unknown Rule ID(s) in ${CONFIG.tabs.rules.name}: ${missing.join(', ')}`);
+    const proposal = { rules: ids.map(id => ({ [CONFIG.tabs.rules.h.id]: id })) };
+    rows = renderSimulation(simulateChanges(proposal, q[2] || undefined));
+  } catch (e) {
+    rows = [['ERROR', '', e.message, '']];
+  }
+  ssDb.writeTable(c.name, c.h, [['QUERY', q[1], q[2] || '', '']].concat(rows));
+  getStorage().flush();
+  safeToast(ssDb, `🧪 Previewed ${ids.join(', ')}.`, "Rule Preview");
+}
+
+// -----------------------------------------------------------------------------
+// ✅ RULE APPROVAL WORKFLOW
+// -----------------------------------------------------------------------------
+/**
+ * Applies the status changes requested in the Rule_Actions sheet (Central DB).
+ *
+ * Approvers add one row per change (Rule_ID, New_Status, optional Comment) and
+ * run this function. Rows with a blank Result are applied in order
+ * (transitionRules()): disallowed transitions are refused, approvals are
+ * previewed in Rule_Preview, and every applied change is logged in
+ * Rule_Status_Log with the approver's account. The outcome of each row is
+ * written to its Result cell. Respects CONFIG.isDryRun: in dry run the changes
+ * are only checked and the Result cells stay blank. Rule_Preview (and an empty
+ * Rule_Actions sheet, if missing) are written in dry run too, like the
+ * runMatrixLinter report.
+ *
+ * @function runRuleActions
+ * @returns {void}
+ */
+function runRuleActions() {
+  const ssDb = getStorage().openDatabase();
+  const c = CONFIG.tabs.ruleActions;
+  const d = ssDb.readTable(c.name);
+  const open = [];
+  (d || []).forEach((r, i) => {
+    if (i > 0 && String(r[0] || "").trim() && !String(r[3] || "").trim()) open.push(i);
+  });
+  if (!open.length) {
+    if (!d) ssDb.writeTable(c.name, c.h, []);
+    getStorage().flush();
+    safeAlert(`No open request in "${c.name}". Add Rule_ID and New_Status rows, then run again.`);
+    return;
+  }
+
+  let changes;
+  try {
+    changes = transitionRules(ssDb, open.map(i => ({ ruleId: d[i][0], to: d[i][1], comment: d[i][2] })), getStorage().getUser());
+  } catch (e) {
+    safeAlert(`⛔ ${e.message}`);
+    return;
+  }
+  const refused = changes.filter(ch => ch.error).length;
+  if (!CONFIG.isDryRun) {
+    const results = d.map(r => r[3] === undefined ? "" : r[3]);
+    results[0] = c.h[3];
+    open.forEach((row, n) => {
+      const ch = changes[n];
+      results[row] = ch.error ? `REFUSED: ${ch.error}` : `${ch.from} → ${ch.to}${ch.preview ? ` (preview: ${ch.preview})` : ''}`;
+    });
+    ssDb.writeColumn(c.name, 3, results);
+  }
+  getStorage().flush();
+  safeAlert(`✅ ${changes.length - refused} status change(s) ${CONFIG.isDryRun ? 'allowed' : 'applied'}, ${refused} refused` +
+    (CONFIG.isDryRun ? ` (DRY RUN — no rule status was written; approvals are previewed in "${CONFIG.tabs.simulation.name}").`
+      : `. See "${c.name}" and "${CONFIG.tabs.ruleLog.name}".`));
+}
+
+// -----------------------------------------------------------------------------
+// 🧮 DECISION MATRIX LINTER
+// -----------------------------------------------------------------------------
+/**
+ * Lints the Decision_Matrix on demand and writes the findings to the
+ * Matrix_Lint sheet (Central DB). The same checks run at startup as part of
+ * the integrity checks. The sheet is a report only, so it is written in dry run too.
+ *
+ * @function runMatrixLinter
+ * @returns {void}
+ */
+function runMatrixLinter() {
+  const ssDb = getStorage().openDatabase();
+  const c = CONFIG.tabs.matrixLint;
+  const findings = lintDecisionMatrixSheet(ssDb);
+  ssDb.writeTable(c.name, c.h, findings.map(f => [f.severity, f.check, f.item, f.message]));
+  getStorage().flush();
+  const errors = findings.filter(f => f.severity === 'ERROR').length;
+  safeAlert(findings.length
+    ? `🧮 Decision matrix: ${errors} error(s), ${findings.length - errors} warning(s). See "${c.name}".`
+    : "✅ Decision matrix: no issues found.");
+}
+
+// -----------------------------------------------------------------------------
+// ⏪ LEDGER REVERSAL
+// -----------------------------------------------------------------------------
+/**
+ * Reverses the ledger changes of the most recent run that has not been reversed
+ * yet (reverseRun()). Run it again to step further back, one run at a time.
+ * Respects CONFIG.isDryRun: in dry run it only reports what would be undone.
+ *
+ * @function runReverseLastRun
+ * @returns {void}
+ */
+function runReverseLastRun() {
+  const ssDb = getStorage().openDatabase();
+  const runs = listReversibleRuns(readJournal(ssDb));
+  if (!runs.length) {
+    safeAlert(`No run to reverse in "${CONFIG.tabs.journal.name}".`);
+    return;
+  }
+  try {
+    const res = reverseRun(runs[runs.length - 1]);
+    safeAlert(`⏪ Run ${res.runId}: ${res.restored} ledger row(s) restored, ${res.removed} removed` +
+      (CONFIG.isDryRun ? " (DRY RUN — nothing was written)." : `. The next run rebuilds ${res.rebuild} workspace(s) in full.`));
+  } catch (e) {
+    safeAlert(`⛔ ${e.message}`);
+  }
 }
\ No newline at end of file
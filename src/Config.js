@@ -11,6 +11,54 @@ const CONFIG = {
 
   validWorkStatuses: new Set(['WORK', 'REGULAR', 'SHIFT_OVERRIDE']),
 
+  resume: {
+    maxRuntimeMs: 5 * 60 * 1000,   // Time guard: stop and checkpoint after this long
+    autoContinue: true,            // Schedule a one-off trigger to continue a stopped run
+    continueAfterMs: 60 * 1000,    // Delay before the continuation trigger fires
+    maxCheckpointAgeHours: 24      // Older checkpoints are discarded and the run starts over
+  },
+
+  integrity: {
+    enabled: true,                 // Run the data integrity checks before resolving rosters
+    strict: false                  // Block the run when a check reports an ERROR
+  },
+
+  digest: {
+    enabled: true,                 // Send the health digest when a run finishes
+    recipients: [],                // Email addresses (none = no email)
+    webhookUrl: '',                // Optional: POST the digest as JSON (e.g. a chat webhook)
+    topEmployees: 5                // Problem employees listed in the digest
+  },
+
+  ledger: {
+    defaultType: 'COMP_DAY',       // Entitlement type granted by a plain GRANT action
+    defaultValidityDays: 0,        // Validity of types not listed in Entitlement_Types (0 = never expires)
+    defaultUnit: 'DAYS',           // Unit of types without a Unit in Entitlement_Types: DAYS | HOURS
+    hoursPerDay: 8                 // Hours per day for shifts without a time range (e.g. HAL1 = 0.5 day = 4h)
+  },
+
+  reconcile: {
+    enabled: true,                 // Compare the ledger with each workspace's resolution after it is processed
+    autoFix: true                  // Revoke stale grants and add missing ones (false = report only)
+  },
+
+  compliance: {
+    enabled: true,                 // Check resolved schedules against working-time limits (0 = check off)
+    minRestHours: 11,              // Minimum rest between the end of a shift and the start of the next
+    maxConsecutiveDays: 6,         // Maximum work days in a row
+    maxWeeklyHours: 48,            // Maximum Worked_Hours per calendar week (Mon-Sun)
+    minDaysOff: 1,                 // Minimum days off ...
+    daysOffPeriodDays: 7           // ... per period of N days (periods start on a Monday)
+  },
+
+  delta: {
+    enabled: true                  // Resolve only employee-days whose inputs changed since the last run (false = always rebuild)
+  },
+
+  lock: {
+    rollingDays: 0                 // Lock dates older than N days (0 = only Lock_Windows apply)
+  },
+
   roster: {
     tabs: ['Consolidated'],
     rows: { header: 4, data: 5 },
@@ -20,14 +68,23 @@ const CONFIG = {
       primary_off_day: 'Primary Off Day',
       secondary_off_day: 'Secondary Off Day',
       schedule_grid_start: 'Schedule Start',
-      schedule_grid_end: 'Schedule End'
+      schedule_grid_end: 'Schedule End',
+      rotation: 'Rotation Pattern',
+      skills: 'Skills',
+      calendar: 'Holiday Calendar',  // Optional: per-employee override of the workspace's holiday calendar
+      team: 'Team',                  // Optional: targets TEAM:<name> rules
+      department: 'Department'       // Optional: targets DEPARTMENT:<name> rules
     }
   },
 
   tabs: {
     config: {
       name: 'Scheduler_Config',
-      h: { id: 'Workspace_File_ID', status: 'Status' }
+      h: { id: 'Workspace_File_ID', status: 'Status' },
+      optional: {
+        calendar: 'Holiday_Calendar', // Holiday calendar of the workspace
+        location: 'Location_Label'    // Used as the calendar when Holiday_Calendar is blank
+      }
     },
     rules: {
       name: 'Schedule_Rules',
@@ -43,6 +100,11 @@ const CONFIG = {
         freq: 'Frequency',
         status: 'Approval_Status',
         prio: 'Priority'
+      },
+      optional: {
+        target: 'Target',          // Blank = Employee_ID | TEAM:<name> | DEPARTMENT:<name> | SKILL:<tag> | WORKSPACE:<id> | ALL
+        approvedBy: 'Approved_By', // Written by runRuleActions() when present
+        approvedAt: 'Approved_At'
       }
     },
     decision: {
@@ -57,16 +119,113 @@ const CONFIG = {
         reason: 'Decision_Reason'
       }
     },
+    employees: {
+      name: 'Employees',             // Employee master (optional): once it has rows, roster rows are checked against it
+      h: { id: 'Employee_ID' },
+      optional: {
+        name: 'Display_Name',
+        hire: 'Hire_Date',           // Days before it are not resolved
+        termination: 'Termination_Date', // Days after it are not resolved
+        team: 'Team',                // Roster cells win over the master
+        department: 'Department',
+        location: 'Location',
+        contract: 'Contract_Type'
+      }
+    },
+    rotations: {
+      name: 'Rotation_Patterns',
+      h: {
+        id: 'Rotation_ID',
+        cycle: 'Cycle_Length',
+        sequence: 'Work_Sequence',
+        shifts: 'Shift_Sequence',
+        anchor: 'Anchor_Date'
+      }
+    },
+    staffing: {
+      name: 'Staffing_Requirements',
+      h: {
+        workspace: 'Workspace_File_ID',
+        when: 'Date_Or_Day',
+        shift: 'Shift_Code',
+        min: 'Min_Headcount',
+        skill: 'Skill'
+      }
+    },
     mapping: {
       name: 'Shift_Status_Mapping',
-      h: { shift: 'Shift_Code', status: 'Work_Status' }
+      h: { shift: 'Shift_Code', status: 'Work_Status' },
+      optional: {                  // Shift catalogue (time-range codes such as "09:00 - 18:00" need none)
+        start: 'Start_Time',
+        end: 'End_Time',           // At or before Start_Time = overnight shift
+        breakMins: 'Break_Minutes',
+        paid: 'Paid_Hours'         // Blank = duration minus break
+      }
     },
     dailyStatus: {
       name: 'Daily_Workforce_Status'
     },
+    fingerprints: {
+      name: 'Input_Fingerprints',  // Per workspace: inputs each Daily_Workforce_Status row was resolved from
+      h: ['Key', 'Fingerprint', 'Run_ID']
+    },
+    locks: {
+      name: 'Lock_Windows',
+      h: {
+        workspace: 'Workspace_File_ID',
+        start: 'Start_Date',
+        end: 'End_Date',
+        reason: 'Lock_Reason'
+      }
+    },
+    integrity: {
+      name: 'Integrity_Report',
+      h: ['Run_ID', 'Checked_At', 'Severity', 'Check', 'Source', 'Item', 'Message']
+    },
+    matrixLint: {
+      name: 'Matrix_Lint',
+      h: ['Severity', 'Check', 'Item', 'Message']
+    },
+    investigator: {
+      name: 'Conflict_Investigator',
+      h: ['Section', 'Item', 'Detail', 'Outcome']
+    },
+    simulation: {
+      name: 'Rule_Preview',
+      h: ['Section', 'Item', 'Detail', 'Outcome']
+    },
+    ruleActions: {
+      name: 'Rule_Actions',          // Requested status changes, applied by runRuleActions()
+      h: ['Rule_ID', 'New_Status', 'Comment', 'Result']
+    },
+    ruleLog: {
+      name: 'Rule_Status_Log',       // Append-only history of rule status changes (see RuleWorkflow.js)
+      h: {
+        timestamp: 'Timestamp',
+        ruleId: 'Rule_ID',
+        from: 'From_Status',
+        to: 'To_Status',
+        user: 'Changed_By',
+        comment: 'Comment',
+        preview: 'Preview'
+      }
+    },
+    compliance: {
+      name: 'Compliance_Violations',
+      h: ['Employee_ID', 'Start_Date', 'End_Date', 'Check', 'Limit', 'Actual', 'Rule_IDs', 'Message']
+    },
+    coverage: {
+      name: 'Staffing_Coverage',
+      h: ['Date', 'Shift_Code', 'Skill', 'Required', 'Supply', 'Gap', 'Coverage_Status', 'Employees']
+    },
     holidays: {
       name: 'Holidays',
-      h: { date: 'Date' }
+      h: { date: 'Date' },
+      optional: {
+        calendar: 'Calendar',      // Blank = observed by every calendar
+        name: 'Holiday_Name',
+        type: 'Holiday_Type'       // FULL (default) | HALF | OPTIONAL
+      }
     },
     leaves: {
       name: 'Leave_Data',
@@ -74,6 +233,11 @@ const CONFIG = {
         employee: 'Employee_ID',
         date: 'Leave_Date',
         cat: 'Leave_Type'
+      },
+      optional: {
+        end: 'End_Date',             // Last day of a range (blank = Leave_Date only)
+        portion: 'Portion',          // FULL (default) | AM | PM
+        status: 'Approval_Status'    // Only APPROVED is applied; without the column every row is approved
       }
     },
     ledger: {
@@ -89,6 +253,82 @@ const CONFIG = {
         entitlement: 'Entitlement_Type',
         snap: 'Snapshot_Status',
         scriptNote: 'System_Note'
+      },
+      optional: {
+        expiry: 'Expiry_Date',     // Filled on grant when the column exists; derived from the type otherwise
+        amount: 'Amount'           // Fractional accounting (days or hours); without it every row is one whole unit
+      }
+    },
+    entitlementTypes: {
+      name: 'Entitlement_Types',
+      h: { type: 'Entitlement_Type', validity: 'Validity_Days' },
+      optional: { unit: 'Unit' }   // DAYS | HOURS (default CONFIG.ledger.defaultUnit)
+    },
+    leavePolicies: {
+      name: 'Leave_Policies',
+      h: { type: 'Leave_Type', allowance: 'Annual_Allowance' },
+      optional: {
+        accrual: 'Monthly_Accrual',      // Days credited on the 1st of every month
+        carryCap: 'Carry_Over_Cap',      // Unused days carried into the next year (blank = none)
+        weekends: 'Count_Weekends',      // TRUE: leave on an off day is deducted
+        holidays: 'Count_Holidays'       // TRUE: leave on a holiday is deducted
+      }
+    },
+    leaveTaken: {
+      name: 'Leave_Taken',
+      h: ['Employee_ID', 'Leave_Date', 'Leave_Type', 'Days', 'Balance_After', 'Workspace_File_ID', 'Run_ID']
+    },
+    leaveBalances: {
+      name: 'Leave_Balances',
+      h: ['Employee_ID', 'Leave_Type', 'Year', 'Carried_Over', 'Allowance', 'Accrued', 'Taken', 'Balance', 'Status', 'Updated']
+    },
+    balances: {
+      name: 'Entitlement_Balances',
+      h: ['Employee_ID', 'Entitlement_Type', 'Unit', 'Granted', 'Consumed', 'Revoked', 'Expired', 'Available', 'Next_Expiry', 'Updated']
+    },
+    reconciliation: {
+      name: 'Reconciliation_Report',
+      h: ['Run_ID', 'Checked_At', 'Workspace_File_ID', 'Employee_ID', 'Entitlement_Date', 'Entitlement_Type', 'Issue', 'Correction', 'Detail']
+    },
+    journal: {
+      name: 'Ledger_Journal',        // Append-only history of ledger changes (see Journal.js)
+      h: {
+        runId: 'Run_ID',
+        timestamp: 'Timestamp',
+        employee: 'Employee_ID',
+        date: 'Entitlement_Date',
+        type: 'Entitlement_Type',
+        action: 'Action',
+        row: 'Ledger_Row',
+        before: 'Before',
+        after: 'After',
+        cause: 'Cause'
+      }
+    },
+    checkpoint: {
+      name: 'Run_Checkpoint',
+      h: {
+        runId: 'Run_ID',
+        started: 'Chain_Started',
+        updated: 'Updated',
+        invocations: 'Invocations',
+        processed: 'Processed_Workspaces',
+        pendingGrants: 'Pending_Grants',
+        pendingRevocations: 'Pending_Revocations',
+        trigger: 'Continuation_Trigger',
+        stats: 'Run_Stats',
+        fullRebuild: 'Full_Rebuild'
+      }
+    },
+    runHistory: {
+      name: 'Run_History',
+      h: {
+        runId: 'Run_ID',
+        started: 'Chain_Started',
+        finished: 'Chain_Finished',
+        invocations: 'Invocations',
+        processed: 'Workspaces_Processed',
+        duration: 'Duration_Sec'
       }
     },
     logs: {
@@ -114,5 +354,24 @@ function deepFreeze(obj) {
   return Object.freeze(obj);
 }
 
+/**
+ * Copies overrides into the configuration; nested objects are merged, not replaced.
+ * @throws {Error} On a setting CONFIG does not have
+ */
+function applyConfigOverrides(obj, overrides, path = "CONFIG") {
+  Object.keys(overrides).forEach(prop => {
+    if (!(prop in obj)) throw new Error(`Unknown setting: ${path}.${prop}`);
+    const v = overrides[prop];
+    if (v && typeof v === "object" && !Array.isArray(v) && obj[prop] && typeof obj[prop] === "object") {
+      applyConfigOverrides(obj[prop], v, `${path}.${prop}`);
+    } else {
+      obj[prop] = v;
+    }
+  });
+  return obj;
+}
+
+// Headless runtimes can set CONFIG_OVERRIDES before this file runs (node/Runtime.js)
+if (typeof CONFIG_OVERRIDES !== "undefined") applyConfigOverrides(CONFIG, CONFIG_OVERRIDES);
 deepFreeze(CONFIG);
 
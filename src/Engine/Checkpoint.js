@@ -0,0 +1,146 @@
+/**
+ * Checkpoint Module
+ * -----------------
+ * Makes runs resumable across the execution time guard.
+ *
+ * When a run stops early it saves a checkpoint (Run ID, processed workspaces,
+ * ledger updates not yet written, run statistics) to the Run_Checkpoint sheet. The next
+ * invocation resumes from it under the same Run ID, so all invocations of one
+ * logical run form a "chain". When the chain finishes, the checkpoint is
+ * cleared and the chain is recorded in Run_History. In dry run nothing is
+ * saved: a run stopped by the time guard starts over on the next invocation.
+ *
+ * @file Checkpoint.js
+ */
+
+/**
+ * @typedef {Object} RunCheckpoint
+ * @property {string} runId - Run ID shared by every invocation of the chain
+ * @property {Date} started - When the first invocation of the chain started
+ * @property {Date} updated - When the checkpoint was last saved
+ * @property {number} invocations - Invocations completed so far
+ * @property {Array<string>} processed - Workspace IDs already processed
+ * @property {Array<EntitlementGrant>} pendingGrants - Grants not yet written to the ledger
+ * @property {Array<EntitlementRevocation>} pendingRevocations - Revocations not yet written
+ * @property {string} trigger - Continuation trigger ID ("" if none)
+ * @property {RunStats} stats - Statistics for the health digest (see Digest.js)
+ * @property {boolean} [fullRebuild] - The chain resolves every day (runFullRebuild())
+ */
+
+/**
+ * Loads the checkpoint of an unfinished run, if any.
+ * Checkpoints older than CONFIG.resume.maxCheckpointAgeHours are ignored.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {RunCheckpoint|null} The checkpoint, or null to start a new run
+ */
+function loadCheckpoint(ssDb) {
+  const d = ssDb.readTable(CONFIG.tabs.checkpoint.name);
+  if (!d || d.length < 2) return null;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.checkpoint.h;
+  const cell = k => h.has(c[k].toLowerCase()) ? d[1][h.get(c[k].toLowerCase())] : "";
+  const runId = String(cell('runId') || "").trim();
+  if (!runId) return null;
+
+  const updated = parseSafeDate(cell('updated')) || new Date(0);
+  const ageHours = (new Date() - updated) / 3600000;
+  if (ageHours > CONFIG.resume.maxCheckpointAgeHours) return null;
+
+  return {
+    runId: runId,
+    started: parseSafeDate(cell('started')) || updated,
+    updated: updated,
+    invocations: Number(cell('invocations')) || 0,
+    processed: String(cell('processed') || "").split(',').map(s => s.trim()).filter(String),
+    pendingGrants: parseJsonList(cell('pendingGrants')).map(g => ({ employee: g.employee, date: parseSafeDate(g.date), type: g.type, shift: g.shift, value: g.value, hours: g.hours, cause: g.cause })).filter(g => g.date),
+    pendingRevocations: parseJsonList(cell('pendingRevocations')),
+    trigger: String(cell('trigger') || "").trim(),
+    stats: parseRunStats(cell('stats')),
+    fullRebuild: cell('fullRebuild') === true || String(cell('fullRebuild')).trim().toUpperCase() === 'TRUE'
+  };
+}
+
+/**
+ * Saves (replaces) the checkpoint of the current run.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {RunCheckpoint} cp - Checkpoint to save
+ * @returns {void}
+ */
+function saveCheckpoint(ssDb, cp) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping saveCheckpoint()");
+    return;
+  }
+
+  const c = CONFIG.tabs.checkpoint.h;
+  ssDb.writeTable(CONFIG.tabs.checkpoint.name, Object.values(c), [[
+    cp.runId,
+    cp.started,
+    new Date(),
+    cp.invocations,
+    cp.processed.join(','),
+    JSON.stringify(cp.pendingGrants),
+    JSON.stringify(cp.pendingRevocations),
+    cp.trigger || "",
+    JSON.stringify(cp.stats || createRunStats()),
+    !!cp.fullRebuild
+  ]]);
+  getStorage().flush();
+}
+
+/**
+ * Clears the checkpoint (keeps the header row).
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {void}
+ */
+function clearCheckpoint(ssDb) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping clearCheckpoint()");
+    return;
+  }
+
+  if (!ssDb.hasTable(CONFIG.tabs.checkpoint.name)) return;
+  ssDb.writeTable(CONFIG.tabs.checkpoint.name, Object.values(CONFIG.tabs.checkpoint.h), []);
+}
+
+/**
+ * Records a finished run chain in Run_History.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {RunCheckpoint} cp - Final state of the chain
+ * @returns {void}
+ */
+function recordRunChain(ssDb, cp) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping recordRunChain()");
+    return;
+  }
+
+  const finished = new Date();
+  ssDb.appendRows(CONFIG.tabs.runHistory.name, [[
+    cp.runId,
+    cp.started,
+    finished,
+    cp.invocations,
+    cp.processed.length,
+    Number(((finished - cp.started) / 1000).toFixed(1))
+  ]], Object.values(CONFIG.tabs.runHistory.h));
+}
+
+/**
+ * Parses a JSON array cell, tolerating blanks and corrupt values.
+ *
+ * @param {string} v - Cell value
+ * @returns {Array<Object>}
+ */
+function parseJsonList(v) {
+  if (!v) return [];
+  try {
+    const list = JSON.parse(String(v));
+    return Array.isArray(list) ? list : [];
+  } catch (_) {
+    return [];
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Compliance Module
+ * -----------------
+ * Labour compliance rule pack: checks the resolved schedule of every employee
+ * against working-time limits (CONFIG.compliance).
+ *
+ * Checks run over the per-employee sequence of Daily_Workforce_Status rows,
+ * after locks are applied (so frozen rows are checked as they stand). A
+ * half-day leave on a work day counts as a work day of its Worked_Hours:
+ * - MIN_REST: hours between the end of a shift and the start of the next
+ *   (shift catalogue spans, overnight shifts end on the next date)
+ * - MAX_CONSECUTIVE_DAYS: work days in a row
+ * - MAX_WEEKLY_HOURS: Worked_Hours per calendar week (Monday to Sunday)
+ * - MIN_DAYS_OFF: days off per period of N days (periods start on a Monday);
+ *   only periods fully inside the roster are checked
+ *
+ * A limit of 0 turns its check off. Each violation names the schedule rules
+ * (Rule IDs from the row trace) active on the days involved, and is written
+ * to the workspace's Compliance_Violations sheet.
+ *
+ * @file Compliance.js
+ */
+
+/**
+ * @typedef {Object} ComplianceViolation
+ * @property {string} employee - Employee ID (display form)
+ * @property {string} start - First date involved YYYY-MM-DD
+ * @property {string} end - Last date involved YYYY-MM-DD
+ * @property {string} check - MIN_REST | MAX_CONSECUTIVE_DAYS | MAX_WEEKLY_HOURS | MIN_DAYS_OFF
+ * @property {number} limit - Configured limit
+ * @property {number} actual - Value found
+ * @property {Array<string>} ruleIds - Schedule rules applied on the days involved
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Extracts the IDs of the rules applied on a day from its trace (Note column).
+ *
+ * @param {string} note - Trace, e.g. "[BASE:WORK:09:00 - 18:00] | [SHIFT:R-002:10:00 - 19:00:P3]"
+ * @returns {Array<string>} Rule IDs
+ */
+function getTraceRuleIds(note) {
+  const ids = [];
+  const re = /\[(?:DAY_PATTERN|SHIFT):([^:\]]+):/g;
+  let m;
+  while ((m = re.exec(String(note || ""))) !== null) {
+    if (m[1] !== 'FALLBACK_BASE' && !ids.includes(m[1])) ids.push(m[1]);
+  }
+  return ids;
+}
+
+/**
+ * Checks resolved rows against the compliance limits.
+ *
+ * @param {Array<Array<*>>} rows - Daily_Workforce_Status rows (any order, no header)
+ * @param {(Map<string, ShiftDefinition>|undefined)} catalogue - Shift catalogue (ctx.shifts)
+ * @returns {Array<ComplianceViolation>} Violations by employee, then date
+ */
+function checkCompliance(rows, catalogue) {
+  const C = DAILY_STATUS_COLS, cfg = CONFIG.compliance;
+  const violations = [];
+  if (!cfg.enabled) return violations;
+
+  const byEmp = new Map();
+  rows.forEach(r => {
+    const key = String(r[C.key]);
+    const emp = key.split('|')[0];
+    if (!byEmp.has(emp)) byEmp.set(emp, []);
+    const final = String(r[C.final]).toUpperCase();
+    const work = CONFIG.validWorkStatuses.has(final) || isHalfWorkedLeave(r);
+    const hours = Number(r[C.hours]);
+    byEmp.get(emp).push({
+      date: key.split('|').pop(), display: String(r[C.employee]), work: work, off: !work && final !== 'ERROR',
+      shift: r[C.shift], hours: !work ? 0 : (r[C.hours] !== undefined && !isNaN(hours) ? hours : getWorkedHours(catalogue, r[C.shift], r[C.val])),
+      ruleIds: getTraceRuleIds(r[C.note])
+    });
+  });
+
+  byEmp.forEach(days => {
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    const add = (check, list, limit, actual, message) => {
+      const ids = [];
+      list.forEach(d => d.ruleIds.forEach(id => { if (!ids.includes(id)) ids.push(id); }));
+      violations.push({
+        employee: days[0].display, start: list[0].date, end: list[list.length - 1].date,
+        check: check, limit: limit, actual: roundAmount(actual), ruleIds: ids, message: message
+      });
+    };
+
+    // Rest between consecutive shifts
+    if (cfg.minRestHours > 0) {
+      let prev = null;
+      days.filter(d => d.work).forEach(d => {
+        const span = getShiftSpan(catalogue, d.shift, d.date);
+        if (!span) return;
+        if (prev) {
+          const rest = getRestHours(prev.span, span);
+          if (rest < cfg.minRestHours) {
+            add('MIN_REST', [prev.day, d], cfg.minRestHours, rest,
+              `${rest}h rest between "${prev.day.shift}" on ${prev.day.date} and "${d.shift}" on ${d.date} (minimum ${cfg.minRestHours}h)`);
+          }
+        }
+        prev = { day: d, span: span };
+      });
+    }
+
+    // Work days in a row
+    if (cfg.maxConsecutiveDays > 0) {
+      let run = [];
+      const close = () => {
+        if (run.length > cfg.maxConsecutiveDays) {
+          add('MAX_CONSECUTIVE_DAYS', run, cfg.maxConsecutiveDays, run.length,
+            `${run.length} consecutive work days (maximum ${cfg.maxConsecutiveDays})`);
+        }
+        run = [];
+      };
+      days.forEach(d => {
+        if (!d.work || (run.length && addDaysToKey(run[run.length - 1].date, 1) !== d.date)) close();
+        if (d.work) run.push(d);
+      });
+      close();
+    }
+
+    // Hours per calendar week and days off per period
+    const periods = (length, fn) => {
+      const groups = new Map();
+      days.forEach(d => {
+        const start = getPeriodStart(d.date, length);
+        if (!groups.has(start)) groups.set(start, []);
+        groups.get(start).push(d);
+      });
+      groups.forEach((list, start) => fn(list, start));
+    };
+    if (cfg.maxWeeklyHours > 0) {
+      periods(7, (list, start) => {
+        const hours = list.reduce((n, d) => n + d.hours, 0);
+        if (hours > cfg.maxWeeklyHours) {
+          add('MAX_WEEKLY_HOURS', list.filter(d => d.work), cfg.maxWeeklyHours, hours,
+            `${roundAmount(hours)}h worked in the week of ${start} (maximum ${cfg.maxWeeklyHours}h)`);
+        }
+      });
+    }
+    if (cfg.minDaysOff > 0 && cfg.daysOffPeriodDays > 0) {
+      periods(cfg.daysOffPeriodDays, (list, start) => {
+        if (list.length < cfg.daysOffPeriodDays) return; // Period not fully inside the roster
+        const off = list.filter(d => d.off).length;
+        if (off < cfg.minDaysOff) {
+          add('MIN_DAYS_OFF', list, cfg.minDaysOff, off,
+            `${off} day(s) off in the ${cfg.daysOffPeriodDays} days from ${start} (minimum ${cfg.minDaysOff})`);
+        }
+      });
+    }
+  });
+
+  return violations.sort((a, b) => a.employee.localeCompare(b.employee) || a.start.localeCompare(b.start));
+}
+
+/**
+ * First day of the period a date falls in. Periods of N days are counted from
+ * Monday 2024-01-01, so weekly periods are calendar weeks.
+ *
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {number} length - Period length in days
+ * @returns {string} YYYY-MM-DD
+ */
+function getPeriodStart(dateStr, length) {
+  const days = Math.round((dateKeyToUtc(dateStr) - dateKeyToUtc('2024-01-01')) / 86400000);
+  return addDaysToKey(dateStr, -(((days % length) + length) % length));
+}
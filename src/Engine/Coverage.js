@@ -0,0 +1,184 @@
+/**
+ * Coverage Module
+ * ---------------
+ * Virtual Headcount Layer: compares resolved supply against minimum staffing.
+ *
+ * Demand comes from the Staffing_Requirements sheet (Central DB). Supply is
+ * read from the resolved Daily_Workforce_Status rows: every row with
+ * Final_Status = WORK counts its Final_Val (1.0, or 0.5 for half days)
+ * towards the slot of its Final_Shift, and so does the worked half of a
+ * half-day leave (isHalfWorkedLeave()).
+ *
+ * @file Coverage.js
+ */
+
+/**
+ * Column positions in a Daily_Workforce_Status row (see resolveEmployeeDay).
+ */
+const DAILY_STATUS_COLS = {
+  key: 0, employee: 1, date: 2, ruleShift: 5, ph: 7, final: 9, shift: 10, reason: 11, note: 12, val: 13, hours: 14,
+  name: 15, team: 16, department: 17, location: 18, contract: 19 // Employee attributes (getEmployeeAttributes)
+};
+
+/**
+ * Is a Daily_Workforce_Status row a half-day leave on a work day? Its Final_Status
+ * is the leave type, but it keeps its Final_Shift, Final_Val and Worked_Hours for
+ * the half that is still worked.
+ *
+ * @param {Array<*>} row - Daily_Workforce_Status row
+ * @returns {boolean}
+ */
+function isHalfWorkedLeave(row) {
+  const C = DAILY_STATUS_COLS;
+  const final = String(row[C.final]).toUpperCase(), shift = String(row[C.shift] || "").trim().toUpperCase();
+  return !CONFIG.validWorkStatuses.has(final) && final !== 'ERROR' && shift !== "" && shift !== 'OFF' && Number(row[C.val]) > 0;
+}
+
+/**
+ * @typedef {Object} StaffingRequirement
+ * @property {string} workspace - Workspace file ID ("" = all workspaces)
+ * @property {string} date - Specific date YYYY-MM-DD ("" if not date-specific)
+ * @property {string} day - Weekday e.g. "MON" ("" if not weekday-specific)
+ * @property {string} shift - Shift code ("" = any work shift)
+ * @property {number} min - Minimum headcount
+ * @property {string} skill - Required skill, lowercase ("" = any employee)
+ */
+
+/**
+ * @typedef {Object} CoverageSlot
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} shift - Shift code ("" = any work shift)
+ * @property {string} skill - Required skill ("" = any)
+ * @property {number} required - Minimum headcount
+ * @property {number} supply - Resolved headcount (sum of Final_Val)
+ * @property {number} gap - supply - required (negative = understaffed)
+ * @property {Array<string>} employees - Employees counted on the slot
+ */
+
+/**
+ * Parses the Staffing_Requirements sheet.
+ * Date_Or_Day accepts a date, a weekday (MON..SUN) or blank (every day).
+ * Shift_Code and Workspace_File_ID accept blank or "ANY" as wildcards.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Staffing_Requirements sheet (header first)
+ * @returns {Array<StaffingRequirement>} Valid requirements, in sheet order
+ */
+function parseStaffingRequirements(d) {
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.staffing.h;
+  const get = (r, k) => h.has(c[k].toLowerCase()) ? r[h.get(c[k].toLowerCase())] : "";
+  const wildcard = v => { const s = String(v || "").trim(); return s.toUpperCase() === 'ANY' ? "" : s; };
+
+  for (let i = 1; i < d.length; i++) {
+    const r = d[i];
+    const min = Number(get(r, 'min'));
+    if (get(r, 'min') === "" || isNaN(min) || min < 0) continue;
+
+    const when = get(r, 'when');
+    let date = "", day = "";
+    if (typeof when === 'string' && DAY_NAMES.includes(normalizeDay(when.trim()))) {
+      day = normalizeDay(when.trim());
+    } else if (when !== "" && when !== null && when !== undefined) {
+      const dt = parseSafeDate(when);
+      if (!dt) continue; // Unreadable Date_Or_Day: skip rather than apply to every day
+      date = formatDate(dt);
+    }
+
+    list.push({
+      workspace: wildcard(get(r, 'workspace')),
+      date: date,
+      day: day,
+      shift: wildcard(get(r, 'shift')),
+      min: min,
+      skill: String(get(r, 'skill') || "").trim().toLowerCase()
+    });
+  }
+  return list;
+}
+
+/**
+ * Selects the requirements that apply to a workspace on one date.
+ * For each shift + skill pair the most specific requirement wins:
+ * date over weekday over every-day, then workspace-specific over global.
+ *
+ * @param {Array<StaffingRequirement>} requirements - All requirements
+ * @param {string} schedId - Workspace file ID
+ * @param {string} dateStr - YYYY-MM-DD
+ * @param {string} day - Weekday e.g. "MON"
+ * @returns {Array<StaffingRequirement>}
+ */
+function getRequirementsForDate(requirements, schedId, dateStr, day) {
+  const best = new Map();
+  for (const req of requirements) {
+    if (req.workspace && req.workspace !== schedId) continue;
+    if (req.date && req.date !== dateStr) continue;
+    if (req.day && req.day !== day) continue;
+    const rank = (req.date ? 4 : req.day ? 2 : 0) + (req.workspace ? 1 : 0);
+    const k = `${req.shift.toUpperCase()}|${req.skill}`;
+    if (!best.has(k) || rank >= best.get(k).rank) best.set(k, { rank: rank, req: req });
+  }
+  return Array.from(best.values()).map(b => b.req);
+}
+
+/**
+ * Computes demand vs. supply for every staffing slot of a workspace.
+ *
+ * @param {string} schedId - Workspace file ID
+ * @param {Array<Array<*>>} dailyStatus - Resolved Daily_Workforce_Status rows
+ * @param {Array<Employee>} employees - Employees of the workspace (for skills)
+ * @param {Array<StaffingRequirement>} requirements - Staffing requirements
+ * @returns {Array<CoverageSlot>} One slot per date x shift x skill, ordered by date
+ */
+function computeCoverage(schedId, dailyStatus, employees, requirements) {
+  const slots = [];
+  if (!requirements.length || !dailyStatus.length) return slots;
+  const C = DAILY_STATUS_COLS;
+  const skills = new Map(employees.map(e => [e.id, e.skills || []]));
+
+  // Group resolved rows by date (the key's date: rows kept from the sheet may hold the Date column as text)
+  const byDate = new Map();
+  for (const row of dailyStatus) {
+    const dateStr = String(row[C.key]).split('|').pop();
+    if (!byDate.has(dateStr)) byDate.set(dateStr, { day: DAY_NAMES[new Date(dateKeyToUtc(dateStr)).getUTCDay()], rows: [] });
+    byDate.get(dateStr).rows.push(row);
+  }
+
+  Array.from(byDate.keys()).sort().forEach(dateStr => {
+    const entry = byDate.get(dateStr);
+    const reqs = getRequirementsForDate(requirements, schedId, dateStr, entry.day);
+    for (const req of reqs) {
+      let supply = 0;
+      const names = [];
+      for (const row of entry.rows) {
+        if (row[C.final] !== 'WORK' && !isHalfWorkedLeave(row)) continue;
+        if (req.shift && String(row[C.shift]).trim().toUpperCase() !== req.shift.toUpperCase()) continue;
+        const empId = String(row[C.key]).split('|')[0];
+        if (req.skill && !(skills.get(empId) || []).includes(req.skill)) continue;
+        supply += Number(row[C.val]) || 0;
+        names.push(row[C.employee]);
+      }
+      slots.push({
+        date: dateStr,
+        shift: req.shift,
+        skill: req.skill,
+        required: req.min,
+        supply: supply,
+        gap: supply - req.min,
+        employees: names
+      });
+    }
+  });
+  return slots;
+}
+
+/**
+ * Formats a coverage slot for System_Logs context.
+ *
+ * @param {string} schedId - Workspace file ID
+ * @param {CoverageSlot} slot - The slot
+ * @returns {string} e.g. "ws-1 2025-03-03 09:00 - 18:00 [nurse]: 1/2"
+ */
+function describeCoverageSlot(schedId, slot) {
+  return `${schedId} ${slot.date} ${slot.shift || 'ANY'}${slot.skill ? ` [${slot.skill}]` : ''}: ${slot.supply}/${slot.required}`;
+}
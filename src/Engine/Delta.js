@@ -0,0 +1,232 @@
+/**
+ * Delta Module
+ * ------------
+ * Change detection: a run only resolves the employee-days whose inputs
+ * changed since the run that last resolved them.
+ *
+ * Each employee-day gets a fingerprint of its inputs: the roster row (shifts,
+ * off days, rotation, calendar, skills) and master data, the rules active on
+ * the day, the approved leave, the ledger entry and the holiday the employee
+ * observes. A context fingerprint covers what every day depends on (shift mapping and
+ * catalogue, decision matrix, CONFIG). Fingerprints are stored per workspace
+ * in its Input_Fingerprints sheet, with the Run ID that resolved the day.
+ *
+ * A day whose fingerprint is unchanged keeps its Daily_Workforce_Status row:
+ * it is not resolved again, emits no ledger action and is not written. Changed
+ * rows are written in place and new days are appended. The workspace is
+ * rebuilt in full when the context fingerprint changed, when days disappeared
+ * from the roster, on runs started with runFullRebuild(), after a run reversal
+ * (reverseRun() clears the fingerprints: they were taken before the ledger
+ * changes it undoes) or when CONFIG.delta.enabled is off.
+ *
+ * @file Delta.js
+ */
+
+/**
+ * @typedef {Object} StoredFingerprint
+ * @property {string} fingerprint - Input fingerprint ("" = resolve on the next run)
+ * @property {string} runId - Run that resolved the day
+ */
+
+/**
+ * @typedef {Object} DeltaState
+ * @property {boolean} full - Every day is resolved (no stored row is reused)
+ * @property {string} reason - Why the run is full ("" for delta runs)
+ * @property {string} context - Context fingerprint of this run
+ * @property {Map<string, StoredFingerprint>} stored - Fingerprints of the last run by row key
+ * @property {Map<string, Array<*>>} rows - Current Daily_Workforce_Status rows by key
+ */
+
+/**
+ * @typedef {Object} StatusWritePlan
+ * @property {Array<{index: number, row: Array<*>}>} updates - Rows overwritten in place (index 0 = header)
+ * @property {Array<Array<*>>} appends - Rows of new days
+ */
+
+/**
+ * Key of the context fingerprint row in Input_Fingerprints.
+ */
+const DELTA_CONTEXT_KEY = '*';
+
+/**
+ * Hashes engine inputs (Maps, Sets, Dates and plain objects) into a short fingerprint.
+ * 53-bit cyrb53 hash of the JSON form.
+ *
+ * @param {*} value - Inputs to hash
+ * @returns {string} Hex fingerprint
+ */
+function hashInputs(value) {
+  const s = JSON.stringify(value, (k, v) =>
+    v instanceof Map ? Array.from(v.entries()) : (v instanceof Set ? Array.from(v) : v)) || "";
+  let h1 = 0xdeadbeef, h2 = 0x41c6ce57;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Fingerprints the inputs shared by every employee-day.
+ *
+ * @param {EngineContext} ctx - Engine context
+ * @returns {string}
+ */
+function fingerprintContext(ctx) {
+  return hashInputs([ctx.mapping, ctx.shifts || null, ctx.matrixIndex, CONFIG]);
+}
+
+/**
+ * Fingerprints the inputs of one employee-day.
+ *
+ * @param {Employee} emp - Employee (roster row)
+ * @param {DayMeta} meta - Date metadata
+ * @param {EngineContext} ctx - Engine context (leaves, ledger, holidays)
+ * @param {Array<Rule>} rules - Rules of the employee
+ * @returns {string}
+ */
+function fingerprintEmployeeDay(emp, meta, ctx, rules) {
+  const key = `${emp.id}|${meta.str}`;
+  return hashInputs([
+    emp, meta.str, meta.day,
+    rules.filter(r => !getRuleFilterReason(r, meta)),
+    ctx.leaves.get(key) || null,
+    ctx.ledger.get(key) || null,
+    getHoliday(ctx.holidays, emp.calendar, meta.str)
+  ]);
+}
+
+/**
+ * Parses a workspace's Input_Fingerprints sheet.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Input_Fingerprints sheet (header first)
+ * @returns {Map<string, StoredFingerprint>} Fingerprints by row key (context row under DELTA_CONTEXT_KEY)
+ */
+function parseFingerprints(d) {
+  const stored = new Map();
+  if (!d || d.length < 2) return stored;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.fingerprints.h;
+  if (!h.has(c[0].toLowerCase()) || !h.has(c[1].toLowerCase())) return stored;
+  const get = (r, i) => h.has(c[i].toLowerCase()) ? r[h.get(c[i].toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const key = String(get(d[i], 0) || "").trim();
+    if (key) stored.set(key, { fingerprint: String(get(d[i], 1) || ""), runId: String(get(d[i], 2) || "") });
+  }
+  return stored;
+}
+
+/**
+ * Counts the stored day fingerprints (the context row excluded).
+ *
+ * @param {DeltaState} delta - From prepareDelta()
+ * @returns {number}
+ */
+function countDayFingerprints(delta) {
+  return delta.stored.size - (delta.stored.has(DELTA_CONTEXT_KEY) ? 1 : 0);
+}
+
+/**
+ * Decides whether a workspace runs as a delta or a full rebuild.
+ *
+ * @param {EngineContext} ctx - Engine context
+ * @param {Array<Array<*>>|null} fingerprints - Input_Fingerprints table (header first), or null
+ * @param {Array<Array<*>>|null} previous - Daily_Workforce_Status table (header first), or null
+ * @param {boolean} [fullRebuild=false] - A full rebuild was requested
+ * @returns {DeltaState}
+ */
+function prepareDelta(ctx, fingerprints, previous, fullRebuild = false) {
+  const C = DAILY_STATUS_COLS;
+  const state = {
+    full: true, reason: "", context: fingerprintContext(ctx),
+    stored: parseFingerprints(fingerprints), rows: new Map()
+  };
+  (previous || []).slice(1).forEach(r => { if (r[C.key]) state.rows.set(String(r[C.key]), r); });
+  const ctxRow = state.stored.get(DELTA_CONTEXT_KEY);
+  if (!CONFIG.delta.enabled) state.reason = "Delta processing disabled";
+  else if (fullRebuild) state.reason = "Full rebuild requested";
+  else if (!ctxRow) state.reason = "No fingerprints stored";
+  else if (ctxRow.fingerprint !== state.context) state.reason = "Mapping, decision matrix or configuration changed";
+  else state.full = false;
+  return state;
+}
+
+/**
+ * Can an employee-day keep its current Daily_Workforce_Status row?
+ *
+ * @param {(DeltaState|null)} delta - From prepareDelta() (null = resolve every day)
+ * @param {string} key - Row key (employee|date)
+ * @param {string} fingerprint - Fingerprint of the day's inputs
+ * @returns {boolean}
+ */
+function canReuseDay(delta, key, fingerprint) {
+  if (!delta || delta.full || !delta.rows.has(key)) return false;
+  const stored = delta.stored.get(key);
+  return !!stored && !!stored.fingerprint && stored.fingerprint === fingerprint;
+}
+
+/**
+ * Plans an in-place update of Daily_Workforce_Status.
+ *
+ * @param {Array<Array<*>>|null} previous - Current table (header first), or null
+ * @param {Array<Array<*>>} rows - All rows of the workspace after this run
+ * @param {Set<string>} changed - Keys of the rows to write
+ * @returns {(StatusWritePlan|null)} null if the table must be rewritten (missing, other layout, or days removed)
+ */
+function planStatusWrite(previous, rows, changed) {
+  const C = DAILY_STATUS_COLS;
+  if (!previous || !previous.length || !rows.length || previous[0].length !== rows[0].length) return null;
+  const at = new Map();
+  previous.slice(1).forEach((r, i) => at.set(String(r[C.key]), i + 1));
+  const keys = new Set(rows.map(r => String(r[C.key])));
+  if (at.size !== previous.length - 1 || Array.from(at.keys()).some(k => !keys.has(k))) return null;
+
+  const plan = { updates: [], appends: [] };
+  rows.forEach(r => {
+    const key = String(r[C.key]);
+    if (!changed.has(key)) return;
+    if (at.has(key)) plan.updates.push({ index: at.get(key), row: r });
+    else plan.appends.push(r);
+  });
+  return plan;
+}
+
+/**
+ * Writes a workspace's Input_Fingerprints sheet.
+ *
+ * @param {Workbook} ss - Workspace workbook
+ * @param {string} runId - Execution ID
+ * @param {DeltaState} delta - From prepareDelta()
+ * @param {Map<string, StoredFingerprint>} fingerprints - Fingerprints of every day after this run
+ * @returns {void}
+ */
+function writeFingerprints(ss, runId, delta, fingerprints) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeFingerprints()");
+    return;
+  }
+
+  const rows = [[DELTA_CONTEXT_KEY, delta.context, runId]];
+  fingerprints.forEach((f, key) => rows.push([key, f.fingerprint, f.runId]));
+  ss.writeTable(CONFIG.tabs.fingerprints.name, CONFIG.tabs.fingerprints.h, rows);
+}
+
+/**
+ * Clears a workspace's Input_Fingerprints, so its next run is a full rebuild.
+ *
+ * @param {Workbook} ss - Workspace workbook
+ * @returns {boolean} Whether fingerprints were stored
+ */
+function clearFingerprints(ss) {
+  const d = ss.readTable(CONFIG.tabs.fingerprints.name);
+  if (!d || d.length < 2) return false;
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping clearFingerprints()");
+    return true;
+  }
+
+  ss.writeTable(CONFIG.tabs.fingerprints.name, CONFIG.tabs.fingerprints.h, []);
+  return true;
+}
@@ -0,0 +1,97 @@
+/**
+ * Employees Module
+ * ----------------
+ * Employee master data: the central Employees sheet lists every employee once,
+ * with a display name, hire and termination dates and attributes (team,
+ * department, location, contract type).
+ *
+ * buildEmployee() completes each roster row with its master record: a roster
+ * cell that is filled in wins over the master (like the Holiday Calendar
+ * column over the workspace calendar). Days before Hire_Date or after
+ * Termination_Date are not resolved: they get no Daily_Workforce_Status row
+ * and no ledger action. The attributes are written to every output row.
+ *
+ * The sheet is optional. Once it has rows, roster rows of employees it does
+ * not list are reported by the integrity checks (ROSTER_NOT_IN_MASTER) and
+ * resolved as before. Employee.display stays the Employee ID as entered: it
+ * keys the ledger.
+ *
+ * @file Employees.js
+ */
+
+/**
+ * @typedef {Object} EmployeeRecord
+ * @property {string} id - Lowercase Employee ID
+ * @property {string} display - Employee ID as entered
+ * @property {string} name - Display name ("" = none)
+ * @property {string} hire - Hire date YYYY-MM-DD ("" = unknown)
+ * @property {string} termination - Termination date YYYY-MM-DD ("" = still employed)
+ * @property {string} team - Team
+ * @property {string} department - Department
+ * @property {string} location - Location
+ * @property {string} contract - Contract type
+ * @property {number} row - Sheet row number (1-based, header = 1)
+ */
+
+/**
+ * Parses the Employees sheet.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Employees sheet (header first)
+ * @returns {Array<EmployeeRecord>} Records in sheet order (rows without an Employee ID are skipped)
+ */
+function parseEmployees(d) {
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.employees.h, o = CONFIG.tabs.employees.optional;
+  if (!h.has(c.id.toLowerCase())) return list;
+  const get = (r, col) => h.has(col.toLowerCase()) ? r[h.get(col.toLowerCase())] : "";
+  const text = (r, col) => String(get(r, col) || "").trim();
+  const date = (r, col) => { const dt = parseSafeDate(get(r, col)); return dt ? formatDate(dt) : ""; };
+  for (let i = 1; i < d.length; i++) {
+    const id = text(d[i], c.id);
+    if (!id) continue;
+    list.push({
+      id: id.toLowerCase(), display: id, name: text(d[i], o.name),
+      hire: date(d[i], o.hire), termination: date(d[i], o.termination),
+      team: text(d[i], o.team), department: text(d[i], o.department),
+      location: text(d[i], o.location), contract: text(d[i], o.contract),
+      row: i + 1
+    });
+  }
+  return list;
+}
+
+/**
+ * Indexes employee records by ID (the first row of a duplicated ID wins).
+ *
+ * @param {Array<EmployeeRecord>} records - From parseEmployees()
+ * @returns {Map<string, EmployeeRecord>} Records by lowercase Employee ID
+ */
+function indexEmployees(records) {
+  const m = new Map();
+  records.forEach(r => { if (!m.has(r.id)) m.set(r.id, r); });
+  return m;
+}
+
+/**
+ * Explains why an employee is not employed on a date.
+ *
+ * @param {Employee} emp - Employee
+ * @param {string} date - Date string YYYY-MM-DD
+ * @returns {string|null} Reason, or null if the day is within the employment
+ */
+function getEmploymentGap(emp, date) {
+  if (emp.hire && date < emp.hire) return `Before Hire_Date ${emp.hire}`;
+  if (emp.termination && date > emp.termination) return `After Termination_Date ${emp.termination}`;
+  return null;
+}
+
+/**
+ * Attribute columns appended to a Daily_Workforce_Status row.
+ *
+ * @param {Employee} emp - Employee
+ * @returns {Array<string>} Display_Name, Team, Department, Location, Contract_Type
+ */
+function getEmployeeAttributes(emp) {
+  return [emp.name || emp.display, emp.team || "", emp.department || "", emp.location || "", emp.contract || ""];
+}
@@ -0,0 +1,129 @@
+/**
+ * Holidays Module
+ * ---------------
+ * Holiday calendars per region or workspace.
+ *
+ * Each Holidays row may name a Calendar (e.g. "HQ", "Branch North"); rows with
+ * a blank Calendar are observed by every calendar (national holidays). A
+ * workspace follows the calendar in its Scheduler_Config Holiday_Calendar
+ * column, or its Location_Label when that column is blank or missing. A roster
+ * can override the calendar per employee (optional "Holiday Calendar" column).
+ *
+ * Holiday types (optional Holiday_Type column):
+ * - FULL (default): the day is a public holiday (holidayFlag TRUE)
+ * - HALF: a public holiday for half the day; entitlements earned by working
+ *   it are halved
+ * - OPTIONAL: observed only by employees who take it as leave; the day is
+ *   resolved as a normal day and the holiday is noted in the trace
+ *
+ * @file Holidays.js
+ */
+
+/**
+ * @typedef {Object} Holiday
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} calendar - Calendar name, uppercase ("" = every calendar)
+ * @property {string} name - Holiday name ("" if not given)
+ * @property {string} type - FULL | HALF | OPTIONAL
+ */
+
+/**
+ * Holiday types the engine knows; anything else is read as FULL.
+ */
+const HOLIDAY_TYPES = ['FULL', 'HALF', 'OPTIONAL'];
+
+/**
+ * Normalizes a calendar name for lookups.
+ *
+ * @param {*} v - Calendar name
+ * @returns {string} Trimmed, uppercase ("" if blank)
+ */
+function normalizeCalendar(v) {
+  return String(v === undefined || v === null ? "" : v).trim().toUpperCase();
+}
+
+/**
+ * Parses the Holidays sheet.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Holidays sheet (header first)
+ * @returns {Map<string, Array<Holiday>>} Holidays by date
+ */
+function parseHolidays(d) {
+  const holidays = new Map();
+  if (!d || d.length < 2) return holidays;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.holidays.h, o = CONFIG.tabs.holidays.optional;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const dt = parseSafeDate(get(d[i], c.date));
+    if (!dt) continue;
+    const type = String(get(d[i], o.type) || "").trim().toUpperCase();
+    const holiday = {
+      date: formatDate(dt),
+      calendar: normalizeCalendar(get(d[i], o.calendar)),
+      name: String(get(d[i], o.name) || "").trim(),
+      type: HOLIDAY_TYPES.includes(type) ? type : 'FULL'
+    };
+    if (!holidays.has(holiday.date)) holidays.set(holiday.date, []);
+    holidays.get(holiday.date).push(holiday);
+  }
+  return holidays;
+}
+
+/**
+ * Lists the calendars named in the Holidays sheet.
+ *
+ * @param {Map<string, Array<Holiday>>} holidays - From parseHolidays()
+ * @returns {Set<string>} Uppercase calendar names
+ */
+function listHolidayCalendars(holidays) {
+  const names = new Set();
+  holidays.forEach(list => list.forEach(x => { if (x.calendar) names.add(x.calendar); }));
+  return names;
+}
+
+/**
+ * Maps each workspace to its holiday calendar from the Scheduler_Config sheet
+ * (Holiday_Calendar, falling back to Location_Label).
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Scheduler_Config sheet (header first)
+ * @returns {Map<string, string>} Workspace file ID → uppercase calendar name
+ */
+function parseWorkspaceCalendars(d) {
+  const calendars = new Map();
+  if (!d || d.length < 2) return calendars;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.config.h, o = CONFIG.tabs.config.optional;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const id = String(get(d[i], c.id) || "").trim();
+    const calendar = normalizeCalendar(get(d[i], o.calendar)) || normalizeCalendar(get(d[i], o.location));
+    if (id && calendar) calendars.set(id, calendar);
+  }
+  return calendars;
+}
+
+/**
+ * Returns the holiday calendar of a workspace.
+ *
+ * @param {EngineContext} ctx - Engine context (ctx.calendars)
+ * @param {string} schedId - Workspace file ID
+ * @returns {string} Uppercase calendar name ("" = only holidays of every calendar)
+ */
+function getWorkspaceCalendar(ctx, schedId) {
+  return (ctx.calendars && ctx.calendars.get(schedId)) || "";
+}
+
+/**
+ * Finds the holiday an employee observes on a date.
+ * A holiday of the employee's own calendar wins over one of every calendar.
+ *
+ * @param {Map<string, Array<Holiday>>} holidays - From parseHolidays() (ctx.holidays)
+ * @param {string} calendar - Employee's calendar ("" = none)
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {(Holiday|null)}
+ */
+function getHoliday(holidays, calendar, dateStr) {
+  const list = holidays.get(dateStr);
+  if (!list) return null;
+  const own = normalizeCalendar(calendar);
+  return list.find(x => own && x.calendar === own) || list.find(x => !x.calendar) || null;
+}
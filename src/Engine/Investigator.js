@@ -0,0 +1,309 @@
+/**
+ * Investigator Module
+ * -------------------
+ * Conflict Investigator: explains how one employee-day was resolved.
+ *
+ * The explanation re-runs resolveEmployeeDay() and decorates the result with
+ * the evidence behind it: base roster inputs, every candidate rule and why it
+ * was (or was not) applied, the tie-break that picked each winner, the
+ * decision matrix bucket and the rows tried, and the resulting ledger action.
+ *
+ * @file Investigator.js
+ */
+
+/**
+ * @typedef {Object} RuleEvidence
+ * @property {string} id - Rule ID
+ * @property {string} type - DAY_PATTERN | SHIFT_OVERRIDE
+ * @property {string} target - Group the rule targets, e.g. "TEAM:ICU" ("" = the employee)
+ * @property {number} prio - Priority
+ * @property {string} freq - Frequency
+ * @property {string} range - "start → end"
+ * @property {string} status - Approval status as entered
+ * @property {string} outcome - WINNER | LOST | SKIPPED | FILTERED | NOT_APPROVED | INVALID | NOT_EVALUATED
+ * @property {string} reason - Human-readable explanation of the outcome
+ */
+
+/**
+ * @typedef {Object} DayExplanation
+ * @property {string} employee - Employee ID as entered in the roster
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} day - Weekday e.g. "MON"
+ * @property {string} workspace - Workspace file ID the roster row came from
+ * @property {string} lock - Lock reason if the date is frozen ("" if open)
+ * @property {string} employment - Why the day is outside the employment ("" if employed, see getEmploymentGap())
+ * @property {Object} base - Roster inputs and the resulting base state
+ * @property {Array<RuleEvidence>} rules - Every rule of the employee
+ * @property {{winner: string, tieBreak: string, effect: string}} dayPattern - Pass 1 outcome
+ * @property {{winner: string, tieBreak: string, effect: string}} shiftOverride - Pass 2 outcome
+ * @property {{holiday: string, holidayDetail: string, leave: string, entitlement: string}} inputs - Holiday / leave / ledger inputs
+ * @property {{key: string, matched: boolean, rows: Array<Object>}} matrix - Decision matrix bucket and rows tried
+ * @property {{finalStatus: string, finalShift: string, finalVal: number, workedHours: number, reason: string, trace: string}} result - Resolved output row
+ * @property {{action: string, detail: string}} ledger - Resulting ledger action
+ */
+
+/**
+ * Explains the resolution of one employee on one date.
+ * Loads the context from the Central DB and finds the employee in the given
+ * workspace, or in the first active workspace whose roster lists them.
+ *
+ * @param {string} employeeId - Employee ID (case-insensitive)
+ * @param {string|Date} date - The date to explain
+ * @param {string} [workspaceId] - Workspace file ID (default: search all active workspaces)
+ * @returns {DayExplanation}
+ * @throws {Error} If the date is invalid or the employee is not on any roster
+ */
+function explainEmployeeDay(employeeId, date, workspaceId) {
+  const dt = parseSafeDate(date);
+  if (!dt) throw new Error(`Invalid date: ${date}`);
+  const ssDb = getStorage().openDatabase();
+  const ctx = loadContext(ssDb);
+
+  const found = findRosterEmployee(ssDb, String(employeeId).trim().toLowerCase(), ctx, workspaceId);
+  if (!found) throw new Error(`Employee "${employeeId}" not found on any active roster.`);
+
+  const meta = { obj: dt, str: formatDate(dt), day: getDayName(dt) };
+  const candidates = listEmployeeRules(ssDb.readTable(CONFIG.tabs.rules.name), found.emp);
+  const exp = buildDayExplanation(found.emp, meta, ctx, candidates);
+  exp.workspace = found.workspace;
+  exp.lock = getLockReason(ctx, found.workspace, meta.str) || "";
+  exp.employment = getEmploymentGap(found.emp, meta.str) || "";
+  return exp;
+}
+
+/**
+ * Finds an employee's roster row and builds the Employee object.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} empId - Lowercase employee ID
+ * @param {EngineContext} ctx - Engine context
+ * @param {string} [workspaceId] - Only search this workspace
+ * @returns {{emp: Employee, workspace: string}|null}
+ */
+function findRosterEmployee(ssDb, empId, ctx, workspaceId) {
+  const ids = workspaceId ? [String(workspaceId).trim()] : getActiveWorkspaces(ssDb);
+  for (const id of ids) {
+    let ws;
+    try { ws = getStorage().openWorkspace(id); } catch (_) { continue; }
+    for (const t of CONFIG.roster.tabs) {
+      const data = ws.readTable(t);
+      if (!data) continue;
+      let idx;
+      try { idx = mapRosterColumns(data[CONFIG.roster.rows.header - 1] || []); } catch (_) { continue; }
+      const row = data.slice(CONFIG.roster.rows.data - 1)
+        .find(r => r[idx.emp] && String(r[idx.emp]).trim().toLowerCase() === empId);
+      if (row) return { emp: buildEmployee(row, idx, ctx, getWorkspaceCalendar(ctx, id), id), workspace: id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Lists every rule of one employee from the Rules sheet, including the rules
+ * of their groups (team, skill, department, workspace, all) and rules that
+ * parseRules() drops (not approved, invalid Start_Date or Frequency).
+ * Valid approved rules come first, in resolver order.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Rules sheet (header first)
+ * @param {Employee} emp - Employee
+ * @returns {Array<{status: string, approved: boolean, error: string, rule: (Rule|null), id: string}>}
+ */
+function listEmployeeRules(d, emp) {
+  if (!d || !d.length) return [];
+  const h = mapHeaders(d[0]);
+  const idCol = h.get(CONFIG.tabs.rules.h.id.toLowerCase());
+  const keys = employeeRuleKeys(emp);
+  const all = [];
+  for (let i = 1; i < d.length; i++) {
+    const parsed = parseRuleRow(d[i], h);
+    if (!keys.includes(parsed.key)) continue;
+    parsed.id = String(d[i][idCol] || `row ${i + 1}`);
+    all.push(parsed);
+  }
+  const valid = all.filter(p => p.approved && p.rule).sort((a, b) => compareRules(a.rule, b.rule));
+  return valid.concat(all.filter(p => !(p.approved && p.rule)));
+}
+
+/**
+ * Builds the explanation of one employee-day from an already loaded context.
+ *
+ * @param {Employee} emp - Employee
+ * @param {DayMeta} meta - Date metadata
+ * @param {EngineContext} ctx - Engine context
+ * @param {Array<{status: string, approved: boolean, error: string, rule: (Rule|null), id: string}>} candidates - From listEmployeeRules()
+ * @returns {DayExplanation}
+ */
+function buildDayExplanation(emp, meta, ctx, candidates) {
+  const rules = candidates.filter(p => p.approved && p.rule).map(p => p.rule);
+  const res = resolveEmployeeDay(emp, meta, ctx, rules);
+  const C = DAILY_STATUS_COLS;
+  const key = `${emp.id}|${meta.str}`;
+  const base = resolveBaseSchedule(emp, meta);
+
+  // --- Rule passes (same filter and winner selection as the resolver) ---
+  const active = rules.filter(r => !getRuleFilterReason(r, meta));
+  const winningWO = findWinningRule(active, 'DAY_PATTERN');
+  const winningSHIFT = findWinningRule(active, 'SHIFT_OVERRIDE');
+  const flags = res.matrixKey ? res.matrixKey.split('|') : [];
+  const isWorkDay = flags.length ? (flags[1] === 'NONE' ? flags[0] === 'WORK' : flags[1] === 'WORK') : false;
+
+  const ruleEvidence = candidates.map(p => {
+    const r = p.rule || {};
+    const ev = {
+      id: p.id, type: r.type || "", target: p.scope === 'EMPLOYEE' ? "" : (p.scope === 'ALL' ? 'ALL' : `${p.scope}:${p.group}`),
+      prio: r.prio || 0, freq: r.freq || "",
+      range: p.rule ? `${r.start} → ${r.end}` : "", status: p.status, outcome: "", reason: ""
+    };
+    if (!p.rule) return Object.assign(ev, { outcome: 'INVALID', reason: p.error });
+    if (!p.approved) return Object.assign(ev, { outcome: 'NOT_APPROVED', reason: `Approval_Status is "${p.status || '(blank)'}"` });
+    const filtered = getRuleFilterReason(p.rule, meta);
+    if (filtered) return Object.assign(ev, { outcome: 'FILTERED', reason: filtered });
+    if (!base) return Object.assign(ev, { outcome: 'NOT_EVALUATED', reason: "Base schedule could not be resolved" });
+    if (r.type !== 'DAY_PATTERN' && r.type !== 'SHIFT_OVERRIDE') {
+      return Object.assign(ev, { outcome: 'NOT_EVALUATED', reason: `Unknown Rule_Type "${r.type}"` });
+    }
+    if (r.type === 'SHIFT_OVERRIDE' && !isWorkDay) {
+      return Object.assign(ev, { outcome: 'SKIPPED', reason: "Day is OFF after the DAY_PATTERN pass; SHIFT_OVERRIDE only applies to work days" });
+    }
+    const winner = r.type === 'DAY_PATTERN' ? winningWO : winningSHIFT;
+    if (winner === p.rule) return Object.assign(ev, { outcome: 'WINNER', reason: describeRuleWin(active, r.type, winner) });
+    let lost = r.prio === winner.prio ? `Lost tie-break to ${winner.id} (higher Rule_ID wins)` : `Lower priority than ${winner.id} (P${winner.prio})`;
+    if (ruleSpecificity(r) !== ruleSpecificity(winner)) lost = `Less specific target than ${winner.id} (${winner.scope || 'EMPLOYEE'})`;
+    return Object.assign(ev, { outcome: 'LOST', reason: lost });
+  });
+
+  let woEffect = "";
+  if (winningWO.id) {
+    const isRuleOff = meta.day === normalizeDay(winningWO.wo1) || meta.day === normalizeDay(winningWO.wo2);
+    woEffect = isRuleOff ? `${meta.day} is an off day of the rule → OFF` : `${meta.day} is a work day of the rule → WORK`;
+  }
+  let shiftEffect = "";
+  if (winningSHIFT.id && isWorkDay) {
+    const sShift = String(winningSHIFT.shift || "").toUpperCase().trim();
+    shiftEffect = sShift !== 'OFF' && sShift !== '' ? `Shift → ${winningSHIFT.shift}` : "Blank/OFF shift value: falls back to the base shift";
+  }
+
+  // --- Decision matrix bucket ---
+  const bucket = res.matrixKey ? (ctx.matrixIndex.get(res.matrixKey) || []) : [];
+  let matched = false;
+  const matrixRows = bucket.map(row => {
+    const out = {
+      base: row.base, rule: row.rule, ph: row.ph, req: row.req,
+      finalStatus: row.finalStatus, action: row.action, reason: row.reason, result: "", detail: ""
+    };
+    if (matched) return Object.assign(out, { result: 'NOT_REACHED', detail: "An earlier row already matched" });
+    const fields = [['Base_Schedule', row.base, flags[0]], ['Rule_Impact', row.rule, flags[1]], ['Holiday_Flag', row.ph, flags[2]], ['Request_Type', row.req, flags[3]]];
+    const misses = fields.filter(f => !checkMatch(f[1], f[2])).map(f => `${f[0]} ${f[1]} ≠ ${f[2]}`);
+    if (misses.length) return Object.assign(out, { result: 'NO_MATCH', detail: misses.join(', ') });
+    matched = true;
+    return Object.assign(out, { result: 'MATCH', detail: "First matching row" });
+  });
+
+  // --- Ledger action ---
+  const led = ctx.ledger.get(key);
+  const ent = parseEntitlementAction(res.entitlementAction);
+  const ledgerDetail = {
+    GRANT: led ? `Entitlement already in the ledger (${led.status || 'Active'}): not granted again` : `New ${ent.type} entitlement will be granted for this date`,
+    REVOKE: res.finalStatus === 'COMP_DAY'
+      ? "Oldest active entitlement valid on this date will be consumed (FIFO)"
+      : `Active entitlement for this date will be revoked (status now ${res.finalStatus})`
+  }[ent.action] || "No ledger change";
+
+  return {
+    employee: emp.display,
+    date: meta.str,
+    day: meta.day,
+    workspace: "",
+    lock: "",
+    base: {
+      defaultShift: String(emp.baseShift || ""),
+      offDays: [emp.wo1, emp.wo2].filter(String).join(', '),
+      rotation: emp.rotationId ? `${emp.rotationId}${base && base.slot !== undefined ? ` S${base.slot + 1}/${emp.rotation.cycle}` : ' (unknown)'}` : "",
+      status: base ? (base.isWork ? 'WORK' : 'OFF') : 'ERROR',
+      shift: base ? (base.isWork ? base.shift : 'OFF') : ""
+    },
+    rules: ruleEvidence,
+    dayPattern: { winner: winningWO.id || "", tieBreak: describeRuleWin(active, 'DAY_PATTERN', winningWO), effect: woEffect },
+    shiftOverride: {
+      winner: isWorkDay ? (winningSHIFT.id || "") : "",
+      tieBreak: isWorkDay ? describeRuleWin(active, 'SHIFT_OVERRIDE', winningSHIFT) : "Skipped: day is OFF",
+      effect: shiftEffect
+    },
+    inputs: {
+      holiday: res.holiday && res.holiday.type !== 'OPTIONAL' ? 'TRUE' : 'FALSE',
+      holidayDetail: res.holiday
+        ? `${res.holiday.name || res.holiday.date} (${res.holiday.type}, ${res.holiday.calendar ? `calendar ${res.holiday.calendar}` : 'all calendars'})`
+        : `No holiday in ${emp.calendar ? `calendar ${emp.calendar}` : 'the shared calendar'}`,
+      leave: describeLeave(ctx.leaves.get(key)),
+      entitlement: led ? String(led.status || 'ACTIVE') : 'NONE'
+    },
+    matrix: { key: res.matrixKey || "", matched: matched, rows: matrixRows },
+    result: {
+      finalStatus: res.row[C.final],
+      finalShift: res.row[C.shift],
+      finalVal: res.row[C.val],
+      workedHours: res.row[C.hours],
+      reason: res.row[C.reason],
+      trace: res.row[C.note]
+    },
+    ledger: { action: res.entitlementAction, detail: ledgerDetail }
+  };
+}
+
+/**
+ * Describes how findWinningRule() picked the winner of one rule type.
+ *
+ * @param {Array<Rule>} active - Active rules of the day
+ * @param {string} type - DAY_PATTERN | SHIFT_OVERRIDE
+ * @param {Rule} winner - Result of findWinningRule()
+ * @returns {string}
+ */
+function describeRuleWin(active, type, winner) {
+  const pool = active.filter(r => r.type === type);
+  if (!winner.id) return "No active rule";
+  if (pool.length === 1) return "Only active rule";
+  // Only rules with the winner's target specificity compete on priority
+  const peers = pool.filter(r => ruleSpecificity(r) === ruleSpecificity(winner));
+  const scope = peers.length < pool.length ? ` with the most specific target (${winner.scope || 'EMPLOYEE'})` : "";
+  if (peers.length === 1) return `Most specific target (${winner.scope || 'EMPLOYEE'}) of ${pool.length} active rules`;
+  const tied = peers.filter(r => r.prio === winner.prio);
+  if (tied.length === 1) return `Highest priority (P${winner.prio}) of ${peers.length} active rules${scope}`;
+  return `Tie at P${winner.prio} between ${tied.map(r => r.id).join(', ')}${scope}: highest Rule_ID wins`;
+}
+
+/**
+ * Renders an explanation as rows for the Conflict_Investigator sheet
+ * (Section | Item | Detail | Outcome).
+ *
+ * @param {DayExplanation} exp - The explanation
+ * @returns {Array<Array<*>>}
+ */
+function renderExplanation(exp) {
+  const rows = [
+    ['EMPLOYEE', exp.employee, `${exp.date} (${exp.day})`, exp.workspace],
+    ['LOCK', exp.lock ? 'Locked' : 'Open', exp.lock, exp.lock ? 'Previous output is kept; ledger actions are suppressed' : ''],
+    ['BASE', 'Default Shift', exp.base.defaultShift, ''],
+    ['BASE', 'Off Days', exp.base.offDays, ''],
+    ['BASE', 'Rotation', exp.base.rotation, ''],
+    ['BASE', 'Base State', exp.base.status === 'WORK' ? `WORK ${exp.base.shift}` : exp.base.status, '']
+  ];
+  if (exp.employment) rows.splice(2, 0, ['EMPLOYMENT', 'Not employed', exp.employment, 'The day is not resolved: no output row']);
+  if (!exp.rules.length) rows.push(['RULE', '(none)', 'No rules for this employee', '']);
+  exp.rules.forEach(r => rows.push([
+    'RULE', r.id, `${r.type} ${r.target} P${r.prio} ${r.freq} ${r.range} [${r.status}]`.replace(/\s+/g, ' ').trim(), `${r.outcome}: ${r.reason}`
+  ]));
+  rows.push(['DAY_PATTERN', exp.dayPattern.winner || '—', exp.dayPattern.tieBreak, exp.dayPattern.effect]);
+  rows.push(['SHIFT_OVERRIDE', exp.shiftOverride.winner || '—', exp.shiftOverride.tieBreak, exp.shiftOverride.effect]);
+  rows.push(['INPUT', 'Holiday', exp.inputs.holiday, exp.inputs.holidayDetail]);
+  rows.push(['INPUT', 'Leave', exp.inputs.leave, '']);
+  rows.push(['INPUT', 'Entitlement', exp.inputs.entitlement, '']);
+  rows.push(['MATRIX', 'Key', exp.matrix.key || '—', exp.matrix.matched ? 'Match found' : 'No match → Missing Logic']);
+  exp.matrix.rows.forEach((m, i) => rows.push([
+    'MATRIX', `#${i + 1} ${m.base}|${m.rule}|${m.ph}|${m.req}`, `${m.finalStatus} / ${m.action}: ${m.reason}`, `${m.result}: ${m.detail}`
+  ]));
+  rows.push(['RESULT', 'Final Status', exp.result.finalStatus, exp.result.reason]);
+  rows.push(['RESULT', 'Final Shift', exp.result.finalShift, `Final_Val ${exp.result.finalVal}, Worked_Hours ${exp.result.workedHours}`]);
+  rows.push(['RESULT', 'Trace', exp.result.trace, '']);
+  rows.push(['LEDGER', exp.ledger.action, exp.ledger.detail, '']);
+  return rows;
+}
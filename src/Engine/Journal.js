@@ -0,0 +1,207 @@
+/**
+ * Ledger Journal Module
+ * ---------------------
+ * Append-only history of every change the engine makes to the Entitlement_Ledger.
+ *
+ * The ledger itself only holds the current state: revocations overwrite
+ * Activation_Status and System_Note in place. Every ledger writer therefore
+ * records one Ledger_Journal row per touched ledger row, with the Run ID, the
+ * action (GRANT, REVOKE, CONSUME, CONSUME_PARTIAL, EXPIRE), the state before and
+ * after the change (JSON of the state columns) and the cause (matrix reason and
+ * rule IDs). A blank Before means the run added the row.
+ *
+ * reverseRun() uses the journal to restore the ledger to its state before a
+ * run: added rows are removed and changed rows get their Before state back.
+ * Runs are reversed newest first, so row numbers recorded in the journal stay valid.
+ * It also clears the Input_Fingerprints of the active workspaces: they were
+ * taken from the ledger the reversal restores, so a delta run would keep the
+ * days of the reversed run as they stand instead of resolving them again.
+ *
+ * @file Journal.js
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {string} runId - Run that made the change
+ * @property {string} action - GRANT | REVOKE | CONSUME | CONSUME_PARTIAL | EXPIRE | REVERSE
+ * @property {number} row - Ledger row number (1-based, header = 1)
+ * @property {Object<string, *>|null} before - State columns before the change (null = row added)
+ * @property {Object<string, *>} after - State columns after the change
+ * @property {string} cause - Why the change was made
+ */
+
+/**
+ * Ledger columns whose values the journal records (readLedger() index keys).
+ */
+const JOURNAL_STATE_KEYS = ['act', 'snap', 'note', 'used', 'amount'];
+
+/**
+ * Captures the state columns of a ledger row, keyed by header name.
+ *
+ * @param {{data: Array<Array<*>>, idx: Object}} ledger - From readLedger()
+ * @param {Array<*>} row - Ledger row values
+ * @returns {Object<string, *>}
+ */
+function captureLedgerState(ledger, row) {
+  const state = {};
+  JOURNAL_STATE_KEYS.forEach(k => {
+    const col = ledger.idx[k];
+    if (col === undefined) return;
+    const v = row[col];
+    state[String(ledger.data[0][col]).trim()] = v instanceof Date ? formatDate(v) : (v === undefined ? "" : v);
+  });
+  return state;
+}
+
+/**
+ * Appends the journal rows of one ledger write.
+ * Call before the ledger data is modified: states are read from ledger.data.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Run making the change
+ * @param {{data: Array<Array<*>>, idx: Object}} ledger - From readLedger(), before the write
+ * @param {Array<LedgerChange>} changes - Row updates (with action and cause)
+ * @param {Array<{values: Array<*>, action: string, cause: string}>} [added=[]] - Rows appended after the existing ones, in order
+ * @returns {number} Journal rows written
+ */
+function journalLedgerWrite(ssDb, runId, ledger, changes, added = []) {
+  const now = new Date();
+  const current = new Map();
+  const rows = [];
+  const entry = (values, index, action, before, after, cause) => {
+    const dt = parseSafeDate(values[ledger.idx.date]);
+    rows.push([
+      runId, now, values[ledger.idx.employee], dt ? formatDate(dt) : "",
+      ledger.idx.type !== undefined ? values[ledger.idx.type] : "",
+      action, index + 1, before ? JSON.stringify(before) : "", JSON.stringify(after), cause || ""
+    ]);
+  };
+
+  changes.forEach(ch => {
+    const prev = current.get(ch.row) || ledger.data[ch.row]; // A row may change twice in one write
+    const values = prev.slice();
+    JOURNAL_STATE_KEYS.forEach(k => { if (ch[k] !== undefined && ledger.idx[k] !== undefined) values[ledger.idx[k]] = ch[k]; });
+    current.set(ch.row, values);
+    entry(values, ch.row, ch.action, captureLedgerState(ledger, prev), captureLedgerState(ledger, values), ch.cause);
+  });
+  added.forEach((a, i) => entry(a.values, ledger.data.length + i, a.action, null, captureLedgerState(ledger, a.values), a.cause));
+
+  if (rows.length) ssDb.appendRows(CONFIG.tabs.journal.name, rows, Object.values(CONFIG.tabs.journal.h));
+  return rows.length;
+}
+
+/**
+ * Reads the Ledger_Journal sheet.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {Array<JournalEntry>} Entries in journal order (empty if the sheet is missing)
+ */
+function readJournal(ssDb) {
+  const d = ssDb.readTable(CONFIG.tabs.journal.name);
+  if (!d || d.length < 2) return [];
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.journal.h;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  const parse = v => { try { return v ? JSON.parse(String(v)) : null; } catch (_) { return null; } };
+  return d.slice(1).map(r => ({
+    runId: String(get(r, c.runId)).trim(),
+    action: String(get(r, c.action)).trim().toUpperCase(),
+    row: Number(get(r, c.row)),
+    before: parse(get(r, c.before)),
+    after: parse(get(r, c.after)) || {},
+    cause: String(get(r, c.cause) || "")
+  })).filter(e => e.runId && e.row > 1);
+}
+
+/**
+ * Lists the runs that can still be reversed, oldest first (ordered by their last journal entry).
+ *
+ * @param {Array<JournalEntry>} entries - From readJournal()
+ * @returns {Array<string>} Run IDs
+ */
+function listReversibleRuns(entries) {
+  const reversed = new Set(entries.filter(e => e.action === 'REVERSE').map(e => e.runId));
+  const last = new Map();
+  entries.forEach((e, i) => { if (!reversed.has(e.runId)) last.set(e.runId, i); });
+  return Array.from(last.keys()).sort((a, b) => last.get(a) - last.get(b));
+}
+
+/**
+ * Restores the Entitlement_Ledger to its state before a run.
+ *
+ * Rows the run added are removed, rows it changed get their Before state back
+ * (newest change first). Each undone change is journaled as REVERSE under the
+ * reversed Run ID, and Entitlement_Balances is regenerated. Only the most recent
+ * run that has not been reversed can be reversed. Daily_Workforce_Status is not
+ * touched: the Input_Fingerprints of every active workspace are cleared, so the
+ * next engine run rebuilds it in full (the journal does not record which
+ * workspace a ledger change came from). In dry run nothing is written.
+ *
+ * @param {string} runId - Run ID to reverse
+ * @returns {{runId: string, restored: number, removed: number, rebuild: number}} Rows restored / removed,
+ *   workspaces whose next run is a full rebuild
+ * @throws {Error} If the run has no journal entries, was already reversed, is still in progress or is not the latest run
+ */
+function reverseRun(runId) {
+  const id = String(runId || "").trim();
+  const ssDb = getStorage().openDatabase();
+  const entries = readJournal(ssDb);
+  const own = entries.filter(e => e.runId === id);
+  if (!own.length) throw new Error(`Run "${id}" has no entries in ${CONFIG.tabs.journal.name}.`);
+  if (own.some(e => e.action === 'REVERSE')) throw new Error(`Run "${id}" has already been reversed.`);
+  const checkpoint = loadCheckpoint(ssDb);
+  if (checkpoint && checkpoint.runId === id) throw new Error(`Run "${id}" is still in progress (${CONFIG.tabs.checkpoint.name}).`);
+  const runs = listReversibleRuns(entries);
+  const latest = runs[runs.length - 1];
+  if (latest !== id) throw new Error(`Run "${id}" is followed by run "${latest}": reverse that run first.`);
+
+  const ledger = readLedger(ssDb, parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name)));
+  if (!ledger) throw new Error(`${CONFIG.tabs.ledger.name} is missing or has no usable header.`);
+  const data = ledger.data.map(r => r.slice());
+  const h = mapHeaders(data[0]);
+  const removed = new Set();
+  let restored = 0;
+  own.slice().reverse().forEach(e => {
+    const i = e.row - 1;
+    if (!data[i]) return;
+    if (!e.before) {
+      removed.add(i);
+      return;
+    }
+    Object.keys(e.before).forEach(name => {
+      if (h.has(name.toLowerCase())) data[i][h.get(name.toLowerCase())] = e.before[name];
+    });
+    restored++;
+  });
+
+  const summary = { runId: id, restored: restored, removed: removed.size, rebuild: 0 };
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping reverseRun()");
+    return summary;
+  }
+
+  const now = new Date(), c = CONFIG.tabs.ledger.h;
+  const journal = own.slice().reverse().filter(e => ledger.data[e.row - 1]).map(e => {
+    const r = ledger.data[e.row - 1];
+    const dt = parseSafeDate(r[h.get(c.entitlementDate.toLowerCase())]);
+    return [
+      id, now, r[h.get(c.employee.toLowerCase())], dt ? formatDate(dt) : "",
+      h.has(c.entitlement.toLowerCase()) ? r[h.get(c.entitlement.toLowerCase())] : "",
+      'REVERSE', e.row, JSON.stringify(e.after), e.before ? JSON.stringify(e.before) : "", `Reversal of ${e.action}`
+    ];
+  });
+  ssDb.writeTable(CONFIG.tabs.ledger.name, data[0], data.slice(1).filter((_, i) => !removed.has(i + 1)));
+  ssDb.appendRows(CONFIG.tabs.journal.name, journal, Object.values(CONFIG.tabs.journal.h));
+  getStorage().flush();
+  writeEntitlementBalances(ssDb, formatDate(now));
+  getActiveWorkspaces(ssDb, id).forEach(wsId => {
+    try {
+      if (clearFingerprints(getStorage().openWorkspace(wsId))) summary.rebuild++;
+    } catch (e) {
+      logWarn(ssDb, id, `Could not clear ${CONFIG.tabs.fingerprints.name}: ${e.message}. Run runFullRebuild.`, wsId);
+    }
+  });
+  getStorage().flush();
+  logInfo(ssDb, id, "Run reversed", `${restored} ledger row(s) restored, ${removed.size} removed, ${summary.rebuild} workspace(s) to rebuild`);
+  flushLogs(ssDb);
+  return summary;
+}
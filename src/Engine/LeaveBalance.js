@@ -0,0 +1,260 @@
+/**
+ * Leave Balance Module
+ * --------------------
+ * Counts the leave employees actually take and keeps a balance per leave type.
+ *
+ * Leave_Policies defines, per Leave_Type, the Annual_Allowance (credited on
+ * 1 January), a Monthly_Accrual (credited on the 1st of every month), the
+ * Carry_Over_Cap (unused days carried into the next year; blank = none) and
+ * whether leave on off days (Count_Weekends) or holidays (Count_Holidays) is
+ * deducted. Types without a policy are not tracked.
+ *
+ * Usage is taken from the resolved Daily_Workforce_Status rows (after locks):
+ * a day whose Final_Status is a tracked type counts 1, or 0.5 for half-day
+ * leave. Every workspace replaces its employee-days in the central Leave_Taken
+ * sheet, so moving roster windows keep earlier months. Each Leave_Taken row
+ * carries the balance left after it; a negative balance means the leave was
+ * taken without enough allowance, and is flagged. Leave_Balances is regenerated
+ * from Leave_Taken at the end of every run.
+ *
+ * @file LeaveBalance.js
+ */
+
+/**
+ * @typedef {Object} LeavePolicy
+ * @property {string} type - Leave type (uppercase)
+ * @property {number} allowance - Days credited on 1 January
+ * @property {number} accrual - Days credited on the 1st of every month
+ * @property {number} carryCap - Unused days carried into the next year (0 = none)
+ * @property {boolean} countWeekends - Leave on an off day is deducted
+ * @property {boolean} countHolidays - Leave on a holiday is deducted
+ */
+
+/**
+ * @typedef {Object} LeaveUsage
+ * @property {string} employee - Employee ID (display form)
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} type - Leave type (uppercase)
+ * @property {number} days - 1 or 0.5
+ * @property {string} [workspace] - Workspace file ID
+ * @property {string} [runId] - Run that recorded the day
+ */
+
+/**
+ * @typedef {Object} LeaveBalance
+ * @property {string} employee - Employee ID (display form)
+ * @property {string} type - Leave type
+ * @property {number} year - Leave year
+ * @property {number} carried - Carried over from the previous year
+ * @property {number} allowance - Annual allowance
+ * @property {number} accrued - Monthly accrual credited so far in the year
+ * @property {number} taken - Days taken in the year
+ * @property {number} balance - carried + allowance + accrued - taken
+ * @property {string} status - OK | NEGATIVE (the balance went below 0 during the year)
+ */
+
+/**
+ * Reads a yes/no policy cell.
+ *
+ * @param {*} v - Cell value
+ * @returns {boolean}
+ */
+function parsePolicyFlag(v) {
+  return v === true || ['TRUE', 'YES', 'Y', '1'].includes(String(v || "").trim().toUpperCase());
+}
+
+/**
+ * Parses the Leave_Policies sheet.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Leave_Policies sheet (header first)
+ * @returns {Map<string, LeavePolicy>} Policies by uppercase leave type
+ */
+function parseLeavePolicies(d) {
+  const m = new Map();
+  if (!d || d.length < 2) return m;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.leavePolicies.h, o = CONFIG.tabs.leavePolicies.optional;
+  if (!h.has(c.type.toLowerCase())) return m;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  const num = v => Math.max(0, Number(v) || 0);
+  for (let i = 1; i < d.length; i++) {
+    const type = String(get(d[i], c.type) || "").trim().toUpperCase();
+    if (!type) continue;
+    m.set(type, {
+      type: type,
+      allowance: num(get(d[i], c.allowance)),
+      accrual: num(get(d[i], o.accrual)),
+      carryCap: num(get(d[i], o.carryCap)),
+      countWeekends: parsePolicyFlag(get(d[i], o.weekends)),
+      countHolidays: parsePolicyFlag(get(d[i], o.holidays))
+    });
+  }
+  return m;
+}
+
+/**
+ * Counts the tracked leave in resolved rows.
+ *
+ * @param {Array<Array<*>>} rows - Daily_Workforce_Status rows (no header)
+ * @param {Map<string, LeavePolicy>} policies - From parseLeavePolicies()
+ * @returns {Array<LeaveUsage>} One entry per employee-day of tracked leave
+ */
+function countLeaveTaken(rows, policies) {
+  const C = DAILY_STATUS_COLS;
+  const usage = [];
+  rows.forEach(r => {
+    const policy = policies.get(String(r[C.final]).trim().toUpperCase());
+    if (!policy) return;
+    if (!policy.countWeekends && String(r[C.ruleShift]).toUpperCase() === 'OFF') return;
+    if (!policy.countHolidays && String(r[C.ph]).toUpperCase() === 'TRUE') return;
+    usage.push({
+      employee: String(r[C.employee]), date: String(r[C.key]).split('|').pop(), type: policy.type,
+      days: isHalfDayLeaveRow(r) ? 0.5 : 1
+    });
+  });
+  return usage;
+}
+
+/**
+ * Tells whether a resolved leave row takes half a day: its Final_Val is above zero
+ * but below the day value of the shift it replaces (the worked half of a half-day
+ * leave, or a half-day COMP_DAY).
+ *
+ * @param {Array<*>} row - Daily_Workforce_Status row
+ * @returns {boolean}
+ */
+function isHalfDayLeaveRow(row) {
+  const C = DAILY_STATUS_COLS;
+  const val = Number(row[C.val]) || 0;
+  return val > 0 && val < getShiftDayValue(String(row[C.ruleShift]).trim().toUpperCase());
+}
+
+/**
+ * Computes balances per employee, leave type and year.
+ * A year's closing balance (full-year accrual) is carried into the next year up to the cap.
+ *
+ * @param {Array<LeaveUsage>} usage - Leave taken (any order)
+ * @param {Map<string, LeavePolicy>} policies - From parseLeavePolicies()
+ * @param {string} todayStr - Today YYYY-MM-DD (accrual is credited up to this month)
+ * @returns {{balances: Array<LeaveBalance>, after: Array<number>}} Balances by employee, type and year;
+ *   the balance left after each usage entry (same order as usage)
+ */
+function computeLeaveBalances(usage, policies, todayStr) {
+  const groups = new Map();
+  usage.forEach((u, i) => {
+    if (!policies.has(u.type)) return;
+    const k = `${u.employee.toLowerCase()}|${u.type}`;
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(i);
+  });
+
+  const balances = [], after = usage.map(() => 0);
+  const thisYear = Number(todayStr.slice(0, 4)), thisMonth = Number(todayStr.slice(5, 7));
+  groups.forEach(list => {
+    list.sort((a, b) => usage[a].date.localeCompare(usage[b].date) || a - b);
+    const p = policies.get(usage[list[0]].type);
+    const first = Number(usage[list[0]].date.slice(0, 4));
+    const last = Math.max(Number(usage[list[list.length - 1]].date.slice(0, 4)), first);
+    let carried = 0;
+    for (let year = first; year <= last; year++) {
+      const days = list.filter(i => Number(usage[i].date.slice(0, 4)) === year);
+      let taken = 0, negative = false;
+      days.forEach(i => {
+        taken += usage[i].days;
+        after[i] = roundAmount(carried + p.allowance + p.accrual * Number(usage[i].date.slice(5, 7)) - taken);
+        if (after[i] < 0) negative = true;
+      });
+      const months = year < thisYear ? 12 : (year === thisYear ? thisMonth : 0);
+      const balance = carried + p.allowance + p.accrual * months - taken;
+      balances.push({
+        employee: usage[list[0]].employee, type: p.type, year: year, carried: roundAmount(carried),
+        allowance: p.allowance, accrued: roundAmount(p.accrual * months), taken: roundAmount(taken),
+        balance: roundAmount(balance), status: negative || balance < 0 ? 'NEGATIVE' : 'OK'
+      });
+      carried = Math.min(p.carryCap, Math.max(0, carried + p.allowance + p.accrual * 12 - taken));
+    }
+  });
+  balances.sort((a, b) => a.employee.localeCompare(b.employee) || a.type.localeCompare(b.type) || a.year - b.year);
+  return { balances: balances, after: after };
+}
+
+/**
+ * Reads the Leave_Taken sheet.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {Array<LeaveUsage>} Recorded leave days
+ */
+function readLeaveTaken(ssDb) {
+  const d = ssDb.readTable(CONFIG.tabs.leaveTaken.name);
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), cols = CONFIG.tabs.leaveTaken.h;
+  const get = (r, i) => h.has(cols[i].toLowerCase()) ? r[h.get(cols[i].toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const dt = parseSafeDate(get(d[i], 1));
+    if (!dt || !get(d[i], 0)) continue;
+    list.push({
+      employee: String(get(d[i], 0)).trim(), date: formatDate(dt), type: String(get(d[i], 2)).trim().toUpperCase(),
+      days: Number(get(d[i], 3)) || 0, workspace: String(get(d[i], 5) || ""), runId: String(get(d[i], 6) || "")
+    });
+  }
+  return list;
+}
+
+/**
+ * Replaces a workspace's employee-days in Leave_Taken with the leave its
+ * resolved rows take, and recomputes the balance after every recorded day.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (recorded per row)
+ * @param {string} schedId - Workspace file ID (recorded per row)
+ * @param {Array<Array<*>>} rows - The workspace's Daily_Workforce_Status rows (after locks)
+ * @returns {{taken: number, negative: Array<LeaveUsage>}} Days recorded, and those that left a negative balance
+ */
+function updateLeaveTaken(ssDb, runId, schedId, rows) {
+  const summary = { taken: 0, negative: [] };
+  const policies = parseLeavePolicies(ssDb.readTable(CONFIG.tabs.leavePolicies.name));
+  if (!policies.size || !rows.length) return summary;
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping updateLeaveTaken()");
+    return summary;
+  }
+
+  const keys = new Set(rows.map(r => String(r[DAILY_STATUS_COLS.key]).toLowerCase()));
+  const fresh = countLeaveTaken(rows, policies).map(u => Object.assign(u, { workspace: schedId, runId: runId }));
+  const all = readLeaveTaken(ssDb).filter(u => !keys.has(`${u.employee.toLowerCase()}|${u.date}`)).concat(fresh);
+  all.sort((a, b) => a.employee.localeCompare(b.employee) || a.date.localeCompare(b.date));
+  const after = computeLeaveBalances(all, policies, formatDate(new Date())).after;
+  ssDb.writeTable(CONFIG.tabs.leaveTaken.name, CONFIG.tabs.leaveTaken.h,
+    all.map((u, i) => [u.employee, u.date, u.type, u.days, after[i], u.workspace, u.runId]));
+  getStorage().flush();
+
+  summary.taken = fresh.length;
+  const recorded = new Set(fresh);
+  all.forEach((u, i) => {
+    if (recorded.has(u) && after[i] < 0) summary.negative.push(Object.assign({ balance: after[i] }, u));
+  });
+  return summary;
+}
+
+/**
+ * Regenerates the Leave_Balances view from Leave_Taken.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {number} Balance rows written
+ */
+function writeLeaveBalances(ssDb, todayStr) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeLeaveBalances()");
+    return 0;
+  }
+
+  const policies = parseLeavePolicies(ssDb.readTable(CONFIG.tabs.leavePolicies.name));
+  if (!policies.size) return 0;
+  const now = new Date();
+  const rows = computeLeaveBalances(readLeaveTaken(ssDb), policies, todayStr).balances.map(b => [
+    b.employee, b.type, b.year, b.carried, b.allowance, b.accrued, b.taken, b.balance, b.status, now
+  ]);
+  ssDb.writeTable(CONFIG.tabs.leaveBalances.name, CONFIG.tabs.leaveBalances.h, rows);
+  return rows.length;
+}
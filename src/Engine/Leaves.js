@@ -0,0 +1,139 @@
+/**
+ * Leaves Module
+ * -------------
+ * Parses Leave_Data into the employee-days the resolver applies.
+ *
+ * A leave record covers Leave_Date to End_Date (blank = one day), for the
+ * whole day or one half (Portion AM / PM), and is only applied while its
+ * Approval_Status is APPROVED. Sheets without an Approval_Status column are
+ * read as approved, as before. PENDING, REJECTED and CANCELLED records are
+ * kept for reporting but never reach the resolver.
+ *
+ * Approved records that cover the same employee-day are overlaps: the first
+ * record in sheet order keeps the day, except that an AM and a PM half of the
+ * same leave type add up to a full day. Overlaps, and leave that falls on a
+ * holiday or off day, are reported by the integrity checks.
+ *
+ * @file Leaves.js
+ */
+
+/**
+ * @typedef {Object} LeaveRecord
+ * @property {number} row - Sheet row number (1-based, header = 1)
+ * @property {string} employee - Employee ID (lowercase, trimmed)
+ * @property {string} display - Employee ID as entered
+ * @property {string} start - First day YYYY-MM-DD
+ * @property {string} end - Last day YYYY-MM-DD
+ * @property {string} type - Leave_Type as entered (e.g. ANNUAL, COMP_DAY)
+ * @property {string} portion - FULL | AM | PM
+ * @property {string} status - APPROVED | PENDING | REJECTED | CANCELLED (uppercase, as entered otherwise)
+ */
+
+/**
+ * @typedef {Object} LeaveDay
+ * @property {string} type - Leave type
+ * @property {string} portion - FULL | AM | PM
+ * @property {Array<number>} rows - Sheet rows the day comes from
+ */
+
+/**
+ * @typedef {Object} LeaveOverlap
+ * @property {string} employee - Employee ID (lowercase)
+ * @property {string} date - YYYY-MM-DD
+ * @property {LeaveDay} kept - Leave applied on the day
+ * @property {LeaveRecord} dropped - Record that also covers the day
+ */
+
+/**
+ * Approval states of a leave record; only APPROVED is applied.
+ */
+const LEAVE_STATUSES = ['APPROVED', 'PENDING', 'REJECTED', 'CANCELLED'];
+
+/**
+ * Half-day portions of a leave record.
+ */
+const LEAVE_HALF_PORTIONS = ['AM', 'PM'];
+
+/**
+ * Parses the Leave_Data sheet into leave records (any approval status).
+ * Rows without an employee or a valid Leave_Date are skipped.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Leave_Data sheet (header first)
+ * @returns {Array<LeaveRecord>} Records in sheet order
+ */
+function parseLeaveRecords(d) {
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.leaves.h, o = CONFIG.tabs.leaves.optional;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  const hasStatus = h.has(o.status.toLowerCase());
+  for (let i = 1; i < d.length; i++) {
+    const emp = String(get(d[i], c.employee) || "").trim();
+    const start = parseSafeDate(get(d[i], c.date));
+    if (!emp || !start) continue;
+    const end = parseSafeDate(get(d[i], o.end));
+    const portion = String(get(d[i], o.portion) || "").trim().toUpperCase();
+    list.push({
+      row: i + 1,
+      employee: emp.toLowerCase(),
+      display: emp,
+      start: formatDate(start),
+      end: end ? formatDate(end) : formatDate(start),
+      type: String(get(d[i], c.cat) || "").trim(),
+      portion: LEAVE_HALF_PORTIONS.includes(portion) ? portion : 'FULL',
+      status: hasStatus ? String(get(d[i], o.status) || "").trim().toUpperCase() || 'PENDING' : 'APPROVED'
+    });
+  }
+  return list;
+}
+
+/**
+ * Expands approved leave records into employee-days.
+ * Records whose End_Date is before their Leave_Date cover no day.
+ *
+ * @param {Array<LeaveRecord>} records - From parseLeaveRecords()
+ * @returns {{days: Map<string, LeaveDay>, overlaps: Array<LeaveOverlap>}} Days by employee|date (lowercase ID)
+ */
+function buildLeaveDays(records) {
+  const days = new Map(), overlaps = [];
+  records.filter(r => r.status === 'APPROVED').forEach(r => {
+    for (let dt = r.start; dt <= r.end; dt = addDaysToKey(dt, 1)) {
+      const key = `${r.employee}|${dt}`;
+      const kept = days.get(key);
+      if (!kept) {
+        days.set(key, { type: r.type, portion: r.portion, rows: [r.row] });
+        continue;
+      }
+      // AM + PM of the same type is one full day; anything else is an overlap
+      const halves = [kept.portion, r.portion].sort().join('+') === 'AM+PM';
+      if (halves && kept.type.toUpperCase() === r.type.toUpperCase()) {
+        kept.portion = 'FULL';
+        kept.rows.push(r.row);
+      } else {
+        overlaps.push({ employee: r.employee, date: dt, kept: kept, dropped: r });
+      }
+    }
+  });
+  return { days: days, overlaps: overlaps };
+}
+
+/**
+ * Is a leave day a half day?
+ *
+ * @param {(LeaveDay|null|undefined)} leave - Leave of the day
+ * @returns {boolean}
+ */
+function isHalfDayLeave(leave) {
+  return !!leave && LEAVE_HALF_PORTIONS.includes(leave.portion);
+}
+
+/**
+ * Describes a leave day for reports, e.g. "ANNUAL (AM)".
+ *
+ * @param {(LeaveDay|null|undefined)} leave - Leave of the day
+ * @returns {string} "NONE" if there is no leave
+ */
+function describeLeave(leave) {
+  if (!leave) return 'NONE';
+  return isHalfDayLeave(leave) ? `${leave.type} (${leave.portion})` : String(leave.type);
+}
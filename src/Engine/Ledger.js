@@ -5,112 +5,539 @@
  *
  * Concepts:
  * - Grants: Adding a new entitlement record (e.g. working on a Public Holiday).
- * - Revocations: Marking an entitlement as CONSUMED or REVOKED.
+ *   The matrix action GRANT grants CONFIG.ledger.defaultType; GRANT:<TYPE> grants another type.
+ * - Types: Each Entitlement_Type has a validity period (Entitlement_Types sheet,
+ *   e.g. COMP_DAY valid for 90 days). The expiry date is stored on grant when
+ *   the ledger has an Expiry_Date column, and derived from the type otherwise.
+ * - Amounts: With an Amount column, entitlements are fractional, in the unit of
+ *   their type (DAYS or HOURS). The amount comes from the day's Final_Val (half
+ *   days earn 0.5) or the shift's paid hours (shift catalogue, Shifts.js).
+ * - Consumption: A COMP_DAY request consumes the oldest active, unexpired grants (FIFO).
+ *   A partly consumed grant keeps its remainder active; the consumed part is split
+ *   off into its own CONSUMED row.
+ * - Revocations: A schedule change revokes the grant of that exact date.
+ * - Reconciliation: Grants whose day no longer earns them are revoked, missing
+ *   grants are added (Reconcile.js).
+ * - Expiry: Active entitlements past their expiry date move to EXPIRED.
+ * - Balances: Per employee and type, written to Entitlement_Balances.
+ *
+ * Snapshot_Status states: GENERATED → CONSUMED | REVOKED | EXPIRED.
+ * Every change is recorded in the Ledger_Journal (Journal.js).
  *
  * @file Ledger.js
  */
 
 /**
- * Grants new entitlements to employees in the Central DB Ledger.
- * Adds rows with status "Active".
+ * @typedef {Object} EntitlementGrant
+ * @property {string} employee - Employee ID (display form)
+ * @property {Date} date - Date the entitlement was earned
+ * @property {string} [type] - Entitlement type (defaults to CONFIG.ledger.defaultType)
+ * @property {string} [shift] - Final_Shift worked (sizes an HOURS grant)
+ * @property {number} [value] - Final_Val of the day (sizes a DAYS grant, default 1)
+ * @property {number} [hours] - Worked_Hours of the day (sizes an HOURS grant)
+ * @property {string} [cause] - Matrix reason and rule IDs behind the grant (journaled)
+ */
+
+/**
+ * @typedef {Object} EntitlementRevocation
+ * @property {string} employee - Employee ID (display form)
+ * @property {string} dateStr - Day YYYY-MM-DD
+ * @property {string} reason - Final_Status of the day (COMP_DAY = consumption)
+ * @property {string} [shift] - Scheduled shift (sizes an HOURS consumption)
+ * @property {number} [value] - Final_Val of the day (sizes a DAYS consumption, default 1)
+ * @property {number} [hours] - Paid hours of the scheduled shift (sizes an HOURS consumption)
+ * @property {string} [cause] - Matrix reason and rule IDs behind the revocation (journaled)
+ */
+
+/**
+ * @typedef {Object} EntitlementType
+ * @property {number} validityDays - Validity in days (0 = never expires)
+ * @property {string} unit - DAYS | HOURS
+ */
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {number} row - Index in the ledger table (header = 0)
+ * @property {string} employee - Employee ID (lowercase)
+ * @property {string} date - Entitlement_Date YYYY-MM-DD
+ * @property {string} type - Entitlement_Type (uppercase)
+ * @property {string} unit - DAYS | HOURS
+ * @property {number} amount - Amount in the unit of the type (1 day / CONFIG.ledger.hoursPerDay if blank)
+ * @property {boolean} active - Activation_Status is not "Inactive"
+ * @property {string} snapshot - Snapshot_Status (uppercase, "" if blank)
+ * @property {string} used - Date_Used YYYY-MM-DD ("" if unused)
+ * @property {string} expiry - Last valid day YYYY-MM-DD ("" = never expires)
+ * @property {string} note - System_Note
+ */
+
+/**
+ * Splits a matrix Entitlement_Action into action and entitlement type.
+ * "GRANT:OT_CREDIT" → {action: "GRANT", type: "OT_CREDIT"}; a plain GRANT uses the default type.
+ *
+ * @param {string} value - Entitlement_Action value
+ * @returns {{action: string, type: string}}
+ */
+function parseEntitlementAction(value) {
+  const parts = String(value || "NONE").toUpperCase().split(':').map(s => s.trim());
+  return { action: parts[0], type: parts[1] || CONFIG.ledger.defaultType };
+}
+
+/**
+ * Parses the Entitlement_Types sheet.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database
- * @param {Array<{employee: string, date: Date}>} grants - List of grant objects
+ * @param {Array<Array<*>>|null} d - Rows of the Entitlement_Types sheet (header first)
+ * @returns {Map<string, EntitlementType>} Type (uppercase) -> validity and unit
+ */
+function parseEntitlementTypes(d) {
+  const m = new Map();
+  if (!d || d.length < 2) return m;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.entitlementTypes.h;
+  if (!h.has(c.type.toLowerCase())) return m;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const type = String(get(d[i], c.type) || "").trim().toUpperCase();
+    if (!type) continue;
+    const days = Number(get(d[i], c.validity));
+    const unit = String(get(d[i], CONFIG.tabs.entitlementTypes.optional.unit) || "").trim().toUpperCase();
+    m.set(type, {
+      validityDays: days > 0 ? Math.floor(days) : 0,
+      unit: unit === 'HOURS' || unit === 'DAYS' ? unit : CONFIG.ledger.defaultUnit
+    });
+  }
+  return m;
+}
+
+/**
+ * Returns the last valid day of an entitlement.
+ *
+ * @param {Map<string, EntitlementType>} types - From parseEntitlementTypes()
+ * @param {string} type - Entitlement type
+ * @param {string} dateStr - Entitlement_Date YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD, or "" if the type never expires
+ */
+function getEntitlementExpiry(types, type, dateStr) {
+  const key = String(type || "").toUpperCase();
+  const days = types.has(key) ? types.get(key).validityDays : CONFIG.ledger.defaultValidityDays;
+  return days > 0 ? addDaysToKey(dateStr, days) : "";
+}
+
+/**
+ * Returns the unit an entitlement type is accounted in.
+ *
+ * @param {Map<string, EntitlementType>} types - From parseEntitlementTypes()
+ * @param {string} type - Entitlement type
+ * @returns {string} DAYS | HOURS
+ */
+function getEntitlementUnit(types, type) {
+  const key = String(type || "").toUpperCase();
+  return types.has(key) ? types.get(key).unit : CONFIG.ledger.defaultUnit;
+}
+
+/**
+ * Sizes an entitlement for one day.
+ * DAYS: the day's Final_Val (0.5 for a half day). HOURS: the paid hours from the
+ * shift catalogue if known, else the duration of a time-range shift, else
+ * Final_Val × CONFIG.ledger.hoursPerDay (getWorkedHours()).
+ *
+ * @param {string} unit - DAYS | HOURS
+ * @param {string} [shift] - Shift of the day
+ * @param {number} [value] - Final_Val of the day (blank or 0 counts as a whole day)
+ * @param {number} [hours] - Paid hours of the shift (Shifts.js)
+ * @returns {number} Amount, rounded to 2 decimals
+ */
+function getEntitlementAmount(unit, shift, value, hours) {
+  const days = Number(value) > 0 ? Number(value) : 1;
+  if (unit !== 'HOURS') return roundAmount(days);
+  if (Number(hours) > 0) return roundAmount(Number(hours));
+  return getWorkedHours(null, shift, days);
+}
+
+/**
+ * Rounds an amount to 2 decimals (avoids float drift in partial balances).
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function roundAmount(n) {
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Reads the ledger table and parses its rows into entries.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {Map<string, EntitlementType>} types - From parseEntitlementTypes()
+ * @returns {{data: Array<Array<*>>, idx: Object<string, (number|undefined)>, entries: Array<LedgerEntry>}|null} null if the ledger is missing or unusable
+ */
+function readLedger(ssDb, types) {
+  const data = ssDb.readTable(CONFIG.tabs.ledger.name);
+  if (!data) return null;
+  const h = mapHeaders(data[0]), c = CONFIG.tabs.ledger.h;
+  const col = name => h.get(String(name).toLowerCase());
+  const idx = {
+    employee: col(c.employee), date: col(c.entitlementDate), used: col(c.dateUsed),
+    act: col(c.activation), type: col(c.entitlement), snap: col(c.snap), note: col(c.scriptNote),
+    expiry: col(CONFIG.tabs.ledger.optional.expiry), amount: col(CONFIG.tabs.ledger.optional.amount)
+  };
+  if ([idx.employee, idx.date, idx.act].some(i => i === undefined)) return null;
+
+  const cell = (r, k) => idx[k] !== undefined ? r[idx[k]] : "";
+  const entries = [];
+  for (let i = 1; i < data.length; i++) {
+    const employee = String(data[i][idx.employee]).trim().toLowerCase();
+    const dt = parseSafeDate(data[i][idx.date]);
+    if (!employee || !dt) continue;
+    const date = formatDate(dt);
+    const type = String(cell(data[i], 'type') || CONFIG.ledger.defaultType).trim().toUpperCase();
+    const used = parseSafeDate(cell(data[i], 'used'));
+    const stored = parseSafeDate(cell(data[i], 'expiry'));
+    const unit = getEntitlementUnit(types, type);
+    const amount = Number(cell(data[i], 'amount'));
+    entries.push({
+      row: i,
+      employee: employee,
+      date: date,
+      type: type,
+      unit: unit,
+      amount: amount > 0 ? amount : getEntitlementAmount(unit, "", 1),
+      active: String(data[i][idx.act]).trim().toUpperCase() !== "INACTIVE",
+      snapshot: String(cell(data[i], 'snap') || "").trim().toUpperCase(),
+      used: used ? formatDate(used) : "",
+      expiry: stored ? formatDate(stored) : getEntitlementExpiry(types, type, date),
+      note: String(cell(data[i], 'note') || "")
+    });
+  }
+  return { data: data, idx: idx, entries: entries };
+}
+
+/**
+ * @typedef {Object} LedgerChange
+ * @property {number} row - Index in the ledger table
+ * @property {string} [act] - New Activation_Status
+ * @property {string} [snap] - New Snapshot_Status
+ * @property {string} [note] - New System_Note
+ * @property {string} [used] - New Date_Used
+ * @property {number} [amount] - New Amount (remainder of a partly consumed grant)
+ * @property {string} [action] - Journal action (REVOKE | CONSUME | CONSUME_PARTIAL | EXPIRE)
+ * @property {string} [cause] - Journal cause
+ */
+
+/**
+ * Writes ledger state changes back, one column at a time (minimal blast radius).
+ * Only the columns that exist and were changed are written.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {{data: Array<Array<*>>, idx: Object}} ledger - From readLedger()
+ * @param {Array<LedgerChange>} changes - Row updates
  * @returns {void}
  */
-function grantEntitlements(ssDb, grants) {
+function writeLedgerChanges(ssDb, ledger, changes) {
+  if (!changes.length) return;
+  ['act', 'snap', 'note', 'used', 'amount'].forEach(k => {
+    const col = ledger.idx[k];
+    if (col === undefined || !changes.some(ch => ch[k] !== undefined)) return;
+    const values = ledger.data.map(r => r[col]);
+    changes.forEach(ch => { if (ch[k] !== undefined) values[ch.row] = ch[k]; });
+    ssDb.writeColumn(CONFIG.tabs.ledger.name, col, values);
+  });
+}
+
+/**
+ * Grants new entitlements to employees in the Central DB Ledger.
+ * Adds rows with status "Active", the entitlement type and (if the columns exist) amount and expiry date.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (journaled)
+ * @param {Array<EntitlementGrant>} grants - List of grant objects
+ * @returns {number} Rows added (existing entitlements are skipped)
+ */
+function grantEntitlements(ssDb, runId, grants) {
   if (CONFIG.isDryRun) {
     console.log("DRY RUN: Skipping grantEntitlements()");
-    return;
+    return 0;
   }
 
-  const sh = ssDb.getSheetByName(CONFIG.tabs.ledger.name);
-  if (!sh) return;
-  const d = sh.getDataRange().getValues(), h = mapHeaders(d[0]), c = CONFIG.tabs.ledger.h;
-  const existing = new Set();
-  if (h.has(c.employee.toLowerCase()) && h.has(c.entitlementDate.toLowerCase())) {
-    for (let i = 1; i < d.length; i++) {
-      const l = String(d[i][h.get(c.employee.toLowerCase())]).trim().toLowerCase();
-      const dt = parseSafeDate(d[i][h.get(c.entitlementDate.toLowerCase())]);
-      if (l && dt) existing.add(`${l}|${formatDate(dt)}`);
-    }
-  }
-  const adds = [];
+  const types = parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name));
+  const ledger = readLedger(ssDb, types);
+  if (!ledger) return 0;
+  const existing = new Set(ledger.entries.map(e => `${e.employee}|${e.date}`));
+  const adds = [], causes = [];
   const now = new Date();
   grants.forEach(g => {
     const k = `${String(g.employee).trim().toLowerCase()}|${formatDate(g.date)}`;
     if (!existing.has(k)) {
-      const row = new Array(d[0].length).fill("");
-      if (h.has("timestamp")) row[h.get("timestamp")] = now;
-      if (h.has(c.employee.toLowerCase())) row[h.get(c.employee.toLowerCase())] = g.employee;
-      if (h.has(c.entitlementDate.toLowerCase())) row[h.get(c.entitlementDate.toLowerCase())] = g.date;
-      if (h.has(c.entitlement.toLowerCase())) row[h.get(c.entitlement.toLowerCase())] = "COMP_DAY";
-      if (h.has(c.activation.toLowerCase())) row[h.get(c.activation.toLowerCase())] = "Active";
-      adds.push(row);
+      adds.push(buildGrantRow(ledger, types, g, now));
+      causes.push(g.cause);
       existing.add(k);
     }
   });
-  if (adds.length) sh.getRange(sh.getLastRow() + 1, 1, adds.length, adds[0].length).setValues(adds);
+  if (adds.length) {
+    journalLedgerWrite(ssDb, runId, ledger, [], adds.map((row, i) => ({ values: row, action: "GRANT", cause: causes[i] })));
+    ssDb.appendRows(CONFIG.tabs.ledger.name, adds);
+  }
+  return adds.length;
+}
+
+/**
+ * Builds the ledger row of a new grant: "Active", GENERATED, the entitlement type
+ * and (if the columns exist) amount and expiry date.
+ *
+ * @param {{data: Array<Array<*>>, idx: Object}} ledger - From readLedger()
+ * @param {Map<string, EntitlementType>} types - From parseEntitlementTypes()
+ * @param {EntitlementGrant} g - Grant
+ * @param {Date} now - Timestamp of the write
+ * @returns {Array<*>} Row values in ledger column order
+ */
+function buildGrantRow(ledger, types, g, now) {
+  const h = mapHeaders(ledger.data[0]), idx = ledger.idx;
+  const type = String(g.type || CONFIG.ledger.defaultType).toUpperCase();
+  const row = new Array(ledger.data[0].length).fill("");
+  if (h.has("timestamp")) row[h.get("timestamp")] = now;
+  row[idx.employee] = g.employee;
+  row[idx.date] = g.date;
+  row[idx.act] = "Active";
+  if (idx.type !== undefined) row[idx.type] = type;
+  if (idx.snap !== undefined) row[idx.snap] = "GENERATED";
+  if (idx.expiry !== undefined) row[idx.expiry] = getEntitlementExpiry(types, type, formatDate(g.date));
+  if (idx.amount !== undefined) row[idx.amount] = getEntitlementAmount(getEntitlementUnit(types, type), g.shift, g.value, g.hours);
+  return row;
 }
 
 /**
  * Revokes or consumes existing entitlements in the Central DB Ledger.
  * Updates the row to "Inactive" and sets the Snapshot Status (CONSUMED/REVOKED).
+ * The consumed part of a partly consumed grant is appended as its own CONSUMED row.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database
- * @param {Array<{employee: string, dateStr: string, reason: string}>} revocations - List of revocation objects
- * @returns {void}
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (journaled)
+ * @param {Array<EntitlementRevocation>} revocations - List of revocation objects
+ * @returns {{rows: number, uncovered: Array<UncoveredDay>}} Ledger rows deactivated or reduced, and comp days no entitlement covered
  */
-function revokeLedger(ssDb, revocations) {
+function revokeLedger(ssDb, runId, revocations) {
   if (CONFIG.isDryRun) {
     console.log("DRY RUN: Skipping revokeLedger()");
-    return;
+    return { rows: 0, uncovered: [] };
   }
 
+  const ledger = readLedger(ssDb, parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name)));
+  if (!ledger) return { rows: 0, uncovered: [] };
+  const plan = planLedgerRevocations(ledger.entries, revocations, ledger.idx.amount !== undefined);
+  const idx = ledger.idx;
+  const adds = plan.splits.map(sp => {
+    const row = ledger.data[sp.row].slice();
+    row[idx.act] = "Inactive";
+    row[idx.amount] = sp.amount;
+    if (idx.used !== undefined) row[idx.used] = sp.used;
+    if (idx.snap !== undefined) row[idx.snap] = "CONSUMED";
+    if (idx.note !== undefined) row[idx.note] = "Comp Day Consumed (partial)";
+    return row;
+  });
+  journalLedgerWrite(ssDb, runId, ledger, plan.changes,
+    adds.map((row, i) => ({ values: row, action: "CONSUME", cause: plan.splits[i].cause })));
+  writeLedgerChanges(ssDb, ledger, plan.changes);
+  if (adds.length) ssDb.appendRows(CONFIG.tabs.ledger.name, adds);
+  return { rows: plan.changes.length, uncovered: plan.uncovered };
+}
 
+/**
+ * @typedef {Object} UncoveredDay
+ * @property {string} employee - Employee ID as requested
+ * @property {string} date - Comp day YYYY-MM-DD
+ * @property {number} share - Share of the day no active entitlement covered (1 = the whole day)
+ */
 
-  const sh = ssDb.getSheetByName(CONFIG.tabs.ledger.name);
-  if (!sh) return;
-  // 1. Read Data (Values only) to find matches
-  const data = sh.getDataRange().getValues();
-  const h = mapHeaders(data[0]), c = CONFIG.tabs.ledger.h;
-  const idx = {
-    employee: h.get(c.employee.toLowerCase()),
-    date: h.get(c.entitlementDate.toLowerCase()),
-    act: h.get(c.activation.toLowerCase()),
-    note: h.get(c.scriptNote.toLowerCase())
+/**
+ * Describes comp days no entitlement covered, for the run log.
+ *
+ * @param {Array<UncoveredDay>} uncovered - From revokeLedger()
+ * @returns {string} e.g. "emp-1 2025-03-03, emp-2 2025-03-04 (50%)"
+ */
+function describeUncoveredDays(uncovered) {
+  return uncovered.map(u => `${u.employee} ${u.date}${u.share < 1 ? ` (${roundAmount(u.share * 100)}%)` : ""}`).join(', ');
+}
+
+/**
+ * Plans the ledger changes of a batch of revocations (entries are updated in place).
+ *
+ * - COMP_DAY (consumption): the oldest active grants of the employee that are
+ *   valid on the day are consumed (FIFO) and Date_Used is set. With fractional
+ *   accounting the day is sized in each grant's unit; a grant larger than what is
+ *   left to cover keeps its remainder active and the consumed part is split off.
+ *   A day that already consumed a grant is not consumed again, so reruns are idempotent.
+ *   The part of a day no active grant covers is returned as uncovered.
+ * - Anything else (schedule change): the grants of that exact date are revoked.
+ *
+ * @param {Array<LedgerEntry>} entries - From readLedger()
+ * @param {Array<EntitlementRevocation>} revocations - List of revocation objects
+ * @param {boolean} [fractional=false] - Ledger has an Amount column (otherwise a day consumes one whole row)
+ * @returns {{changes: Array<LedgerChange>, splits: Array<{row: number, amount: number, used: string, cause: string}>, uncovered: Array<UncoveredDay>}} Row updates, consumed parts to append and comp days not covered
+ */
+function planLedgerRevocations(entries, revocations, fractional = false) {
+  const changes = [], splits = [], uncovered = [];
+  const deactivate = (e, change) => {
+    e.active = false;
+    changes.push(Object.assign({ row: e.row, act: "Inactive" }, change));
   };
-  if ([idx.employee, idx.date, idx.act].some(i => i === undefined)) return;
-  // Map Key -> Reason
-  const revokeMap = new Map(revocations.map(r => [`${String(r.employee).trim().toLowerCase()}|${r.dateStr}`, r.reason]));
-  // 2. Prepare Column Buffers (To write back ONLY specific columns)
-  // We extract just the columns we intend to modify
-  const actCol = data.map(r => [r[idx.act]]);
-  const noteCol = (idx.note !== undefined) ? data.map(r => [r[idx.note]]) : [];
-  let hasChanges = false;
-  for (let i = 1; i < data.length; i++) {
-    const l = String(data[i][idx.employee]).trim().toLowerCase();
-    const dt = parseSafeDate(data[i][idx.date]);
-    if (!l || !dt) continue;
-    const key = `${l}|${formatDate(dt)}`;
-    // Check if in map AND currently Active
-    if (revokeMap.has(key) && String(data[i][idx.act]) !== "Inactive") {
-      // Update the Buffer, NOT the main data array
-      actCol[i][0] = "Inactive";
-      if (idx.note !== undefined) {
-        noteCol[i][0] = (revokeMap.get(key) === "COMP_DAY") ? "Comp Day Consumed" : "Revoked: Work/Rule Change";
+
+  // Schedule changes: exact-date grant
+  revocations.filter(r => r.reason !== "COMP_DAY").forEach(r => {
+    const emp = String(r.employee).trim().toLowerCase();
+    entries
+      .filter(e => e.active && e.employee === emp && e.date === r.dateStr)
+      .forEach(e => deactivate(e, { snap: "REVOKED", note: "Revoked: Work/Rule Change", action: "REVOKE", cause: r.cause }));
+  });
+
+  // Consumption: oldest valid grant first, earliest use first
+  const consumed = new Set(entries.filter(e => e.used).map(e => `${e.employee}|${e.used}`));
+  revocations
+    .filter(r => r.reason === "COMP_DAY")
+    .sort((a, b) => a.dateStr.localeCompare(b.dateStr))
+    .forEach(r => {
+      const emp = String(r.employee).trim().toLowerCase();
+      if (consumed.has(`${emp}|${r.dateStr}`)) return;
+      const grants = entries
+        .filter(e => e.active && e.employee === emp && e.date <= r.dateStr && (!e.expiry || e.expiry >= r.dateStr))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.row - b.row);
+      let share = 1; // Share of the day still to cover
+      for (const grant of grants) {
+        const need = fractional ? roundAmount(getEntitlementAmount(grant.unit, r.shift, r.value, r.hours) * share) : grant.amount;
+        if (need <= 0) break;
+        consumed.add(`${emp}|${r.dateStr}`);
+        if (need >= grant.amount) {
+          share -= share * grant.amount / need;
+          grant.used = r.dateStr;
+          deactivate(grant, { snap: "CONSUMED", note: "Comp Day Consumed", used: r.dateStr, action: "CONSUME", cause: r.cause });
+        } else {
+          grant.amount = roundAmount(grant.amount - need);
+          changes.push({
+            row: grant.row, amount: grant.amount, note: `Partially consumed: ${need} on ${r.dateStr}`,
+            action: "CONSUME_PARTIAL", cause: r.cause
+          });
+          splits.push({ row: grant.row, amount: need, used: r.dateStr, cause: r.cause });
+          share = 0;
+        }
+        if (share < 0.005) break;
       }
-      hasChanges = true;
-    }
+      if (share >= 0.005) uncovered.push({ employee: r.employee, date: r.dateStr, share: roundAmount(share) });
+    });
+  return { changes: changes, splits: splits, uncovered: uncovered };
+}
+
+/**
+ * Moves active entitlements past their expiry date to EXPIRED.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (journaled)
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {number} Entitlements expired
+ */
+function expireEntitlements(ssDb, runId, todayStr) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping expireEntitlements()");
+    return 0;
   }
-  // 3. Write Back ONLY the Modified Columns
-  if (hasChanges) {
-    // Write Activation Column
-    sh.getRange(1, idx.act + 1, actCol.length, 1).setValues(actCol);
-    // Write Note Column (if exists)
-    if (idx.note !== undefined && noteCol.length > 0) {
-      sh.getRange(1, idx.note + 1, noteCol.length, 1).setValues(noteCol);
-    }
+
+  const ledger = readLedger(ssDb, parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name)));
+  if (!ledger) return 0;
+  const changes = planEntitlementExpiry(ledger.entries, todayStr);
+  journalLedgerWrite(ssDb, runId, ledger, changes);
+  writeLedgerChanges(ssDb, ledger, changes);
+  if (changes.length) getStorage().flush();
+  return changes.length;
+}
+
+/**
+ * Plans the expiry of active entitlements past their last valid day.
+ *
+ * @param {Array<LedgerEntry>} entries - From readLedger()
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {Array<LedgerChange>} Row updates
+ */
+function planEntitlementExpiry(entries, todayStr) {
+  return entries
+    .filter(e => e.active && e.expiry && e.expiry < todayStr)
+    .map(e => ({
+      row: e.row, act: "Inactive", snap: "EXPIRED", note: `Expired: valid until ${e.expiry}`,
+      action: "EXPIRE", cause: `Validity of ${e.type} ended ${e.expiry}`
+    }));
+}
+
+/**
+ * Classifies a ledger entry for the balance view.
+ * Rows written before Snapshot_Status was maintained are classified by Date_Used.
+ *
+ * @param {LedgerEntry} e - Ledger entry
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {string} ACTIVE | CONSUMED | REVOKED | EXPIRED
+ */
+function getEntitlementState(e, todayStr) {
+  if (e.active) return e.expiry && e.expiry < todayStr ? "EXPIRED" : "ACTIVE";
+  if (e.snapshot === "CONSUMED" || e.snapshot === "REVOKED" || e.snapshot === "EXPIRED") return e.snapshot;
+  return e.used ? "CONSUMED" : "REVOKED";
+}
+
+/**
+ * Computes the balance per employee and entitlement type, as amounts in the type's unit.
+ *
+ * @param {Array<LedgerEntry>} entries - From readLedger()
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {Array<Array<*>>} Rows of the Entitlement_Balances sheet (no header), sorted by employee and type
+ */
+function computeEntitlementBalances(entries, todayStr) {
+  const m = new Map();
+  entries.forEach(e => {
+    const k = `${e.employee}|${e.type}`;
+    if (!m.has(k)) m.set(k, { employee: e.employee, type: e.type, unit: e.unit, GRANTED: 0, ACTIVE: 0, CONSUMED: 0, REVOKED: 0, EXPIRED: 0, next: "" });
+    const b = m.get(k);
+    const state = getEntitlementState(e, todayStr);
+    b.GRANTED += e.amount;
+    b[state] += e.amount;
+    if (state === "ACTIVE" && e.expiry && (!b.next || e.expiry < b.next)) b.next = e.expiry;
+  });
+  return Array.from(m.values())
+    .sort((a, b) => a.employee.localeCompare(b.employee) || a.type.localeCompare(b.type))
+    .map(b => [b.employee, b.type, b.unit].concat(
+      [b.GRANTED, b.CONSUMED, b.REVOKED, b.EXPIRED, b.ACTIVE].map(roundAmount), [b.next]));
+}
+
+/**
+ * Regenerates the Entitlement_Balances view from the ledger.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} todayStr - Today YYYY-MM-DD
+ * @returns {number} Balance rows written
+ */
+function writeEntitlementBalances(ssDb, todayStr) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeEntitlementBalances()");
+    return 0;
   }
+
+  const ledger = readLedger(ssDb, parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name)));
+  if (!ledger) return 0;
+  const now = new Date();
+  const rows = computeEntitlementBalances(ledger.entries, todayStr).map(r => r.concat([now]));
+  ssDb.writeTable(CONFIG.tabs.balances.name, CONFIG.tabs.balances.h, rows);
+  return rows.length;
 }
 
+/**
+ * Writes a batch of grants and revocations to the ledger and flushes.
+ * Both operations are idempotent, so a failed batch can safely be retried.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (journaled)
+ * @param {Array<EntitlementGrant>} grants - Grants to write
+ * @param {Array<EntitlementRevocation>} revocations - Revocations to write
+ * @returns {{grants: number, revocations: number, uncovered: Array<UncoveredDay>}} Ledger rows actually added / deactivated, and comp days no entitlement covered
+ */
+function commitLedgerUpdates(ssDb, runId, grants, revocations) {
+  const written = { grants: grants.length ? grantEntitlements(ssDb, runId, grants) : 0, revocations: 0, uncovered: [] };
+  if (revocations.length) {
+    const revoked = revokeLedger(ssDb, runId, revocations);
+    written.revocations = revoked.rows;
+    written.uncovered = revoked.uncovered;
+  }
+  getStorage().flush();
+  return written;
+}
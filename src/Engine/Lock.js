@@ -0,0 +1,143 @@
+/**
+ * Lock Module
+ * -----------
+ * Retroactive Correction Safeguard: freezes dates that must not change
+ * (e.g. periods already sent to payroll).
+ *
+ * A date is locked when it falls inside a Lock_Windows row (per workspace or
+ * global) or is older than CONFIG.lock.rollingDays. For locked dates the
+ * previously written Daily_Workforce_Status row is kept, ledger actions are
+ * suppressed, and any difference between the recomputed and the frozen
+ * result is reported so it can be raised as an audit alert.
+ *
+ * @file Lock.js
+ */
+
+/**
+ * @typedef {Object} LockWindow
+ * @property {string} workspace - Workspace file ID ("" = all workspaces)
+ * @property {string} start - First locked date YYYY-MM-DD ("" = open-ended, e.g. a payroll cutoff)
+ * @property {string} end - Last locked date YYYY-MM-DD
+ * @property {string} reason - Why the window is locked
+ */
+
+/**
+ * @typedef {Object} LockedChange
+ * @property {string} key - Row key (employee|date)
+ * @property {string} reason - Lock reason
+ * @property {Array<string>} changes - e.g. ["Final_Status OFF → WORK"]
+ */
+
+/**
+ * Output columns compared between the frozen and the recomputed row.
+ */
+const LOCK_DIFF_COLS = ['final', 'shift', 'val', 'reason'];
+
+/**
+ * Parses the Lock_Windows sheet.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Lock_Windows sheet (header first)
+ * @returns {Array<LockWindow>} Valid windows (End_Date is required)
+ */
+function parseLockWindows(d) {
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.locks.h;
+  const get = (r, k) => h.has(c[k].toLowerCase()) ? r[h.get(c[k].toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const end = parseSafeDate(get(d[i], 'end'));
+    if (!end) continue;
+    const start = parseSafeDate(get(d[i], 'start'));
+    const ws = String(get(d[i], 'workspace') || "").trim();
+    list.push({
+      workspace: ws.toUpperCase() === 'ANY' ? "" : ws,
+      start: start ? formatDate(start) : "",
+      end: formatDate(end),
+      reason: String(get(d[i], 'reason') || "").trim() || "Locked period"
+    });
+  }
+  return list;
+}
+
+/**
+ * Returns why a date is locked for a workspace.
+ *
+ * @param {EngineContext} ctx - Engine context (ctx.locks)
+ * @param {string} schedId - Workspace file ID
+ * @param {string} dateStr - YYYY-MM-DD
+ * @returns {string|null} Lock reason, or null if the date is open
+ */
+function getLockReason(ctx, schedId, dateStr) {
+  for (const w of ctx.locks || []) {
+    if (w.workspace && w.workspace !== schedId) continue;
+    if ((!w.start || dateStr >= w.start) && dateStr <= w.end) {
+      return w.start ? `${w.reason} (${w.start} → ${w.end})` : `${w.reason} (up to ${w.end})`;
+    }
+  }
+  const days = CONFIG.lock.rollingDays;
+  if (days > 0) {
+    const cutoff = formatDate(new Date(Date.now() - days * 86400000));
+    if (dateStr < cutoff) return `Older than ${days} days (before ${cutoff})`;
+  }
+  return null;
+}
+
+/**
+ * Applies lock windows to the results of one workspace.
+ *
+ * - Locked rows are replaced by the previously written row (if there is one).
+ * - Grants and revocations on locked dates are dropped.
+ * - Differences between recomputed and frozen rows are returned as changes.
+ *
+ * @param {string} schedId - Workspace file ID
+ * @param {EngineContext} ctx - Engine context
+ * @param {{rows: Array<Array<*>>, grants: Array<Object>, revocations: Array<Object>}} results - Recomputed results
+ * @param {Array<Array<*>>|null} previous - Current Daily_Workforce_Status table (header first), or null
+ * @returns {{rows: Array<Array<*>>, grants: Array<Object>, revocations: Array<Object>, kept: number, suppressed: number, changes: Array<LockedChange>}}
+ */
+function applyLocks(schedId, ctx, results, previous) {
+  const C = DAILY_STATUS_COLS;
+  const reasons = new Map();
+  const lockOf = dateStr => {
+    if (!reasons.has(dateStr)) reasons.set(dateStr, getLockReason(ctx, schedId, dateStr));
+    return reasons.get(dateStr);
+  };
+
+  const frozen = new Map();
+  (previous || []).slice(1).forEach(r => { if (r[C.key]) frozen.set(String(r[C.key]), r); });
+
+  let kept = 0;
+  const changes = [];
+  const rows = results.rows.map(row => {
+    const key = String(row[C.key]);
+    const reason = lockOf(key.split('|').pop());
+    if (!reason || !frozen.has(key)) return row;
+    const old = frozen.get(key);
+    const diff = diffStatusRows(old, row);
+    if (diff.length) changes.push({ key: key, reason: reason, changes: diff });
+    kept++;
+    // Rows written before columns were added take the new columns from the recomputed row
+    return old.length < row.length ? old.concat(row.slice(old.length)) : old;
+  });
+
+  const grants = results.grants.filter(g => !lockOf(formatDate(g.date)));
+  const revocations = results.revocations.filter(r => !lockOf(r.dateStr));
+  const suppressed = (results.grants.length - grants.length) + (results.revocations.length - revocations.length);
+  return { rows: rows, grants: grants, revocations: revocations, kept: kept, suppressed: suppressed, changes: changes };
+}
+
+/**
+ * Lists the output columns that differ between a frozen and a recomputed row.
+ *
+ * @param {Array<*>} frozen - Previously written row
+ * @param {Array<*>} fresh - Recomputed row
+ * @returns {Array<string>} e.g. ["Final_Status OFF → WORK"]
+ */
+function diffStatusRows(frozen, fresh) {
+  const C = DAILY_STATUS_COLS;
+  const names = { final: 'Final_Status', shift: 'Final_Shift', val: 'Final_Val', reason: 'Reason' };
+  const norm = (k, v) => k === 'val' ? String(Number(v) || 0) : String(v === undefined || v === null ? "" : v).trim();
+  return LOCK_DIFF_COLS
+    .filter(k => norm(k, frozen[C[k]]) !== norm(k, fresh[C[k]]))
+    .map(k => `${names[k]} ${norm(k, frozen[C[k]]) || '(blank)'} → ${norm(k, fresh[C[k]]) || '(blank)'}`);
+}
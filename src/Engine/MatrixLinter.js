@@ -0,0 +1,151 @@
+/**
+ * Matrix Linter Module
+ * --------------------
+ * Static analysis of the Decision_Matrix over the full
+ * BASE × RULE × PH × REQ key space.
+ *
+ * The resolver takes the first row of a key's bucket, so problems in the
+ * table otherwise only show up at runtime: a missing combination becomes a
+ * "Missing Logic" error row, and a wildcard row placed above a specific row
+ * silently takes its keys. The linter reports:
+ * - values outside a dimension (the row never matches)
+ * - reachable keys that no row covers
+ * - rows that only cover keys the resolver never produces
+ * - rows that never win a key (shadowed by earlier rows)
+ * - keys matched by several rows with conflicting Final_Status / Entitlement_Action,
+ *   unless the winning row is strictly more specific (a deliberate override)
+ *
+ * Findings use the IntegrityFinding shape (Integrity.js). They are part of the
+ * integrity checks at startup and can be run on demand (runMatrixLinter()).
+ *
+ * @file MatrixLinter.js
+ */
+
+/**
+ * Ledger actions the engine knows how to apply.
+ */
+const MATRIX_ACTIONS = ['NONE', 'GRANT', 'REVOKE'];
+
+/**
+ * Reads and lints the Decision_Matrix sheet of the Central DB.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {Array<IntegrityFinding>} Findings, errors first
+ */
+function lintDecisionMatrixSheet(ssDb) {
+  return lintDecisionMatrix(parseDecisionMatrix(ssDb.readTable(CONFIG.tabs.decision.name)));
+}
+
+/**
+ * Lints a parsed decision matrix.
+ *
+ * @param {Array<DecisionMatrixRow>} rows - Rows in sheet order (parseDecisionMatrix())
+ * @returns {Array<IntegrityFinding>} Findings, errors first
+ */
+function lintDecisionMatrix(rows) {
+  const findings = [];
+  const src = CONFIG.tabs.decision.name, h = CONFIG.tabs.decision.h;
+  const add = (severity, check, item, message) =>
+    findings.push({ severity: severity, check: check, source: src, item: item, message: message });
+  const label = e => `Row ${e.row.sheetRow}`;
+  const outcome = e => `${e.row.finalStatus}/${e.row.action}`;
+
+  // 1. Values outside their dimension never match
+  const entries = [];
+  rows.forEach(row => {
+    const bad = Object.keys(MATRIX_DIMENSIONS).filter(dim =>
+      row[dim] !== 'ANY' && row[dim] !== 'IGNORED' && !MATRIX_DIMENSIONS[dim].includes(row[dim]));
+    if (bad.length) {
+      add('ERROR', 'MATRIX_INVALID_VALUE', `Row ${row.sheetRow}`,
+        `${bad.map(dim => `${h[dim]} "${row[dim]}"`).join(', ')} is not a known value: the row never matches`);
+      return;
+    }
+    if (!MATRIX_ACTIONS.includes(parseEntitlementAction(row.action).action)) {
+      add('WARNING', 'MATRIX_INVALID_ACTION', `Row ${row.sheetRow}`,
+        `${h.action} "${row.action}" is not ${MATRIX_ACTIONS.join(' / ')} (or GRANT:<type>): no ledger action is taken`);
+    }
+    const keys = expandMatrixKeys(row).filter(isReachableMatrixKey);
+    entries.push({ row: row, keys: keys, keySet: new Set(keys) });
+  });
+
+  // 2. First row per key wins, exactly like resolveEmployeeDay()
+  const matching = new Map();
+  entries.forEach(e => e.keys.forEach(k => {
+    if (!matching.has(k)) matching.set(k, []);
+    matching.get(k).push(e);
+  }));
+  listReachableMatrixKeys().forEach(k => {
+    if (!matching.has(k)) add('ERROR', 'MATRIX_UNCOVERED', k, `No row covers ${k}: such days resolve to "Missing Logic"`);
+  });
+
+  // 3. Conflicting outcomes on the same key (grouped per row pair)
+  const conflicts = new Map();
+  matching.forEach((list, k) => {
+    const first = list[0];
+    list.slice(1).forEach(other => {
+      if (outcome(other) === outcome(first) || isStrictSubset(first.keySet, other.keySet)) return;
+      const id = `${first.row.sheetRow}|${other.row.sheetRow}`;
+      if (!conflicts.has(id)) conflicts.set(id, { first: first, other: other, keys: [] });
+      conflicts.get(id).keys.push(k);
+    });
+  });
+  const conflicted = new Set();
+  conflicts.forEach(c => {
+    conflicted.add(c.other);
+    const duplicate = c.first.keys.length === c.other.keys.length && c.first.keys.every(k => c.other.keySet.has(k));
+    add('ERROR', 'MATRIX_CONFLICT', `${label(c.first)}, ${label(c.other)}`,
+      `${duplicate ? 'Duplicate rows' : 'Overlapping rows'} with different outcomes on ${c.keys.length} key(s), e.g. ${c.keys[0]}: ` +
+      `${outcome(c.first)} vs ${outcome(c.other)}. ${label(c.first)} wins by row order.`);
+  });
+
+  // 4. Rows that never take effect
+  entries.forEach(e => {
+    if (!e.keys.length) {
+      add('WARNING', 'MATRIX_UNREACHABLE', label(e),
+        `Only covers keys the resolver never produces (${h.rule} equal to ${h.base}): the row never applies`);
+      return;
+    }
+    if (conflicted.has(e) || e.keys.some(k => matching.get(k)[0] === e)) return;
+    const winners = Array.from(new Set(e.keys.map(k => matching.get(k)[0])));
+    add('WARNING', 'MATRIX_SHADOWED', label(e),
+      `Every key it covers is decided by earlier ${winners.length > 1 ? 'rows' : 'row'} ` +
+      `${winners.map(w => w.row.sheetRow).join(', ')}: the row never applies`);
+  });
+
+  return findings.sort((a, b) => (a.severity === 'ERROR' ? 0 : 1) - (b.severity === 'ERROR' ? 0 : 1));
+}
+
+/**
+ * Can resolveEmployeeDay() produce this key?
+ * Rule_Impact is NONE when the rules leave the base state unchanged, so it
+ * never equals Base_Schedule (WORK|WORK|… and OFF|OFF|… do not occur).
+ *
+ * @param {string} key - Composite key BASE|RULE|PH|REQ
+ * @returns {boolean}
+ */
+function isReachableMatrixKey(key) {
+  const p = key.split('|');
+  return p[1] !== p[0];
+}
+
+/**
+ * Lists every key the resolver can produce.
+ *
+ * @returns {Array<string>}
+ */
+function listReachableMatrixKeys() {
+  return expandMatrixKeys({ base: 'ANY', rule: 'ANY', ph: 'ANY', req: 'ANY' }).filter(isReachableMatrixKey);
+}
+
+/**
+ * Is set a a strict subset of set b?
+ *
+ * @param {Set<string>} a
+ * @param {Set<string>} b
+ * @returns {boolean}
+ */
+function isStrictSubset(a, b) {
+  if (a.size >= b.size) return false;
+  for (const k of a) if (!b.has(k)) return false;
+  return true;
+}
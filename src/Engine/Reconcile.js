@@ -0,0 +1,157 @@
+/**
+ * Reconcile Module
+ * ----------------
+ * Stale Entitlement Reconciliation: keeps the ledger in line with the current
+ * resolution of every employee-day after a workspace is processed.
+ *
+ * Grants are only written when a day resolves to GRANT, and only revoked when
+ * the matrix emits REVOKE. A rule that later moves a worked holiday to OFF
+ * without a REVOKE row would leave its comp day Active forever, and a day that
+ * earns an entitlement again after a revocation is never granted twice
+ * (grantEntitlements() skips dates already in the ledger). The reconciliation
+ * pass compares the ledger with the resolved days of the workspace:
+ * - STALE_GRANT: an active engine grant (Snapshot_Status GENERATED) whose day
+ *   no longer resolves to GRANT of its type → revoked
+ * - MISSING_GRANT: a day that resolves to GRANT but has no entitlement of that
+ *   type in the ledger (other than a revoked one) → granted
+ *
+ * Locked dates and rows entered by hand (any other Snapshot_Status) are never
+ * touched. With CONFIG.reconcile.autoFix off, findings are only reported.
+ * Every finding is appended to the Reconciliation_Report sheet; corrections
+ * are journaled like any other ledger change. Open (FLAGGED) findings of the
+ * reconciled days are replaced on every run rather than reported again.
+ *
+ * @file Reconcile.js
+ */
+
+/**
+ * @typedef {Object} ReconciliationFinding
+ * @property {string} issue - STALE_GRANT | MISSING_GRANT
+ * @property {string} employee - Employee ID
+ * @property {string} date - Entitlement_Date YYYY-MM-DD
+ * @property {string} type - Entitlement type
+ * @property {string} detail - Why the ledger is out of line
+ * @property {number} [row] - Ledger row index of a stale grant
+ * @property {EntitlementGrant} [grant] - Grant to add for a missing one
+ */
+
+/**
+ * Compares the ledger with the resolved days of a workspace.
+ *
+ * @param {Array<LedgerEntry>} entries - From readLedger()
+ * @param {Map<string, string>} days - Reconciled days: employee|date (lowercase) → Final_Status
+ * @param {Array<EntitlementGrant>} grants - Grants the resolved days earn
+ * @returns {Array<ReconciliationFinding>} Stale grants first, in ledger order
+ */
+function planReconciliation(entries, days, grants) {
+  const earned = new Map();
+  grants.forEach(g => {
+    const type = String(g.type || CONFIG.ledger.defaultType).toUpperCase();
+    const k = `${String(g.employee).trim().toLowerCase()}|${formatDate(g.date)}|${type}`;
+    if (!earned.has(k)) earned.set(k, Object.assign({}, g, { type: type }));
+  });
+
+  const findings = [];
+  entries
+    .filter(e => e.active && e.snapshot === "GENERATED" && days.has(`${e.employee}|${e.date}`))
+    .forEach(e => {
+      if (earned.has(`${e.employee}|${e.date}|${e.type}`)) return;
+      findings.push({
+        issue: "STALE_GRANT", employee: e.employee, date: e.date, type: e.type, row: e.row,
+        detail: `Day now resolves to ${days.get(`${e.employee}|${e.date}`)}: it no longer earns ${e.type}`
+      });
+    });
+
+  // Consumed and expired entitlements still count as granted: only revoked ones are replaced
+  const held = new Set(entries
+    .filter(e => getEntitlementState(e, "") !== "REVOKED")
+    .map(e => `${e.employee}|${e.date}|${e.type}`));
+  earned.forEach((g, k) => {
+    if (held.has(k)) return;
+    findings.push({
+      issue: "MISSING_GRANT", employee: g.employee, date: formatDate(g.date), type: g.type, grant: g,
+      detail: `Day earns ${g.type} (${g.cause || 'GRANT'}) but the ledger holds none`
+    });
+  });
+  return findings;
+}
+
+/**
+ * Removes a workspace's open (FLAGGED) findings for the reconciled days from
+ * Reconciliation_Report, so a report-only run replaces them instead of
+ * appending the same findings again. Corrections are kept as history.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} schedId - Workspace file ID
+ * @param {Map<string, string>} days - Reconciled days: employee|date (lowercase) → Final_Status
+ * @returns {number} Rows removed
+ */
+function clearFlaggedFindings(ssDb, schedId, days) {
+  const tab = CONFIG.tabs.reconciliation;
+  const d = ssDb.readTable(tab.name);
+  if (!d || d.length < 2) return 0;
+  const h = mapHeaders(d[0]);
+  const [ws, emp, date, correction] = [2, 3, 4, 7].map(i => h.get(tab.h[i].toLowerCase()));
+  if ([ws, emp, date, correction].includes(undefined)) return 0;
+
+  const kept = d.slice(1).filter(r => {
+    if (String(r[correction]).trim().toUpperCase() !== "FLAGGED" || String(r[ws]) !== schedId) return true;
+    const dt = parseSafeDate(r[date]);
+    return !dt || !days.has(`${String(r[emp]).trim().toLowerCase()}|${formatDate(dt)}`);
+  });
+  if (kept.length === d.length - 1) return 0;
+  ssDb.writeTable(tab.name, d[0], kept);
+  return d.length - 1 - kept.length;
+}
+
+/**
+ * Reconciles the ledger with the resolved days of one workspace and reports
+ * every finding in Reconciliation_Report, replacing its open findings for those days.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID (journaled and reported)
+ * @param {string} schedId - Workspace file ID (reported)
+ * @param {Map<string, string>} days - Reconciled days: employee|date (lowercase) → Final_Status (locked dates excluded)
+ * @param {Array<EntitlementGrant>} grants - Grants the resolved days earn (locked dates excluded)
+ * @returns {{stale: number, missing: number, corrected: number}} Findings per issue and ledger rows corrected
+ */
+function reconcileEntitlements(ssDb, runId, schedId, days, grants) {
+  const summary = { stale: 0, missing: 0, corrected: 0 };
+  if (!CONFIG.reconcile.enabled || !days.size) return summary;
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping reconcileEntitlements()");
+    return summary;
+  }
+
+  const types = parseEntitlementTypes(ssDb.readTable(CONFIG.tabs.entitlementTypes.name));
+  const ledger = readLedger(ssDb, types);
+  if (!ledger) return summary;
+  const findings = planReconciliation(ledger.entries, days, grants);
+  const cleared = clearFlaggedFindings(ssDb, schedId, days);
+  if (!findings.length) {
+    if (cleared) getStorage().flush();
+    return summary;
+  }
+  const stale = findings.filter(f => f.issue === "STALE_GRANT");
+  const missing = findings.filter(f => f.issue === "MISSING_GRANT");
+  const fix = CONFIG.reconcile.autoFix;
+  const now = new Date();
+
+  if (fix) {
+    const changes = stale.map(f => ({
+      row: f.row, act: "Inactive", snap: "REVOKED", note: "Revoked: Reconciliation",
+      action: "REVOKE", cause: `Reconciliation: ${f.detail}`
+    }));
+    const adds = missing.map(f => buildGrantRow(ledger, types, f.grant, now));
+    journalLedgerWrite(ssDb, runId, ledger, changes,
+      adds.map((row, i) => ({ values: row, action: "GRANT", cause: `Reconciliation: ${missing[i].detail}` })));
+    writeLedgerChanges(ssDb, ledger, changes);
+    if (adds.length) ssDb.appendRows(CONFIG.tabs.ledger.name, adds);
+  }
+  ssDb.appendRows(CONFIG.tabs.reconciliation.name, findings.map(f => [
+    runId, now, schedId, f.employee, f.date, f.type, f.issue,
+    !fix ? "FLAGGED" : (f.issue === "STALE_GRANT" ? "REVOKED" : "GRANTED"), f.detail
+  ]), CONFIG.tabs.reconciliation.h);
+  getStorage().flush();
+  return { stale: stale.length, missing: missing.length, corrected: fix ? findings.length : 0 };
+}
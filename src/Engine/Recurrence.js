@@ -0,0 +1,195 @@
+/**
+ * Recurrence Module
+ * -----------------
+ * Parses the Frequency column of Schedule_Rules and decides on which days of
+ * its date range a rule recurs. Frequency is ALL (or blank), a list of weekdays
+ * (MON,WED,FRI), or RRULE-style KEY=VALUE parts separated by ";":
+ *
+ *   FREQ=WEEKLY;INTERVAL=2;BYDAY=SAT   every other Saturday
+ *   FREQ=MONTHLY;BYDAY=1MON            first Monday of the month (-1FRI = last Friday)
+ *   DATES=2025-03-03,2025-03-17        these dates only
+ *   MON,WED;EXCEPT=2025-03-19          Mondays and Wednesdays, except one date
+ *
+ * FREQ is DAILY, WEEKLY (the default) or MONTHLY. INTERVAL counts days, weeks
+ * (Monday to Sunday) or months from the rule's Start_Date, whose period is
+ * always on. FREQ=MONTHLY without BYDAY recurs on the Start_Date's day of the
+ * month. DATES cannot be combined with FREQ, INTERVAL or BYDAY; EXCEPT removes
+ * dates from any recurrence. An invalid Frequency is never read as ALL: the
+ * rule is not applied, and the integrity checks report why.
+ *
+ * @file Recurrence.js
+ */
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {string} text - Frequency as entered (uppercase, "ALL" when blank)
+ * @property {boolean} all - Recurs on every day of the rule's range
+ * @property {string} freq - DAILY | WEEKLY | MONTHLY
+ * @property {number} interval - Every n days / weeks / months from the Start_Date
+ * @property {Array<{day: string, nth: number}>} days - BYDAY (nth = week of the month, negative from the end, 0 = every week)
+ * @property {Array<string>} dates - DATES (YYYY-MM-DD)
+ * @property {Array<string>} except - EXCEPT (YYYY-MM-DD)
+ * @property {string} error - Why the Frequency is invalid ("" = valid)
+ */
+
+/**
+ * KEY=VALUE parts of a Frequency; a part without "=" is a BYDAY list.
+ */
+const RECURRENCE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'DATES', 'EXCEPT'];
+
+const RECURRENCE_FREQS = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+const WEEKDAY_NAMES = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+/**
+ * Parses a Frequency cell.
+ *
+ * @param {*} v - Cell value
+ * @returns {Recurrence} error is set if the value is invalid
+ */
+function parseRecurrence(v) {
+  const text = String(v || "").trim().toUpperCase() || 'ALL';
+  const recur = { text: text, all: false, freq: 'WEEKLY', interval: 1, days: [], dates: [], except: [], error: "" };
+  const fail = msg => Object.assign(recur, { error: msg });
+  const seen = new Set();
+  const parts = text.split(';').map(s => s.trim()).filter(String);
+
+  for (let i = 0; i < parts.length; i++) {
+    const m = parts[i].match(/^([A-Z_]+)\s*=\s*(.*)$/);
+    const key = m ? m[1] : 'BYDAY', value = m ? m[2].trim() : parts[i];
+    if (!RECURRENCE_PARTS.includes(key)) return fail(`Unknown part "${key}" (expected ${RECURRENCE_PARTS.join(', ')})`);
+    if (seen.has(key)) return fail(`${key} is given twice${m ? "" : " (a list of weekdays is BYDAY)"}`);
+    seen.add(key);
+    if (!value) return fail(`${key} has no value`);
+    if (!m && value === 'ALL') continue;
+    const list = value.split(key === 'BYDAY' ? /[\s,]+/ : /\s*,\s*/).filter(String);
+
+    if (key === 'FREQ') {
+      if (!RECURRENCE_FREQS.includes(value)) return fail(`FREQ "${value}" is not DAILY, WEEKLY or MONTHLY`);
+      recur.freq = value;
+    } else if (key === 'INTERVAL') {
+      if (!/^\d+$/.test(value) || Number(value) < 1) return fail(`INTERVAL "${value}" is not a whole number of 1 or more`);
+      recur.interval = Number(value);
+    } else if (key === 'BYDAY') {
+      for (const tok of list) {
+        const d = tok.match(/^([+-]?\d+)?([A-Z]+)$/);
+        const day = d ? parseWeekday(d[2]) : "";
+        if (!day) {
+          return fail(m ? `BYDAY "${tok}" is not a weekday such as MON or 1MON`
+            : `"${tok}" is not a weekday (expected ALL, weekdays such as MON,WED, or KEY=VALUE parts)`);
+        }
+        const nth = d[1] ? Number(d[1]) : 0;
+        if (d[1] && (nth === 0 || Math.abs(nth) > 5)) return fail(`BYDAY "${tok}": the week of the month must be 1 to 5 or -1 to -5`);
+        recur.days.push({ day: day, nth: nth });
+      }
+    } else {
+      const bad = list.find(s => !isDateKey(s));
+      if (bad) return fail(`${key} "${bad}" is not a valid YYYY-MM-DD date`);
+      recur[key === 'DATES' ? 'dates' : 'except'] = list;
+    }
+  }
+
+  if (seen.has('INTERVAL') && !seen.has('FREQ')) return fail("INTERVAL needs FREQ (DAILY, WEEKLY or MONTHLY)");
+  if (recur.dates.length && ['FREQ', 'INTERVAL'].concat(recur.days.length ? ['BYDAY'] : []).some(k => seen.has(k))) {
+    return fail("DATES cannot be combined with FREQ, INTERVAL or BYDAY");
+  }
+  const nth = recur.days.find(d => d.nth);
+  if (nth && recur.freq !== 'MONTHLY') return fail(`BYDAY "${nth.nth}${nth.day}" needs FREQ=MONTHLY`);
+  recur.all = recur.freq !== 'MONTHLY' && recur.interval === 1 && !recur.days.length && !recur.dates.length && !recur.except.length;
+  return recur;
+}
+
+/**
+ * Parsed recurrence of a rule (parsed from freq for rules built by hand).
+ *
+ * @param {Rule} rule
+ * @returns {Recurrence}
+ */
+function ruleRecurrence(rule) {
+  return rule.recur || parseRecurrence(rule.freq);
+}
+
+/**
+ * Explains why a recurrence skips a date.
+ *
+ * @param {Recurrence} recur - From parseRecurrence()
+ * @param {string} date - Date string YYYY-MM-DD
+ * @param {string} anchor - Start_Date of the rule (first day of its first period)
+ * @returns {string|null} Reason the date is skipped, or null if the rule recurs on it
+ */
+function getRecurrenceMiss(recur, date, anchor) {
+  if (recur.error) return `Invalid Frequency: ${recur.error}`;
+  if (recur.all) return null;
+  if (recur.except.includes(date)) return `${date} is excluded (EXCEPT)`;
+  if (recur.dates.length) return recur.dates.includes(date) ? null : `${date} is not one of the DATES`;
+
+  const t = new Date(dateKeyToUtc(date)), a = new Date(dateKeyToUtc(anchor));
+  const day = DAY_NAMES[t.getUTCDay()];
+  if (recur.interval > 1) {
+    const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[recur.freq];
+    const weekStart = d => d.getTime() - ((d.getUTCDay() + 6) % 7) * 86400000;
+    const n = recur.freq === 'DAILY' ? Math.round((t - a) / 86400000)
+      : recur.freq === 'WEEKLY' ? Math.round((weekStart(t) - weekStart(a)) / (7 * 86400000))
+        : (t.getUTCFullYear() - a.getUTCFullYear()) * 12 + t.getUTCMonth() - a.getUTCMonth();
+    if (((n % recur.interval) + recur.interval) % recur.interval) return `Off ${unit}: recurs every ${recur.interval} ${unit}s from ${anchor}`;
+  }
+  if (recur.days.length) {
+    const hits = recur.days.filter(d => d.day === day);
+    if (!hits.length) return `Frequency ${recur.text} excludes ${day}`;
+    const dom = t.getUTCDate(), len = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).getUTCDate();
+    const weekOf = nth => nth > 0 ? Math.ceil(dom / 7) : -Math.ceil((len - dom + 1) / 7);
+    if (!hits.some(d => !d.nth || d.nth === weekOf(d.nth))) {
+      return `${date} is not the ${hits.map(d => ordinalWeek(d.nth)).join(' or ')} ${day} of the month`;
+    }
+  } else if (recur.freq === 'MONTHLY' && t.getUTCDate() !== a.getUTCDate()) {
+    return `Recurs on day ${a.getUTCDate()} of the month (Start_Date ${anchor})`;
+  }
+  return null;
+}
+
+/**
+ * Weekdays a recurrence can fall on.
+ *
+ * @param {Recurrence} recur
+ * @returns {Array<string>} In DAY_NAMES order (none if invalid)
+ */
+function recurrenceDays(recur) {
+  if (recur.error) return [];
+  if (recur.dates.length) return DAY_NAMES.filter(d => recur.dates.some(s => DAY_NAMES[new Date(dateKeyToUtc(s)).getUTCDay()] === d));
+  if (recur.days.length) return DAY_NAMES.filter(d => recur.days.some(x => x.day === d));
+  return DAY_NAMES;
+}
+
+/**
+ * Reads a weekday token (MON or MONDAY).
+ *
+ * @param {string} s - Uppercase token
+ * @returns {string} 3-letter day name, or "" if not a weekday
+ */
+function parseWeekday(s) {
+  if (DAY_NAMES.includes(s)) return s;
+  const i = WEEKDAY_NAMES.indexOf(s);
+  return i < 0 ? "" : DAY_NAMES[i];
+}
+
+/**
+ * Is a string a valid calendar date in YYYY-MM-DD form?
+ *
+ * @param {string} s
+ * @returns {boolean}
+ */
+function isDateKey(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && addDaysToKey(s, 0) === s;
+}
+
+/**
+ * Names a week of the month: 1 → "1st", -1 → "last", -2 → "2nd last".
+ *
+ * @param {number} n - BYDAY week (1 to 5 or -1 to -5)
+ * @returns {string}
+ */
+function ordinalWeek(n) {
+  const names = ['1st', '2nd', '3rd', '4th', '5th'];
+  if (n > 0) return names[n - 1];
+  return n === -1 ? 'last' : `${names[-n - 1]} last`;
+}
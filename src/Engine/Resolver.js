@@ -13,10 +13,23 @@
 /**
  * @typedef {Object} Employee
  * @property {string} id - Unique employee ID (lowercase, trimmed)
- * @property {string} display - Display name
+ * @property {string} display - Employee ID as entered in the roster (keys the ledger)
+ * @property {string} [name] - Display_Name from the Employees master ("" = none)
  * @property {string} baseShift - Default shift string (e.g. "09:00 - 18:00")
  * @property {string} wo1 - Primary off day (3-letter, e.g. "SUN")
  * @property {string} wo2 - Secondary off day (3-letter, e.g. "MON")
+ * @property {string} [rotationId] - Rotation Pattern referenced by the roster row ("" = fixed weekly pattern)
+ * @property {Rotation|null} [rotation] - Resolved rotation definition (null if the ID is unknown)
+ * @property {Array<string>} [skills] - Lowercase skills from the roster's Skills column
+ * @property {string} [calendar] - Holiday calendar, uppercase (roster override, else the workspace's; "" = none)
+ * @property {string} [team] - Team from the roster's Team column, else the master's ("" = none)
+ * @property {string} [department] - Department from the roster's Department column, else the master's ("" = none)
+ * @property {string} [workspace] - Workspace file ID of the roster ("" = unknown)
+ * @property {string} [location] - Location from the Employees master ("" = none)
+ * @property {string} [contract] - Contract type from the Employees master ("" = none)
+ * @property {string} [hire] - Hire date YYYY-MM-DD from the master ("" = unknown)
+ * @property {string} [termination] - Termination date YYYY-MM-DD from the master ("" = still employed)
+ * @property {boolean} [inMaster] - Listed in a non-empty Employees master
  */
 
 /**
@@ -30,12 +43,15 @@
  * @typedef {Object} Rule
  * @property {string} id - Rule ID
  * @property {string} type - Rule type (DAY_PATTERN | SHIFT_OVERRIDE)
+ * @property {string} [scope] - Target: EMPLOYEE (default) | TEAM | SKILL | DEPARTMENT | WORKSPACE | ALL
+ * @property {string} [group] - Targeted employee ID, team, skill, department or workspace ("" for ALL)
  * @property {string} start - Start YYYY-MM-DD
  * @property {string} end - End YYYY-MM-DD
  * @property {string} shift - Shift string or ""
  * @property {string} wo1 - Off day 1
  * @property {string} wo2 - Off day 2
- * @property {string} freq - Frequency (ALL or comma-separated days)
+ * @property {string} freq - Frequency as entered (ALL, weekdays or KEY=VALUE parts, see Recurrence.js)
+ * @property {Recurrence} [recur] - Parsed Frequency (parsed from freq when missing)
  * @property {number} prio - Priority (higher wins)
  */
 
@@ -48,23 +64,30 @@
  * @property {string} finalStatus - Resulting status
  * @property {string} action - Ledger action (GRANT/REVOKE/NONE)
  * @property {string} reason - Human-readable reason
+ * @property {number} sheetRow - Row number in the Decision_Matrix sheet (1-based, header = 1)
  */
 
 /**
  * @typedef {Object} EngineContext
  * @property {Map<string, string>} mapping - Shift code to Status mapping
+ * @property {Map<string, ShiftDefinition>} [shifts] - Shift catalogue (times, break, paid hours)
  * @property {Map<string, Array<DecisionMatrixRow>>} matrixIndex - Indexed decision matrix
  * @property {Map<string, Object>} ledger - Entitlement ledger state
- * @property {Map<string, string>} leaves - Leave records
+ * @property {Map<string, LeaveDay>} leaves - Approved leave by employee|date
  * @property {Map<string, Array<Rule>>} rules - Employee rules
- * @property {Set<string>} holidays - Holiday date strings
+ * @property {Map<string, EmployeeRecord>} [employees] - Employee master by lowercase ID (empty = no master)
+ * @property {Map<string, Array<Holiday>>} holidays - Holidays by date (all calendars)
+ * @property {Map<string, string>} [calendars] - Holiday calendar by workspace file ID
+ * @property {Map<string, Rotation>} rotations - Rotation patterns by lowercase Rotation ID
+ * @property {Array<StaffingRequirement>} staffing - Minimum staffing requirements
+ * @property {Array<LockWindow>} locks - Frozen periods
  */
 
 /**
  * Resolves the final workforce status for a single employee on a single day.
  *
  * Resolution hierarchy:
- * 1) Base roster
+ * 1) Base roster (fixed weekly off days or rotation phase)
  * 2) DAY_PATTERN rules (state-changing, aggressive)
  * 3) SHIFT_OVERRIDE rules (attribute-changing, polite)
  * 4) Leave / Holiday / Entitlement inputs
@@ -74,23 +97,29 @@
  * @param {DayMeta} meta - Date metadata (date object, string, weekday).
  * @param {EngineContext} ctx - Preloaded context (rules, ledger, holidays, matrix).
  * @param {Array<Rule>} rules - Active rules for the employee.
- * @returns {{row: Array, entitlementAction: string, finalStatus: string}} The resolution result including audit trace row and ledger actions.
+ * @returns {{row: Array, entitlementAction: string, finalStatus: string, matrixKey: (string|undefined), reason: (string|undefined), ruleIds: (Array<string>|undefined), holiday: (Holiday|null|undefined), leave: (LeaveDay|null|undefined)}} The resolution result including audit trace row, ledger actions, the decision matrix key and reason used, the IDs of the rules applied, the holiday the employee observes and the leave applied.
  */
 function resolveEmployeeDay(emp, meta, ctx, rules) {
   const key = `${emp.id}|${meta.str}`;
   let trace = [];
   // 1. Establish Base State
-  const baseOff = meta.day === emp.wo1 || meta.day === emp.wo2;
-  const baseIsWork = !baseOff && emp.baseShift !== 'OFF';
+  const base = resolveBaseSchedule(emp, meta);
+  if (!base) {
+    return {
+      row: createErrorRow(emp, meta, 'OFF', 'OFF', 'OFF', 'NONE', 'FALSE', 'NONE', `Unknown Rotation: ${emp.rotationId}`),
+      entitlementAction: 'NONE',
+      finalStatus: 'ERROR'
+    };
+  }
+  const baseIsWork = base.isWork;
+  const baseShift = base.shift;
   let isWorkDay = baseIsWork;
-  let currentShift = baseIsWork ? emp.baseShift : 'OFF';
+  let currentShift = baseIsWork ? baseShift : 'OFF';
+  const ruleIds = [];
   trace.push(`[BASE:${baseIsWork ? 'WORK' : 'OFF'}:${currentShift}]`);
+  if (base.slot !== undefined) trace.push(`[ROTATION:${emp.rotation.id}:S${base.slot + 1}/${emp.rotation.cycle}]`);
   // 2. Filter Active Rules & Apply Audit
-  const activeRules = rules.filter(r =>
-    meta.str >= r.start && meta.str <= r.end &&
-    (r.freq === 'ALL' || r.freq.includes(meta.day)) &&
-    audit_inputs(r) // Step 4: Input Sanitation
-  );
+  const activeRules = rules.filter(r => !getRuleFilterReason(r, meta)); // Incl. Step 4: Input Sanitation
   // --- PASS 1: WO RULES (Aggressive - Sets the State) ---
   // LOGIC: Highest Prio Wins. If Tie, Higher ID Wins.
   const winningWO = findWinningRule(activeRules, 'DAY_PATTERN');
@@ -109,12 +138,13 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
       } else {
         if (currentShift === 'OFF') {
           // Fix for the Wed/Thu WO scenario where Mon is work but Shift is empty/OFF
-          currentShift = (emp.baseShift !== 'OFF') ? emp.baseShift : "09:00 - 18:00";
+          currentShift = (baseShift !== 'OFF') ? baseShift : "09:00 - 18:00";
           trace.push(`[FIX:AppliedFallback]`);
         }
       }
     }
     trace.push(`[DAY_PATTERN:${winningWO.id}:${currentShift}:P${winningWO.prio}]`);
+    ruleIds.push(String(winningWO.id));
   }
   // --- PASS 2: SHIFT RULES (Polite - Applies Attribute) ---
   // Can ONLY apply if the day is currently WORK
@@ -126,8 +156,9 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
       if (sShift !== 'OFF' && sShift !== '') {
         currentShift = winningSHIFT.shift;
         trace.push(`[SHIFT:${winningSHIFT.id}:${winningSHIFT.shift}:P${winningSHIFT.prio}]`);
+        ruleIds.push(String(winningSHIFT.id));
       } else {
-        currentShift = emp.baseShift; // fallback to safe shift
+        currentShift = baseShift; // fallback to safe shift
         trace.push(`[SHIFT:FALLBACK_BASE:${winningSHIFT.id}]`);
       }
     }
@@ -138,17 +169,22 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
   const derivedFlag = isWorkDay ? 'WORK' : 'OFF';
   const baseFlag = baseIsWork ? 'WORK' : 'OFF';
   const ruleFlag = (derivedFlag === baseFlag) ? 'NONE' : derivedFlag;
-  const holidayFlag = ctx.holidays.has(meta.str) ? 'TRUE' : 'FALSE';
+  // Holiday of the employee's calendar; an optional holiday is a normal day unless taken as leave
+  const holiday = getHoliday(ctx.holidays, emp.calendar, meta.str);
+  const holidayFlag = holiday && holiday.type !== 'OPTIONAL' ? 'TRUE' : 'FALSE';
+  if (holiday) trace.push(`[PH:${holiday.type}:${holiday.name || holiday.date}]`);
 
   let reqFlag = 'NONE';
   let leave = 'NONE';
   let entitlement = 'NONE';
 
   // Leave input
-  const lv = ctx.leaves.get(key);
+  const lv = ctx.leaves.get(key) || null;
   if (lv) {
-    reqFlag = 'LEAVE';
-    leave = lv;
+    // A COMP_DAY leave is a request to consume an entitlement, not regular leave
+    reqFlag = String(lv.type).toUpperCase().trim() === 'COMP_DAY' ? 'COMP_DAY' : 'LEAVE';
+    leave = lv.type;
+    trace.push(`[LEAVE:${lv.type}${isHalfDayLeave(lv) ? `:${lv.portion}` : ''}]`);
   }
 
   // Entitlement input (Comp Day / future credits)
@@ -159,7 +195,8 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
   }
 
   // Lookup decision matrix
-  const bucket = ctx.matrixIndex.get(`${baseFlag}|${ruleFlag}|${holidayFlag}|${reqFlag}`) || [];
+  const matrixKey = `${baseFlag}|${ruleFlag}|${holidayFlag}|${reqFlag}`;
+  const bucket = ctx.matrixIndex.get(matrixKey) || [];
   let match = null;
 
   for (const row of bucket) {
@@ -177,14 +214,17 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
   // If no decision found → error row
   if (!match) {
     return {
-      row: createErrorRow(emp, meta, baseFlag, baseIsWork ? emp.baseShift : 'OFF', currentShift, leave, holidayFlag, entitlement, 'Missing Logic'),
+      row: createErrorRow(emp, meta, baseFlag, baseIsWork ? baseShift : 'OFF', currentShift, leave, holidayFlag, entitlement, 'Missing Logic'),
       entitlementAction: 'NONE',
-      finalStatus: 'ERROR'
+      finalStatus: 'ERROR',
+      matrixKey: matrixKey
     };
   }
 
   let finalStatus = match.finalStatus;
   if (finalStatus === 'LEAVE') finalStatus = leave;
+  // Half-day leave on a work day: the other half is still worked
+  const halfLeave = isHalfDayLeave(lv) && isWorkDay;
 
 
   // --- FINAL VALUE CALCULATION (Float64 Strict) ---
@@ -193,11 +233,15 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
 
   if (finalStatus === 'WORK') {
     finalShift = currentShift;
-    finalVal = (currentShift === 'HAL1' || currentShift === 'HAL2') ? 0.5 : 1.0;
+    finalVal = getShiftDayValue(currentShift);
   }
   else if (finalStatus === 'COMP_DAY') {
     finalShift = 'OFF';
-    finalVal = 1.0;
+    finalVal = getShiftDayValue(currentShift) * (halfLeave ? 0.5 : 1); // A half-day shift or half-day request consumes half a day
+  }
+  else if (halfLeave && match.finalStatus === 'LEAVE') {
+    finalShift = currentShift;
+    finalVal = getShiftDayValue(currentShift) * 0.5;
   }
   else {
     finalShift = 'OFF';
@@ -213,7 +257,7 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
       emp.display,
       meta.obj,
       baseFlag,
-      baseIsWork ? emp.baseShift : 'OFF',
+      baseIsWork ? baseShift : 'OFF',
       currentShift,
       leave,
       holidayFlag,
@@ -222,13 +266,43 @@ function resolveEmployeeDay(emp, meta, ctx, rules) {
       finalShift,
       reasonOut,
       trace.join(' | '),
-      finalVal
+      finalVal,
+      finalStatus === 'WORK' ? getWorkedHours(ctx.shifts, finalShift, finalVal)
+        : (halfLeave && finalShift !== 'OFF' ? roundAmount(getWorkedHours(ctx.shifts, finalShift, finalVal * 2) * 0.5) : 0)
     ],
-    entitlementAction: match.action, finalStatus: finalStatus
+    entitlementAction: match.action, finalStatus: finalStatus, matrixKey: matrixKey,
+    reason: match.reason, ruleIds: ruleIds, holiday: holiday, leave: lv
   };
 }
 
 
+/**
+ * Day value of a worked shift: 0.5 for the half-day codes HAL1 / HAL2, 1.0 otherwise.
+ *
+ * @param {string} shift - Shift value
+ * @returns {number}
+ */
+function getShiftDayValue(shift) {
+  return (shift === 'HAL1' || shift === 'HAL2') ? 0.5 : 1.0;
+}
+
+
+/**
+ * Explains why a rule does not apply on a day.
+ * This is the single filter used by resolveEmployeeDay() to select active rules.
+ *
+ * @param {Rule} rule - Candidate rule
+ * @param {DayMeta} meta - Date metadata
+ * @returns {string|null} Reason the rule is filtered out, or null if it is active
+ */
+function getRuleFilterReason(rule, meta) {
+  if (meta.str < rule.start || meta.str > rule.end) return `Outside date range ${rule.start} → ${rule.end}`;
+  const skipped = getRecurrenceMiss(ruleRecurrence(rule), meta.str, rule.start);
+  if (skipped) return skipped;
+  if (!audit_inputs(rule)) return "Failed input audit (audit_inputs)";
+  return null;
+}
+
 /**
  * Verifies if the final shift matches the expected shift from rules.
  * This acts as a "Mirror Audit" to ensure logic parity.
@@ -310,12 +384,13 @@ function createErrorRow(emp, meta, b, bs, r, l, p, po, err) {
     "",             // Final_Shift
     err,            // Reason
     "ERROR_TRACE",  // Trace placeholder
-    0               // Final_Val
+    0,              // Final_Val
+    0               // Worked_Hours
   ];
 }
 
 /**
- * Helper to find the winning rule based on Priority > ID.
+ * Helper to find the winning rule based on Target specificity > Priority > ID.
  * Refactored to DRY out the .reduce() logic.
  *
  * @param {Array<Rule>} rules - Candidate rules
@@ -327,6 +402,8 @@ function findWinningRule(rules, type) {
     .filter(r => r.type === type)
     .reduce((prev, curr) => {
       if (prev.prio === -1) return curr;
+      // A more specific target wins whatever the priority (employee > team > ... > all)
+      if (ruleSpecificity(curr) !== ruleSpecificity(prev)) return ruleSpecificity(curr) > ruleSpecificity(prev) ? curr : prev;
       if (curr.prio > prev.prio) return curr;
       // Tie-breaker: Deterministic by ID (Higher ID wins)
       if (curr.prio === prev.prio && curr.id.localeCompare(prev.id) > 0) return curr;
@@ -0,0 +1,120 @@
+/**
+ * Rotation Module
+ * ---------------
+ * Parses rotating roster patterns (N-on/M-off, Panama, 2-2-3) from the Central DB
+ * and derives the base schedule of an employee-day from the rotation phase.
+ *
+ * A rotation is a fixed-length cycle of WORK/OFF slots. Slot 1 falls on the
+ * anchor date and the cycle repeats in both directions from there.
+ *
+ * @file Rotation.js
+ */
+
+/**
+ * @typedef {Object} Rotation
+ * @property {string} id - Rotation ID (as written in the sheet)
+ * @property {number} cycle - Cycle length in days
+ * @property {Array<boolean>} slots - WORK (true) / OFF (false) per slot
+ * @property {Array<string>} shifts - Shift per slot ("" = employee default shift)
+ * @property {string} anchor - Date of slot 1, YYYY-MM-DD
+ */
+
+/**
+ * @typedef {Object} BaseSchedule
+ * @property {boolean} isWork - Is the day a base work day?
+ * @property {string} shift - Shift the employee is rostered on for this day
+ * @property {number} [slot] - 0-based rotation slot (rotation employees only)
+ */
+
+/**
+ * Reads and parses rotation definitions from the Rotation_Patterns sheet.
+ * Rows with an invalid sequence or anchor are skipped; rosters referencing
+ * them resolve to "Unknown Rotation" error rows.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Rotation_Patterns sheet (header first)
+ * @returns {Map<string, Rotation>} Map of lowercase Rotation ID -> Rotation
+ */
+function parseRotations(d) {
+  const m = new Map();
+  if (!d || !d.length) return m;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.rotations.h;
+  if (!h.has(c.id.toLowerCase()) || !h.has(c.sequence.toLowerCase())) return m;
+  const cell = (r, k) => h.has(c[k].toLowerCase()) ? r[h.get(c[k].toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const r = d[i];
+    const id = String(cell(r, 'id') || "").trim();
+    const anchor = parseSafeDate(cell(r, 'anchor'));
+    if (!id || !anchor) continue;
+    const rotation = buildRotation(id, cell(r, 'sequence'), cell(r, 'shifts'), formatDate(anchor));
+    if (!rotation) continue;
+    const cycle = Number(cell(r, 'cycle'));
+    // Cycle_Length is optional, but when present it must agree with the sequence
+    if (cycle && cycle !== rotation.cycle) continue;
+    m.set(id.toLowerCase(), rotation);
+  }
+  return m;
+}
+
+/**
+ * Builds a Rotation from its raw sheet values.
+ *
+ * The work sequence accepts W/WORK and O/OFF tokens, either comma-separated
+ * ("W,W,O,O") or compact ("WWOO"). The shift sequence is either a single shift
+ * applied to every work slot, or a comma-separated list with one entry per slot.
+ *
+ * @param {string} id - Rotation ID
+ * @param {string} sequence - Work/off sequence
+ * @param {string} shifts - Shift sequence (optional)
+ * @param {string} anchor - Anchor date YYYY-MM-DD
+ * @returns {Rotation|null} The rotation, or null if the sequences are invalid
+ */
+function buildRotation(id, sequence, shifts, anchor) {
+  const raw = String(sequence || "").toUpperCase().trim();
+  if (!raw) return null;
+  const tokens = /[,\s]/.test(raw) ? raw.split(/[,\s]+/).filter(String) : raw.split('');
+  const slots = [];
+  for (const t of tokens) {
+    if (t === 'W' || t === 'WORK') slots.push(true);
+    else if (t === 'O' || t === 'OFF') slots.push(false);
+    else return null;
+  }
+  const shiftStr = String(shifts || "").trim();
+  let shiftList = shiftStr ? shiftStr.split(',').map(s => s.trim()) : [];
+  if (shiftList.length === 1) shiftList = slots.map(() => shiftList[0]);
+  if (shiftList.length === 0) shiftList = slots.map(() => "");
+  if (shiftList.length !== slots.length) return null;
+  return { id: String(id).trim(), cycle: slots.length, slots: slots, shifts: shiftList, anchor: anchor };
+}
+
+/**
+ * Returns the 0-based slot of a rotation that falls on the given date.
+ * Dates before the anchor wrap backwards through the cycle.
+ *
+ * @param {Rotation} rotation - The rotation
+ * @param {string} dateStr - Date YYYY-MM-DD
+ * @returns {number} Slot index in [0, cycle)
+ */
+function getRotationSlot(rotation, dateStr) {
+  const days = Math.round((dateKeyToUtc(dateStr) - dateKeyToUtc(rotation.anchor)) / 86400000);
+  return ((days % rotation.cycle) + rotation.cycle) % rotation.cycle;
+}
+
+/**
+ * Determines the base schedule of an employee-day, before any rules apply.
+ * Employees with a rotation follow its phase; everyone else follows their
+ * fixed weekly off days.
+ *
+ * @param {Employee} emp - Employee base data
+ * @param {DayMeta} meta - Date metadata
+ * @returns {BaseSchedule|null} The base schedule, or null if the employee references an unknown rotation
+ */
+function resolveBaseSchedule(emp, meta) {
+  if (emp.rotationId) {
+    if (!emp.rotation) return null;
+    const slot = getRotationSlot(emp.rotation, meta.str);
+    const shift = emp.rotation.shifts[slot] || emp.baseShift;
+    return { isWork: emp.rotation.slots[slot] && shift !== 'OFF', shift: shift, slot: slot };
+  }
+  const baseOff = meta.day === emp.wo1 || meta.day === emp.wo2;
+  return { isWork: !baseOff && emp.baseShift !== 'OFF', shift: emp.baseShift };
+}
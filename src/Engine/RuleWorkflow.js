@@ -0,0 +1,159 @@
+/**
+ * Rule Workflow Module
+ * --------------------
+ * Approval lifecycle of the Schedule_Rules.
+ *
+ * A rule moves DRAFT → PENDING → APPROVED or REJECTED, and an approved rule is
+ * retired as EXPIRED or SUPERSEDED. A pending rule can be sent back to DRAFT and
+ * a rejected one reopened as a DRAFT; EXPIRED and SUPERSEDED are final. Only
+ * APPROVED rules are applied, matched exactly ("UNAPPROVED" is not approved).
+ * A blank Approval_Status reads as DRAFT.
+ *
+ * Status changes are requested in the Rule_Actions sheet and applied by
+ * runRuleActions(). Each request is checked against RULE_TRANSITIONS, written
+ * to the rule's row (with Approved_By / Approved_At on approval, when the
+ * columns exist) and appended to Rule_Status_Log with the user and time. A rule
+ * whose Start_Date or Frequency is invalid cannot be approved.
+ * Approvals are simulated first (simulateChanges()): the preview goes to the
+ * Rule_Preview sheet and its summary to the log. Edits made to Approval_Status
+ * by hand are not checked here; the integrity checks report them.
+ *
+ * @file RuleWorkflow.js
+ */
+
+/**
+ * @typedef {Object} RuleStatusChange
+ * @property {string} ruleId - Rule ID
+ * @property {string} from - Status before the change
+ * @property {string} to - Requested status
+ * @property {string} user - Who requested the change
+ * @property {string} comment - Reason given
+ * @property {string} preview - Simulation summary (approvals only)
+ * @property {string} error - Why the change was refused ("" = applied)
+ */
+
+/**
+ * Approval states of a rule; only APPROVED is applied.
+ */
+const RULE_STATUSES = ['DRAFT', 'PENDING', 'APPROVED', 'REJECTED', 'EXPIRED', 'SUPERSEDED'];
+
+/**
+ * Allowed status changes by current status.
+ */
+const RULE_TRANSITIONS = {
+  DRAFT: ['PENDING'],
+  PENDING: ['APPROVED', 'REJECTED', 'DRAFT'],
+  APPROVED: ['EXPIRED', 'SUPERSEDED'],
+  REJECTED: ['DRAFT'],
+  EXPIRED: [],
+  SUPERSEDED: []
+};
+
+/**
+ * Normalizes an Approval_Status cell (blank = DRAFT).
+ *
+ * @param {*} v - Cell value
+ * @returns {string} Uppercase status, as entered if it is not one of RULE_STATUSES
+ */
+function normalizeRuleStatus(v) {
+  return String(v || "").trim().toUpperCase() || 'DRAFT';
+}
+
+/**
+ * Is a status change allowed?
+ *
+ * @param {string} from - Current status (normalized)
+ * @param {string} to - Requested status (normalized)
+ * @returns {boolean}
+ */
+function canTransitionRule(from, to) {
+  return (RULE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Reads the Rule_Status_Log sheet.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @returns {Array<RuleStatusChange>} Logged changes, oldest first
+ */
+function readRuleStatusLog(ssDb) {
+  const d = ssDb.readTable(CONFIG.tabs.ruleLog.name);
+  const list = [];
+  if (!d || d.length < 2) return list;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.ruleLog.h;
+  const get = (r, k) => h.has(c[k].toLowerCase()) ? String(r[h.get(c[k].toLowerCase())] || "").trim() : "";
+  for (let i = 1; i < d.length; i++) {
+    if (!get(d[i], 'ruleId')) continue;
+    list.push({
+      ruleId: get(d[i], 'ruleId'), from: get(d[i], 'from').toUpperCase(), to: get(d[i], 'to').toUpperCase(),
+      user: get(d[i], 'user'), comment: get(d[i], 'comment'), preview: get(d[i], 'preview'), error: ""
+    });
+  }
+  return list;
+}
+
+/**
+ * Applies requested status changes to the Schedule_Rules sheet.
+ * Requests are applied in order, so one rule can be moved more than once.
+ * Respects CONFIG.isDryRun: in dry run the changes are checked, not written. Rule_Preview
+ * is a report, so approvals are previewed there in dry run too.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {Array<{ruleId: string, to: string, comment: string}>} requests - Requested changes
+ * @param {string} user - Who requested the changes
+ * @returns {Array<RuleStatusChange>} One entry per request (error set when refused)
+ */
+function transitionRules(ssDb, requests, user) {
+  const name = CONFIG.tabs.rules.name, c = CONFIG.tabs.rules.h, o = CONFIG.tabs.rules.optional;
+  const d = ssDb.readTable(name);
+  if (!d || !d.length) throw new Error(`Sheet "${name}" not found.`);
+  const h = mapHeaders(d[0]);
+  const col = k => h.get(k.toLowerCase());
+  const now = new Date();
+  const touched = new Set();
+
+  const changes = requests.map(req => {
+    const ruleId = String(req.ruleId || "").trim();
+    const to = normalizeRuleStatus(req.to);
+    const matches = [];
+    d.forEach((r, i) => { if (i > 0 && ruleId && String(r[col(c.id)]).trim() === ruleId) matches.push(i); });
+    const at = matches[0];
+    const from = at ? normalizeRuleStatus(d[at][col(c.status)]) : "";
+    const change = { ruleId: ruleId, from: from, to: to, user: user, comment: String(req.comment || "").trim(), preview: "", error: "" };
+
+    if (!at) change.error = `Unknown Rule ID in ${name}`;
+    else if (matches.length > 1) change.error = `Rule ID appears ${matches.length} times in ${name}`;
+    else if (!RULE_STATUSES.includes(to)) change.error = `"${to}" is not one of ${RULE_STATUSES.join(', ')}`;
+    else if (!canTransitionRule(from, to)) change.error = `${from} → ${to} is not allowed (allowed: ${(RULE_TRANSITIONS[from] || []).join(', ') || 'none'})`;
+    else if (to === 'APPROVED' && parseRuleRow(d[at], h).error) change.error = `Cannot approve: ${parseRuleRow(d[at], h).error}`;
+    if (change.error) return change;
+
+    d[at][col(c.status)] = to.charAt(0) + to.slice(1).toLowerCase();
+    if (to === 'APPROVED') {
+      if (h.has(o.approvedBy.toLowerCase())) d[at][col(o.approvedBy)] = user;
+      if (h.has(o.approvedAt.toLowerCase())) d[at][col(o.approvedAt)] = now;
+    }
+    touched.add(at);
+    return change;
+  });
+
+  // Approvals are previewed together, against the rules as they were before this batch
+  const approved = changes.filter(ch => !ch.error && ch.to === 'APPROVED');
+  if (approved.length) {
+    const ids = Array.from(new Set(approved.map(ch => ch.ruleId)));
+    const rows = renderSimulation(simulateChanges({ rules: ids.map(id => ({ [c.id]: id })) }));
+    ssDb.writeTable(CONFIG.tabs.simulation.name, CONFIG.tabs.simulation.h,
+      [['QUERY', ids.join(', '), '', '']].concat(rows));
+    approved.forEach(ch => { ch.preview = rows[0][2]; });
+  }
+
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping transitionRules() writes");
+    return changes;
+  }
+  Array.from(touched).sort((a, b) => a - b).forEach(i => ssDb.writeRows(name, i, [d[i]]));
+  const log = changes.filter(ch => !ch.error)
+    .map(ch => [now, ch.ruleId, ch.from, ch.to, ch.user, ch.comment, ch.preview]);
+  if (log.length) ssDb.appendRows(CONFIG.tabs.ruleLog.name, log, Object.values(CONFIG.tabs.ruleLog.h));
+  return changes;
+}
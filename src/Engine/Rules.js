@@ -4,65 +4,185 @@
  * ------------
  * Parses and indexes the scheduling rules from the Central DB.
  * 
- * Rules are loaded into a Map<EmployeeID, Rule[]> structure.
+ * Rules are loaded into a Map<TargetKey, Rule[]> structure. A rule targets one
+ * employee (Employee_ID, the default) or a group through the optional Target
+ * column: TEAM:<name>, DEPARTMENT:<name>, SKILL:<tag>, WORKSPACE:<file ID> or
+ * ALL. Employee rules are keyed by the lowercase Employee ID, group rules by
+ * "team:icu", "skill:triage", ... and ALL by "*". getEmployeeRules() collects
+ * the rules of every group an employee belongs to.
+ *
+ * A more specific target always wins over a broader one (employee > team >
+ * skill > department > workspace > all); priority decides between rules of
+ * the same specificity.
+ *
+ * The Frequency column is parsed by parseRecurrence() (see Recurrence.js); a
+ * rule with an invalid Start_Date or Frequency is not applied.
  * 
  * @file Rules.js
  */
 
+/**
+ * Rule targets from broadest to most specific (index = specificity).
+ */
+const RULE_SCOPES = ['ALL', 'WORKSPACE', 'DEPARTMENT', 'SKILL', 'TEAM', 'EMPLOYEE'];
+
 /**
  * Reads and parses rules from the Rules sheet.
- * Filters for 'Approved' status only.
+ * Filters for 'Approved' status only (exact match, see RuleWorkflow.js).
  * Sorts rules by Priority and Specificity.
  *
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sh - The Rules sheet
- * @returns {Map<string, Array<Rule>>} Map of Employee ID -> Array of Rule objects
+ * @param {Array<Array<*>>|null} d - Rows of the Rules sheet (header first)
+ * @returns {Map<string, Array<Rule>>} Map of target key (ruleTargetKey()) -> Array of Rule objects
  */
-function parseRules(sh) {
+function parseRules(d) {
     const m = new Map();
-    if (!sh) return m;
-    const d = sh.getDataRange().getValues(), h = mapHeaders(d[0]), c = CONFIG.tabs.rules.h;
+    if (!d || !d.length) return m;
+    const h = mapHeaders(d[0]), c = CONFIG.tabs.rules.h;
     if (!h.has(c.status.toLowerCase())) return m;
     for (let i = 1; i < d.length; i++) {
-        const r = d[i];
-        if (String(r[h.get(c.status.toLowerCase())]).toUpperCase().includes('APPROVED')) {
-            const employee = String(r[h.get(c.employee.toLowerCase())]).trim().toLowerCase();
-            const st = parseSafeDate(r[h.get(c.start.toLowerCase())]);
-            if (employee && st) {
-                if (!m.has(employee)) m.set(employee, []);
-                m.get(employee).push({
-                    id: r[h.get(c.id.toLowerCase())],
-                    type: String(r[h.get(c.type.toLowerCase())] || "SHIFT_OVERRIDE").toUpperCase().trim(),
-                    start: formatDate(st),
-                    end: formatDate(parseSafeDate(r[h.get(c.end.toLowerCase())]) || st),
-                    shift: r[h.get(c.shift.toLowerCase())],
-                    wo1: r[h.get(c.wo1.toLowerCase())],
-                    wo2: r[h.get(c.wo2.toLowerCase())],
-                    freq: String(r[h.get(c.freq.toLowerCase())] || "ALL").toUpperCase(),
-                    prio: Number(r[h.get(c.prio.toLowerCase())]) || 0,
-                });
-            }
+        const parsed = parseRuleRow(d[i], h);
+        if (parsed.approved && parsed.key && parsed.rule) {
+            if (!m.has(parsed.key)) m.set(parsed.key, []);
+            m.get(parsed.key).push(parsed.rule);
         }
     }
-    // ---------------------------------------------------------
-    // ⚡ STRICT HIERARCHY SORT
-    // Order: Day Pattern > Shift Override | Specific > General | Priority High > Low
-    // ---------------------------------------------------------
-    m.forEach(rulesArray => {
-        rulesArray.sort((a, b) => {
-            // 1. TYPE: WO (Aggressive) must be processed BEFORE SHIFT (Polite)
-            const typeA = a.type === 'DAY_PATTERN' ? 0 : 1;
-            const typeB = b.type === 'DAY_PATTERN' ? 0 : 1;
-            if (typeA !== typeB) return typeA - typeB;
-            // 2. FREQUENCY: Specific Date (0) takes precedence over ALL (1)
-            const freqA = (a.freq !== 'ALL') ? 0 : 1;
-            const freqB = (b.freq !== 'ALL') ? 0 : 1;
-            if (freqA !== freqB) return freqA - freqB;
-            // 3. PRIORITY: 10 (High) -> 1 (Low)
-            // We process High Priority first so we can 'lock' the state (First-Win strategy)
-            if (a.prio !== b.prio) return b.prio - a.prio;
-            // 4. TIE-BREAKER: Deterministic by ID
-            return a.id.localeCompare(b.id);
-        });
-    });
+    m.forEach(rulesArray => rulesArray.sort(compareRules));
     return m;
-}
\ No newline at end of file
+}
+
+/**
+ * Parses one row of the Rules sheet, whatever its approval status.
+ *
+ * @param {Array<*>} r - Sheet row
+ * @param {Map<string, number>} h - Header map of the Rules sheet
+ * @returns {{employee: string, status: string, approved: boolean, scope: string, group: string, key: string, error: string, rule: (Rule|null)}}
+ *   key is "" if the target is unknown or has no employee / group; rule is null if Start_Date or Frequency is invalid (see error)
+ */
+function parseRuleRow(r, h) {
+    const c = CONFIG.tabs.rules.h, o = CONFIG.tabs.rules.optional;
+    const status = String(r[h.get(c.status.toLowerCase())] || "").trim();
+    const employee = String(r[h.get(c.employee.toLowerCase())] || "").trim().toLowerCase();
+    const target = parseRuleTarget(h.has(o.target.toLowerCase()) ? r[h.get(o.target.toLowerCase())] : "", employee);
+    const st = parseSafeDate(r[h.get(c.start.toLowerCase())]);
+    const recur = parseRecurrence(r[h.get(c.freq.toLowerCase())]);
+    const error = !st ? "Start_Date missing or invalid" : (recur.error ? `Frequency "${recur.text}": ${recur.error}` : "");
+    return {
+        employee: target.scope === 'EMPLOYEE' ? target.group : "",
+        status: status,
+        approved: normalizeRuleStatus(status) === 'APPROVED',
+        scope: target.scope,
+        group: target.group,
+        key: ruleTargetKey(target.scope, target.group),
+        error: error,
+        rule: error ? null : {
+            id: r[h.get(c.id.toLowerCase())],
+            scope: target.scope,
+            group: target.group,
+            type: String(r[h.get(c.type.toLowerCase())] || "SHIFT_OVERRIDE").toUpperCase().trim(),
+            start: formatDate(st),
+            end: formatDate(parseSafeDate(r[h.get(c.end.toLowerCase())]) || st),
+            shift: r[h.get(c.shift.toLowerCase())],
+            wo1: r[h.get(c.wo1.toLowerCase())],
+            wo2: r[h.get(c.wo2.toLowerCase())],
+            freq: recur.text,
+            recur: recur,
+            prio: Number(r[h.get(c.prio.toLowerCase())]) || 0,
+        }
+    };
+}
+
+/**
+ * Parses a Target cell.
+ *
+ * @param {*} v - Cell value: blank / EMPLOYEE[:<id>], TEAM:<name>, DEPARTMENT:<name>, SKILL:<tag>, WORKSPACE:<id> or ALL
+ * @param {string} employee - Lowercase Employee_ID of the row (used by employee targets)
+ * @returns {{scope: string, group: string}} scope is "" if the target is not understood
+ */
+function parseRuleTarget(v, employee) {
+    const s = String(v || "").trim();
+    if (!s || s.toUpperCase() === 'EMPLOYEE') return { scope: 'EMPLOYEE', group: employee };
+    if (s.toUpperCase() === 'ALL') return { scope: 'ALL', group: "" };
+    const m = s.match(/^([A-Za-z]+)\s*:\s*(.+)$/);
+    const scope = m ? m[1].toUpperCase() : "";
+    if (!RULE_SCOPES.includes(scope) || scope === 'ALL') return { scope: "", group: "" };
+    return { scope: scope, group: scope === 'EMPLOYEE' ? m[2].trim().toLowerCase() : m[2].trim() };
+}
+
+/**
+ * Key of a rule target in the parseRules() map.
+ *
+ * @param {string} scope - One of RULE_SCOPES
+ * @param {string} group - Employee ID, team, department, skill or workspace
+ * @returns {string} "" if the target is incomplete
+ */
+function ruleTargetKey(scope, group) {
+    if (scope === 'ALL') return '*';
+    if (!RULE_SCOPES.includes(scope) || !group) return "";
+    const g = String(group).trim().toLowerCase();
+    return scope === 'EMPLOYEE' ? g : `${scope.toLowerCase()}:${g}`;
+}
+
+/**
+ * Target keys an employee belongs to, most specific first.
+ *
+ * @param {Employee} emp - Employee
+ * @returns {Array<string>}
+ */
+function employeeRuleKeys(emp) {
+    return [ruleTargetKey('EMPLOYEE', emp.id), ruleTargetKey('TEAM', emp.team)]
+        .concat((emp.skills || []).map(s => ruleTargetKey('SKILL', s)))
+        .concat([ruleTargetKey('DEPARTMENT', emp.department), ruleTargetKey('WORKSPACE', emp.workspace), '*'])
+        .filter(String);
+}
+
+/**
+ * Collects the rules of an employee and of every group they belong to.
+ *
+ * @param {Map<string, Array<Rule>>} rules - From parseRules()
+ * @param {Employee} emp - Employee
+ * @returns {Array<Rule>} Sorted with compareRules()
+ */
+function getEmployeeRules(rules, emp) {
+    const out = [];
+    employeeRuleKeys(emp).forEach(k => out.push(...(rules.get(k) || [])));
+    return out.sort(compareRules);
+}
+
+/**
+ * Specificity of a rule's target (higher = more specific).
+ *
+ * @param {Rule} rule
+ * @returns {number}
+ */
+function ruleSpecificity(rule) {
+    return RULE_SCOPES.indexOf(rule.scope || 'EMPLOYEE');
+}
+
+// ---------------------------------------------------------
+// ⚡ STRICT HIERARCHY SORT
+// Order: Day Pattern > Shift Override | Employee > Group | Specific > General | Priority High > Low
+// ---------------------------------------------------------
+/**
+ * Sort comparator for an employee's rules.
+ *
+ * @param {Rule} a
+ * @param {Rule} b
+ * @returns {number}
+ */
+function compareRules(a, b) {
+    // 1. TYPE: WO (Aggressive) must be processed BEFORE SHIFT (Polite)
+    const typeA = a.type === 'DAY_PATTERN' ? 0 : 1;
+    const typeB = b.type === 'DAY_PATTERN' ? 0 : 1;
+    if (typeA !== typeB) return typeA - typeB;
+    // 2. TARGET: Employee > Team > Skill > Department > Workspace > All
+    if (ruleSpecificity(a) !== ruleSpecificity(b)) return ruleSpecificity(b) - ruleSpecificity(a);
+    // 3. FREQUENCY: Recurring (0) takes precedence over every day (1)
+    const freqA = ruleRecurrence(a).all ? 1 : 0;
+    const freqB = ruleRecurrence(b).all ? 1 : 0;
+    if (freqA !== freqB) return freqA - freqB;
+    // 4. PRIORITY: 10 (High) -> 1 (Low)
+    // We process High Priority first so we can 'lock' the state (First-Win strategy)
+    if (a.prio !== b.prio) return b.prio - a.prio;
+    // 5. TIE-BREAKER: Deterministic by ID
+    return String(a.id).localeCompare(String(b.id));
+}
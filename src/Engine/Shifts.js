@@ -0,0 +1,167 @@
+/**
+ * Shift Catalogue Module
+ * ----------------------
+ * Turns shift codes into a time model: start, end, break and paid hours.
+ *
+ * The catalogue is built on Shift_Status_Mapping. The optional columns
+ * Start_Time, End_Time, Break_Minutes and Paid_Hours describe each code; codes
+ * written as a time range ("09:00 - 18:00") describe themselves, so they need
+ * no extra columns. A shift that ends at or before its start time is overnight:
+ * it starts on the roster date and ends on the next calendar date.
+ *
+ * Paid hours are Paid_Hours if given, otherwise the duration minus the break.
+ * Codes without times (e.g. HAL1 with no Start_Time) fall back to
+ * Final_Val × CONFIG.ledger.hoursPerDay.
+ *
+ * Spans are placed on a UTC timeline at wall-clock time (DST is ignored), so the
+ * rest between two shifts is plain subtraction (getRestHours()).
+ *
+ * @file Shifts.js
+ */
+
+/**
+ * @typedef {Object} ShiftDefinition
+ * @property {string} code - Shift code as entered
+ * @property {string} status - Work_Status (uppercase, "" if unmapped)
+ * @property {(number|null)} start - Start in minutes after midnight (null = no fixed time)
+ * @property {(number|null)} end - End in minutes after midnight (null = no fixed time)
+ * @property {boolean} overnight - Ends on the next calendar date
+ * @property {number} breakMinutes - Unpaid break
+ * @property {(number|null)} hours - Paid hours (null = no fixed length)
+ */
+
+/**
+ * @typedef {Object} ShiftSpan
+ * @property {number} start - Start, ms on the wall-clock UTC timeline
+ * @property {number} end - End, ms on the wall-clock UTC timeline
+ */
+
+/**
+ * Parses a time of day into minutes after midnight.
+ * Accepts "H:MM" / "HH:MM[:SS]" text, Sheets time values (Date) and day fractions (0.375 = 09:00).
+ *
+ * @param {*} v - Cell value
+ * @returns {(number|null)} Minutes, or null if blank or invalid
+ */
+function parseShiftTime(v) {
+  if (v instanceof Date) return isNaN(v.getTime()) ? null : v.getHours() * 60 + v.getMinutes();
+  if (typeof v === 'number') return v >= 0 && v < 1 ? Math.round(v * 1440) : null;
+  const m = String(v || "").trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  return (Number(m[1]) * 60 + Number(m[2])) % 1440;
+}
+
+/**
+ * Builds a shift definition.
+ *
+ * @param {string} code - Shift code
+ * @param {string} status - Work_Status
+ * @param {(number|null)} start - Start in minutes (null = no fixed time)
+ * @param {(number|null)} end - End in minutes (null = no fixed time)
+ * @param {number} [breakMinutes=0] - Unpaid break
+ * @param {number} [paidHours=0] - Paid hours (0 = duration minus break)
+ * @returns {ShiftDefinition}
+ */
+function buildShiftDefinition(code, status, start, end, breakMinutes = 0, paidHours = 0) {
+  const timed = start !== null && end !== null;
+  const minutes = timed ? ((end - start + 1440) % 1440 || 1440) : 0;
+  const hours = paidHours > 0 ? paidHours : (timed ? Math.max(0, minutes - breakMinutes) / 60 : null);
+  return {
+    code: code, status: status, start: timed ? start : null, end: timed ? end : null,
+    overnight: timed && end <= start, breakMinutes: breakMinutes,
+    hours: hours === null ? null : roundAmount(hours)
+  };
+}
+
+/**
+ * Derives the definition of a "HH:MM - HH:MM" shift code from the code itself.
+ *
+ * @param {*} code - Shift code
+ * @returns {(ShiftDefinition|null)} null if the code is not a time range
+ */
+function parseShiftRange(code) {
+  const m = String(code || "").match(/^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/);
+  if (!m) return null;
+  const start = parseShiftTime(m[1]), end = parseShiftTime(m[2]);
+  return start === null || end === null ? null : buildShiftDefinition(String(code).trim(), 'WORK', start, end);
+}
+
+/**
+ * Parses the Shift_Status_Mapping sheet into the shift catalogue.
+ * Rows without Start_Time / End_Time take their times from a time-range code.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Shift_Status_Mapping sheet (header first)
+ * @returns {Map<string, ShiftDefinition>} Definitions by shift code (as entered, trimmed)
+ */
+function parseShiftCatalogue(d) {
+  const shifts = new Map();
+  if (!d || d.length < 2) return shifts;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.mapping.h, o = CONFIG.tabs.mapping.optional;
+  const get = (r, name) => h.has(name.toLowerCase()) ? r[h.get(name.toLowerCase())] : "";
+  for (let i = 1; i < d.length; i++) {
+    const code = String(get(d[i], c.shift) || "").trim();
+    if (!code) continue;
+    const status = String(get(d[i], c.status) || "").trim().toUpperCase();
+    const range = parseShiftRange(code);
+    const start = parseShiftTime(get(d[i], o.start)), end = parseShiftTime(get(d[i], o.end));
+    const timed = start !== null && end !== null;
+    shifts.set(code, buildShiftDefinition(code, status,
+      timed ? start : (range ? range.start : null), timed ? end : (range ? range.end : null),
+      Number(get(d[i], o.breakMins)) || 0, Number(get(d[i], o.paid)) || 0));
+  }
+  return shifts;
+}
+
+/**
+ * Looks up a shift code in the catalogue, falling back to the code's own time range.
+ *
+ * @param {(Map<string, ShiftDefinition>|undefined)} catalogue - From parseShiftCatalogue() (ctx.shifts)
+ * @param {*} code - Shift code
+ * @returns {(ShiftDefinition|null)} null for unknown codes that are not a time range
+ */
+function getShiftDefinition(catalogue, code) {
+  const key = String(code === undefined || code === null ? "" : code).trim();
+  if (catalogue && catalogue.has(key)) return catalogue.get(key);
+  return parseShiftRange(key);
+}
+
+/**
+ * Paid hours worked on a shift.
+ *
+ * @param {(Map<string, ShiftDefinition>|undefined)} catalogue - Shift catalogue (ctx.shifts)
+ * @param {string} shift - Final_Shift of a worked day
+ * @param {number} value - Final_Val of the day (sizes shifts without a fixed length)
+ * @returns {number} Hours, rounded to 2 decimals
+ */
+function getWorkedHours(catalogue, shift, value) {
+  const def = getShiftDefinition(catalogue, shift);
+  if (def && def.hours !== null) return def.hours;
+  return roundAmount((Number(value) || 0) * CONFIG.ledger.hoursPerDay);
+}
+
+/**
+ * Places a shift worked on a roster date on the timeline.
+ *
+ * @param {(Map<string, ShiftDefinition>|undefined)} catalogue - Shift catalogue (ctx.shifts)
+ * @param {string} shift - Shift code
+ * @param {string} dateStr - Roster date YYYY-MM-DD (the day the shift starts)
+ * @returns {(ShiftSpan|null)} null if the shift has no fixed times
+ */
+function getShiftSpan(catalogue, shift, dateStr) {
+  const def = getShiftDefinition(catalogue, shift);
+  if (!def || def.start === null) return null;
+  const start = dateKeyToUtc(dateStr) + def.start * 60000;
+  const minutes = (def.end - def.start + 1440) % 1440 || 1440;
+  return { start: start, end: start + minutes * 60000 };
+}
+
+/**
+ * Rest between two consecutive shifts.
+ *
+ * @param {ShiftSpan} prev - Earlier shift
+ * @param {ShiftSpan} next - Later shift
+ * @returns {number} Hours from the end of prev to the start of next (negative if they overlap)
+ */
+function getRestHours(prev, next) {
+  return roundAmount((next.start - prev.end) / 3600000);
+}
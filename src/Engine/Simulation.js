@@ -0,0 +1,275 @@
+/**
+ * Simulation Module
+ * -----------------
+ * What-if mode: previews proposed changes before anyone makes them.
+ *
+ * A proposal (new or edited rules, a modified Decision_Matrix, extra leave or
+ * holidays) is applied to in-memory copies of the Central DB tables, and the
+ * rosters are resolved again with the modified context. Nothing is written,
+ * whatever CONFIG.isDryRun says. The simulated output is compared with:
+ * - the current Daily_Workforce_Status of each workspace (status, shift,
+ *   value and reason of every row that would change),
+ * - a baseline resolution with the unmodified context, for the entitlement
+ *   grants and revocations the proposal adds or drops,
+ * - the current staffing coverage, for the slots whose supply would change.
+ *
+ * Proposed rules and leave are simulated as approved, so a pending rule can be
+ * previewed by its Rule_ID alone and proposed leave needs no Approval_Status. Locked dates keep their frozen rows, as in
+ * a real run.
+ *
+ * @file Simulation.js
+ */
+
+/**
+ * @typedef {Object} SimulationProposal
+ * @property {Array<Object>} [rules] - Schedule_Rules rows by header name. A Rule_ID already on the sheet
+ *   edits that rule (fields not given are kept); any other row is added.
+ * @property {Array<Array<*>>} [matrix] - Replacement Decision_Matrix table (header first)
+ * @property {Array<Object>} [leaves] - Extra Leave_Data rows by header name
+ * @property {Array<Object>} [holidays] - Extra Holidays rows by header name
+ */
+
+/**
+ * @typedef {Object} SimulatedRowChange
+ * @property {string} key - Row key (employee|date)
+ * @property {string} employee - Employee ID (display form)
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} before - Current Final_Status ("" for a day not in the output yet)
+ * @property {string} after - Simulated Final_Status
+ * @property {Array<string>} changes - e.g. ["Final_Shift 09:00 - 18:00 → 07:00 - 16:00"]
+ */
+
+/**
+ * @typedef {Object} SimulatedLedgerChange
+ * @property {string} action - GRANT | REVOKE
+ * @property {string} change - ADDED (the proposal causes it) | DROPPED (the proposal prevents it)
+ * @property {string} employee - Employee ID
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} type - Entitlement type (grants) or resolved status (revocations)
+ * @property {number} value - Days of the shift
+ * @property {string} cause - Reason and rules behind the action
+ */
+
+/**
+ * @typedef {Object} SimulatedCoverageChange
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} shift - Shift code ("" = any work shift)
+ * @property {string} skill - Required skill ("" = any)
+ * @property {number} required - Minimum headcount
+ * @property {number} before - Current supply
+ * @property {number} after - Simulated supply
+ * @property {number} gap - Simulated supply - required
+ */
+
+/**
+ * @typedef {Object} WorkspaceSimulation
+ * @property {string} workspace - Workspace file ID
+ * @property {Array<SimulatedRowChange>} rows - Rows that would change
+ * @property {Array<SimulatedLedgerChange>} ledger - Ledger actions added or dropped
+ * @property {Array<SimulatedCoverageChange>} coverage - Coverage slots whose supply would change
+ */
+
+/**
+ * Applies proposed rows to a copy of a table.
+ * Unknown columns are added to the header; the original table is not modified.
+ *
+ * @param {Array<Array<*>>|null} table - Current table (header first), or null
+ * @param {Array<Object>} proposed - Rows by header name (case-insensitive)
+ * @param {Array<string>} header - Header used when the table is missing
+ * @param {string} [keyName] - Column whose value identifies a row to edit (none = always append)
+ * @returns {Array<Array<*>>} Modified copy
+ */
+function mergeProposedRows(table, proposed, header, keyName) {
+  const out = table && table.length ? table.map(r => r.slice()) : [header.slice()];
+  const head = out[0];
+  let h = mapHeaders(head);
+  (proposed || []).forEach(p => {
+    Object.keys(p).forEach(name => {
+      if (!h.has(name.trim().toLowerCase())) {
+        head.push(name.trim());
+        h = mapHeaders(head);
+      }
+    });
+    const keyCol = keyName ? h.get(keyName.toLowerCase()) : undefined;
+    const keyProp = keyName ? Object.keys(p).find(k => k.trim().toLowerCase() === keyName.toLowerCase()) : undefined;
+    const key = keyProp ? String(p[keyProp] || "").trim() : "";
+    let row = key ? out.slice(1).find(r => String(r[keyCol] || "").trim() === key) : null;
+    if (!row) {
+      row = head.map(() => "");
+      out.push(row);
+    }
+    Object.keys(p).forEach(name => { row[h.get(name.trim().toLowerCase())] = p[name]; });
+  });
+  return out;
+}
+
+/**
+ * Copies proposed rows with their approval status replaced by "Approved".
+ *
+ * @param {Array<Object>} proposed - Rows by header name
+ * @param {string} column - Approval status column
+ * @param {boolean} [set=true] - Set the column (false: only drop it, for a table without the column where every row applies)
+ * @returns {Array<Object>} Copies of the rows
+ */
+function approveProposedRows(proposed, column, set = true) {
+  return proposed.map(p => {
+    const row = Object.assign({}, p);
+    Object.keys(row).filter(k => k.trim().toLowerCase() === column.toLowerCase()).forEach(k => delete row[k]);
+    if (set) row[column] = 'Approved';
+    return row;
+  });
+}
+
+/**
+ * Builds the context a proposal would produce.
+ *
+ * @param {Workbook} ssDb - Central Database (current tables)
+ * @param {EngineContext} ctx - Current engine context
+ * @param {SimulationProposal} proposal - Proposed changes
+ * @returns {EngineContext} Modified copy of the context
+ */
+function buildSimulationContext(ssDb, ctx, proposal) {
+  const sim = Object.assign({}, ctx);
+  const p = proposal || {};
+  if (p.rules && p.rules.length) {
+    const c = CONFIG.tabs.rules.h;
+    const approved = approveProposedRows(p.rules, c.status);
+    sim.rules = parseRules(mergeProposedRows(ssDb.readTable(CONFIG.tabs.rules.name), approved, Object.values(c), c.id));
+  }
+  if (p.matrix && p.matrix.length) {
+    sim.matrixIndex = new Map();
+    parseDecisionMatrix(p.matrix).forEach(row => indexMatrixRow(sim.matrixIndex, row));
+  }
+  if (p.leaves && p.leaves.length) {
+    const c = CONFIG.tabs.leaves.h, status = CONFIG.tabs.leaves.optional.status;
+    const table = ssDb.readTable(CONFIG.tabs.leaves.name);
+    // Adding the column would leave the current rows without a status, so they would stop applying
+    const approved = approveProposedRows(p.leaves, status, !!table && !!table.length && mapHeaders(table[0]).has(status.toLowerCase()));
+    sim.leaves = buildLeaveDays(parseLeaveRecords(mergeProposedRows(table, approved, [c.employee, c.date, c.cat]))).days;
+  }
+  if (p.holidays && p.holidays.length) {
+    sim.holidays = parseHolidays(
+      mergeProposedRows(ssDb.readTable(CONFIG.tabs.holidays.name), p.holidays, [CONFIG.tabs.holidays.h.date]));
+  }
+  return sim;
+}
+
+/**
+ * Simulates a proposal against the current output of the active workspaces.
+ *
+ * @param {SimulationProposal} proposal - Proposed changes
+ * @param {string} [workspaceId] - Only simulate this workspace (default: every active workspace)
+ * @returns {{workspaces: Array<WorkspaceSimulation>, summary: {rows: number, grants: number, revocations: number, coverage: number}}}
+ */
+function simulateChanges(proposal, workspaceId) {
+  const ssDb = getStorage().openDatabase();
+  const ctx = loadContext(ssDb);
+  const sim = buildSimulationContext(ssDb, ctx, proposal);
+  const ids = workspaceId ? [String(workspaceId).trim()] : getActiveWorkspaces(ssDb);
+  const result = { workspaces: [], summary: { rows: 0, grants: 0, revocations: 0, coverage: 0 } };
+  ids.forEach(id => {
+    const ws = simulateWorkspace(getStorage().openWorkspace(id), id, ctx, sim);
+    result.workspaces.push(ws);
+    result.summary.rows += ws.rows.length;
+    result.summary.grants += ws.ledger.filter(l => l.action === 'GRANT').length;
+    result.summary.revocations += ws.ledger.filter(l => l.action === 'REVOKE').length;
+    result.summary.coverage += ws.coverage.length;
+  });
+  return result;
+}
+
+/**
+ * Simulates one workspace.
+ *
+ * @param {Workbook} ssSched - Workspace workbook
+ * @param {string} schedId - Workspace file ID
+ * @param {EngineContext} ctx - Current engine context (baseline)
+ * @param {EngineContext} sim - Context with the proposal applied
+ * @returns {WorkspaceSimulation}
+ */
+function simulateWorkspace(ssSched, schedId, ctx, sim) {
+  const C = DAILY_STATUS_COLS;
+  const current = ssSched.readTable(CONFIG.tabs.dailyStatus.name);
+  const calendar = getWorkspaceCalendar(ctx, schedId);
+  const resolve = context => {
+    const out = { rows: [], grants: [], revocations: [], employees: [] };
+    CONFIG.roster.tabs.forEach(t => {
+      const data = ssSched.readTable(t);
+      if (!data) return;
+      const res = processRoster(data, context, calendar, null, schedId);
+      out.rows.push(...res.dailyStatus);
+      out.grants.push(...res.grants);
+      out.revocations.push(...res.revocations);
+      out.employees.push(...res.employees);
+    });
+    return Object.assign(applyLocks(schedId, context, out, current), { employees: out.employees });
+  };
+  const base = resolve(ctx), next = resolve(sim);
+
+  // Rows: simulated output vs. the current sheet
+  const before = new Map();
+  (current || []).slice(1).forEach(r => { if (r[C.key]) before.set(String(r[C.key]), r); });
+  const rows = [];
+  next.rows.forEach(r => {
+    const key = String(r[C.key]);
+    const old = before.get(key);
+    const changes = old ? diffStatusRows(old, r) : ['New day'];
+    if (!changes.length) return;
+    rows.push({
+      key: key, employee: String(r[C.employee]), date: key.split('|').pop(),
+      before: old ? String(old[C.final]) : "", after: String(r[C.final]), changes: changes
+    });
+  });
+
+  // Ledger: actions the proposal adds or drops compared with the baseline
+  const grantKey = g => `${String(g.employee).toLowerCase()}|${formatDate(g.date)}|${String(g.type || CONFIG.ledger.defaultType).toUpperCase()}`;
+  const revokeKey = r => `${String(r.employee).toLowerCase()}|${r.dateStr}|${r.reason}`;
+  const ledger = [];
+  const compare = (list, other, keyOf, action, change, toEntry) => {
+    const keys = new Set(other.map(keyOf));
+    list.filter(x => !keys.has(keyOf(x))).forEach(x => ledger.push(Object.assign({ action: action, change: change }, toEntry(x))));
+  };
+  const grant = g => ({
+    employee: g.employee, date: formatDate(g.date), type: String(g.type || CONFIG.ledger.defaultType).toUpperCase(),
+    value: g.value, cause: g.cause
+  });
+  const revoke = r => ({ employee: r.employee, date: r.dateStr, type: r.reason, value: r.value, cause: r.cause });
+  compare(next.grants, base.grants, grantKey, 'GRANT', 'ADDED', grant);
+  compare(base.grants, next.grants, grantKey, 'GRANT', 'DROPPED', grant);
+  compare(next.revocations, base.revocations, revokeKey, 'REVOKE', 'ADDED', revoke);
+  compare(base.revocations, next.revocations, revokeKey, 'REVOKE', 'DROPPED', revoke);
+
+  // Coverage: simulated supply vs. the supply of the current sheet
+  const slotKey = s => `${s.date}|${s.shift}|${s.skill}`;
+  const supplied = new Map(computeCoverage(schedId, (current || []).slice(1), next.employees, ctx.staffing)
+    .map(s => [slotKey(s), s]));
+  const coverage = computeCoverage(schedId, next.rows, next.employees, sim.staffing)
+    .filter(s => !supplied.has(slotKey(s)) || supplied.get(slotKey(s)).supply !== s.supply)
+    .map(s => ({
+      date: s.date, shift: s.shift, skill: s.skill, required: s.required,
+      before: supplied.has(slotKey(s)) ? supplied.get(slotKey(s)).supply : 0, after: s.supply, gap: s.gap
+    }));
+
+  return { workspace: schedId, rows: rows, ledger: ledger, coverage: coverage };
+}
+
+/**
+ * Renders a simulation as sheet rows (Section | Item | Detail | Outcome).
+ *
+ * @param {{workspaces: Array<WorkspaceSimulation>, summary: Object}} result - From simulateChanges()
+ * @returns {Array<Array<*>>}
+ */
+function renderSimulation(result) {
+  const s = result.summary;
+  const rows = [['SUMMARY', 'Total', `${s.rows} row(s), ${s.grants} grant(s), ${s.revocations} revocation(s), ${s.coverage} coverage slot(s) change`, '']];
+  result.workspaces.forEach(ws => {
+    rows.push(['WORKSPACE', ws.workspace, `${ws.rows.length} row(s) change`, '']);
+    ws.rows.forEach(r => rows.push(['ROW', r.key, r.changes.join('; '), `${r.before || '(none)'} → ${r.after}`]));
+    ws.ledger.forEach(l => rows.push(['LEDGER', `${l.action} ${l.change}`, `${l.employee} ${l.date} ${l.type} (${l.value})`, l.cause]));
+    ws.coverage.forEach(c => rows.push([
+      'COVERAGE', `${c.date} ${c.shift || 'ANY'}${c.skill ? ` [${c.skill}]` : ''}`,
+      `Supply ${c.before} → ${c.after} (required ${c.required})`, c.gap < 0 ? 'UNDERSTAFFED' : 'OK'
+    ]));
+  });
+  return rows;
+}
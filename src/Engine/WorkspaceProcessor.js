@@ -10,25 +10,31 @@
 
 /**
  * Retrieves a list of active workspace IDs from the Central Database configuration.
+ * IDs the storage adapter cannot open as a workspace (isWorkspaceId()) are skipped
+ * and reported: to System_Logs when a Run ID is given, else to the console.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - The Central Database spreadsheet
- * @returns {Array<string>} List of spreadsheet IDs marked as "Active"
+ * @param {Workbook} ssDb - The Central Database workbook
+ * @param {string} [runId=""] - Execution ID (for logging skipped IDs)
+ * @returns {Array<string>} List of workspace IDs marked as "Active"
  */
-function getActiveWorkspaces(ssDb) {
-  const sh = ssDb.getSheetByName(CONFIG.tabs.config.name);
-  if (!sh) return [];
-  const data = sh.getDataRange().getValues();
+function getActiveWorkspaces(ssDb, runId = "") {
+  const data = ssDb.readTable(CONFIG.tabs.config.name);
+  if (!data) return [];
   const h = mapHeaders(data[0]);
   const c = CONFIG.tabs.config.h;
-  const activeIds = [];
+  const activeIds = [], skipped = [];
   // Loop rows, check if Status contains "Active"
   for (let i = 1; i < data.length; i++) {
     const status = String(data[i][h.get(c.status.toLowerCase())] || "").toUpperCase();
     const id = String(data[i][h.get(c.id.toLowerCase())] || "").trim();
-    // Simple validation: ID must be long enough to be a Google ID
-    if (status === "ACTIVE" && id.length > 10) {
-      activeIds.push(id);
-    }
+    if (status !== "ACTIVE" || !id) continue;
+    if (getStorage().isWorkspaceId(id)) activeIds.push(id);
+    else skipped.push(id);
+  }
+  if (skipped.length) {
+    const msg = `${skipped.length} active ${CONFIG.tabs.config.name} ID(s) skipped: not a workspace ID for this storage`;
+    if (runId) logWarn(ssDb, runId, msg, skipped.join(', '));
+    else console.log(`${msg}: ${skipped.join(', ')}`);
   }
   return activeIds;
 }
@@ -40,28 +46,19 @@ function getActiveWorkspaces(ssDb) {
  *
  * @param {Array<Array<string>>} data - The raw 2D array data from the roster sheet
  * @param {EngineContext} ctx - The preloaded engine context (Logic, Rules, etc.)
- * @returns {{dailyStatus: Array, grants: Array, revocations: Array}} Aggregated results
+ * @param {string} [calendar=""] - Holiday calendar of the workspace
+ * @param {(DeltaState|null)} [delta=null] - Change detection state (null = resolve every day, no fingerprints)
+ * @param {string} [schedId=""] - Workspace file ID (targets WORKSPACE:<id> rules)
+ * @returns {{dailyStatus: Array, grants: Array, revocations: Array, employees: Array<Employee>, fingerprints: Map<string, string>, resolved: Array<string>, unknown: Array<string>}} Aggregated results;
+ *   fingerprints of every day (delta runs only), the keys of the days resolved (the others keep their stored row)
+ *   and the roster employees missing from a non-empty Employees master
  */
-function processRoster(data, ctx) {
+function processRoster(data, ctx, calendar = "", delta = null, schedId = "") {
   const dates = data[CONFIG.roster.rows.header - 1];
   const emps = data.slice(CONFIG.roster.rows.data - 1);
-  const out = { dailyStatus: [], grants: [], revocations: [] };
+  const out = { dailyStatus: [], grants: [], revocations: [], employees: [], fingerprints: new Map(), resolved: [], unknown: [] };
   const headerRow = data[CONFIG.roster.rows.header - 1];
-  const headerMap = mapHeaders(headerRow);
-  const c = CONFIG.roster.cols;
-
-  // Core employee columns
-  const idx = {
-    emp: headerMap.get(c.employee_id.toLowerCase()),
-    base: headerMap.get(c.default_shift.toLowerCase()),
-    wo1: headerMap.get(c.primary_off_day.toLowerCase()),
-    wo2: headerMap.get(c.secondary_off_day.toLowerCase())
-  };
-
-  // Validate required columns
-  if ([idx.emp, idx.base, idx.wo1, idx.wo2].some(v => v === undefined)) {
-    throw new Error("Roster sheet missing required columns. Check CONFIG.roster.cols");
-  }
+  const idx = mapRosterColumns(headerRow);
 
   // ------------------------------------------------------------------
   // Detect schedule date columns dynamically
@@ -99,25 +96,46 @@ function processRoster(data, ctx) {
 
   for (const r of emps) {
     if (!r[idx.emp]) continue;
-    const empId = String(r[idx.emp]).trim().toLowerCase();
-    const emp = {
-      id: empId,
-      display: String(r[idx.emp]).trim(),
-      baseShift: r[idx.base],
-      wo1: normalizeDay(r[idx.wo1]),
-      wo2: normalizeDay(r[idx.wo2])
-    };
-    const rules = ctx.rules.get(emp.id) || [];
+    const emp = buildEmployee(r, idx, ctx, calendar, schedId);
+    out.employees.push(emp);
+    if (ctx.employees && ctx.employees.size && !emp.inMaster) out.unknown.push(emp.display);
+    const rules = getEmployeeRules(ctx.rules, emp);
     for (const c0 of dateColumns) {
       const meta = dateMeta[c0];
-      if (!meta) continue;
+      if (!meta || getEmploymentGap(emp, meta.str)) continue; // Not employed on the day: no row
 
+      // Unchanged inputs: keep the stored row, no ledger action
+      const key = `${emp.id}|${meta.str}`;
+      if (delta) {
+        const fingerprint = fingerprintEmployeeDay(emp, meta, ctx, rules);
+        out.fingerprints.set(key, fingerprint);
+        if (canReuseDay(delta, key, fingerprint)) {
+          out.dailyStatus.push(delta.rows.get(key));
+          continue;
+        }
+      }
+      out.resolved.push(key);
       const res = resolveEmployeeDay(emp, meta, ctx, rules);
+      res.row.push(...getEmployeeAttributes(emp));
       out.dailyStatus.push(res.row);
-      if (res.entitlementAction === 'GRANT') out.grants.push({ employee: emp.display, date: meta.obj });
-      if (res.entitlementAction === 'REVOKE') {
+      const ent = parseEntitlementAction(res.entitlementAction);
+      const C = DAILY_STATUS_COLS;
+      const cause = [res.reason].concat((res.ruleIds || []).map(id => `Rule ${id}`)).join(' | ');
+      if (ent.action === 'GRANT') {
+        // Working a half-day holiday earns half the entitlement
+        const share = res.holiday && res.holiday.type === 'HALF' ? 0.5 : 1;
+        out.grants.push({
+          employee: emp.display, date: meta.obj, type: ent.type, shift: res.row[C.shift], value: res.row[C.val] * share,
+          hours: roundAmount(res.row[C.hours] * share), cause: cause
+        });
+      }
+      if (ent.action === 'REVOKE') {
+        const share = isHalfDayLeave(res.leave) ? 0.5 : 1; // A half-day request consumes half the shift
         out.revocations.push({
-          employee: emp.display, dateStr: meta.str, reason: res.finalStatus // Pass the status (PO, WORK, etc.)
+          employee: emp.display, dateStr: meta.str, reason: res.finalStatus, // Pass the status (PO, WORK, etc.)
+          shift: res.row[C.ruleShift], value: res.row[C.val], // Scheduled shift: sizes a consumption
+          hours: roundAmount(getWorkedHours(ctx.shifts, res.row[C.ruleShift], res.row[C.val] / share) * share),
+          cause: cause
         });
       }
     }
@@ -126,65 +144,114 @@ function processRoster(data, ctx) {
 }
 
 
+/**
+ * Maps the roster header row to the employee column indexes.
+ *
+ * @param {Array<*>} headerRow - Roster header row
+ * @returns {{emp: number, base: number, wo1: number, wo2: number, rotation: (number|undefined), skills: (number|undefined), calendar: (number|undefined), team: (number|undefined), department: (number|undefined)}}
+ * @throws {Error} If a required column is missing
+ */
+function mapRosterColumns(headerRow) {
+  const headerMap = mapHeaders(headerRow);
+  const c = CONFIG.roster.cols;
+
+  // Core employee columns
+  const idx = {
+    emp: headerMap.get(c.employee_id.toLowerCase()),
+    base: headerMap.get(c.default_shift.toLowerCase()),
+    wo1: headerMap.get(c.primary_off_day.toLowerCase()),
+    wo2: headerMap.get(c.secondary_off_day.toLowerCase()),
+    rotation: headerMap.get(c.rotation.toLowerCase()), // Optional: rotating rosters only
+    skills: headerMap.get(c.skills.toLowerCase()), // Optional: skill-based staffing requirements
+    calendar: headerMap.get(c.calendar.toLowerCase()), // Optional: per-employee holiday calendar
+    team: headerMap.get(c.team.toLowerCase()), // Optional: team-scoped rules
+    department: headerMap.get(c.department.toLowerCase()) // Optional: department-scoped rules
+  };
+
+  // Validate required columns
+  if ([idx.emp, idx.base, idx.wo1, idx.wo2].some(v => v === undefined)) {
+    throw new Error("Roster sheet missing required columns. Check CONFIG.roster.cols");
+  }
+  return idx;
+}
+
+/**
+ * Builds the Employee object of a roster row, completed with its Employees master record.
+ *
+ * @param {Array<*>} r - Roster row
+ * @param {Object} idx - Column indexes from mapRosterColumns()
+ * @param {EngineContext} ctx - Engine context (for rotations and the employee master)
+ * @param {string} [calendar=""] - Holiday calendar of the workspace (the roster column overrides it)
+ * @param {string} [schedId=""] - Workspace file ID (targets WORKSPACE:<id> rules)
+ * @returns {Employee}
+ */
+function buildEmployee(r, idx, ctx, calendar = "", schedId = "") {
+  const emp = {
+    id: String(r[idx.emp]).trim().toLowerCase(),
+    display: String(r[idx.emp]).trim(),
+    baseShift: r[idx.base],
+    wo1: normalizeDay(r[idx.wo1]),
+    wo2: normalizeDay(r[idx.wo2]),
+    rotationId: idx.rotation !== undefined ? String(r[idx.rotation] || "").trim() : "",
+    skills: idx.skills !== undefined ? String(r[idx.skills] || "").split(',').map(s => s.trim().toLowerCase()).filter(String) : [],
+    calendar: (idx.calendar !== undefined ? normalizeCalendar(r[idx.calendar]) : "") || normalizeCalendar(calendar),
+    team: idx.team !== undefined ? String(r[idx.team] || "").trim() : "",
+    department: idx.department !== undefined ? String(r[idx.department] || "").trim() : "",
+    workspace: schedId
+  };
+  // Master data fills what the roster leaves blank
+  const master = ctx.employees ? ctx.employees.get(emp.id) : null;
+  emp.inMaster = !!master;
+  emp.name = master ? master.name : "";
+  emp.team = emp.team || (master ? master.team : "");
+  emp.department = emp.department || (master ? master.department : "");
+  emp.location = master ? master.location : "";
+  emp.contract = master ? master.contract : "";
+  emp.hire = master ? master.hire : "";
+  emp.termination = master ? master.termination : "";
+  // A referenced rotation replaces the fixed off days as the base schedule
+  emp.rotation = emp.rotationId ? (ctx.rotations.get(emp.rotationId.toLowerCase()) || null) : null;
+  return emp;
+}
+
+
 /**
  * Loads all central configuration and logic into memory to minimize API calls.
  *
  * Reads:
- * - Status Mapping
+ * - Status Mapping (and Shift Catalogue)
  * - Decision Matrix
  * - Entitlement Ledger (Active entitlements only)
- * - Leave Records
+ * - Leave Records (approved only)
  * - Schedule Rules
- * - Holiday List
+ * - Employee Master
+ * - Holiday Calendars (and the calendar of each workspace)
+ * - Rotation Patterns
+ * - Staffing Requirements
+ * - Lock Windows
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database
+ * @param {Workbook} ssDb - Central Database
  * @returns {EngineContext} The fully loaded context object
  */
 function loadContext(ssDb) {
   const mapping = new Map(), matrixIndex = new Map();
-  // 1. Mapping
-  const mapSh = ssDb.getSheetByName(CONFIG.tabs.mapping.name);
-  if (mapSh) {
-    const d = mapSh.getDataRange().getValues(), h = mapHeaders(d[0]), c = CONFIG.tabs.mapping.h;
+  // 1. Mapping (and the shift catalogue built on it)
+  const mapData = ssDb.readTable(CONFIG.tabs.mapping.name);
+  const shifts = parseShiftCatalogue(mapData);
+  if (mapData) {
+    const d = mapData, h = mapHeaders(d[0]), c = CONFIG.tabs.mapping.h;
     for (let i = 1; i < d.length; i++) {
       const s = d[i][h.get(c.shift.toLowerCase())];
       if (s) mapping.set(String(s).trim(), String(d[i][h.get(c.status.toLowerCase())]).toUpperCase());
     }
   }
   // 2. Decision Logic
-  const mSh = ssDb.getSheetByName(CONFIG.tabs.decision.name);
-  if (mSh) {
-    const d = mSh.getDataRange().getValues(), h = mapHeaders(d[0]), c = CONFIG.tabs.decision.h;
-    for (let i = 1; i < d.length; i++) {
-      if (!d[i][h.get(c.base.toLowerCase())]) continue;
-      const row = {
-        base: String(d[i][h.get(c.base.toLowerCase())]).toUpperCase(),
-        rule: String(d[i][h.get(c.rule.toLowerCase())]).toUpperCase(),
-        ph: String(d[i][h.get(c.ph.toLowerCase())]).toUpperCase(),
-        req: String(d[i][h.get(c.req.toLowerCase())] || 'NONE').toUpperCase(),
-        finalStatus: String(d[i][h.get(c.final.toLowerCase())]).toUpperCase(),
-        action: String(d[i][h.get(c.action.toLowerCase())]).toUpperCase(),
-        reason: String(d[i][h.get(c.reason.toLowerCase())])
-      };
-      const bases = row.base === 'ANY' || row.base === 'IGNORED' ? ['WORK', 'OFF'] : [row.base];
-      const rules = row.rule === 'ANY' || row.rule === 'IGNORED' ? ['WORK', 'OFF', 'NONE'] : [row.rule];
-      const phs = row.ph === 'ANY' || row.ph === 'IGNORED' ? ['TRUE', 'FALSE'] : [row.ph];
-      const reqs = row.req === 'ANY' || row.req === 'IGNORED' ? ['NONE', 'COMP_DAY', 'LEAVE'] : [row.req];
-      for (const b of bases)
-        for (const r of rules)
-          for (const p of phs)
-            for (const q of reqs) {
-              const k = `${b}|${r}|${p}|${q}`;
-              if (!matrixIndex.has(k)) matrixIndex.set(k, []);
-              matrixIndex.get(k).push(row);
-            }
-    }
-  }
+  parseDecisionMatrix(ssDb.readTable(CONFIG.tabs.decision.name)).forEach(row => indexMatrixRow(matrixIndex, row));
   // 3. Ledger
   const ledger = new Map();
-  const lSh = ssDb.getSheetByName(CONFIG.tabs.ledger.name);
-  if (lSh) {
-    const d = lSh.getDataRange().getValues(), h = mapHeaders(d[0]), c = CONFIG.tabs.ledger.h;
+  const lData = ssDb.readTable(CONFIG.tabs.ledger.name);
+  if (lData) {
+    const d = lData, h = mapHeaders(d[0]), c = CONFIG.tabs.ledger.h;
     if (h.has(c.employee.toLowerCase()) && h.has(c.entitlementDate.toLowerCase())) {
       for (let i = 1; i < d.length; i++) {
         const dt = parseSafeDate(d[i][h.get(c.entitlementDate.toLowerCase())]); // 🛡️ SECURITY FIX: Check Activation Status. If "Inactive", do not load this entitlement.
@@ -198,32 +265,88 @@ function loadContext(ssDb) {
   }
 
 
-  // 4. Leaves
-  const leaves = new Map();
-  const lvSh = ssDb.getSheetByName(CONFIG.tabs.leaves.name);
+  // 4. Leaves (approved records, expanded to employee-days)
+  const leaves = buildLeaveDays(parseLeaveRecords(ssDb.readTable(CONFIG.tabs.leaves.name))).days;
 
-  if (lvSh) {
-    const d = lvSh.getDataRange().getValues(),
-      h = mapHeaders(d[0]),
-      c = CONFIG.tabs.leaves.h;
+  const rules = parseRules(ssDb.readTable(CONFIG.tabs.rules.name));
+  const employees = indexEmployees(parseEmployees(ssDb.readTable(CONFIG.tabs.employees.name)));
+  const holidays = parseHolidays(ssDb.readTable(CONFIG.tabs.holidays.name));
+  const calendars = parseWorkspaceCalendars(ssDb.readTable(CONFIG.tabs.config.name));
+  const rotations = parseRotations(ssDb.readTable(CONFIG.tabs.rotations.name));
+  const staffing = parseStaffingRequirements(ssDb.readTable(CONFIG.tabs.staffing.name));
+  const locks = parseLockWindows(ssDb.readTable(CONFIG.tabs.locks.name));
+  return { mapping, shifts, matrixIndex, ledger, leaves, rules, employees, holidays, calendars, rotations, staffing, locks };
+}
 
-    if (h.has(c.employee.toLowerCase()) && h.has(c.date.toLowerCase())) {
-      for (let i = 1; i < d.length; i++) {
-        const dt = parseSafeDate(d[i][h.get(c.date.toLowerCase())]);
-        if (dt) {
-          leaves.set(
-            `${String(d[i][h.get(c.employee.toLowerCase())]).trim().toLowerCase()}|${formatDate(dt)}`,
-            d[i][h.get(c.cat.toLowerCase())]
-          );
-        }
-      }
-    }
+
+/**
+ * Parses the Decision_Matrix table into rows, in sheet order.
+ * Rows without a Base_Schedule value are skipped.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Decision_Matrix sheet (header first)
+ * @returns {Array<DecisionMatrixRow>} Parsed matrix rows
+ */
+function parseDecisionMatrix(d) {
+  const rows = [];
+  if (!d || !d.length) return rows;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.decision.h;
+  for (let i = 1; i < d.length; i++) {
+    if (!d[i][h.get(c.base.toLowerCase())]) continue;
+    rows.push({
+      base: String(d[i][h.get(c.base.toLowerCase())]).toUpperCase(),
+      rule: String(d[i][h.get(c.rule.toLowerCase())]).toUpperCase(),
+      ph: String(d[i][h.get(c.ph.toLowerCase())]).toUpperCase(),
+      req: String(d[i][h.get(c.req.toLowerCase())] || 'NONE').toUpperCase(),
+      finalStatus: String(d[i][h.get(c.final.toLowerCase())]).toUpperCase(),
+      action: String(d[i][h.get(c.action.toLowerCase())]).toUpperCase(),
+      reason: String(d[i][h.get(c.reason.toLowerCase())]),
+      sheetRow: i + 1
+    });
   }
+  return rows;
+}
+
+/**
+ * Values of each decision matrix dimension, in composite-key order.
+ * ANY / IGNORED wildcards expand to every value of their dimension.
+ */
+const MATRIX_DIMENSIONS = {
+  base: ['WORK', 'OFF'],
+  rule: ['WORK', 'OFF', 'NONE'],
+  ph: ['TRUE', 'FALSE'],
+  req: ['NONE', 'COMP_DAY', 'LEAVE']
+};
 
+/**
+ * Adds a decision matrix row to the composite-key index.
+ * ANY/IGNORED wildcards are expanded so lookups stay O(1).
+ *
+ * @param {Map<string, Array<DecisionMatrixRow>>} matrixIndex - Index to update
+ * @param {DecisionMatrixRow} row - Matrix row
+ * @returns {void}
+ */
+function indexMatrixRow(matrixIndex, row) {
+  expandMatrixKeys(row).forEach(k => {
+    if (!matrixIndex.has(k)) matrixIndex.set(k, []);
+    matrixIndex.get(k).push(row);
+  });
+}
 
-  const rules = parseRules(ssDb.getSheetByName(CONFIG.tabs.rules.name));
-  const holidays = parseSimpleList(ssDb.getSheetByName(CONFIG.tabs.holidays.name), CONFIG.tabs.holidays.h.date);
-  return { mapping, matrixIndex, ledger, leaves, rules, holidays };
+/**
+ * Expands a decision matrix row into the composite keys it matches
+ * (`BASE|RULE|PH|REQ`). Non-wildcard values are used as entered.
+ *
+ * @param {DecisionMatrixRow} row - Matrix row
+ * @returns {Array<string>} Composite keys
+ */
+function expandMatrixKeys(row) {
+  const values = dim => row[dim] === 'ANY' || row[dim] === 'IGNORED' ? MATRIX_DIMENSIONS[dim] : [row[dim]];
+  const keys = [];
+  for (const b of values('base'))
+    for (const r of values('rule'))
+      for (const p of values('ph'))
+        for (const q of values('req')) keys.push(`${b}|${r}|${p}|${q}`);
+  return keys;
 }
 
 
@@ -232,48 +355,139 @@ function loadContext(ssDb) {
  * 
  * 1. Opens the file (passed as object)
  * 2. Iterates through all Roster tabs
- * 3. Calculates daily status for every employee
- * 4. Writes results to "Daily_Workforce_Status"
- * 5. Queues Ledger updates (Grants/Revocations) for the Central DB
+ * 3. Calculates daily status for every employee-day whose inputs changed
+ *    (Delta.js; unchanged and locked dates keep their previous row and
+ *    produce no ledger actions)
+ * 4. Writes the changed rows to "Daily_Workforce_Status", then
+ *    "Compliance_Violations" and, if staffing requirements apply or the
+ *    sheet exists from an earlier run, "Staffing_Coverage"
+ * 5. Commits Ledger updates (Grants/Revocations) to the Central DB
+ * 6. Reconciles the ledger with the resolved days (Reconcile.js)
+ * 7. Records the leave taken in "Leave_Taken" (LeaveBalance.js)
+ * 8. Stores the input fingerprints in "Input_Fingerprints"
+ * 9. Counts ERROR / AUDIT FAIL rows for the run health digest
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssSched - The open workspace spreadsheet
+ * If the ledger commit fails, the error is rethrown with `pendingLedger`
+ * ({grants, revocations}) attached so the caller can retry it later.
+ *
+ * @param {Workbook} ssSched - The open workspace workbook
  * @param {string} schedId - The workspace file ID (for logging)
  * @param {EngineContext} ctx - The engine context
  * @param {number} currentNum - Current file index (1-based)
  * @param {number} totalNum - Total files
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central DB (for logging/ledger)
- * @returns {void}
+ * @param {Workbook} ssDb - Central DB (for logging/ledger)
+ * @param {string} runId - Execution ID (for the ledger journal)
+ * @param {boolean} [fullRebuild=false] - Resolve and write every day, ignoring the stored fingerprints
+ * @returns {{rows: number, delta: {full: boolean, reason: string, resolved: number, reused: number, written: number}, coverage: Array<CoverageSlot>, violations: Array<ComplianceViolation>, locked: {kept: number, suppressed: number, changes: Array<LockedChange>}, ledger: {grants: number, revocations: number, uncovered: Array<UncoveredDay>}, reconciled: {stale: number, missing: number, corrected: number}, leave: {taken: number, negative: Array<LeaveUsage>}, issues: {errors: number, auditFails: number, problems: Object<string, number>}}} Summary of the workspace
  */
-function processWorkspace(ssSched, schedId, ctx, currentNum, totalNum, ssDb) {
-  // const ssSched = SpreadsheetApp.openById(schedId); // NOW PASSED IN
+function processWorkspace(ssSched, schedId, ctx, currentNum, totalNum, ssDb, runId, fullRebuild = false) {
   const fileName = ssSched.getName();
   safeToast(ssDb, `📖 Processing File ${currentNum}/${totalNum}: "${fileName}"...`, "Scheduler Running", -1);
   console.log(`Starting File: ${fileName} (${schedId})`);
-  let rows = [], grants = [], revocations = [];
+  let rows = [], grants = [], revocations = [], employees = [];
+  const fingerprints = new Map(), resolved = new Set();
+  const calendar = getWorkspaceCalendar(ctx, schedId);
+  const previous = ssSched.readTable(CONFIG.tabs.dailyStatus.name);
+  const delta = prepareDelta(ctx, ssSched.readTable(CONFIG.tabs.fingerprints.name), previous, fullRebuild);
   // 1. Process Roster Tabs
   CONFIG.roster.tabs.forEach(t => {
-    const sh = ssSched.getSheetByName(t);
-    if (!sh) return;
     // Read entire sheet at once
-    const fullData = sh.getDataRange().getValues();
+    const fullData = ssSched.readTable(t);
+    if (!fullData) return;
     // CALLS THE EXISTING FUNCTION (DO NOT DELETE IT!)
-    const res = processRoster(fullData, ctx);
+    const res = processRoster(fullData, ctx, calendar, delta, schedId);
     rows.push(...res.dailyStatus);
     grants.push(...res.grants);
     revocations.push(...res.revocations);
+    employees.push(...res.employees);
+    res.fingerprints.forEach((fp, key) => fingerprints.set(key, fp));
+    res.resolved.forEach(key => resolved.add(key));
+    if (res.unknown.length) {
+      logWarn(ssDb, runId, `${res.unknown.length} employee(s) of "${t}" not in ${CONFIG.tabs.employees.name}: ${res.unknown.join(', ')}`, schedId);
+    }
   });
-  // 2. Write Dashboard (Daily Status)
+  // 1b. Retroactive lock: keep frozen rows, drop ledger actions on locked dates
+  const locked = applyLocks(schedId, ctx, { rows: rows, grants: grants, revocations: revocations }, previous);
+  rows = locked.rows;
+  grants = locked.grants;
+  revocations = locked.revocations;
+  // 2. Write Dashboard (Daily Status): only the resolved rows a lock did not freeze
+  const C = DAILY_STATUS_COLS;
+  const frozen = key => delta.rows.has(key) && !!getLockReason(ctx, schedId, key.split('|').pop());
+  const changed = new Set(Array.from(resolved).filter(key => !frozen(key)));
+  let written = 0;
   if (rows.length > 0) {
-    writeDailyOutput(ssSched, rows);
+    const plan = delta.full ? null : planStatusWrite(previous, rows, changed);
+    if (plan) writeDailyRows(ssSched, plan);
+    else writeDailyOutput(ssSched, rows);
+    written = plan ? plan.updates.length + plan.appends.length : rows.length;
+  }
+  // 2b. Staffing Coverage (demand vs. supply); an existing sheet is cleared once no requirement applies
+  const coverage = computeCoverage(schedId, rows, employees, ctx.staffing);
+  if (coverage.length > 0 || ssSched.hasTable(CONFIG.tabs.coverage.name)) {
+    writeCoverageOutput(ssSched, coverage);
+  }
+  // 2c. Labour compliance (rest, consecutive days, weekly hours, days off)
+  const violations = checkCompliance(rows, ctx.shifts);
+  if (CONFIG.compliance.enabled) {
+    writeComplianceOutput(ssSched, violations);
   }
-  SpreadsheetApp.flush();
+  getStorage().flush();
   // 3. Update Ledger (Central DB)
+  let ledger = { grants: 0, revocations: 0, uncovered: [] };
   if (grants.length || revocations.length) {
     safeToast(ssDb, `💾 Updating Ledger for "${fileName}"...`, "Scheduler Running", -1);
-    if (grants.length) grantEntitlements(ssDb, grants);
-    if (revocations.length) revokeLedger(ssDb, revocations);
-    SpreadsheetApp.flush();
+    try {
+      ledger = commitLedgerUpdates(ssDb, runId, grants, revocations);
+    } catch (e) {
+      e.pendingLedger = { grants: grants, revocations: revocations };
+      throw e;
+    }
+  }
+  // 3b. Reconcile the ledger with the resolved (unlocked) days; unchanged days were reconciled when resolved
+  const days = new Map();
+  rows.forEach(r => {
+    const key = String(r[C.key]);
+    if (resolved.has(key) && !getLockReason(ctx, schedId, key.split('|').pop())) days.set(key.toLowerCase(), String(r[C.final]));
+  });
+  let reconciled = { stale: 0, missing: 0, corrected: 0 };
+  try {
+    reconciled = reconcileEntitlements(ssDb, runId, schedId, days, grants);
+  } catch (e) {
+    // Not fatal: the next run reconciles again
+    logWarn(ssDb, runId, `Ledger reconciliation failed: ${e.message}`, schedId);
+  }
+  // 3c. Leave taken and balances
+  let leave = { taken: 0, negative: [] };
+  try {
+    leave = updateLeaveTaken(ssDb, runId, schedId, rows);
+  } catch (e) {
+    // Not fatal: the next run records the workspace's leave again
+    logWarn(ssDb, runId, `Leave balance update failed: ${e.message}`, schedId);
+  }
+  // 3d. Input fingerprints, stored last so a failed ledger commit resolves the days again.
+  // Frozen rows keep the fingerprint of the inputs they were resolved from.
+  const stored = new Map();
+  fingerprints.forEach((fp, key) => {
+    const old = delta.stored.get(key);
+    if (!resolved.has(key)) stored.set(key, old);
+    else if (frozen(key)) stored.set(key, old || { fingerprint: "", runId: runId });
+    else stored.set(key, { fingerprint: fp, runId: runId });
+  });
+  if (delta.full || resolved.size || stored.size !== countDayFingerprints(delta)) {
+    writeFingerprints(ssSched, runId, delta, stored);
   }
   console.log(`Finished File: ${fileName}`);
+  return {
+    rows: rows.length,
+    delta: { full: delta.full, reason: delta.reason, resolved: resolved.size, reused: rows.length - resolved.size, written: written },
+    coverage: coverage,
+    violations: violations,
+    locked: { kept: locked.kept, suppressed: locked.suppressed, changes: locked.changes },
+    ledger: ledger,
+    reconciled: reconciled,
+    leave: leave,
+    issues: summarizeStatusRows(rows)
+  };
 }
 
@@ -0,0 +1,226 @@
+/**
+ * Digest Module
+ * -------------
+ * Automated Health Check: summarizes one run (all invocations of a checkpoint
+ * chain share one Run ID) and sends it to the configured recipients.
+ *
+ * Run statistics are collected while workspaces are processed and are carried
+ * in the checkpoint, so the digest of a resumed run covers every invocation.
+ * Delivery goes through the active Notifier (NotificationAdapter.js): email to
+ * CONFIG.digest.recipients and, optionally, a JSON POST to CONFIG.digest.webhookUrl.
+ *
+ * @file Digest.js
+ */
+
+/**
+ * @typedef {Object} WorkspaceStats
+ * @property {string} id - Workspace file ID
+ * @property {string} status - PROCESSED | SKIPPED
+ * @property {number} rows - Daily_Workforce_Status rows written
+ * @property {number} errors - Rows with Final_Status ERROR
+ * @property {number} auditFails - Rows whose Reason is an AUDIT FAIL
+ * @property {string} note - Why the workspace was skipped ("" if processed)
+ */
+
+/**
+ * @typedef {Object} RunStats
+ * @property {Array<WorkspaceStats>} workspaces - Per-workspace results, in processing order
+ * @property {number} grants - Grants written to the ledger
+ * @property {number} revocations - Revocations written to the ledger
+ * @property {number} uncovered - Comp days no active entitlement covered
+ * @property {number} expired - Entitlements moved to EXPIRED
+ * @property {number} reconciled - Stale or missing grants found by the reconciliation pass
+ * @property {number} violations - Labour compliance violations
+ * @property {number} timeGuardStops - Times the run was suspended by the time guard
+ * @property {Object<string, number>} problems - Employee ID -> ERROR / AUDIT FAIL rows
+ * @property {{errors: number, warnings: number}} integrity - Integrity check findings
+ */
+
+/**
+ * @typedef {Object} RunDigest
+ * @property {string} subject - Email subject
+ * @property {string} body - Plain-text report
+ * @property {Object} payload - Webhook payload (text + machine-readable summary)
+ */
+
+/**
+ * Creates empty run statistics.
+ *
+ * @returns {RunStats}
+ */
+function createRunStats() {
+  return {
+    workspaces: [], grants: 0, revocations: 0, uncovered: 0, expired: 0, reconciled: 0, violations: 0, timeGuardStops: 0,
+    problems: {}, integrity: { errors: 0, warnings: 0 }
+  };
+}
+
+/**
+ * Parses run statistics saved in a checkpoint, tolerating blanks and corrupt values.
+ *
+ * @param {string} v - Cell value (JSON)
+ * @returns {RunStats}
+ */
+function parseRunStats(v) {
+  const stats = createRunStats();
+  if (!v) return stats;
+  try {
+    const saved = JSON.parse(String(v));
+    return saved && typeof saved === 'object' ? Object.assign(stats, saved) : stats;
+  } catch (_) {
+    return stats;
+  }
+}
+
+/**
+ * Counts the problem rows of a Daily_Workforce_Status output.
+ *
+ * @param {Array<Array<*>>} rows - Output rows (no header)
+ * @returns {{errors: number, auditFails: number, problems: Object<string, number>}}
+ */
+function summarizeStatusRows(rows) {
+  const C = DAILY_STATUS_COLS;
+  const out = { errors: 0, auditFails: 0, problems: {} };
+  rows.forEach(r => {
+    const isError = String(r[C.final]).toUpperCase() === 'ERROR';
+    const isAudit = String(r[C.reason]).includes('AUDIT FAIL');
+    if (!isError && !isAudit) return;
+    if (isError) out.errors++;
+    if (isAudit) out.auditFails++;
+    const emp = String(r[C.employee]);
+    out.problems[emp] = (out.problems[emp] || 0) + 1;
+  });
+  return out;
+}
+
+/**
+ * Adds the result of a processed workspace to the run statistics.
+ *
+ * @param {RunStats} stats - Run statistics (updated)
+ * @param {string} schedId - Workspace file ID
+ * @param {{rows: number, issues: Object, ledger: {grants: number, revocations: number, uncovered: Array<UncoveredDay>}, reconciled: {stale: number, missing: number}, violations: Array<ComplianceViolation>}} result - processWorkspace() result
+ * @returns {void}
+ */
+function recordWorkspaceStats(stats, schedId, result) {
+  stats.workspaces.push({
+    id: schedId, status: 'PROCESSED', rows: result.rows,
+    errors: result.issues.errors, auditFails: result.issues.auditFails, note: ""
+  });
+  stats.grants += result.ledger.grants;
+  stats.revocations += result.ledger.revocations;
+  stats.uncovered += result.ledger.uncovered.length;
+  stats.reconciled += result.reconciled.stale + result.reconciled.missing;
+  stats.violations += result.violations.length;
+  Object.keys(result.issues.problems).forEach(emp => {
+    stats.problems[emp] = (stats.problems[emp] || 0) + result.issues.problems[emp];
+  });
+}
+
+/**
+ * Adds a workspace that failed (and was skipped) to the run statistics.
+ *
+ * @param {RunStats} stats - Run statistics (updated)
+ * @param {string} schedId - Workspace file ID
+ * @param {string} message - Error message
+ * @returns {void}
+ */
+function recordWorkspaceFailure(stats, schedId, message) {
+  stats.workspaces.push({ id: schedId, status: 'SKIPPED', rows: 0, errors: 0, auditFails: 0, note: message });
+}
+
+/**
+ * Builds the health digest of a run.
+ *
+ * @param {string} runId - Run ID
+ * @param {{started: Date, invocations: number}} chain - Run chain (see Checkpoint.js)
+ * @param {RunStats} stats - Run statistics
+ * @param {string} [outcome="Completed"] - How the run ended
+ * @returns {RunDigest}
+ */
+function buildRunDigest(runId, chain, stats, outcome = "Completed") {
+  const processed = stats.workspaces.filter(w => w.status === 'PROCESSED');
+  const skipped = stats.workspaces.filter(w => w.status === 'SKIPPED');
+  const errors = processed.reduce((n, w) => n + w.errors, 0);
+  const auditFails = processed.reduce((n, w) => n + w.auditFails, 0);
+  const top = Object.keys(stats.problems)
+    .map(emp => ({ employee: emp, rows: stats.problems[emp] }))
+    .sort((a, b) => b.rows - a.rows || a.employee.localeCompare(b.employee))
+    .slice(0, CONFIG.digest.topEmployees);
+  const issues = errors + auditFails + skipped.length + stats.integrity.errors;
+  const healthy = issues === 0 && outcome === "Completed";
+
+  const lines = [
+    `Run ID: ${runId}`,
+    `Outcome: ${outcome}`,
+    `Started: ${chain.started.toISOString()}`,
+    `Invocations: ${chain.invocations} (${stats.timeGuardStops} time-guard stop(s))`
+  ];
+  if (CONFIG.isDryRun) lines.push("Mode: DRY RUN — no data was written");
+  lines.push("", `Workspaces: ${processed.length} processed, ${skipped.length} skipped`);
+  stats.workspaces.forEach(w => lines.push(w.status === 'PROCESSED'
+    ? `  ✅ ${w.id}: ${w.rows} row(s), ${w.errors} ERROR, ${w.auditFails} AUDIT FAIL`
+    : `  ⏭️ ${w.id}: skipped — ${w.note}`));
+  lines.push(
+    "",
+    `Resolver: ${errors} ERROR row(s), ${auditFails} AUDIT FAIL row(s)`,
+    `Ledger: ${stats.grants} grant(s), ${stats.revocations} revocation(s) written, ${stats.expired} expired, ${stats.reconciled} reconciled, ` +
+    `${stats.uncovered} comp day(s) without entitlement`,
+    `Integrity: ${stats.integrity.errors} error(s), ${stats.integrity.warnings} warning(s)`,
+    `Compliance: ${stats.violations} violation(s)`
+  );
+  if (top.length) {
+    lines.push("", "Top problem employees:");
+    top.forEach((p, i) => lines.push(`  ${i + 1}. ${p.employee} — ${p.rows} row(s)`));
+  }
+
+  const subject = `[Workforce Engine] ${healthy ? '✅ Healthy' : `⚠️ ${issues} issue(s)`} — ` +
+    `${outcome} ${formatDate(new Date())}${CONFIG.isDryRun ? ' (dry run)' : ''}`;
+  const body = lines.join('\n');
+  return {
+    subject: subject,
+    body: body,
+    payload: {
+      text: `${subject}\n${body}`,
+      runId: runId,
+      outcome: outcome,
+      healthy: healthy,
+      dryRun: CONFIG.isDryRun,
+      workspacesProcessed: processed.length,
+      workspacesSkipped: skipped.length,
+      errorRows: errors,
+      auditFailRows: auditFails,
+      grants: stats.grants,
+      revocations: stats.revocations,
+      uncovered: stats.uncovered,
+      expired: stats.expired,
+      reconciled: stats.reconciled,
+      violations: stats.violations,
+      timeGuardStops: stats.timeGuardStops,
+      integrity: stats.integrity,
+      topEmployees: top
+    }
+  };
+}
+
+/**
+ * Sends the digest to the configured recipients and webhook.
+ * Delivery failures are logged and never fail the run.
+ *
+ * @param {Workbook} ssDb - Central Database (for logging)
+ * @param {string} runId - Run ID
+ * @param {RunDigest} digest - Digest to send
+ * @returns {void}
+ */
+function sendRunDigest(ssDb, runId, digest) {
+  const cfg = CONFIG.digest;
+  if (!cfg.enabled || (!cfg.recipients.length && !cfg.webhookUrl)) return;
+  try {
+    const notifier = getNotifier();
+    if (cfg.recipients.length) notifier.sendEmail(cfg.recipients.slice(), digest.subject, digest.body);
+    if (cfg.webhookUrl) notifier.postWebhook(cfg.webhookUrl, digest.payload);
+    logInfo(ssDb, runId, "Health digest sent",
+      `${cfg.recipients.length} recipient(s)${cfg.webhookUrl ? ' + webhook' : ''}`);
+  } catch (e) {
+    logError(ssDb, runId, `Health digest failed: ${e.message}`);
+  }
+}
@@ -10,10 +10,12 @@ const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
 
 /** 
  * Returns 3-letter day name from Date object.
+ * Derived from the formatted date so it always agrees with formatDate(),
+ * whatever the timezone of the host runtime.
  * @param {Date} d 
  * @returns {string} e.g. "MON"
  */
-function getDayName(d) { return DAY_NAMES[d.getDay()]; }
+function getDayName(d) { return DAY_NAMES[new Date(dateKeyToUtc(formatDate(d))).getUTCDay()]; }
 
 /** 
  * Normalizes day string to 3-letter uppercase.
@@ -30,11 +32,26 @@ function normalizeDay(d) { return d ? String(d).toUpperCase().substring(0, 3) :
 function parseSafeDate(v) { if (v instanceof Date) return v; if (!v) return null; const d = new Date(v); return isNaN(d) ? null : d; }
 
 /** 
- * Formats date to YYYY-MM-DD using spreadsheet timezone.
+ * Formats date to YYYY-MM-DD using the storage timezone.
  * @param {Date} d 
  * @returns {string}
  */
-function formatDate(d) { return Utilities.formatDate(d, SpreadsheetApp.getActive().getSpreadsheetTimeZone(), "yyyy-MM-dd"); }
+function formatDate(d) { return getStorage().formatDate(d); }
+
+/** 
+ * Converts a YYYY-MM-DD string to a UTC timestamp (DST-safe day arithmetic).
+ * @param {string} s - Date string YYYY-MM-DD
+ * @returns {number} Milliseconds since epoch at UTC midnight
+ */
+function dateKeyToUtc(s) { const p = String(s).split('-').map(Number); return Date.UTC(p[0], p[1] - 1, p[2]); }
+
+/**
+ * Adds days to a YYYY-MM-DD string (calendar days, DST-safe).
+ * @param {string} s - Date string YYYY-MM-DD
+ * @param {number} n - Days to add (may be negative)
+ * @returns {string} Date string YYYY-MM-DD
+ */
+function addDaysToKey(s, n) { return new Date(dateKeyToUtc(s) + n * 86400000).toISOString().slice(0, 10); }
 
 /** 
  * Maps header names to column indices.
@@ -52,27 +69,11 @@ function mapHeaders(r) { const m = new Map(); if (!r) return m; r.forEach((v, i)
 function checkMatch(c, v) { c = String(c).toUpperCase().trim(); v = String(v).toUpperCase().trim(); if (c === 'ANY' || c === 'IGNORED') return true; if (c === 'COMP_DAY' && (v === 'COMP_DAY' || v === 'OFF')) return true; if (c === 'LEAVE' && v === 'LEAVE') return true; return c === v; }
 
 
-/**
- * Parses a simple list from a sheet column into a Set of strings.
- * Used for Holiday lists.
- * 
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sh - Source sheet
- * @param {string} col - Header name to search for
- * @returns {Set<string>} Set of values (formatted dates)
- */
-function parseSimpleList(sh, col) {
-  if (!sh) return new Set();
-  const d = sh.getDataRange().getValues(), idx = d[0].indexOf(col), s = new Set();
-  if (idx > -1) for (let i = 1; i < d.length; i++) { const dt = parseSafeDate(d[i][idx]); if (dt) s.add(formatDate(dt)); }
-  return s;
-}
-
-
 /**
  * Writes the daily processing results to the "Daily_Workforce_Status" sheet.
  * Clears existing content before writing new batch.
  * 
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss - Workspace spreadsheet
+ * @param {Workbook} ss - Workspace workbook
  * @param {Array<Array<string>>} rows - Data rows to write
  * @returns {void}
  */
@@ -82,32 +83,93 @@ function writeDailyOutput(ss, rows) {
     return;
   }
 
-  let sh = ss.getSheetByName(CONFIG.tabs.dailyStatus.name);
-  if (!sh) sh = ss.insertSheet(CONFIG.tabs.dailyStatus.name);
-  const h = ['Key', 'employee', 'Date', 'Base_Status', 'Base_Shift', 'Rule_Input', 'Leave_Input', 'PH_Input', 'Entitlement_Input', 'Final_Status', 'Final_Shift', 'Reason', 'Note', 'Final_Val'];
-  if (sh.getLastRow() > 1) {
-    sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).clearContent();
+  const h = ['Key', 'employee', 'Date', 'Base_Status', 'Base_Shift', 'Rule_Input', 'Leave_Input', 'PH_Input', 'Entitlement_Input', 'Final_Status', 'Final_Shift', 'Reason', 'Note', 'Final_Val', 'Worked_Hours',
+    'Display_Name', 'Team', 'Department', 'Location', 'Contract_Type'];
+  ss.writeTable(CONFIG.tabs.dailyStatus.name, h, rows);
+}
+
+/**
+ * Writes only the changed rows of the "Daily_Workforce_Status" sheet (delta runs).
+ * Consecutive rows are written as one block; rows of new days are appended.
+ *
+ * @param {Workbook} ss - Workspace workbook
+ * @param {StatusWritePlan} plan - From planStatusWrite()
+ * @returns {void}
+ */
+function writeDailyRows(ss, plan) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeDailyRows()");
+    return;
+  }
+
+  const name = CONFIG.tabs.dailyStatus.name;
+  let block = [];
+  const flush = () => {
+    if (block.length) ss.writeRows(name, block[0].index, block.map(u => u.row));
+    block = [];
+  };
+  plan.updates.slice().sort((a, b) => a.index - b.index).forEach(u => {
+    if (block.length && block[block.length - 1].index + 1 !== u.index) flush();
+    block.push(u);
+  });
+  flush();
+  if (plan.appends.length) ss.appendRows(name, plan.appends);
+}
+
+/**
+ * Writes staffing coverage slots to the "Staffing_Coverage" sheet.
+ * Clears existing content before writing new batch (no slots leaves only the header).
+ *
+ * @param {Workbook} ss - Workspace workbook
+ * @param {Array<CoverageSlot>} slots - Coverage slots
+ * @returns {void}
+ */
+function writeCoverageOutput(ss, slots) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeCoverageOutput()");
+    return;
+  }
+
+  const rows = slots.map(s => [
+    s.date, s.shift || 'ANY', s.skill, s.required, s.supply, s.gap,
+    s.gap < 0 ? 'UNDERSTAFFED' : 'OK', s.employees.join(', ')
+  ]);
+  ss.writeTable(CONFIG.tabs.coverage.name, CONFIG.tabs.coverage.h, rows);
+}
+
+/**
+ * Writes compliance violations to the "Compliance_Violations" sheet.
+ * Clears existing content, so violations fixed since the last run disappear.
+ *
+ * @param {Workbook} ss - Workspace workbook
+ * @param {Array<ComplianceViolation>} violations - Violations
+ * @returns {void}
+ */
+function writeComplianceOutput(ss, violations) {
+  if (CONFIG.isDryRun) {
+    console.log("DRY RUN: Skipping writeComplianceOutput()");
+    return;
   }
 
-  sh.getRange(1, 1, 1, h.length).setValues([h]).setFontWeight('bold');
-  if (rows.length) sh.getRange(2, 1, rows.length, rows[0].length).setValues(rows);
+  const rows = violations.map(v => [v.employee, v.start, v.end, v.check, v.limit, v.actual, v.ruleIds.join(', '), v.message]);
+  ss.writeTable(CONFIG.tabs.compliance.name, CONFIG.tabs.compliance.h, rows);
 }
 
 /**
- * Safe wrapper for ss.toast() that swallows errors (e.g. in headless mode).
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss 
+ * Safe wrapper for Workbook.notify() (toast) that swallows errors (e.g. in headless mode).
+ * @param {Workbook} ss 
  * @param {string} message 
  * @param {string} title 
  * @param {number} timeout 
  */
 function safeToast(ss, message, title = "Workforce Engine", timeout = 5) {
-  try { ss.toast(message, title, timeout); } catch (_) { }
+  try { ss.notify(message, title, timeout); } catch (_) { }
 }
 
 /**
- * Safe wrapper for Ui.alert() that swallows errors.
+ * Safe wrapper for StorageAdapter.alert() that swallows errors.
  * @param {string} message 
  */
 function safeAlert(message) {
-  try { SpreadsheetApp.getUi().alert(message); } catch (_) { }
+  try { getStorage().alert(message); } catch (_) { }
 }
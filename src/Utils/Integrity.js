@@ -0,0 +1,371 @@
+/**
+ * Integrity Module
+ * ----------------
+ * Data Integrity Wrapper: detects impossible or suspicious input states
+ * after loadContext() and before any roster is resolved.
+ *
+ * Without this pass, bad inputs only surface as "Missing Logic" error rows or
+ * as rules that are silently ignored. The Decision_Matrix is checked by the
+ * matrix linter (MatrixLinter.js). Findings are classified as ERROR (the
+ * input cannot be resolved as entered) or WARNING (the input is ignored or
+ * ambiguous), written to the Integrity_Report sheet, and in strict mode
+ * (CONFIG.integrity.strict) any ERROR blocks the run.
+ *
+ * @file Integrity.js
+ */
+
+/**
+ * @typedef {Object} IntegrityFinding
+ * @property {string} severity - ERROR | WARNING
+ * @property {string} check - Check code, e.g. RULE_DATE_ORDER
+ * @property {string} source - Sheet name or workspace ID
+ * @property {string} item - Rule ID, employee ID, ...
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * Runs all integrity checks.
+ * Without workspace IDs (a resumed run, whose first invocation checked the rosters)
+ * no roster is opened: only the Central DB tables are checked, and rules and
+ * leave are not matched against the roster employees.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {EngineContext} ctx - Loaded engine context
+ * @param {(Array<string>|null)} workspaceIds - Active workspace IDs (null = Central DB tables only)
+ * @returns {Array<IntegrityFinding>} Findings, errors first
+ */
+function runIntegrityChecks(ssDb, ctx, workspaceIds) {
+  const findings = [];
+  const add = (severity, check, source, item, message) =>
+    findings.push({ severity: severity, check: check, source: source, item: String(item), message: message });
+
+  const rosterEmployees = workspaceIds ? new Set() : null; // Employee IDs and the rule targets they belong to
+  (workspaceIds || []).forEach(id => checkWorkspaceRosters(id, ctx, rosterEmployees, add));
+  checkEmployees(parseEmployees(ssDb.readTable(CONFIG.tabs.employees.name)), add);
+  checkRules(ctx, rosterEmployees, add);
+  const ruleRows = ssDb.readTable(CONFIG.tabs.rules.name);
+  checkRuleTargets(ruleRows, add);
+  checkRuleRecurrences(ruleRows, add);
+  checkRuleStatuses(ruleRows, readRuleStatusLog(ssDb), add);
+  checkLeaves(ctx, parseLeaveRecords(ssDb.readTable(CONFIG.tabs.leaves.name)), rosterEmployees, add);
+  findings.push(...lintDecisionMatrixSheet(ssDb));
+
+  return findings.sort((a, b) => (a.severity === 'ERROR' ? 0 : 1) - (b.severity === 'ERROR' ? 0 : 1));
+}
+
+/**
+ * Checks the roster rows of one workspace and collects its employee IDs.
+ * Workspaces that cannot be opened are skipped (validateWorkspace() reports them).
+ *
+ * @param {string} schedId - Workspace file ID
+ * @param {EngineContext} ctx - Engine context
+ * @param {Set<string>} rosterEmployees - Collected lowercase employee IDs and their rule target keys (updated)
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkWorkspaceRosters(schedId, ctx, rosterEmployees, add) {
+  let ws;
+  try { ws = getStorage().openWorkspace(schedId); } catch (_) { return; }
+  const seen = new Set();
+  // Calendars without a holiday of their own are likely misspelt (checked once any calendar is named)
+  const calendars = listHolidayCalendars(ctx.holidays);
+  const wsCalendar = getWorkspaceCalendar(ctx, schedId);
+  const unknownCalendar = c => c && calendars.size > 0 && !calendars.has(c);
+  if (unknownCalendar(wsCalendar)) {
+    add('WARNING', 'HOLIDAY_UNKNOWN_CALENDAR', schedId, wsCalendar, `Workspace calendar "${wsCalendar}" has no holidays in ${CONFIG.tabs.holidays.name}: only holidays of every calendar apply`);
+  }
+  CONFIG.roster.tabs.forEach(t => {
+    const data = ws.readTable(t);
+    if (!data) return;
+    let idx;
+    try {
+      idx = mapRosterColumns(data[CONFIG.roster.rows.header - 1] || []);
+    } catch (e) {
+      add('ERROR', 'ROSTER_COLUMNS', schedId, t, e.message);
+      return;
+    }
+    data.slice(CONFIG.roster.rows.data - 1).forEach(r => {
+      if (!r[idx.emp]) return;
+      const emp = buildEmployee(r, idx, ctx, wsCalendar, schedId);
+      employeeRuleKeys(emp).forEach(k => rosterEmployees.add(k));
+      if (emp.calendar !== wsCalendar && unknownCalendar(emp.calendar)) {
+        add('WARNING', 'HOLIDAY_UNKNOWN_CALENDAR', schedId, emp.display, `Holiday calendar "${emp.calendar}" has no holidays in ${CONFIG.tabs.holidays.name}: only holidays of every calendar apply`);
+      }
+      if (seen.has(emp.id)) {
+        add('ERROR', 'ROSTER_DUPLICATE', schedId, emp.display, `Employee is listed more than once in the workspace rosters`);
+      }
+      seen.add(emp.id);
+      if (ctx.employees && ctx.employees.size && !emp.inMaster) {
+        add('WARNING', 'ROSTER_NOT_IN_MASTER', schedId, emp.display, `Employee is not in ${CONFIG.tabs.employees.name}: no hire / termination dates or master attributes apply`);
+      }
+
+      if (!emp.rotationId || emp.rotation) checkLeaveConflicts(emp, schedId, ctx, add);
+      if (emp.rotationId) {
+        if (!emp.rotation) add('ERROR', 'ROSTER_UNKNOWN_ROTATION', schedId, emp.display, `Rotation "${emp.rotationId}" is not defined in ${CONFIG.tabs.rotations.name}`);
+        return; // Off days and default shift do not drive a rotating roster
+      }
+      [emp.wo1, emp.wo2].filter(String).forEach(d => {
+        if (!DAY_NAMES.includes(d)) add('WARNING', 'ROSTER_INVALID_OFF_DAY', schedId, emp.display, `Off day "${d}" is not a weekday name and is ignored`);
+      });
+      if (emp.wo1 && emp.wo1 === emp.wo2) {
+        add('WARNING', 'ROSTER_SAME_OFF_DAYS', schedId, emp.display, `Primary and secondary off day are both ${emp.wo1}: only one off day per week`);
+      }
+      if (isUnmappedShift(ctx, emp.baseShift)) {
+        add('WARNING', 'ROSTER_SHIFT_UNMAPPED', schedId, emp.display, `Default shift "${emp.baseShift}" is not in ${CONFIG.tabs.mapping.name}`);
+      }
+    });
+  });
+}
+
+/**
+ * Checks the Employees master: duplicated IDs and termination before hire.
+ *
+ * @param {Array<EmployeeRecord>} records - From parseEmployees()
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkEmployees(records, add) {
+  const src = CONFIG.tabs.employees.name;
+  const first = new Map();
+  records.forEach(r => {
+    if (first.has(r.id)) {
+      add('WARNING', 'EMPLOYEE_DUPLICATE', src, `${r.display} (row ${r.row})`, `Also listed on row ${first.get(r.id).row}: the first row applies`);
+    } else {
+      first.set(r.id, r);
+    }
+    if (r.hire && r.termination && r.termination < r.hire) {
+      add('ERROR', 'EMPLOYEE_DATE_ORDER', src, `${r.display} (row ${r.row})`, `Termination_Date ${r.termination} is before Hire_Date ${r.hire}: no day is resolved`);
+    }
+  });
+}
+
+/**
+ * Checks the approved rules of every employee and group.
+ *
+ * @param {EngineContext} ctx - Engine context
+ * @param {(Set<string>|null)} rosterEmployees - Lowercase employee IDs and rule target keys on any roster (null = not read)
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkRules(ctx, rosterEmployees, add) {
+  const src = CONFIG.tabs.rules.name;
+  ctx.rules.forEach((rules, empId) => {
+    const scope = rules[0].scope || 'EMPLOYEE';
+    if (!rosterEmployees) {
+      // Rosters not read: the targets cannot be matched
+    } else if (!rosterEmployees.has(empId) && scope === 'EMPLOYEE') {
+      add('WARNING', 'RULE_UNKNOWN_EMPLOYEE', src, rules.map(r => r.id).join(', '), `Employee "${empId}" is not on any active roster`);
+    } else if (!rosterEmployees.has(empId)) {
+      add('WARNING', 'RULE_EMPTY_TARGET', src, rules.map(r => r.id).join(', '), `Target ${scope}:${rules[0].group} matches no employee on any active roster`);
+    }
+    rules.forEach(r => {
+      if (r.start > r.end) {
+        add('ERROR', 'RULE_DATE_ORDER', src, r.id, `Start_Date ${r.start} is after End_Date ${r.end}: the rule never applies`);
+      }
+      if (r.type !== 'DAY_PATTERN' && r.type !== 'SHIFT_OVERRIDE') {
+        add('WARNING', 'RULE_UNKNOWN_TYPE', src, r.id, `Rule_Type "${r.type}" is not DAY_PATTERN or SHIFT_OVERRIDE and is ignored`);
+      } else if (!audit_inputs(r)) {
+        add('WARNING', 'RULE_INPUT_AUDIT', src, r.id, `${r.type} without a Shift_Value is ignored`);
+      }
+      const outside = ruleRecurrence(r).dates.filter(s => s < r.start || s > r.end);
+      if (outside.length) {
+        add('WARNING', 'RULE_DATES_OUTSIDE_RANGE', src, r.id, `DATES ${outside.join(', ')} outside ${r.start} → ${r.end} never apply`);
+      }
+      const shift = String(r.shift || "").trim();
+      if (shift && shift.toUpperCase() !== 'OFF' && isUnmappedShift(ctx, shift)) {
+        add('WARNING', 'RULE_SHIFT_UNMAPPED', src, r.id, `Shift_Value "${shift}" is not in ${CONFIG.tabs.mapping.name}`);
+      }
+    });
+
+    // Equal-priority DAY_PATTERN rules that can apply on the same day
+    const patterns = rules.filter(r => r.type === 'DAY_PATTERN');
+    for (let i = 0; i < patterns.length; i++) {
+      for (let j = i + 1; j < patterns.length; j++) {
+        const a = patterns[i], b = patterns[j];
+        if (a.prio !== b.prio || a.start > b.end || b.start > a.end) continue;
+        const daysA = ruleDays(a), daysB = ruleDays(b);
+        if (!daysA.some(d => daysB.includes(d))) continue;
+        const winner = String(a.id).localeCompare(String(b.id)) > 0 ? a.id : b.id;
+        add('WARNING', 'RULE_OVERLAP', src, `${a.id}, ${b.id}`,
+          `Overlapping DAY_PATTERN rules with equal priority P${a.prio} for "${empId}": ${winner} wins only by Rule_ID`);
+      }
+    }
+  });
+}
+
+/**
+ * Reports rules whose Target is not understood, or that name no employee or group.
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Rules sheet (header first)
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkRuleTargets(d, add) {
+  if (!d || d.length < 2) return;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.rules.h, o = CONFIG.tabs.rules.optional;
+  d.slice(1).forEach((r, i) => {
+    if (r.every(v => String(v === undefined || v === null ? "" : v).trim() === "")) return;
+    const parsed = parseRuleRow(r, h);
+    if (parsed.key) return;
+    const id = String(r[h.get(c.id.toLowerCase())] || `row ${i + 2}`).trim();
+    const target = h.has(o.target.toLowerCase()) ? String(r[h.get(o.target.toLowerCase())] || "").trim() : "";
+    add('WARNING', 'RULE_UNKNOWN_TARGET', CONFIG.tabs.rules.name, id, target && !parsed.scope
+      ? `Target "${target}" is not EMPLOYEE, TEAM:<name>, DEPARTMENT:<name>, SKILL:<tag>, WORKSPACE:<id> or ALL: the rule is not applied`
+      : `No Employee_ID or group in Target: the rule is not applied`);
+  });
+}
+
+/**
+ * Reports rules whose Frequency cannot be parsed (see parseRecurrence()).
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Rules sheet (header first)
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkRuleRecurrences(d, add) {
+  if (!d || d.length < 2) return;
+  const h = mapHeaders(d[0]), c = CONFIG.tabs.rules.h;
+  if (!h.has(c.freq.toLowerCase())) return;
+  d.slice(1).forEach((r, i) => {
+    const recur = parseRecurrence(r[h.get(c.freq.toLowerCase())]);
+    if (!recur.error) return;
+    const id = String(r[h.get(c.id.toLowerCase())] || `row ${i + 2}`).trim();
+    add('ERROR', 'RULE_BAD_RECURRENCE', CONFIG.tabs.rules.name, id, `Frequency "${recur.text}": ${recur.error}. The rule is not applied`);
+  });
+}
+
+/**
+ * Checks the Approval_Status of every rule: unknown states, and states that
+ * differ from the last change recorded in Rule_Status_Log (edited by hand).
+ *
+ * @param {Array<Array<*>>|null} d - Rows of the Rules sheet (header first)
+ * @param {Array<RuleStatusChange>} log - From readRuleStatusLog()
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkRuleStatuses(d, log, add) {
+  if (!d || d.length < 2) return;
+  const src = CONFIG.tabs.rules.name, c = CONFIG.tabs.rules.h;
+  const h = mapHeaders(d[0]);
+  if (!h.has(c.id.toLowerCase()) || !h.has(c.status.toLowerCase())) return;
+  const last = new Map();
+  log.forEach(l => last.set(l.ruleId, l.to));
+  d.slice(1).forEach(r => {
+    const id = String(r[h.get(c.id.toLowerCase())] || "").trim();
+    const status = normalizeRuleStatus(r[h.get(c.status.toLowerCase())]);
+    if (!RULE_STATUSES.includes(status)) {
+      add('WARNING', 'RULE_UNKNOWN_STATUS', src, id, `Approval_Status "${status}" is not one of ${RULE_STATUSES.join(', ')}: the rule is not applied`);
+    } else if (id && last.has(id) && last.get(id) !== status) {
+      add('WARNING', 'RULE_STATUS_UNLOGGED', src, id, `Approval_Status is ${status} but ${CONFIG.tabs.ruleLog.name} last recorded ${last.get(id)}: changed outside runRuleActions`);
+    }
+  });
+}
+
+/**
+ * Reports approved leave that falls on a holiday or an off day of the employee
+ * (after DAY_PATTERN rules): such leave is usually booked in error and does
+ * not consume a working day.
+ *
+ * @param {Employee} emp - Roster employee
+ * @param {string} schedId - Workspace file ID
+ * @param {EngineContext} ctx - Engine context
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkLeaveConflicts(emp, schedId, ctx, add) {
+  const prefix = `${emp.id}|`, rules = getEmployeeRules(ctx.rules, emp);
+  const onHoliday = [], onOffDay = [];
+  ctx.leaves.forEach((lv, key) => {
+    if (!key.startsWith(prefix)) return;
+    const str = key.slice(prefix.length), obj = new Date(dateKeyToUtc(str));
+    const holiday = getHoliday(ctx.holidays, emp.calendar, str);
+    if (holiday && holiday.type !== 'OPTIONAL') {
+      onHoliday.push(`${str} (${holiday.name || holiday.type})`);
+      return;
+    }
+    const res = resolveEmployeeDay(emp, { obj: obj, str: str, day: DAY_NAMES[obj.getUTCDay()] }, ctx, rules);
+    if (res.finalStatus !== 'ERROR' && res.row[DAILY_STATUS_COLS.ruleShift] === 'OFF') onOffDay.push(str);
+  });
+  if (onHoliday.length) {
+    add('WARNING', 'LEAVE_ON_HOLIDAY', schedId, emp.display, `Leave booked on holiday(s): ${onHoliday.sort().join(', ')}`);
+  }
+  if (onOffDay.length) {
+    add('WARNING', 'LEAVE_ON_OFF_DAY', schedId, emp.display, `Leave booked on off day(s): ${onOffDay.sort().join(', ')}`);
+  }
+}
+
+/**
+ * Checks leave records against the rosters and each other.
+ *
+ * @param {EngineContext} ctx - Engine context
+ * @param {Array<LeaveRecord>} records - Leave_Data records (any approval status)
+ * @param {(Set<string>|null)} rosterEmployees - Lowercase employee IDs on any roster (null = not read)
+ * @param {function(string, string, string, string, string): void} add - Finding collector
+ * @returns {void}
+ */
+function checkLeaves(ctx, records, rosterEmployees, add) {
+  const src = CONFIG.tabs.leaves.name;
+  records.forEach(r => {
+    if (r.end < r.start) {
+      add('ERROR', 'LEAVE_DATE_ORDER', src, `${r.display} (row ${r.row})`, `End_Date ${r.end} is before Leave_Date ${r.start}: the leave covers no day`);
+    }
+    if (!LEAVE_STATUSES.includes(r.status)) {
+      add('WARNING', 'LEAVE_UNKNOWN_STATUS', src, `${r.display} (row ${r.row})`, `Approval_Status "${r.status}" is not one of ${LEAVE_STATUSES.join(', ')}: the leave is not applied`);
+    }
+  });
+  // Overlaps between approved records, one finding per record that lost a day
+  const lost = new Map();
+  buildLeaveDays(records).overlaps.forEach(o => {
+    if (!lost.has(o.dropped.row)) lost.set(o.dropped.row, { record: o.dropped, kept: new Set(), dates: [] });
+    lost.get(o.dropped.row).dates.push(o.date);
+    o.kept.rows.forEach(n => lost.get(o.dropped.row).kept.add(n));
+  });
+  lost.forEach(l => add('WARNING', 'LEAVE_OVERLAP', src, `${l.record.display} (row ${l.record.row})`,
+    `Overlaps row ${Array.from(l.kept).join(', ')} on ${l.dates.join(', ')}: the earlier row applies`));
+
+  if (!rosterEmployees) return;
+  const unknown = new Map();
+  ctx.leaves.forEach((type, key) => {
+    const empId = key.split('|')[0];
+    if (!rosterEmployees.has(empId)) unknown.set(empId, (unknown.get(empId) || 0) + 1);
+  });
+  unknown.forEach((n, empId) => add('WARNING', 'LEAVE_UNKNOWN_EMPLOYEE', CONFIG.tabs.leaves.name, empId,
+    `${n} leave record(s) for an employee who is not on any active roster`));
+}
+
+/**
+ * Is a shift value missing from a non-empty Shift_Status_Mapping?
+ *
+ * @param {EngineContext} ctx - Engine context
+ * @param {*} shift - Shift value
+ * @returns {boolean}
+ */
+function isUnmappedShift(ctx, shift) {
+  const s = String(shift || "").trim();
+  return ctx.mapping.size > 0 && s !== "" && s.toUpperCase() !== 'OFF' && !ctx.mapping.has(s);
+}
+
+/**
+ * Weekdays a rule can apply on (intervals and weeks of the month are not considered).
+ *
+ * @param {Rule} rule
+ * @returns {Array<string>}
+ */
+function ruleDays(rule) {
+  return recurrenceDays(ruleRecurrence(rule));
+}
+
+/**
+ * Writes the findings to the Integrity_Report sheet (replaced on every run).
+ * Diagnostic output: written in dry run too, like System_Logs.
+ *
+ * @param {Workbook} ssDb - Central Database
+ * @param {string} runId - Execution ID
+ * @param {Array<IntegrityFinding>} findings - Findings to write
+ * @returns {void}
+ */
+function writeIntegrityReport(ssDb, runId, findings) {
+  const now = new Date();
+  ssDb.writeTable(CONFIG.tabs.integrity.name, CONFIG.tabs.integrity.h,
+    findings.map(f => [runId, now, f.severity, f.check, f.source, f.item, f.message]));
+}
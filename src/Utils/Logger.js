@@ -13,7 +13,7 @@ const LOG_BUFFER = [];
  * Buffers a log entry to memory.
  * Does NOT write to the sheet until flushLogs() is called.
  * 
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central DB (not used directly in buffer mode but kept for signature)
+ * @param {Workbook} ssDb - Central DB (not used directly in buffer mode but kept for signature)
  * @param {string} runId - Execution context ID
  * @param {string} level - Log level (INFO, WARN, ERROR)
  * @param {string} message - Log message
@@ -33,20 +33,16 @@ function writeSystemLog(ssDb, runId, level, message, context = "") {
 /**
  * Validates and flushes the log buffer to the System_Logs sheet in one batch operation.
  * Should be called at the very end of the execution.
+ *
+ * @param {Workbook} ssDb - Central DB
  */
 function flushLogs(ssDb) {
   if (!LOG_BUFFER.length) return;
 
   try {
-    let sh = ssDb.getSheetByName(CONFIG.tabs.logs.name);
-    if (!sh) {
-      sh = ssDb.insertSheet(CONFIG.tabs.logs.name);
-      sh.appendRow(Object.values(CONFIG.tabs.logs.h));
-    }
-
-    // Batch write to the end of the sheet
-    const lastRow = sh.getLastRow();
-    sh.getRange(lastRow + 1, 1, LOG_BUFFER.length, LOG_BUFFER[0].length).setValues(LOG_BUFFER);
+    // Batch write to the end of the sheet (created with headers if missing)
+    ssDb.appendRows(CONFIG.tabs.logs.name, LOG_BUFFER, Object.values(CONFIG.tabs.logs.h));
+    getStorage().flush();
 
     // Clear buffer after successful write
     LOG_BUFFER.length = 0;
@@ -71,8 +67,8 @@ function logError(ssDb, runId, msg, ctx = "") {
 /**
  * Generates a unique execution ID for tracing logs.
  * 
- * @returns {string} UUID via Utilities.getUuid()
+ * @returns {string} UUID from the active storage adapter
  */
 function generateRunId() {
-  return Utilities.getUuid();
+  return getStorage().newId();
 }
\ No newline at end of file
@@ -11,10 +11,10 @@
  * Validates that a specific sheet contains all expected headers.
  * Fails fast if schema drift is detected.
  *
- * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet - The sheet to validate
+ * @param {Array<Array<*>>|null} sheet - The table to validate (header first), null if missing
  * @param {Object} expectedHeaders - Map or Object of header keys/names to check (values are used)
  * @param {string} sheetName - For logging context
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Database handle
+ * @param {Workbook} ssDb - Database handle
  * @param {string} runId - Execution ID
  * @throws {Error} If headers are missing
  * @returns {void}
@@ -27,7 +27,7 @@ function validateSheetHeaders(sheet, expectedHeaders, sheetName, ssDb, runId) {
     }
 
     // Read header row (Row 1)
-    const actualHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+    const actualHeaders = sheet[0] || [];
     const actualMap = mapHeaders(actualHeaders);
 
     // Extract expected header names (values of the config object)
@@ -46,7 +46,7 @@ function validateSheetHeaders(sheet, expectedHeaders, sheetName, ssDb, runId) {
  * Validates schemas for all critical Central DB sheets based on CONFIG.
  * Should be called immediately after DB connection to ensure integrity.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database
+ * @param {Workbook} ssDb - Central Database
  * @param {string} runId - Execution ID
  * @returns {void}
  */
@@ -55,7 +55,7 @@ function validateAllSchemas(ssDb, runId) {
 
     // 1. Config Sheet
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.config.name),
+        ssDb.readTable(CONFIG.tabs.config.name),
         CONFIG.tabs.config.h,
         CONFIG.tabs.config.name,
         ssDb,
@@ -64,7 +64,7 @@ function validateAllSchemas(ssDb, runId) {
 
     // 2. Rules Sheet
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.rules.name),
+        ssDb.readTable(CONFIG.tabs.rules.name),
         CONFIG.tabs.rules.h,
         CONFIG.tabs.rules.name,
         ssDb,
@@ -73,7 +73,7 @@ function validateAllSchemas(ssDb, runId) {
 
     // 3. Decision Matrix
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.decision.name),
+        ssDb.readTable(CONFIG.tabs.decision.name),
         CONFIG.tabs.decision.h,
         CONFIG.tabs.decision.name,
         ssDb,
@@ -82,7 +82,7 @@ function validateAllSchemas(ssDb, runId) {
 
     // 4. Ledger
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.ledger.name),
+        ssDb.readTable(CONFIG.tabs.ledger.name),
         CONFIG.tabs.ledger.h,
         CONFIG.tabs.ledger.name,
         ssDb,
@@ -91,7 +91,7 @@ function validateAllSchemas(ssDb, runId) {
 
     // 5. Leaves
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.leaves.name),
+        ssDb.readTable(CONFIG.tabs.leaves.name),
         CONFIG.tabs.leaves.h,
         CONFIG.tabs.leaves.name,
         ssDb,
@@ -100,12 +100,60 @@ function validateAllSchemas(ssDb, runId) {
 
     // 6. Holidays
     validateSheetHeaders(
-        ssDb.getSheetByName(CONFIG.tabs.holidays.name),
+        ssDb.readTable(CONFIG.tabs.holidays.name),
         CONFIG.tabs.holidays.h,
         CONFIG.tabs.holidays.name,
         ssDb,
         runId
     );
 
+    // 7. Rotation Patterns (optional - only validated when present)
+    const rotSh = ssDb.readTable(CONFIG.tabs.rotations.name);
+    if (rotSh) {
+        validateSheetHeaders(
+            rotSh,
+            CONFIG.tabs.rotations.h,
+            CONFIG.tabs.rotations.name,
+            ssDb,
+            runId
+        );
+    }
+
+    // 8. Staffing Requirements (optional - only validated when present)
+    const staffSh = ssDb.readTable(CONFIG.tabs.staffing.name);
+    if (staffSh) {
+        validateSheetHeaders(
+            staffSh,
+            CONFIG.tabs.staffing.h,
+            CONFIG.tabs.staffing.name,
+            ssDb,
+            runId
+        );
+    }
+
+    // 9. Lock Windows (optional - only validated when present)
+    const lockSh = ssDb.readTable(CONFIG.tabs.locks.name);
+    if (lockSh) {
+        validateSheetHeaders(
+            lockSh,
+            CONFIG.tabs.locks.h,
+            CONFIG.tabs.locks.name,
+            ssDb,
+            runId
+        );
+    }
+
+    // 10. Entitlement Types (optional - only validated when present)
+    const typeSh = ssDb.readTable(CONFIG.tabs.entitlementTypes.name);
+    if (typeSh) {
+        validateSheetHeaders(
+            typeSh,
+            CONFIG.tabs.entitlementTypes.h,
+            CONFIG.tabs.entitlementTypes.name,
+            ssDb,
+            runId
+        );
+    }
+
     logInfo(ssDb, runId, "Schema validation passed");
 }
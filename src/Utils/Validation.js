@@ -12,7 +12,7 @@
  * Validates that the Central Database contains all core config sheets.
  * Throws an error if any critical sheet is missing.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database
+ * @param {Workbook} ssDb - Central Database
  * @param {string} runId - Execution ID for logging
  * @returns {void}
  */
@@ -24,7 +24,7 @@ function validateCentralDatabase(ssDb, runId) {
     CONFIG.tabs.ledger.name
   ];
 
-  const missing = requiredSheets.filter(name => !ssDb.getSheetByName(name));
+  const missing = requiredSheets.filter(name => !ssDb.hasTable(name));
 
   if (missing.length) {
     const msg = "Missing required sheets in Central DB: " + missing.join(", ");
@@ -36,17 +36,17 @@ function validateCentralDatabase(ssDb, runId) {
 /**
  * Validates that a specific workspace spreadsheet has the required Roster Config tabs.
  *
- * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ssDb - Central Database (for logging)
+ * @param {Workbook} ssDb - Central Database (for logging)
  * @param {string} runId - Execution ID
  * @param {string} schedId - Workspace File ID
- * @returns {GoogleAppsScript.Spreadsheet.Spreadsheet} The opened spreadsheet object
+ * @returns {Workbook} The opened workspace workbook
  * @throws {Error} If tabs are missing or file cannot be opened
  */
 function validateWorkspace(ssDb, runId, schedId) {
-  const ssSched = SpreadsheetApp.openById(schedId);
+  const ssSched = getStorage().openWorkspace(schedId);
   const requiredTabs = CONFIG.roster.tabs;
 
-  const missingTabs = requiredTabs.filter(t => !ssSched.getSheetByName(t));
+  const missingTabs = requiredTabs.filter(t => !ssSched.hasTable(t));
 
   if (missingTabs.length) {
     const msg = `Workspace missing required tabs: ${missingTabs.join(", ")}`;
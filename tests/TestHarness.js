@@ -4,13 +4,19 @@
  * Independent test runner for the Workforce Decision Engine logic.
  * Mocks all spreadsheet inputs and validates the core business logic (Resolver.js).
  * 
- * To run: Select `runAllTests` in the Apps Script editor and view Execution Log.
+ * To run: Select `runAllTests` in the Apps Script editor and view Execution Log,
+ * or run `node node/runTests.js` headless.
+ *
+ * runLiveTests() runs whole engine runs against memory workbooks and needs an
+ * engine that writes: node/runTests.js loads one with CONFIG.isDryRun off.
  * 
  * @file TestHarness.js
  */
 
 /**
  * Runs all defined unit tests and logs the results.
+ *
+ * @returns {boolean} True if every test passed
  */
 function runAllTests() {
     console.log("🚀 Starting Unit Test Suite...");
@@ -22,11 +28,67 @@ function runAllTests() {
         test_resolveEmployeeDay_publicHoliday();
         test_resolveEmployeeDay_leave();
         test_resolveEmployeeDay_compDay();
+        test_resolveEmployeeDay_rotation();
+        test_resolveEmployeeDay_rotationDayPatternOverride();
+        test_memoryStorage_tables();
+        test_processWorkspace_memoryStorage();
+        test_checkpoint_dryRun();
+        test_computeCoverage();
+        test_explainEmployeeDay();
+        test_applyLocks();
+        test_integrityChecks();
+        test_runDigest();
+        test_lintDecisionMatrix();
+        test_entitlementLedger();
+        test_fractionalEntitlements();
+        test_ledgerJournal();
+        test_ledgerReconciliation();
+        test_shiftCatalogue();
+        test_complianceRules();
+        test_holidayCalendars();
+        test_leaveRecords();
+        test_leaveBalances();
+        test_deltaProcessing();
+        test_simulation();
+        test_ruleWorkflow();
+        test_groupRules();
+        test_recurrence();
+        test_employeeMaster();
 
         console.log(`✅ ALL TESTS PASSED in ${(new Date() - start)}ms`);
         console.log("🎉 Test Harness completed successfully.");
+        return true;
     } catch (e) {
         console.error(`❌ TEST FAILED: ${e.message}`);
+        return false;
+    }
+}
+
+/**
+ * Runs the tests that need real writes (CONFIG.isDryRun off) and a time guard
+ * that stops after every workspace (CONFIG.resume.maxRuntimeMs < 0).
+ *
+ * @returns {boolean} True if every test passed
+ */
+function runLiveTests() {
+    console.log("🚀 Starting Live Engine Test Suite...");
+    const start = new Date();
+    if (CONFIG.isDryRun || CONFIG.resume.maxRuntimeMs >= 0) {
+        console.error("❌ runLiveTests needs CONFIG.isDryRun: false and CONFIG.resume.maxRuntimeMs: -1 (see node/runTests.js)");
+        return false;
+    }
+
+    try {
+        test_checkpoint_roundTrip();
+        test_resumeAfterTimeGuard();
+        test_reverseThenDeltaRun();
+        test_staleCoverageCleared();
+
+        console.log(`✅ ALL LIVE TESTS PASSED in ${(new Date() - start)}ms`);
+        return true;
+    } catch (e) {
+        console.error(`❌ LIVE TEST FAILED: ${e.message}`);
+        return false;
     }
 }
 
@@ -36,28 +98,29 @@ function runAllTests() {
 function getMockContext() {
     const matrixIndex = new Map();
 
-    const addRow = (b, r, p, q, final, action) => {
-        const k = `${b}|${r}|${p}|${q}`;
-        if (!matrixIndex.has(k)) matrixIndex.set(k, []);
-        matrixIndex.get(k).push({
-            base: b, rule: r, ph: p, req: q,
-            finalStatus: final, action: action, reason: "Mock Rule"
-        });
-    };
+    // Indexed exactly like loadContext(), so ANY rows expand into every key
+    const addRow = (b, r, p, q, final, action) => indexMatrixRow(matrixIndex, {
+        base: b, rule: r, ph: p, req: q,
+        finalStatus: final, action: action, reason: "Mock Rule"
+    });
 
     addRow("WORK", "NONE", "FALSE", "NONE", "WORK", "NONE");
     addRow("OFF", "NONE", "FALSE", "NONE", "OFF", "NONE");
     addRow("WORK", "NONE", "TRUE", "NONE", "WORK", "GRANT");
     addRow("ANY", "ANY", "ANY", "LEAVE", "LEAVE", "NONE");
     addRow("WORK", "NONE", "FALSE", "COMP_DAY", "COMP_DAY", "REVOKE");
+    addRow("OFF", "WORK", "FALSE", "NONE", "WORK", "NONE");
 
     return {
         matrixIndex: matrixIndex,
         rules: new Map(),
-        holidays: new Set(),
+        holidays: new Map(),
         leaves: new Map(),
         ledger: new Map(),
-        mapping: new Map()
+        mapping: new Map(),
+        rotations: new Map(),
+        staffing: [],
+        locks: []
     };
 }
 
@@ -114,7 +177,7 @@ function test_resolveEmployeeDay_weekOff() {
 function test_resolveEmployeeDay_publicHoliday() {
     console.log("\n[TEST] Public Holiday Resolution (Work on PH)");
     const ctx = getMockContext();
-    ctx.holidays.add("2025-12-25");
+    ctx.holidays.set("2025-12-25", [{ date: "2025-12-25", calendar: "", name: "Christmas Day", type: "FULL" }]);
 
     const emp = {
         id: "test-user",
@@ -136,7 +199,7 @@ function test_resolveEmployeeDay_leave() {
     console.log("\n[TEST] Leave Override Resolution");
     const ctx = getMockContext();
 
-    ctx.leaves.set(`test-user|2025-03-10`, "ANNUAL_LEAVE");
+    ctx.leaves.set(`test-user|2025-03-10`, { type: "ANNUAL_LEAVE", portion: "FULL", rows: [2] });
 
     const emp = {
         id: "test-user",
@@ -150,7 +213,8 @@ function test_resolveEmployeeDay_leave() {
 
     const res = resolveEmployeeDay(emp, meta, ctx, []);
 
-    assertEqual(res.finalStatus, "LEAVE", "Status should be LEAVE");
+    // LEAVE rows resolve to the leave type itself (e.g. ANNUAL_LEAVE)
+    assertEqual(res.finalStatus, "ANNUAL_LEAVE", "Status should be the leave type");
 }
 
 function test_resolveEmployeeDay_compDay() {
@@ -159,7 +223,7 @@ function test_resolveEmployeeDay_compDay() {
 
     // Simulate a Comp Day request via leave input.
     // Decision matrix: WORK | NONE | FALSE | COMP_DAY → COMP_DAY + REVOKE
-    ctx.leaves.set(`test-user|2025-04-01`, "COMP_DAY");
+    ctx.leaves.set(`test-user|2025-04-01`, { type: "COMP_DAY", portion: "FULL", rows: [2] });
 
     const emp = {
         id: "test-user",
@@ -180,3 +244,1110 @@ function test_resolveEmployeeDay_compDay() {
         throw new Error("Expected REVOKE action");
     }
 }
+
+function test_resolveEmployeeDay_rotation() {
+    console.log("\n[TEST] Rotating Roster (4-on/4-off)");
+    const ctx = getMockContext();
+
+    const rotation = buildRotation("R4X4", "WWWWOOOO", "07:00 - 19:00", "2025-03-01");
+    const emp = {
+        id: "test-user",
+        display: "Test User",
+        baseShift: "09:00-18:00",
+        wo1: "",
+        wo2: "",
+        rotationId: "R4X4",
+        rotation: rotation
+    };
+
+    // 2025-03-04 is slot 4 (work), 2025-03-05 is slot 5 (off), 2025-03-09 starts the next cycle
+    const work = resolveEmployeeDay(emp, { str: "2025-03-04", day: "TUE", obj: new Date("2025-03-04") }, ctx, []);
+    const off = resolveEmployeeDay(emp, { str: "2025-03-05", day: "WED", obj: new Date("2025-03-05") }, ctx, []);
+    const nextCycle = resolveEmployeeDay(emp, { str: "2025-03-09", day: "SUN", obj: new Date("2025-03-09") }, ctx, []);
+    const beforeAnchor = resolveEmployeeDay(emp, { str: "2025-02-28", day: "FRI", obj: new Date("2025-02-28") }, ctx, []);
+
+    assertEqual(work.finalStatus, "WORK", "Slot 4 should be WORK");
+    assertEqual(work.row[10], "07:00 - 19:00", "Slot shift should come from the rotation");
+    assertEqual(off.finalStatus, "OFF", "Slot 5 should be OFF");
+    assertEqual(nextCycle.finalStatus, "WORK", "Cycle should repeat after 8 days");
+    assertEqual(beforeAnchor.finalStatus, "OFF", "Dates before the anchor wrap to the end of the cycle");
+
+    emp.rotation = null;
+    const unknown = resolveEmployeeDay(emp, { str: "2025-03-04", day: "TUE", obj: new Date("2025-03-04") }, ctx, []);
+    assertEqual(unknown.finalStatus, "ERROR", "Unknown rotation should produce an error row");
+}
+
+function test_resolveEmployeeDay_rotationDayPatternOverride() {
+    console.log("\n[TEST] DAY_PATTERN Overrides Rotation");
+    const ctx = getMockContext();
+
+    const emp = {
+        id: "test-user",
+        display: "Test User",
+        baseShift: "09:00-18:00",
+        wo1: "",
+        wo2: "",
+        rotationId: "R2X2",
+        rotation: buildRotation("R2X2", "W,W,O,O", "", "2025-03-01")
+    };
+    const rule = {
+        id: "R-100", type: "DAY_PATTERN", start: "2025-03-01", end: "2025-03-31",
+        shift: "", wo1: "SAT", wo2: "SUN", freq: "ALL", prio: 5
+    };
+
+    // 2025-03-03 (MON) is a rotation OFF slot, but the weekly pattern makes it a work day
+    const meta = { str: "2025-03-03", day: "MON", obj: new Date("2025-03-03") };
+    const res = resolveEmployeeDay(emp, meta, ctx, [rule]);
+
+    assertEqual(res.row[3], "OFF", "Base should come from the rotation");
+    assertEqual(res.finalStatus, "WORK", "DAY_PATTERN should override the rotation");
+    assertEqual(res.row[10], "09:00-18:00", "Fallback shift should be the employee default");
+}
+
+/**
+ * Builds a minimal Central DB + workspace pair for storage-level tests.
+ */
+function getMockWorkbooks() {
+    const roster = [
+        [], [], [],
+        ["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "Skills", "2025-03-01", "2025-03-02", "2025-03-03"],
+        ["emp-1", "09:00 - 18:00", "SAT", "SUN", "Nurse, Triage", "", "", ""],
+        ["emp-2", "10:00 - 19:00", "MON", "TUE", "", "", "", ""]
+    ];
+    return {
+        database: {
+            name: "Central DB",
+            tables: {
+                Decision_Matrix: [
+                    ["Base_Schedule", "Rule_Impact", "Holiday_Flag", "Request_Type", "Final_Status", "Entitlement_Action", "Decision_Reason"],
+                    ["WORK", "NONE", "FALSE", "NONE", "WORK", "NONE", "Regular work day"],
+                    ["OFF", "NONE", "FALSE", "NONE", "OFF", "NONE", "Scheduled off day"]
+                ],
+                Holidays: [["Date"]],
+                Entitlement_Ledger: [["Employee_ID", "Entitlement_Date", "Activation_Status", "System_Note"],
+                ["emp-1", "2025-01-01", "Active", ""]]
+            }
+        },
+        "ws-1": { name: "Workspace 1", tables: { Consolidated: roster } }
+    };
+}
+
+/**
+ * Mocks a complete Central DB and its workspaces for whole engine runs.
+ * The third date is a holiday: employees working it earn a comp day.
+ *
+ * @param {number} [count=1] - Number of workspaces (ws-1, ws-2, ...)
+ */
+function getLiveWorkbooks(count = 1) {
+    const ids = Array.from({ length: count }, (_, i) => `ws-${i + 1}`);
+    const workbooks = {
+        database: {
+            name: "Central DB",
+            tables: {
+                Scheduler_Config: [["Workspace_File_ID", "Status"]].concat(ids.map(id => [id, "Active"])),
+                Schedule_Rules: [["Rule_ID", "Employee_ID", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Primary_Off_Day", "Secondary_Off_Day", "Frequency", "Approval_Status", "Priority"]],
+                Decision_Matrix: [
+                    ["Base_Schedule", "Rule_Impact", "Holiday_Flag", "Request_Type", "Final_Status", "Entitlement_Action", "Decision_Reason"],
+                    ["WORK", "NONE", "FALSE", "NONE", "WORK", "NONE", "Regular work day"],
+                    ["WORK", "NONE", "TRUE", "NONE", "WORK", "GRANT", "Worked holiday"],
+                    ["OFF", "NONE", "ANY", "NONE", "OFF", "NONE", "Scheduled off day"]
+                ],
+                Entitlement_Ledger: [["Employee_ID", "Entitlement_Date", "Date_Used", "Week", "Mapping", "Final_Entitlement_Status", "Activation_Status", "Entitlement_Type", "Snapshot_Status", "System_Note"]],
+                Leave_Data: [["Employee_ID", "Leave_Date", "Leave_Type"]],
+                Holidays: [["Date"], ["2025-03-03"]]
+            }
+        }
+    };
+    ids.forEach((id, i) => {
+        workbooks[id] = {
+            name: `Workspace ${i + 1}`,
+            tables: {
+                Consolidated: [
+                    [], [], [],
+                    ["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "2025-03-01", "2025-03-02", "2025-03-03"],
+                    [`emp-${i + 1}`, "09:00 - 18:00", "SAT", "SUN", "", "", ""]
+                ]
+            }
+        };
+    });
+    return workbooks;
+}
+
+function test_memoryStorage_tables() {
+    console.log("\n[TEST] Memory Storage Adapter");
+    const storage = createMemoryStorage({ workbooks: getMockWorkbooks(), timeZone: "Asia/Kolkata" });
+    const db = storage.openDatabase();
+
+    assertEqual(db.hasTable("Holidays"), true, "Existing table should be found");
+    assertEqual(db.readTable("Missing_Tab"), null, "Missing table should read as null");
+
+    db.appendRows("System_Logs", [["run-1", "INFO"]], ["Run_ID", "Level"]);
+    assertEqual(db.readTable("System_Logs").length, 2, "appendRows should create the table with a header");
+
+    db.writeColumn("Entitlement_Ledger", 2, ["Activation_Status", "Inactive"]);
+    assertEqual(db.readTable("Entitlement_Ledger")[1][2], "Inactive", "writeColumn should overwrite one column");
+
+    // 20:00 UTC is already the next day in Asia/Kolkata (UTC+05:30)
+    assertEqual(storage.formatDate(new Date("2025-03-01T20:00:00Z")), "2025-03-02", "formatDate should use the storage timezone");
+
+    let threw = false;
+    try { storage.openWorkspace("unknown"); } catch (e) { threw = true; }
+    assertEqual(threw, true, "Unknown workspace should throw");
+}
+
+function test_processWorkspace_memoryStorage() {
+    console.log("\n[TEST] Headless Context + Roster Processing");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getMockWorkbooks() }));
+    try {
+        const db = getStorage().openDatabase();
+        const ctx = loadContext(db);
+        assertEqual(ctx.matrixIndex.size, 2, "Matrix should load from the memory workbook");
+        assertEqual(ctx.ledger.has("emp-1|2025-01-01"), true, "Ledger should load active rows");
+
+        const ws = getStorage().openWorkspace("ws-1");
+        const res = processRoster(ws.readTable("Consolidated"), ctx);
+        assertEqual(res.dailyStatus.length, 6, "2 employees x 3 dates should resolve");
+        // 2025-03-03 is a Monday: emp-1 works, emp-2 is off
+        assertEqual(res.dailyStatus[2][9], "WORK", "emp-1 should work on Monday");
+        assertEqual(res.dailyStatus[5][9], "OFF", "emp-2 should be off on Monday");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_checkpoint_roundTrip() {
+    console.log("\n[TEST] Run Checkpoint Save / Load");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getMockWorkbooks() }));
+    try {
+        const db = getStorage().openDatabase();
+        assertEqual(loadCheckpoint(db), null, "No checkpoint should load as null");
+
+        saveCheckpoint(db, {
+            runId: "run-1", started: new Date(), invocations: 1,
+            processed: ["ws-1", "ws-2"],
+            pendingGrants: [{ employee: "emp-1", date: new Date("2025-03-01T00:00:00Z") }],
+            pendingRevocations: [{ employee: "emp-2", dateStr: "2025-03-02", reason: "Schedule changed" }],
+            trigger: ""
+        });
+        const cp = loadCheckpoint(db);
+        assertEqual(cp.runId, "run-1", "Run ID should survive the round trip");
+        assertEqual(cp.processed.join(","), "ws-1,ws-2", "Processed workspaces should survive the round trip");
+        assertEqual(cp.pendingGrants[0].date.getTime(), Date.UTC(2025, 2, 1), "Pending grant dates should load as Dates");
+        assertEqual(cp.pendingRevocations[0].dateStr, "2025-03-02", "Pending revocations should survive the round trip");
+
+        clearCheckpoint(db);
+        assertEqual(loadCheckpoint(db), null, "Cleared checkpoint should load as null");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_checkpoint_dryRun() {
+    console.log("\n[TEST] Run Checkpoint in Dry Run");
+    if (!CONFIG.isDryRun) {
+        console.log("  - SKIP: CONFIG.isDryRun is off");
+        return;
+    }
+    const workbooks = getMockWorkbooks();
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: workbooks }));
+    try {
+        const db = getStorage().openDatabase();
+        const chain = {
+            runId: "run-1", started: new Date(), invocations: 1, processed: ["ws-1"],
+            pendingGrants: [], pendingRevocations: [], trigger: ""
+        };
+        saveCheckpoint(db, chain);
+        recordRunChain(db, chain);
+        clearCheckpoint(db);
+        assertEqual(Object.keys(workbooks.database.tables).filter(t => /^Run_/.test(t)).join(","), "",
+            "Dry run should write no Run_Checkpoint or Run_History");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_resumeAfterTimeGuard() {
+    console.log("\n[TEST] Resume After the Time Guard");
+    const triggers = { scheduled: [], cancelled: [] }, opened = [];
+    const memory = createMemoryStorage({ workbooks: getLiveWorkbooks(2) });
+    const storage = Object.assign({}, memory, {
+        openWorkspace: function (id) { opened.push(id); return memory.openWorkspace(id); },
+        scheduleContinuation: function (fn) { triggers.scheduled.push(fn); return `trigger-${triggers.scheduled.length}`; },
+        cancelContinuation: function (id) { triggers.cancelled.push(id); }
+    });
+    const previous = ACTIVE_STORAGE;
+    setStorage(storage);
+    try {
+        const db = getStorage().openDatabase();
+        const cpTab = CONFIG.tabs.checkpoint;
+        const ledger = () => db.readTable("Entitlement_Ledger").slice(1);
+        const processing = runId => db.readTable("System_Logs")
+            .filter(r => r[0] === runId && r[3] === "Processing workspace").map(r => r[4]).join(",");
+
+        // Invocation 1: the time guard (maxRuntimeMs < 0) stops after the first workspace
+        runWorkforceEngine();
+        const cp = db.readTable(cpTab.name);
+        const h = mapHeaders(cp[0]);
+        const runId = cp[1][h.get(cpTab.h.runId.toLowerCase())];
+        assertEqual(cp[1][h.get(cpTab.h.processed.toLowerCase())], "ws-1", "The checkpoint should list the processed workspace");
+        assertEqual(triggers.scheduled.join(","), "runWorkforceEngine", "A continuation should be scheduled");
+        assertEqual(cp[1][h.get(cpTab.h.trigger.toLowerCase())], "trigger-1", "The trigger ID should be saved");
+        assertEqual(getStorage().openWorkspace("ws-2").hasTable("Daily_Workforce_Status"), false, "The second workspace should wait");
+        assertEqual(db.hasTable(CONFIG.tabs.runHistory.name), false, "An unfinished chain should not be recorded");
+
+        // Ledger updates a failed commit left in the checkpoint
+        cp[1][h.get(cpTab.h.pendingGrants.toLowerCase())] = JSON.stringify([
+            { employee: "emp-9", date: "2025-03-03T00:00:00.000Z", type: "COMP_DAY", cause: "Worked holiday" }
+        ]);
+        cp[1][h.get(cpTab.h.pendingRevocations.toLowerCase())] = JSON.stringify([
+            { employee: "emp-1", dateStr: "2025-03-03", reason: "WORK", cause: "Rule changed" },
+            { employee: "emp-8", dateStr: "2025-03-04", reason: "COMP_DAY", cause: "Comp day" }
+        ]);
+        db.writeTable(cpTab.name, cp[0], cp.slice(1));
+
+        // Invocation 2: resumes the chain
+        opened.length = 0;
+        runWorkforceEngine();
+        assertEqual(opened.includes("ws-1"), false, "A resumed invocation should not reopen a processed workspace");
+        assertEqual(triggers.cancelled.join(","), "trigger-1", "The continuation trigger should be cancelled");
+        assertEqual(processing(runId), "ws-1,ws-2", "Each workspace should be processed once under the same Run ID");
+        assertEqual(ledger().filter(r => r[0] === "emp-9").length, 1, "The pending grant should be written");
+        assertEqual(ledger().filter(r => r[0] === "emp-1")[0][6], "Inactive", "The pending revocation should be written");
+        assertEqual(ledger().filter(r => r[0] === "emp-2")[0][6], "Active", "The resumed workspace should grant its holiday");
+        assertEqual(db.readTable("System_Logs").filter(r => r[0] === runId && r[2] === "WARN" && r[3] === "Comp day without entitlement")
+            .map(r => r[4]).join(","), "emp-8 2025-03-04", "A comp day without entitlement should be logged as a warning");
+        assertEqual(db.readTable(cpTab.name).length, 1, "The checkpoint should be cleared");
+        const history = db.readTable(CONFIG.tabs.runHistory.name);
+        assertEqual(history.length === 2 && history[1][0] === runId && history[1][3], 2, "The chain should be recorded with 2 invocations");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_staleCoverageCleared() {
+    console.log("\n[TEST] Staffing Coverage Cleared With Its Requirements");
+    const previous = ACTIVE_STORAGE;
+    const workbooks = getLiveWorkbooks();
+    workbooks.database.tables.Staffing_Requirements = [
+        ["Workspace_File_ID", "Date_Or_Day", "Shift_Code", "Min_Headcount", "Skill"],
+        ["ws-1", "2025-03-03", "09:00 - 18:00", 2, ""]
+    ];
+    setStorage(createMemoryStorage({ workbooks: workbooks }));
+    try {
+        const db = getStorage().openDatabase();
+        const ws = getStorage().openWorkspace("ws-1");
+        runWorkforceEngine();
+        assertEqual(ws.readTable("Staffing_Coverage").length, 2, "The required slot should be written");
+
+        db.writeTable("Staffing_Requirements", workbooks.database.tables.Staffing_Requirements[0], []);
+        runWorkforceEngine();
+        assertEqual(ws.readTable("Staffing_Coverage").length, 1, "No slot should be left once the requirement is removed");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_computeCoverage() {
+    console.log("\n[TEST] Staffing Coverage (Demand vs. Supply)");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getMockWorkbooks() }));
+    try {
+        const ctx = loadContext(getStorage().openDatabase());
+        const res = processRoster(getStorage().openWorkspace("ws-1").readTable("Consolidated"), ctx);
+        const reqs = parseStaffingRequirements([
+            ["Workspace_File_ID", "Date_Or_Day", "Shift_Code", "Min_Headcount", "Skill"],
+            ["", "", "ANY", 1, ""],
+            ["ws-1", "MON", "", 2, ""],
+            ["", "2025-03-03", "09:00 - 18:00", 1, "nurse"]
+        ]);
+        assertEqual(reqs.length, 3, "All requirement rows should parse");
+
+        const slots = computeCoverage("ws-1", res.dailyStatus, res.employees, reqs);
+        // SAT + SUN: 1 slot each (every-day rule), MON: weekday rule replaces it + skill slot
+        assertEqual(slots.length, 4, "Weekday requirement should replace the every-day one");
+        const mon = slots.filter(s => s.date === "2025-03-03");
+        assertEqual(mon[0].required, 2, "Workspace weekday requirement should apply on Monday");
+        assertEqual(mon[0].gap, -1, "Monday should be understaffed by one");
+        assertEqual(mon[0].employees.join(","), "emp-1", "Only emp-1 works on Monday");
+        assertEqual(mon[1].supply, 1, "Skilled employee should cover the nurse slot");
+        assertEqual(slots[0].gap, 0, "Saturday should be covered by emp-2");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_explainEmployeeDay() {
+    console.log("\n[TEST] Conflict Investigator");
+    const ctx = getMockContext();
+    const emp = { id: "test-user", display: "Test User", baseShift: "09:00 - 18:00", wo1: "SAT", wo2: "SUN", rotationId: "", rotation: null };
+    const candidates = listEmployeeRules([
+        ["Rule_ID", "Employee_ID", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Primary_Off_Day", "Secondary_Off_Day", "Frequency", "Approval_Status", "Priority"],
+        ["R-1", "test-user", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "10:00 - 19:00", "", "", "ALL", "Approved", 5],
+        ["R-2", "test-user", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "11:00 - 20:00", "", "", "ALL", "Approved", 5],
+        ["R-3", "test-user", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "12:00 - 21:00", "", "", "ALL", "Pending", 9],
+        ["R-4", "test-user", "DAY_PATTERN", "2025-04-01", "2025-04-30", "", "MON", "TUE", "ALL", "Approved", 1],
+        ["R-5", "other-user", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "07:00 - 16:00", "", "", "ALL", "Approved", 1]
+    ], emp);
+    assertEqual(candidates.length, 4, "Only the employee's rules should be listed");
+
+    const exp = buildDayExplanation(emp, { str: "2025-03-04", day: "TUE", obj: new Date("2025-03-04") }, ctx, candidates);
+    const outcome = id => exp.rules.find(r => r.id === id).outcome;
+    assertEqual(exp.shiftOverride.winner, "R-2", "Higher Rule_ID should win the priority tie");
+    assertEqual(outcome("R-1"), "LOST", "Tied rule should be reported as lost");
+    assertEqual(outcome("R-3"), "NOT_APPROVED", "Pending rule should be reported as not approved");
+    assertEqual(outcome("R-4"), "FILTERED", "Rule outside its date range should be filtered");
+    assertEqual(exp.matrix.key, "WORK|NONE|FALSE|NONE", "Matrix key should match the resolver");
+    assertEqual(exp.matrix.rows.some(m => m.result === "MATCH"), true, "A matrix row should be marked as the match");
+    assertEqual(exp.result.finalShift, "11:00 - 20:00", "Result should match resolveEmployeeDay");
+    assertEqual(exp.ledger.action, "NONE", "No ledger action expected");
+}
+
+function test_applyLocks() {
+    console.log("\n[TEST] Retroactive Lock Windows");
+    const ctx = getMockContext();
+    ctx.locks = parseLockWindows([
+        ["Workspace_File_ID", "Start_Date", "End_Date", "Lock_Reason"],
+        ["", "", "2025-03-02", "Payroll cutoff"],
+        ["ws-other", "2025-03-03", "2025-03-03", "Other workspace only"]
+    ]);
+    assertEqual(getLockReason(ctx, "ws-1", "2025-03-03"), null, "Other workspace's window should not apply");
+
+    const row = (date, status, val) => [`emp-1|${date}`, "emp-1", date, "OFF", "OFF", "OFF", "NONE", "FALSE", "NONE", status, status === "WORK" ? "09:00 - 18:00" : "OFF", "Mock", "", val];
+    const frozenRow = row("2025-03-01", "OFF", 0);
+    const res = applyLocks("ws-1", ctx, {
+        rows: [row("2025-03-01", "WORK", 1), row("2025-03-03", "WORK", 1)],
+        grants: [{ employee: "emp-1", date: new Date("2025-03-01T00:00:00Z") }, { employee: "emp-1", date: new Date("2025-03-03T00:00:00Z") }],
+        revocations: [{ employee: "emp-1", dateStr: "2025-02-20", reason: "OFF" }]
+    }, [["Key"], frozenRow]);
+
+    assertEqual(res.rows[0], frozenRow, "Locked date should keep the frozen row");
+    assertEqual(res.rows[1][9], "WORK", "Open date should use the recomputed row");
+    assertEqual(res.grants.length, 1, "Grant on a locked date should be suppressed");
+    assertEqual(res.revocations.length, 0, "Revocation before the cutoff should be suppressed");
+    assertEqual(res.suppressed, 2, "Suppressed ledger actions should be counted");
+    assertEqual(res.changes[0].changes[0], "Final_Status OFF → WORK", "Diff should report the changed status");
+}
+
+function test_integrityChecks() {
+    console.log("\n[TEST] Data Integrity Checks");
+    const previous = ACTIVE_STORAGE;
+    const workbooks = getMockWorkbooks();
+    const roster = workbooks["ws-1"].tables.Consolidated;
+    roster.push(["emp-3", "09:00 - 18:00", "FRI", "FRI", "", "", "", ""]);
+    roster.push(["emp-4", "07:00 - 19:00", "", "", "", "", "", ""]);
+    roster[3].push("Rotation Pattern");
+    roster.slice(4).forEach(r => r.push(r[0] === "emp-4" ? "ROT-MISSING" : ""));
+    setStorage(createMemoryStorage({ workbooks: workbooks }));
+    try {
+        const ctx = getMockContext();
+        const rule = (id, type, start, end, prio) => ({ id: id, type: type, start: start, end: end, shift: "", wo1: "SAT", wo2: "SUN", freq: "ALL", prio: prio });
+        ctx.rules.set("emp-1", [
+            rule("R-1", "DAY_PATTERN", "2025-03-01", "2025-03-31", 5),
+            rule("R-2", "DAY_PATTERN", "2025-03-15", "2025-04-15", 5),
+            rule("R-3", "DAY_PATTERN", "2025-03-20", "2025-03-10", 1)
+        ]);
+        ctx.leaves.set("ghost|2025-03-01", { type: "ANNUAL_LEAVE", portion: "FULL", rows: [2] });
+
+        const findings = runIntegrityChecks(getStorage().openDatabase(), ctx, ["ws-1"]);
+        const has = (check, item) => findings.some(f => f.check === check && (!item || f.item === item));
+        assertEqual(has("RULE_DATE_ORDER", "R-3"), true, "Start_Date after End_Date should be an error");
+        assertEqual(has("RULE_OVERLAP", "R-1, R-2"), true, "Equal-priority overlapping DAY_PATTERNs should be flagged");
+        assertEqual(has("ROSTER_SAME_OFF_DAYS", "emp-3"), true, "wo1 === wo2 should be flagged");
+        assertEqual(has("ROSTER_UNKNOWN_ROTATION", "emp-4"), true, "Unknown rotation should be an error");
+        assertEqual(has("LEAVE_UNKNOWN_EMPLOYEE", "ghost"), true, "Leave for an unknown employee should be flagged");
+        assertEqual(findings[0].severity, "ERROR", "Errors should be listed first");
+
+        const central = runIntegrityChecks(getStorage().openDatabase(), ctx, null);
+        assertEqual(central.some(f => f.check === "RULE_DATE_ORDER"), true, "Central checks should run without the rosters");
+        assertEqual(central.some(f => f.source === "ws-1" || f.check === "LEAVE_UNKNOWN_EMPLOYEE"), false, "Roster checks should be skipped without workspace IDs");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_runDigest() {
+    console.log("\n[TEST] Run Health Digest");
+    const row = (emp, status, reason) => [`${emp}|2025-03-01`, emp, "2025-03-01", "", "", "", "", "", "", status, "", reason, "", 0];
+    const issues = summarizeStatusRows([
+        row("emp-1", "ERROR", "Missing Logic"),
+        row("emp-1", "WORK", '⚠️ AUDIT FAIL: Exp "10:00 - 19:00" (Rule R-1) but got "09:00 - 18:00"'),
+        row("emp-2", "ERROR", "Missing Logic"),
+        row("emp-3", "WORK", "Regular work day")
+    ]);
+    assertEqual(issues.errors, 2, "ERROR rows should be counted");
+    assertEqual(issues.auditFails, 1, "AUDIT FAIL rows should be counted");
+
+    // Statistics survive the checkpoint round trip as JSON
+    const stats = createRunStats();
+    recordWorkspaceStats(stats, "ws-1", { rows: 4, issues: issues, ledger: { grants: 2, revocations: 1, uncovered: [{ employee: "emp-3", date: "2025-03-03", share: 1 }] }, reconciled: { stale: 0, missing: 0, corrected: 0 }, violations: [] });
+    recordWorkspaceFailure(stats, "ws-2", "Workbook not found: ws-2");
+    stats.timeGuardStops++;
+    const resumed = parseRunStats(JSON.stringify(stats));
+    assertEqual(resumed.problems["emp-1"], 2, "Problem rows should be counted per employee");
+
+    const digest = buildRunDigest("run-1", { started: new Date(), invocations: 2 }, resumed);
+    assertEqual(digest.payload.workspacesSkipped, 1, "Failed workspace should be reported as skipped");
+    assertEqual(digest.payload.grants, 2, "Written grants should be reported");
+    assertEqual(digest.payload.uncovered, 1, "Comp days without entitlement should be reported");
+    assertEqual(digest.payload.timeGuardStops, 1, "Time-guard stops should be reported");
+    assertEqual(digest.payload.topEmployees[0].employee, "emp-1", "Employee with most problem rows should be listed first");
+    assertEqual(digest.payload.healthy, false, "Run with ERROR rows should not be healthy");
+
+    const notifier = createMemoryNotifier();
+    notifier.sendEmail(["ops@example.com"], digest.subject, digest.body);
+    notifier.postWebhook("https://hooks.example.com/x", digest.payload);
+    assertEqual(notifier.getOutbox().length, 2, "Stub transport should record both messages");
+    assertEqual(notifier.getOutbox()[0].body.includes("Top problem employees"), true, "Email body should list problem employees");
+}
+
+
+function test_lintDecisionMatrix() {
+    console.log("\n[TEST] Decision Matrix Linter");
+    const findings = lintDecisionMatrix(parseDecisionMatrix([
+        ["Base_Schedule", "Rule_Impact", "Holiday_Flag", "Request_Type", "Final_Status", "Entitlement_Action", "Decision_Reason"],
+        ["ANY", "ANY", "ANY", "LEAVE", "LEAVE", "NONE", "Leave wins"],                 // row 2
+        ["WORK", "NONE", "FALSE", "LEAVE", "WORK", "NONE", "Shadowed + conflicting"],   // row 3
+        ["WORK", "NONE", "FALSE", "NONE", "WORK", "NONE", "Regular"],                   // row 4
+        ["WORK", "NONE", "FALSE", "NONE", "OFF", "NONE", "Duplicate key"],              // row 5
+        ["WORK", "WORK", "ANY", "NONE", "WORK", "NONE", "Never produced"],              // row 6
+        ["OFF", "NONE", "FALSE", "NONE", "OFF", "NONE", "Off"],                         // row 7
+        ["ANY", "ANY", "ANY", "ANY", "OFF", "NONE", "Catch-all"],                       // row 8
+        ["OFF", "NONE", "FALSE", "NONE", "OFF", "NONE", "Redundant"],                   // row 9
+        ["WROK", "NONE", "FALSE", "NONE", "WORK", "NONE", "Typo"]                        // row 10
+    ]));
+    const has = (check, item) => findings.some(f => f.check === check && f.item === item);
+    assertEqual(has("MATRIX_CONFLICT", "Row 2, Row 3"), true, "Wildcard above a specific row with another outcome should conflict");
+    assertEqual(has("MATRIX_CONFLICT", "Row 4, Row 5"), true, "Duplicate key with another outcome should conflict");
+    assertEqual(has("MATRIX_CONFLICT", "Row 4, Row 8"), false, "Specific row above a wildcard is a deliberate override");
+    assertEqual(has("MATRIX_UNREACHABLE", "Row 6"), true, "Rule_Impact equal to Base_Schedule is never produced");
+    assertEqual(has("MATRIX_SHADOWED", "Row 9"), true, "Row decided entirely by earlier rows should be shadowed");
+    assertEqual(has("MATRIX_INVALID_VALUE", "Row 10"), true, "Unknown value should be reported");
+    assertEqual(findings.some(f => f.check === "MATRIX_UNCOVERED"), false, "Catch-all row should cover every key");
+
+    const gaps = lintDecisionMatrix(parseDecisionMatrix([
+        ["Base_Schedule", "Rule_Impact", "Holiday_Flag", "Request_Type", "Final_Status", "Entitlement_Action", "Decision_Reason"],
+        ["WORK", "ANY", "ANY", "ANY", "WORK", "NONE", "Work"]
+    ])).filter(f => f.check === "MATRIX_UNCOVERED");
+    assertEqual(gaps.length, 12, "Every reachable OFF key should be uncovered");
+}
+
+function test_entitlementLedger() {
+    console.log("\n[TEST] Entitlement Ledger (types, expiry, FIFO, balances)");
+    const types = parseEntitlementTypes([["Entitlement_Type", "Validity_Days"], ["comp_day", 90], ["OT_CREDIT", ""]]);
+    assertEqual(getEntitlementExpiry(types, "COMP_DAY", "2025-01-01"), "2025-04-01", "COMP_DAY should be valid for 90 days");
+    assertEqual(getEntitlementExpiry(types, "OT_CREDIT", "2025-01-01"), "", "Blank validity should never expire");
+    assertEqual(parseEntitlementAction("grant:ot_credit").type, "OT_CREDIT", "GRANT:<TYPE> should carry the type");
+    assertEqual(parseEntitlementAction("GRANT").type, "COMP_DAY", "Plain GRANT should use the default type");
+
+    const entry = (row, date, expiry) => ({
+        row: row, employee: "emp-1", date: date, type: "COMP_DAY", unit: "DAYS", amount: 1, active: true,
+        snapshot: "GENERATED", used: "", expiry: expiry, note: ""
+    });
+    const entries = [entry(1, "2025-02-10", "2025-05-11"), entry(2, "2025-01-05", "2025-04-05"), entry(3, "2024-10-01", "2024-12-30")];
+
+    const expired = planEntitlementExpiry(entries, "2025-03-01");
+    assertEqual(expired.length, 1, "Only the grant past its expiry should expire");
+    assertEqual(expired[0].snap, "EXPIRED", "Expired grant should be marked EXPIRED");
+    entries[2].active = false;
+    entries[2].snapshot = "EXPIRED";
+
+    const changes = planLedgerRevocations(entries, [
+        { employee: "EMP-1", dateStr: "2025-03-03", reason: "COMP_DAY" },
+        { employee: "EMP-1", dateStr: "2025-03-03", reason: "COMP_DAY" }
+    ]).changes;
+    assertEqual(changes.length, 1, "A day should consume one entitlement only");
+    assertEqual(changes[0].row, 2, "Oldest valid grant should be consumed first (FIFO)");
+    assertEqual(changes[0].used, "2025-03-03", "Consumption should set Date_Used");
+    assertEqual(planLedgerRevocations(entries, [{ employee: "emp-1", dateStr: "2025-03-03", reason: "COMP_DAY" }]).changes.length, 0,
+        "Rerunning a consumed day should not consume again");
+    assertEqual(planLedgerRevocations(entries, [{ employee: "emp-1", dateStr: "2025-06-01", reason: "COMP_DAY" }]).uncovered[0].share, 1,
+        "A comp day without a valid grant should be returned as uncovered");
+
+    const balance = computeEntitlementBalances(entries, "2025-03-01")[0];
+    assertEqual(balance.slice(3, 9).join(","), "3,1,0,1,1,2025-05-11", "Balance should count Granted, Consumed, Revoked, Expired, Available, Next_Expiry");
+}
+
+function test_fractionalEntitlements() {
+    console.log("\n[TEST] Fractional Entitlements (half days, hours, partial balances)");
+    assertEqual(getEntitlementAmount("HOURS", "22:00 - 06:00", 1), 8, "Overnight shift should wrap past midnight");
+    assertEqual(getEntitlementAmount("DAYS", "HAL1", 0.5), 0.5, "Half-day holiday work should earn half a day");
+    assertEqual(getEntitlementAmount("HOURS", "09:00 - 18:00", 1), 9, "HOURS grant should use the shift duration");
+    assertEqual(getEntitlementAmount("HOURS", "HAL2", 0.5), 4, "Shift without a time range should use hoursPerDay");
+
+    const ctx = getMockContext();
+    ctx.leaves.set("emp-h|2025-03-03", { type: "COMP_DAY", portion: "FULL", rows: [2] });
+    const emp = { id: "emp-h", display: "emp-h", baseShift: "HAL1", wo1: "SUN", wo2: "SAT" };
+    const res = resolveEmployeeDay(emp, { obj: new Date("2025-03-03"), str: "2025-03-03", day: "MON" }, ctx, []);
+    assertEqual(res.row[DAILY_STATUS_COLS.val], 0.5, "Comp day on a half-day shift should be worth half a day");
+
+    const entry = (row, date, amount) => ({
+        row: row, employee: "emp-h", date: date, type: "COMP_DAY", unit: "DAYS", amount: amount, active: true,
+        snapshot: "GENERATED", used: "", expiry: "", note: ""
+    });
+    const entries = [entry(1, "2025-01-01", 0.5), entry(2, "2025-02-01", 1)];
+    const plan = planLedgerRevocations(entries, [{ employee: "emp-h", dateStr: "2025-03-03", reason: "COMP_DAY", shift: "09:00 - 18:00", value: 1 }], true);
+    assertEqual(plan.changes[0].snap, "CONSUMED", "Oldest half-day grant should be consumed entirely");
+    assertEqual(plan.changes[1].amount, 0.5, "Next grant should keep its remainder active");
+    assertEqual(plan.splits[0].amount, 0.5, "Consumed part should be split off");
+    entries.push(Object.assign(entry(3, "2025-02-01", 0.5), { active: false, snapshot: "CONSUMED", used: "2025-03-03" }));
+
+    const balance = computeEntitlementBalances(entries, "2025-03-03")[0];
+    assertEqual(balance.slice(2, 8).join(","), "DAYS,1.5,1,0,0,0.5", "Partial balance should carry over");
+    const short = planLedgerRevocations(entries, [{ employee: "emp-h", dateStr: "2025-03-04", reason: "COMP_DAY", shift: "09:00 - 18:00", value: 1 }], true);
+    assertEqual(describeUncoveredDays(short.uncovered), "emp-h 2025-03-04 (50%)", "The part of a day no grant covers should be returned");
+}
+
+function test_ledgerJournal() {
+    console.log("\n[TEST] Ledger Journal and Run Reversal");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getMockWorkbooks() }));
+    try {
+        const db = getStorage().openDatabase();
+        const ledger = readLedger(db, new Map());
+        const granted = ["emp-2", "2025-03-02", "Active", ""];
+        journalLedgerWrite(db, "run-1", ledger, [], [{ values: granted, action: "GRANT", cause: "PH | Rule R-1" }]);
+        journalLedgerWrite(db, "run-2", ledger, [
+            { row: 1, act: "Inactive", note: "Revoked: Work/Rule Change", action: "REVOKE", cause: "Rule changed" }
+        ]);
+
+        const entries = readJournal(db);
+        assertEqual(entries[0].before, null, "A granted row should have no Before state");
+        assertEqual(entries[0].row, 3, "A granted row should point past the existing rows");
+        assertEqual(entries[1].before["Activation_Status"], "Active", "Before state should be recorded");
+        assertEqual(entries[1].after["Activation_Status"], "Inactive", "After state should be recorded");
+        assertEqual(entries[1].cause, "Rule changed", "Cause should be recorded");
+        assertEqual(listReversibleRuns(entries).join(","), "run-1,run-2", "Runs should be listed oldest first");
+
+        let threw = false;
+        try { reverseRun("run-1"); } catch (e) { threw = e.message.includes("run-2"); }
+        assertEqual(threw, true, "An older run should only be reversible after the newer ones");
+        const res = reverseRun("run-2");
+        assertEqual(res.restored, 1, "The revoked row should be restored");
+        assertEqual(res.removed, 0, "The run added no rows");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_ledgerReconciliation() {
+    console.log("\n[TEST] Stale Entitlement Reconciliation");
+    const entry = (row, emp, date, active, snapshot, type) => ({
+        row: row, employee: emp, date: date, type: type || "COMP_DAY", unit: "DAYS", amount: 1,
+        active: active, snapshot: snapshot, used: "", expiry: "", note: ""
+    });
+    const entries = [
+        entry(1, "emp-1", "2025-03-03", true, "GENERATED"),   // Holiday now OFF, no REVOKE row
+        entry(2, "emp-2", "2025-03-03", true, "GENERATED"),   // Still earned
+        entry(3, "emp-3", "2025-03-03", false, "REVOKED"),    // Earned again after a revocation
+        entry(4, "emp-4", "2025-03-03", true, ""),            // Entered by hand
+        entry(5, "emp-5", "2025-02-10", true, "GENERATED")    // Outside the reconciled days
+    ];
+    const days = new Map([
+        ["emp-1|2025-03-03", "OFF"], ["emp-2|2025-03-03", "WORK"],
+        ["emp-3|2025-03-03", "WORK"], ["emp-4|2025-03-03", "OFF"]
+    ]);
+    const grants = ["EMP-2", "emp-3"].map(emp => ({ employee: emp, date: new Date(2025, 2, 3), cause: "PH worked" }));
+    const findings = planReconciliation(entries, days, grants);
+
+    assertEqual(findings.length, 2, "Only the stale and the missing grant should be reported");
+    assertEqual(findings[0].issue + ":" + findings[0].row, "STALE_GRANT:1", "Grant whose day resolves to OFF should be stale");
+    assertEqual(findings[0].detail.includes("OFF"), true, "Stale finding should name the current resolution");
+    assertEqual(findings[1].issue + ":" + findings[1].employee, "MISSING_GRANT:emp-3", "Revoked grant earned again should be missing");
+    assertEqual(findings[1].grant.type, "COMP_DAY", "Missing grant should carry the default type");
+
+    const retyped = planReconciliation([entry(1, "emp-2", "2025-03-03", true, "GENERATED", "OT_CREDIT")], days, grants.slice(0, 1));
+    assertEqual(retyped.map(f => f.issue).join(","), "STALE_GRANT,MISSING_GRANT", "A grant of the wrong type should be replaced");
+
+    // A report-only run replaces the open findings of the days it reconciles
+    const db = createMemoryStorage({ workbooks: { database: { tables: {} } } }).openDatabase();
+    const report = (ws, emp, date, correction) => ["run-1", "", ws, emp, date, "COMP_DAY", "STALE_GRANT", correction, ""];
+    db.writeTable(CONFIG.tabs.reconciliation.name, CONFIG.tabs.reconciliation.h, [
+        report("ws-1", "emp-1", "2025-03-03", "FLAGGED"),
+        report("ws-1", "EMP-4", "2025-03-03", "FLAGGED"),
+        report("ws-1", "emp-2", "2025-03-03", "REVOKED"),
+        report("ws-1", "emp-5", "2025-02-10", "FLAGGED"),
+        report("ws-2", "emp-1", "2025-03-03", "FLAGGED")
+    ]);
+    assertEqual(clearFlaggedFindings(db, "ws-1", days), 2, "FLAGGED findings of the reconciled days should be removed");
+    assertEqual(db.readTable(CONFIG.tabs.reconciliation.name).slice(1).map(r => `${r[2]}:${r[3]}:${r[7]}`).join(","),
+        "ws-1:emp-2:REVOKED,ws-1:emp-5:FLAGGED,ws-2:emp-1:FLAGGED", "Corrections, other days and other workspaces should be kept");
+    assertEqual(clearFlaggedFindings(db, "ws-1", days), 0, "Nothing should be left to remove");
+}
+
+function test_shiftCatalogue() {
+    console.log("\n[TEST] Shift Catalogue (times, breaks, overnight shifts)");
+    const shifts = parseShiftCatalogue([
+        ["Shift_Code", "Work_Status", "Start_Time", "End_Time", "Break_Minutes", "Paid_Hours"],
+        ["09:00 - 18:00", "WORK", "", "", 60, ""],
+        ["NIGHT", "WORK", "22:00", "06:00", 30, ""],
+        ["SPLIT", "WORK", "07:00", "19:00", "", 6],
+        ["HAL1", "WORK", "", "", "", ""],
+        ["OFF", "OFF", "", "", "", ""]
+    ]);
+    assertEqual(getShiftDefinition(shifts, "09:00 - 18:00").hours, 8, "Time-range code should take its times from the code, minus the break");
+    assertEqual(getShiftDefinition(shifts, "NIGHT").overnight, true, "Shift ending before its start should be overnight");
+    assertEqual(getShiftDefinition(shifts, "NIGHT").hours, 7.5, "Overnight shift should wrap past midnight");
+    assertEqual(getShiftDefinition(shifts, "SPLIT").hours, 6, "Paid_Hours should override the duration");
+    assertEqual(getShiftDefinition(shifts, "10:00 - 19:00").hours, 9, "Unlisted time-range code should describe itself");
+    assertEqual(getWorkedHours(shifts, "HAL1", 0.5), 4, "Shift without times should count Final_Val x hoursPerDay");
+
+    const night = getShiftSpan(shifts, "NIGHT", "2025-03-03");
+    assertEqual(new Date(night.end).toISOString(), "2025-03-04T06:00:00.000Z", "Overnight shift should end on the next date");
+    assertEqual(getRestHours(night, getShiftSpan(shifts, "09:00 - 18:00", "2025-03-04")), 3, "Rest should run from the end of one shift to the start of the next");
+    assertEqual(getShiftSpan(shifts, "HAL1", "2025-03-04"), null, "Shift without times should have no span");
+
+    const ctx = getMockContext();
+    ctx.shifts = shifts;
+    const emp = { id: "emp-1", display: "emp-1", baseShift: "09:00 - 18:00", wo1: "SAT", wo2: "SUN" };
+    const res = resolveEmployeeDay(emp, { obj: new Date("2025-03-03"), str: "2025-03-03", day: "MON" }, ctx, []);
+    assertEqual(res.row[DAILY_STATUS_COLS.hours], 8, "Resolver should output the worked hours");
+}
+
+function test_complianceRules() {
+    console.log("\n[TEST] Labour Compliance Rule Pack");
+    const row = (emp, date, final, shift, hours, note) =>
+        [`${emp}|${date}`, emp, date, "", "", "", "", "", "", final, shift, "", note || "", final === "WORK" ? 1 : 0, hours];
+    const rows = [];
+    for (let i = 0; i < 7; i++) {
+        rows.push(row("emp-1", addDaysToKey("2025-03-03", i), "WORK", "08:00 - 20:00", 12, "[BASE:OFF:OFF] | [DAY_PATTERN:R-7:08:00 - 20:00:P5]"));
+    }
+    rows.push(row("emp-2", "2025-03-04", "WORK", "07:00 - 16:00", 9, "[BASE:WORK:09:00 - 18:00] | [SHIFT:R-9:07:00 - 16:00:P3]"));
+    rows.push(row("emp-2", "2025-03-03", "WORK", "14:00 - 23:00", 9));
+    rows.push(row("emp-2", "2025-03-05", "OFF", "OFF", 0));
+
+    const found = checkCompliance(rows, new Map());
+    const of = (emp, check) => found.filter(v => v.employee === emp && v.check === check)[0];
+    assertEqual(of("emp-1", "MAX_CONSECUTIVE_DAYS").actual, 7, "Seven work days in a row should exceed the maximum of six");
+    assertEqual(of("emp-1", "MAX_WEEKLY_HOURS").actual, 84, "Weekly hours should sum Worked_Hours over the calendar week");
+    assertEqual(of("emp-1", "MIN_DAYS_OFF").end, "2025-03-09", "A full week without a day off should be reported");
+    assertEqual(of("emp-1", "MIN_DAYS_OFF").ruleIds.join(","), "R-7", "Violations should name the rules that caused them");
+    assertEqual(of("emp-2", "MIN_REST").actual, 8, "Rest should run from 23:00 to 07:00 the next day");
+    assertEqual(of("emp-2", "MIN_REST").ruleIds.join(","), "R-9", "Rest violation should name the shift override");
+    assertEqual(of("emp-2", "MIN_DAYS_OFF"), undefined, "Periods not fully inside the roster should not be checked");
+    assertEqual(getTraceRuleIds("[BASE:WORK:X] | [SHIFT:FALLBACK_BASE:R-3]").length, 0, "Fallback markers are not rule IDs");
+}
+
+function test_holidayCalendars() {
+    console.log("\n[TEST] Holiday Calendars (regions, types and employee overrides)");
+    const ctx = getMockContext();
+    ctx.holidays = parseHolidays([
+        ["Date", "Calendar", "Holiday_Name", "Holiday_Type"],
+        ["2025-12-25", "", "Christmas Day", ""],
+        ["2025-05-01", "hq", "Labour Day", "FULL"],
+        ["2025-05-01", "", "Bank Holiday", "OPTIONAL"],
+        ["2025-12-24", "HQ", "Christmas Eve", "HALF"]
+    ]);
+    ctx.calendars = parseWorkspaceCalendars([
+        ["Workspace_File_ID", "Status", "Location_Label", "Holiday_Calendar"],
+        ["ws-1", "Active", "HQ", ""],
+        ["ws-2", "Active", "HQ", "North"]
+    ]);
+    assertEqual(getWorkspaceCalendar(ctx, "ws-1"), "HQ", "Location_Label should be the calendar when Holiday_Calendar is blank");
+    assertEqual(getWorkspaceCalendar(ctx, "ws-2"), "NORTH", "Holiday_Calendar should win over Location_Label");
+
+    const idx = mapRosterColumns(["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "Holiday Calendar"]);
+    const hq = buildEmployee(["emp-1", "09:00 - 18:00", "SAT", "SUN", ""], idx, ctx, getWorkspaceCalendar(ctx, "ws-2"));
+    const moved = buildEmployee(["emp-2", "09:00 - 18:00", "SAT", "SUN", "hq"], idx, ctx, getWorkspaceCalendar(ctx, "ws-2"));
+    assertEqual(hq.calendar, "NORTH", "Employee should follow the workspace calendar");
+    assertEqual(moved.calendar, "HQ", "Roster column should override the workspace calendar");
+
+    const day = (emp, str, dow) => resolveEmployeeDay(emp, { str: str, day: dow, obj: new Date(str) }, ctx, []);
+    assertEqual(day(hq, "2025-12-25", "THU").entitlementAction, "GRANT", "Holidays of every calendar should apply to all");
+    assertEqual(day(moved, "2025-05-01", "THU").entitlementAction, "GRANT", "Own calendar holiday should win over an optional one");
+    assertEqual(day(moved, "2025-05-01", "THU").holiday.name, "Labour Day", "Holiday name should be resolved");
+    const optional = day(hq, "2025-05-01", "THU");
+    assertEqual(optional.entitlementAction, "NONE", "Optional holiday should be a normal day");
+    assertEqual(optional.row[DAILY_STATUS_COLS.note].includes("[PH:OPTIONAL:Bank Holiday]"), true, "Optional holiday should be traced");
+    assertEqual(day(hq, "2025-12-24", "WED").entitlementAction, "NONE", "Other calendars' holidays should not apply");
+
+    ctx.mapping.set("09:00 - 18:00", "WORK");
+    const res = processRoster([
+        [], [], [],
+        ["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "Holiday Calendar", "2025-12-24", "2025-12-25"],
+        ["emp-2", "09:00 - 18:00", "SAT", "SUN", "HQ", "", ""]
+    ], ctx, "NORTH");
+    assertEqual(res.grants.length, 2, "Both worked holidays should grant");
+    assertEqual(res.grants[0].value, 0.5, "Half-day holiday should grant half a day");
+    assertEqual(res.grants[0].hours, 4.5, "Half-day holiday should grant half the hours");
+    assertEqual(res.grants[1].value, 1, "Full holiday should grant a whole day");
+}
+
+function test_leaveRecords() {
+    console.log("\n[TEST] Leave Records (ranges, half days, approval, conflicts)");
+    const sheet = [
+        ["Employee_ID", "Leave_Date", "Leave_Type", "End_Date", "Portion", "Approval_Status"],
+        ["emp-1", "2025-03-03", "ANNUAL", "2025-03-05", "", "Approved"],
+        ["emp-1", "2025-03-04", "SICK", "", "", "APPROVED"],
+        ["emp-1", "2025-03-10", "ANNUAL", "", "AM", "APPROVED"],
+        ["emp-1", "2025-03-10", "ANNUAL", "", "PM", "APPROVED"],
+        ["emp-1", "2025-03-11", "ANNUAL", "", "pm", "APPROVED"],
+        ["emp-1", "2025-03-12", "ANNUAL", "", "", "CANCELLED"],
+        ["emp-1", "2025-03-13", "ANNUAL", "", "", "PENDING"],
+        ["emp-1", "2025-03-14", "ANNUAL", "", "", ""],
+        ["emp-1", "2025-03-20", "ANNUAL", "2025-03-18", "", "APPROVED"],
+        ["emp-1", "2025-03-21", "ANNUAL", "", "", "MAYBE"]
+    ];
+    const records = parseLeaveRecords(sheet);
+    const built = buildLeaveDays(records);
+    assertEqual(["2025-03-03", "2025-03-04", "2025-03-05"].every(d => built.days.has(`emp-1|${d}`)), true, "A range should cover every day");
+    assertEqual(built.days.get("emp-1|2025-03-04").type, "ANNUAL", "The earlier record should keep an overlapping day");
+    assertEqual(built.overlaps.length, 1, "Overlapping records should be detected");
+    assertEqual(built.overlaps[0].dropped.row, 3, "The overlap should name the later row");
+    assertEqual(built.days.get("emp-1|2025-03-10").portion, "FULL", "AM + PM of the same type should make a full day");
+    assertEqual(built.days.get("emp-1|2025-03-11").portion, "PM", "Half-day portion should be kept");
+    assertEqual(["2025-03-12", "2025-03-13", "2025-03-14", "2025-03-18"].some(d => built.days.has(`emp-1|${d}`)), false, "Cancelled, pending, blank and reversed records should not apply");
+    assertEqual(buildLeaveDays(parseLeaveRecords([["Employee_ID", "Leave_Date", "Leave_Type"], ["emp-1", "2025-03-03", "ANNUAL"]])).days.size, 1, "Without Approval_Status every record should apply");
+
+    const ctx = getMockContext();
+    ctx.leaves = built.days;
+    const emp = { id: "emp-1", display: "emp-1", baseShift: "09:00 - 18:00", wo1: "SAT", wo2: "SUN" };
+    const day = (str, dow) => resolveEmployeeDay(emp, { str: str, day: dow, obj: new Date(str) }, ctx, []);
+    const C = DAILY_STATUS_COLS;
+    const half = day("2025-03-11", "TUE");
+    assertEqual(half.finalStatus, "ANNUAL", "Half-day leave should resolve to the leave type");
+    assertEqual(half.row[C.val], 0.5, "Half-day leave should keep half the day");
+    assertEqual(half.row[C.hours], 4.5, "Half-day leave should keep half the paid hours");
+    assertEqual(half.row[C.note].includes("[LEAVE:ANNUAL:PM]"), true, "Half-day leave should be traced");
+    assertEqual(day("2025-03-10", "MON").row[C.val], 0, "Full-day leave should keep nothing");
+
+    // The worked half of an AM leave counts for compliance and coverage
+    ctx.leaves = buildLeaveDays(parseLeaveRecords([sheet[0], ["emp-7", "2025-03-19", "ANNUAL", "", "AM", "APPROVED"]])).days;
+    const full = { id: "emp-7", display: "emp-7", baseShift: "08:00 - 20:00", wo1: "", wo2: "" };
+    const week = [];
+    for (let i = 0; i < 7; i++) {
+        const str = addDaysToKey("2025-03-17", i);
+        week.push(resolveEmployeeDay(full, { str: str, day: DAY_NAMES[new Date(dateKeyToUtc(str)).getUTCDay()], obj: new Date(str) }, ctx, []).row);
+    }
+    const found = checkCompliance(week, new Map());
+    const of = check => found.filter(v => v.check === check)[0] || { actual: "none" };
+    assertEqual(week[2][C.final], "ANNUAL", "AM leave should resolve to the leave type");
+    assertEqual(of("MAX_WEEKLY_HOURS").actual, 78, "AM leave should add its worked hours to the week");
+    assertEqual(of("MAX_CONSECUTIVE_DAYS").actual, 7, "AM leave should not break a run of work days");
+    assertEqual(of("MIN_DAYS_OFF").actual, 0, "AM leave should not count as a day off");
+    const slot = computeCoverage("ws-1", week, [full], [{ workspace: "", date: "2025-03-19", day: "", shift: "", min: 1, skill: "" }])[0];
+    assertEqual(slot.supply, 0.5, "AM leave should supply the worked half of the day");
+
+    const previous = ACTIVE_STORAGE;
+    const workbooks = getMockWorkbooks();
+    workbooks.database.tables.Holidays = [["Date", "Holiday_Name"], ["2025-03-03", "Founders Day"]];
+    workbooks.database.tables.Leave_Data = sheet.concat([["emp-1", "2025-03-01", "ANNUAL", "", "", "APPROVED"]]);
+    setStorage(createMemoryStorage({ workbooks: workbooks }));
+    try {
+        const db = getStorage().openDatabase();
+        ctx.holidays = parseHolidays(db.readTable("Holidays"));
+        ctx.leaves = buildLeaveDays(parseLeaveRecords(db.readTable("Leave_Data"))).days;
+        const findings = runIntegrityChecks(db, ctx, ["ws-1"]);
+        const of = check => findings.find(f => f.check === check) || { message: "" };
+        assertEqual(of("LEAVE_OVERLAP").item, "emp-1 (row 3)", "Overlap should be reported on the later row");
+        assertEqual(of("LEAVE_DATE_ORDER").severity, "ERROR", "End_Date before Leave_Date should be an error");
+        assertEqual(of("LEAVE_UNKNOWN_STATUS").item, "emp-1 (row 11)", "Unknown approval status should be flagged");
+        assertEqual(of("LEAVE_ON_HOLIDAY").message.includes("2025-03-03 (Founders Day)"), true, "Leave on a holiday should be flagged");
+        assertEqual(of("LEAVE_ON_OFF_DAY").message.includes("2025-03-01"), true, "Leave on an off day should be flagged");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_leaveBalances() {
+    console.log("\n[TEST] Leave Balances (allowance, accrual, carry-over)");
+    const policies = parseLeavePolicies([
+        ["Leave_Type", "Annual_Allowance", "Monthly_Accrual", "Carry_Over_Cap", "Count_Weekends", "Count_Holidays"],
+        ["annual", 2, 0.5, 1, "", "no"]
+    ]);
+    assertEqual(policies.get("ANNUAL").accrual, 0.5, "Policy should be keyed by uppercase type");
+
+    // Daily_Workforce_Status rows: key, employee, date, ..., Base_Shift, PH_Input, Final_Status, Final_Shift, ..., Note, Final_Val
+    const row = (date, final, ruleShift, ph, val, note) =>
+        [`emp-1|${date}`, "emp-1", date, "", "", ruleShift, "", ph, "", final, val > 0 ? ruleShift : "OFF", "", note || "", val || 0, 0];
+    const usage = countLeaveTaken([
+        row("2025-03-03", "ANNUAL", "09:00 - 18:00", "FALSE", 0, "[BASE:WORK:09:00 - 18:00] | [LEAVE:ANNUAL:AM]"),
+        row("2025-03-04", "ANNUAL", "09:00 - 18:00", "FALSE", 0.5),
+        row("2025-03-05", "ANNUAL", "09:00 - 18:00", "TRUE"),
+        row("2025-03-06", "ANNUAL", "HAL1", "FALSE", 0.25),
+        row("2025-03-08", "ANNUAL", "OFF", "FALSE"),
+        row("2025-03-10", "SICK", "09:00 - 18:00", "FALSE"),
+        row("2025-03-11", "WORK", "09:00 - 18:00", "FALSE", 1)
+    ], policies);
+    assertEqual(usage.map(u => `${u.date}:${u.days}`).join(","), "2025-03-03:1,2025-03-04:0.5,2025-03-06:0.5",
+        "Only tracked leave on counted days should be taken, half days by Final_Val");
+
+    const history = ["2024-01-10", "2024-01-11", "2024-01-12"].map(d => ({ employee: "emp-1", date: d, type: "ANNUAL", days: 1 }));
+    const res = computeLeaveBalances(history.concat(usage), policies, "2025-03-15");
+    assertEqual(res.after.join(","), "1.5,0.5,-0.5,3.5,3,2.5", "Balance after each day should include the accrual to date");
+    const y2024 = res.balances[0], y2025 = res.balances[1];
+    assertEqual(y2024.status, "NEGATIVE", "A year that went below zero should be flagged");
+    assertEqual(y2024.balance, 5, "A past year should accrue all 12 months");
+    assertEqual(y2025.carried, 1, "Carry-over should be capped");
+    assertEqual(y2025.accrued, 1.5, "The current year should accrue up to this month");
+    assertEqual(y2025.balance, 2.5, "Balance should be carried + allowance + accrued - taken");
+    assertEqual(y2025.status, "OK", "A positive year should be OK");
+}
+
+function test_deltaProcessing() {
+    console.log("\n[TEST] Delta Processing (input fingerprints)");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getMockWorkbooks() }));
+    try {
+        const ctx = loadContext(getStorage().openDatabase());
+        const ws = getStorage().openWorkspace("ws-1");
+        const roster = ws.readTable("Consolidated");
+
+        const first = prepareDelta(ctx, null, null);
+        assertEqual(first.reason, "No fingerprints stored", "First run should be a full rebuild");
+        assertEqual(countDayFingerprints(first), 0, "No day fingerprints should be stored");
+        const res1 = processRoster(roster, ctx, "", first);
+        assertEqual(res1.resolved.length, 6, "A full run should resolve every day");
+
+        const status = [res1.dailyStatus[0].map((v, i) => `Col${i}`)].concat(res1.dailyStatus);
+        const stored = [["Key", "Fingerprint", "Run_ID"], [DELTA_CONTEXT_KEY, first.context, "run-1"]]
+            .concat(Array.from(res1.fingerprints).map(e => [e[0], e[1], "run-1"]));
+        const delta = prepareDelta(ctx, stored, status);
+        assertEqual(delta.full, false, "Stored fingerprints with the same context should allow a delta run");
+        assertEqual(countDayFingerprints(delta), 6, "The context row should not count as a day");
+        const res2 = processRoster(roster, ctx, "", delta);
+        assertEqual(res2.resolved.length, 0, "Unchanged days should not be resolved");
+        assertEqual(res2.dailyStatus[1], status[2], "Unchanged days should keep their stored row");
+
+        ctx.leaves.set("emp-1|2025-03-02", { type: "ANNUAL", portion: "FULL", rows: [2] });
+        const res3 = processRoster(roster, ctx, "", delta);
+        assertEqual(res3.resolved.join(","), "emp-1|2025-03-02", "Only the day with new leave should be resolved");
+        assertEqual(res3.dailyStatus[1] !== status[2], true, "The resolved day should get a new row");
+        assertEqual(prepareDelta(ctx, stored, status, true).reason, "Full rebuild requested", "A requested rebuild should be full");
+
+        const plan = planStatusWrite(status, res3.dailyStatus, new Set(res3.resolved));
+        assertEqual(plan.updates.length === 1 && plan.updates[0].index, 2, "Changed row should be written in place");
+        assertEqual(planStatusWrite(status, res3.dailyStatus.slice(1), new Set()), null, "Removed days should force a rewrite");
+
+        ws.writeTable("Daily_Workforce_Status", status[0], status.slice(1));
+        ws.writeRows("Daily_Workforce_Status", plan.updates[0].index, [plan.updates[0].row]);
+        const written = ws.readTable("Daily_Workforce_Status");
+        assertEqual(written[2].join("|"), plan.updates[0].row.join("|"), "writeRows should overwrite rows in place");
+        assertEqual(written[1].join("|"), status[1].join("|"), "writeRows should leave other rows alone");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_reverseThenDeltaRun() {
+    console.log("\n[TEST] Run Reversal Followed by a Delta Run");
+    const previous = ACTIVE_STORAGE;
+    setStorage(createMemoryStorage({ workbooks: getLiveWorkbooks() }));
+    try {
+        const db = getStorage().openDatabase();
+        const ws = getStorage().openWorkspace("ws-1");
+        const active = () => db.readTable("Entitlement_Ledger").slice(1).filter(r => r[6] === "Active").length;
+        runWorkforceEngine();
+        assertEqual(active(), 1, "The worked holiday should be granted");
+        assertEqual(ws.readTable("Input_Fingerprints").length, 5, "Fingerprints should be stored for the 3 days");
+
+        const runs = listReversibleRuns(readJournal(db));
+        const res = reverseRun(runs[runs.length - 1]);
+        assertEqual(res.removed, 1, "The reversal should remove the grant");
+        assertEqual(res.rebuild, 1, "The reversal should schedule a rebuild of the workspace");
+        assertEqual(ws.readTable("Input_Fingerprints").length, 1, "The fingerprints should be cleared");
+
+        runWorkforceEngine();
+        const logs = db.readTable("System_Logs").map(r => r.join(" "));
+        const last = logs.filter(l => l.indexOf("Workspace rebuilt") > -1 || l.indexOf("Workspace updated") > -1).pop();
+        assertEqual(last.indexOf("3 day(s) resolved") > -1 && last.indexOf("No fingerprints stored") > -1, true, "The next run should resolve every day again");
+        assertEqual(active(), 1, "The grant should be restored by the next run");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_simulation() {
+    console.log("\n[TEST] Scenario Simulation (What-If)");
+    const previous = ACTIVE_STORAGE;
+    const workbooks = getMockWorkbooks();
+    workbooks.database.tables.Schedule_Rules = [
+        ["Rule_ID", "Employee_ID", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Approval_Status"],
+        ["R-9", "emp-1", "SHIFT_OVERRIDE", "2025-03-03", "2025-03-03", "07:00 - 16:00", "Pending"]
+    ];
+    workbooks.database.tables.Staffing_Requirements = [
+        ["Workspace_File_ID", "Date_Or_Day", "Shift_Code", "Min_Headcount", "Skill"],
+        ["ws-1", "2025-03-03", "09:00 - 18:00", 1, ""]
+    ];
+    setStorage(createMemoryStorage({ workbooks: workbooks }));
+    try {
+        const ctx = loadContext(getStorage().openDatabase());
+        const ws = getStorage().openWorkspace("ws-1");
+        const rows = processRoster(ws.readTable("Consolidated"), ctx).dailyStatus;
+        ws.writeTable("Daily_Workforce_Status", rows[0].map((v, i) => `Col${i}`), rows);
+
+        const preview = simulateChanges({ rules: [{ Rule_ID: "R-9" }] }, "ws-1");
+        const change = preview.workspaces[0].rows;
+        assertEqual(change.length === 1 && change[0].key, "emp-1|2025-03-03", "A pending rule should be previewed by its ID");
+        assertEqual(change[0].changes.join("; "), "Final_Shift 09:00 - 18:00 → 07:00 - 16:00", "The shift change should be reported");
+        const slot = preview.workspaces[0].coverage[0];
+        assertEqual(slot && `${slot.before}>${slot.after}`, "1>0", "Coverage supply should drop");
+        assertEqual(ws.readTable("Daily_Workforce_Status")[3][10], "09:00 - 18:00", "A simulation should not write");
+
+        const holiday = simulateChanges({
+            holidays: [{ Date: "2025-03-03" }],
+            matrix: workbooks.database.tables.Decision_Matrix.concat([
+                ["WORK", "NONE", "TRUE", "NONE", "WORK", "GRANT", "Worked holiday"],
+                ["OFF", "NONE", "TRUE", "NONE", "OFF", "NONE", "Holiday off"]
+            ])
+        }, "ws-1");
+        const ledger = holiday.workspaces[0].ledger;
+        assertEqual(ledger.map(l => `${l.action} ${l.change} ${l.employee} ${l.date}`).join(","),
+            "GRANT ADDED emp-1 2025-03-03", "A proposed holiday should add the grant it causes");
+        assertEqual(renderSimulation(holiday)[0][2].indexOf("1 grant(s)") > -1, true, "The summary should count grants");
+
+        // Proposed leave applies even when Leave_Data has an Approval_Status column
+        workbooks.database.tables.Leave_Data = [["Employee_ID", "Leave_Date", "Leave_Type", "End_Date", "Portion", "Approval_Status"]];
+        const leave = simulateChanges({
+            leaves: [{ Employee_ID: "emp-1", Leave_Date: "2025-03-03", Leave_Type: "ANNUAL" }],
+            matrix: workbooks.database.tables.Decision_Matrix.concat([["WORK", "NONE", "FALSE", "LEAVE", "LEAVE", "NONE", "Leave"]])
+        }, "ws-1");
+        assertEqual(leave.workspaces[0].rows.map(r => `${r.key} ${r.after}`).join(","), "emp-1|2025-03-03 ANNUAL", "Proposed leave should be simulated as approved");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_ruleWorkflow() {
+    console.log("\n[TEST] Rule Approval Workflow");
+    const rules = [
+        ["Rule_ID", "Employee_ID", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Approval_Status", "Approved_By", "Approved_At"],
+        ["R-1", "emp-1", "SHIFT_OVERRIDE", "2025-03-03", "2025-03-03", "07:00 - 16:00", "Pending", "", ""],
+        ["R-2", "emp-1", "SHIFT_OVERRIDE", "2025-03-03", "2025-03-03", "11:00 - 20:00", "Unapproved", "", ""],
+        ["R-3", "emp-2", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-01", "11:00 - 20:00", "Approved", "", ""]
+    ];
+    assertEqual(parseRules(rules).has("emp-1"), false, "\"Unapproved\" should not count as approved");
+    assertEqual(canTransitionRule("APPROVED", "DRAFT"), false, "An approved rule should not go back to draft");
+
+    const previous = ACTIVE_STORAGE;
+    const workbooks = getMockWorkbooks();
+    workbooks.database.tables.Schedule_Rules = rules;
+    workbooks.database.tables.Scheduler_Config = [["Workspace_File_ID", "Status"], ["ws-1", "Active"]];
+    setStorage(createMemoryStorage({ workbooks: workbooks, user: "lead@example.com" }));
+    try {
+        const db = getStorage().openDatabase();
+        const ws = getStorage().openWorkspace("ws-1");
+        const rows = processRoster(ws.readTable("Consolidated"), loadContext(db)).dailyStatus;
+        ws.writeTable("Daily_Workforce_Status", rows[0].map((v, i) => `Col${i}`), rows);
+        const changes = transitionRules(db, [
+            { ruleId: "R-1", to: "approved", comment: "Cover for training" },
+            { ruleId: "R-1", to: "Superseded" },
+            { ruleId: "R-3", to: "Pending" },
+            { ruleId: "R-9", to: "Pending" }
+        ], getStorage().getUser());
+        assertEqual(changes[0].error, "", "PENDING → APPROVED should be allowed");
+        assertEqual(changes[0].user, "lead@example.com", "The approver should be recorded");
+        assertEqual(changes[0].preview, "1 row(s), 0 grant(s), 0 revocation(s), 0 coverage slot(s) change", "Approving should preview the rule on emp-1 2025-03-03");
+        assertEqual(db.readTable("Rule_Preview")[1].join("|"), "QUERY|R-1||", "The preview should be written to Rule_Preview");
+        assertEqual(changes[1].from, "APPROVED", "Requests should apply in order");
+        assertEqual(changes[2].error.indexOf("APPROVED → PENDING is not allowed") === 0, true, "Disallowed transitions should be refused");
+        assertEqual(changes[3].error, "Unknown Rule ID in Schedule_Rules", "Unknown rules should be refused");
+
+        const findings = [];
+        const log = [{ ruleId: "R-3", from: "PENDING", to: "REJECTED" }];
+        checkRuleStatuses(rules, log, (s, check, src, item) => findings.push(`${check}:${item}`));
+        assertEqual(findings.join(","), "RULE_UNKNOWN_STATUS:R-2,RULE_STATUS_UNLOGGED:R-3", "Unknown and unlogged statuses should be reported");
+    } finally {
+        setStorage(previous);
+    }
+}
+
+function test_groupRules() {
+    console.log("\n[TEST] Team- and Group-Scoped Rules");
+    const ctx = getMockContext();
+    ctx.rules = parseRules([
+        ["Rule_ID", "Employee_ID", "Target", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Approval_Status", "Priority"],
+        ["R-1", "emp-1", "", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "08:00 - 17:00", "Approved", 1],
+        ["R-2", "", "TEAM:ICU", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "07:00 - 16:00", "Approved", 9],
+        ["R-3", "", "ALL", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "10:00 - 19:00", "Approved", 9],
+        ["R-4", "", "WORKSPACE:ws-1", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "11:00 - 20:00", "Approved", 2],
+        ["R-5", "", "SQUAD:Blue", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "12:00 - 21:00", "Approved", 9]
+    ]);
+    assertEqual(Array.from(ctx.rules.keys()).join(","), "emp-1,team:icu,*,workspace:ws-1", "Rules should be keyed by target");
+
+    const res = processRoster([
+        [], [], [],
+        ["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "Team", "2025-03-03"],
+        ["emp-1", "09:00 - 18:00", "SAT", "SUN", "ICU", ""],
+        ["emp-2", "09:00 - 18:00", "SAT", "SUN", "icu", ""],
+        ["emp-3", "09:00 - 18:00", "SAT", "SUN", "", ""]
+    ], ctx, "", null, "ws-1");
+    const winner = i => findWinningRule(getEmployeeRules(ctx.rules, res.employees[i]), "SHIFT_OVERRIDE").id;
+    assertEqual(getEmployeeRules(ctx.rules, res.employees[0]).map(r => r.id).join(","), "R-1,R-2,R-4,R-3", "Group rules should be collected, most specific first");
+    assertEqual(winner(0), "R-1", "An employee rule should beat a team rule of higher priority");
+    assertEqual(winner(1), "R-2", "A team rule should apply to every member, whatever the case");
+    assertEqual(winner(2), "R-4", "A workspace rule should beat an ALL rule of higher priority");
+    assertEqual(res.dailyStatus[1][DAILY_STATUS_COLS.note].includes("R-2"), true, "The resolver should apply the team rule");
+
+    const findings = [];
+    checkRuleTargets([["Rule_ID", "Employee_ID", "Target"], ["R-5", "", "SQUAD:Blue"], ["R-6", "", ""], ["", "", ""]],
+        (s, check, src, item) => findings.push(`${check}:${item}`));
+    assertEqual(findings.join(","), "RULE_UNKNOWN_TARGET:R-5,RULE_UNKNOWN_TARGET:R-6", "Unknown and empty targets should be reported");
+}
+
+function test_recurrence() {
+    console.log("\n[TEST] Rule Recurrence");
+    const errorOf = v => parseRecurrence(v).error;
+    assertEqual(parseRecurrence("").all, true, "A blank Frequency should recur every day");
+    assertEqual(parseRecurrence("mon, wed").days.map(d => d.day).join(","), "MON,WED", "A list of weekdays should still be accepted");
+    assertEqual(errorOf("FREQ=WEEKLY;INTERVAL=0;BYDAY=SAT"), 'INTERVAL "0" is not a whole number of 1 or more', "A zero interval should be rejected");
+    assertEqual(errorOf("FREQ=WEEKLY;BYDAY=1MON"), 'BYDAY "1MON" needs FREQ=MONTHLY', "An nth weekday should need FREQ=MONTHLY");
+    assertEqual(errorOf("FREQ=MONTHLY;BYDAY=6MON"), 'BYDAY "6MON": the week of the month must be 1 to 5 or -1 to -5', "A 6th weekday should be rejected");
+    assertEqual(errorOf("DATES=2025-02-30"), 'DATES "2025-02-30" is not a valid YYYY-MM-DD date', "An impossible date should be rejected");
+    assertEqual(errorOf("BYDAY=SAT;DATES=2025-03-01"), "DATES cannot be combined with FREQ, INTERVAL or BYDAY", "DATES should not mix with a pattern");
+    assertEqual(errorOf("EVERY=2"), 'Unknown part "EVERY" (expected FREQ, INTERVAL, BYDAY, DATES, EXCEPT)', "Unknown parts should be named");
+
+    const rule = freq => ({ id: "R-1", type: "SHIFT_OVERRIDE", start: "2025-03-01", end: "2025-03-31", shift: "08:00 - 17:00", freq: freq, prio: 1 });
+    const on = (freq, dates) => dates.filter(s => !getRuleFilterReason(rule(freq), { str: s, day: DAY_NAMES[new Date(dateKeyToUtc(s)).getUTCDay()] })).join(",");
+    const sats = ["2025-03-01", "2025-03-08", "2025-03-15", "2025-03-22"];
+    assertEqual(on("FREQ=WEEKLY;INTERVAL=2;BYDAY=SAT", sats), "2025-03-01,2025-03-15", "Every other Saturday should count weeks from Start_Date");
+    assertEqual(on("FREQ=MONTHLY;BYDAY=1MON,-1FRI", ["2025-03-03", "2025-03-10", "2025-03-28", "2025-03-21"]), "2025-03-03,2025-03-28", "First Monday and last Friday of the month");
+    assertEqual(on("DATES=2025-03-03,2025-03-05,2025-03-07;EXCEPT=2025-03-05", ["2025-03-03", "2025-03-04", "2025-03-05", "2025-03-07"]), "2025-03-03,2025-03-07", "Date lists should honour exclusions");
+    assertEqual(getRuleFilterReason(rule("FREQ=MONTHLY;BYDAY=1MON"), { str: "2025-03-10", day: "MON" }), "2025-03-10 is not the 1st MON of the month", "Skipped days should be explained");
+
+    const rows = [
+        ["Rule_ID", "Employee_ID", "Rule_Type", "Start_Date", "End_Date", "Shift_Value", "Frequency", "Approval_Status", "Priority"],
+        ["R-1", "emp-1", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "08:00 - 17:00", "FREQ=WEEKLY;INTERVAL=2;BYDAY=SAT", "Approved", 1],
+        ["R-2", "emp-1", "SHIFT_OVERRIDE", "2025-03-01", "2025-03-31", "10:00 - 19:00", "FREQ=FORTNIGHTLY", "Approved", 1]
+    ];
+    assertEqual(parseRules(rows).get("emp-1").map(r => r.id).join(","), "R-1", "A rule with an invalid Frequency should not be applied");
+    const findings = [];
+    checkRuleRecurrences(rows, (s, check, src, item, msg) => findings.push(`${check}:${item}:${msg}`));
+    assertEqual(findings.join(","), 'RULE_BAD_RECURRENCE:R-2:Frequency "FREQ=FORTNIGHTLY": FREQ "FORTNIGHTLY" is not DAILY, WEEKLY or MONTHLY. The rule is not applied', "Invalid Frequencies should be reported");
+}
+
+function test_employeeMaster() {
+    console.log("\n[TEST] Employee Master Data");
+    const ctx = getMockContext();
+    const records = parseEmployees([
+        ["Employee_ID", "Display_Name", "Hire_Date", "Termination_Date", "Team", "Location", "Contract_Type"],
+        ["EMP-1", "Ada Byron", "2025-03-02", "", "ICU", "North", "Full-time"],
+        ["emp-2", "Alan Turing", "2024-01-01", "2025-03-01", "", "South", "Part-time"],
+        ["emp-2", "Duplicate", "", "", "", "", ""],
+        ["emp-4", "", "2025-05-01", "2025-04-01", "", "", ""]
+    ]);
+    ctx.employees = indexEmployees(records);
+    assertEqual(ctx.employees.get("emp-2").name, "Alan Turing", "The first row of a duplicated ID should apply");
+
+    const res = processRoster([
+        [], [], [],
+        ["Employee ID", "Default Shift", "Primary Off Day", "Secondary Off Day", "Team", "2025-03-01", "2025-03-02"],
+        ["emp-1", "09:00 - 18:00", "SAT", "SUN", "", "", ""],
+        ["emp-2", "09:00 - 18:00", "SAT", "SUN", "ER", "", ""],
+        ["emp-3", "09:00 - 18:00", "SAT", "SUN", "", "", ""]
+    ], ctx, "", null, "ws-1");
+    const C = DAILY_STATUS_COLS;
+    assertEqual(res.dailyStatus.map(r => r[C.key]).join(","), "emp-1|2025-03-02,emp-2|2025-03-01,emp-3|2025-03-01,emp-3|2025-03-02",
+        "Days before hire and after termination should not be resolved");
+    const row = res.dailyStatus[0];
+    assertEqual([row[C.name], row[C.team], row[C.location], row[C.contract]].join("|"), "Ada Byron|ICU|North|Full-time", "Master attributes should be attached to the output row");
+    assertEqual(res.dailyStatus[1][C.team], "ER", "A roster cell should win over the master");
+    assertEqual(res.dailyStatus[2][C.name], "emp-3", "Without a master record the name should be the Employee ID");
+    assertEqual(res.unknown.join(","), "emp-3", "Roster rows missing from the master should be flagged");
+
+    const findings = [];
+    checkEmployees(records, (s, check, src, item) => findings.push(`${check}:${item}`));
+    assertEqual(findings.join(","), "EMPLOYEE_DUPLICATE:emp-2 (row 4),EMPLOYEE_DATE_ORDER:emp-4 (row 5)", "Duplicates and termination before hire should be reported");
+}